@@ -1,12 +1,27 @@
-import React from 'react';
+import React, { useEffect } from 'react';
 import { NavigationContainer } from '@react-navigation/native';
 import { PaperProvider } from 'react-native-paper';
 import { SafeAreaProvider } from 'react-native-safe-area-context';
 import { theme } from './utils/theme'; // Import your custom theme
 import AppNavigator from './navigation/AppNavigator'; // Import the navigator
 import { StatusBar } from 'expo-status-bar';
+import { secureStorage } from './services/secureStorageService';
+import { smsReplyService } from './services/smsReplyService';
+import { liveLocationService } from './services/liveLocationService';
+import { useArrivalCheckIn } from './hooks/useArrivalCheckIn';
 
 export default function App() {
+  useEffect(() => {
+    // Encrypt data saved in plaintext by earlier versions; storage calls wait for this
+    secureStorage.init();
+    // Listen for contact SMS replies whenever an incident is awaiting acknowledgement
+    smsReplyService.init();
+    // Send follow-up location updates to contacts during an active incident
+    liveLocationService.init();
+  }, []);
+  // Route Guardian check-ins must be answerable from any screen
+  useArrivalCheckIn();
+
   return (
     <PaperProvider theme={theme}>
       <SafeAreaProvider>
@@ -0,0 +1,15 @@
+// Labelled sensor traces for tests, in the sensorTraceService format. See traces/README.md
+
+import fs from 'fs';
+import path from 'path';
+import { parseTrace } from '../services/sensorTraceService';
+
+const CORPUS_DIRECTORY = path.join(__dirname, 'traces');
+
+export const listCorpusTraces = () =>
+  fs.readdirSync(CORPUS_DIRECTORY)
+    .filter(file => file.endsWith('.json'))
+    .map(file => path.basename(file, '.json'));
+
+export const loadCorpusTrace = (name) =>
+  parseTrace(fs.readFileSync(path.join(CORPUS_DIRECTORY, `${name}.json`), 'utf8'));
@@ -1,19 +1,113 @@
 package com.nyra.safetyapp
 
+import android.content.BroadcastReceiver
+import android.content.Context
+import android.content.Intent
+import android.content.IntentFilter
+import android.provider.Telephony
 import android.telephony.SmsManager
+import androidx.core.content.ContextCompat
+import com.facebook.react.bridge.Arguments
 import com.facebook.react.bridge.ReactApplicationContext
 import com.facebook.react.bridge.ReactContextBaseJavaModule
 import com.facebook.react.bridge.ReactMethod
 import com.facebook.react.bridge.Promise
 import com.facebook.react.bridge.ReadableArray
+import com.facebook.react.modules.core.DeviceEventManagerModule
 import android.util.Log
 
 class SmsModule(reactContext: ReactApplicationContext) : ReactContextBaseJavaModule(reactContext) {
 
+    companion object {
+        const val SMS_RECEIVED_EVENT = "SmsReceived"
+    }
+
+    private var replyReceiver: BroadcastReceiver? = null
+
     override fun getName(): String {
         return "SmsModule"
     }
 
+    /**
+     * Start forwarding incoming SMS to JS as "SmsReceived" events ({ from, body, timestamp }).
+     * Requires RECEIVE_SMS. Only runs while the app process is alive.
+     */
+    @ReactMethod
+    fun startReplyListener(promise: Promise) {
+        if (replyReceiver != null) {
+            promise.resolve(true)
+            return
+        }
+
+        try {
+            val receiver = object : BroadcastReceiver() {
+                override fun onReceive(context: Context, intent: Intent) {
+                    if (intent.action != Telephony.Sms.Intents.SMS_RECEIVED_ACTION) return
+
+                    // Long messages arrive in several parts; join them per sender
+                    val messages = Telephony.Sms.Intents.getMessagesFromIntent(intent)
+                    messages.groupBy { it.originatingAddress ?: "" }.forEach { (from, parts) ->
+                        val event = Arguments.createMap().apply {
+                            putString("from", from)
+                            putString("body", parts.joinToString("") { it.messageBody ?: "" })
+                            putDouble("timestamp", parts.first().timestampMillis.toDouble())
+                        }
+                        reactApplicationContext
+                            .getJSModule(DeviceEventManagerModule.RCTDeviceEventEmitter::class.java)
+                            .emit(SMS_RECEIVED_EVENT, event)
+                    }
+                }
+            }
+
+            ContextCompat.registerReceiver(
+                reactApplicationContext,
+                receiver,
+                IntentFilter(Telephony.Sms.Intents.SMS_RECEIVED_ACTION),
+                ContextCompat.RECEIVER_EXPORTED
+            )
+            replyReceiver = receiver
+            Log.d("SmsModule", "SMS reply listener started")
+            promise.resolve(true)
+
+        } catch (e: Exception) {
+            Log.e("SmsModule", "Failed to start SMS reply listener", e)
+            promise.reject("SMS_LISTENER_ERROR", "Failed to start SMS reply listener: ${e.message}", e)
+        }
+    }
+
+    @ReactMethod
+    fun stopReplyListener(promise: Promise) {
+        try {
+            replyReceiver?.let { reactApplicationContext.unregisterReceiver(it) }
+            replyReceiver = null
+            Log.d("SmsModule", "SMS reply listener stopped")
+            promise.resolve(true)
+        } catch (e: Exception) {
+            Log.e("SmsModule", "Failed to stop SMS reply listener", e)
+            replyReceiver = null
+            promise.resolve(false)
+        }
+    }
+
+    // Required by NativeEventEmitter on the JS side
+    @ReactMethod
+    fun addListener(eventName: String) {}
+
+    @ReactMethod
+    fun removeListeners(count: Int) {}
+
+    override fun invalidate() {
+        replyReceiver?.let {
+            try {
+                reactApplicationContext.unregisterReceiver(it)
+            } catch (e: Exception) {
+                Log.w("SmsModule", "SMS reply listener already unregistered", e)
+            }
+        }
+        replyReceiver = null
+        super.invalidate()
+    }
+
     @ReactMethod
     fun sendSms(phoneNumber: String, message: String, promise: Promise) {
         try {
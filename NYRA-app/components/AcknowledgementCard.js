@@ -0,0 +1,96 @@
+import React, { useState, useEffect } from 'react';
+import { View, StyleSheet } from 'react-native';
+import { Card, Text, ActivityIndicator, useTheme } from 'react-native-paper';
+import * as Animatable from 'react-native-animatable';
+import { incidentService, INCIDENT_STATES } from '../services/incidentService';
+import { REPLY_KEYWORDS, REPLY_KEYWORD_LABELS } from '../services/smsReplyService';
+
+const KEYWORD_ICONS = {
+  [REPLY_KEYWORDS.COMING]: '🏃',
+  [REPLY_KEYWORDS.CALL]: '📞',
+  [REPLY_KEYWORDS.OK]: '👍',
+  [REPLY_KEYWORDS.REPLY]: '💬',
+};
+
+const getDispatchedIncident = () => {
+  const incident = incidentService.getActiveIncident();
+  return incident && (incident.state === INCIDENT_STATES.DISPATCHED || incident.state === INCIDENT_STATES.ACKNOWLEDGED)
+    ? incident
+    : null;
+};
+
+// Shows who has responded to the active incident's alert
+export default function AcknowledgementCard({ style }) {
+  const theme = useTheme();
+  const [incident, setIncident] = useState(getDispatchedIncident);
+
+  useEffect(() => {
+    const refresh = () => {
+      const current = getDispatchedIncident();
+      setIncident(current ? { ...current } : null);
+    };
+    const unsubscribe = incidentService.subscribe(refresh);
+    incidentService.load().then(refresh);
+    return unsubscribe;
+  }, []);
+
+  if (!incident) {
+    return null;
+  }
+
+  const acknowledgements = incident.acknowledgements || [];
+
+  return (
+    <Animatable.View animation="fadeIn" duration={300} style={[styles.wrapper, style]}>
+      <Card style={styles.card}>
+        <Card.Content>
+          {acknowledgements.length === 0 ? (
+            <View style={styles.waitingRow}>
+              <ActivityIndicator size="small" color={theme.colors.error} />
+              <Text variant="bodyMedium" style={styles.waitingText}>
+                Alert sent. Waiting for a contact to respond…
+              </Text>
+            </View>
+          ) : (
+            <>
+              <Text variant="titleSmall" style={styles.title}>✅ Help is aware</Text>
+              {acknowledgements.map((ack, index) => (
+                <Text key={`${ack.phone}_${index}`} variant="bodyMedium">
+                  {KEYWORD_ICONS[ack.keyword] || '💬'} {ack.name} {REPLY_KEYWORD_LABELS[ack.keyword] || 'replied'}
+                  <Text variant="bodySmall" style={styles.mutedText}>
+                    {'  '}{new Date(ack.at).toLocaleTimeString()}
+                  </Text>
+                </Text>
+              ))}
+            </>
+          )}
+        </Card.Content>
+      </Card>
+    </Animatable.View>
+  );
+}
+
+const styles = StyleSheet.create({
+  wrapper: {
+    width: '100%',
+  },
+  card: {
+    borderRadius: 16,
+    elevation: 3,
+  },
+  waitingRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  waitingText: {
+    marginLeft: 12,
+    flexShrink: 1,
+  },
+  title: {
+    fontWeight: 'bold',
+    marginBottom: 6,
+  },
+  mutedText: {
+    color: 'gray',
+  },
+});
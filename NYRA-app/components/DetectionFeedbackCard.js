@@ -0,0 +1,173 @@
+// Detection Feedback Card Component
+// Precision and recall per detector, recent automatic alerts to label, and reporting of
+// events that were not detected. Labels tune each detector's threshold (detectionFeedbackService)
+
+import React, { useState, useEffect } from 'react';
+import { View, StyleSheet, Alert } from 'react-native';
+import { Card, Text, Button, Chip, IconButton, Divider, useTheme } from 'react-native-paper';
+import ActivityDetectionService from '../services/activityDetectionService';
+import {
+  detectionFeedbackService,
+  DETECTORS,
+  FEEDBACK_LABELS,
+} from '../services/detectionFeedbackService';
+
+const DETECTOR_NAMES = {
+  [DETECTORS.FALL]: 'Fall',
+  [DETECTORS.SUDDEN_STOP]: 'Sudden stop',
+  [DETECTORS.VOICE]: 'Voice trigger',
+};
+
+const LABEL_NAMES = {
+  [FEEDBACK_LABELS.CONFIRMED]: 'Real',
+  [FEEDBACK_LABELS.FALSE_ALARM]: 'False alarm',
+  [FEEDBACK_LABELS.MISSED]: 'Missed',
+};
+
+const RECENT_DETECTIONS = 5;
+const MISSED_FALL_LOOKBACK_MS = 10 * 60 * 1000; // Fall evaluations this recent go with a missed report
+
+const formatPercent = (value) => (value === null ? '–' : `${Math.round(value * 100)}%`);
+
+const formatScale = (scale) => {
+  if (scale === 1) return 'default threshold';
+  const percent = Math.round((scale - 1) * 100);
+  return `threshold ${percent > 0 ? '+' : ''}${percent}%`;
+};
+
+// The closest fall evaluation the detector rejected, so a missed fall keeps its features
+const getRecentFallEvaluation = () => {
+  const cutoff = Date.now() - MISSED_FALL_LOOKBACK_MS;
+  const recent = ActivityDetectionService.getInstance().getFallLog()
+    .filter(evaluation => !evaluation.detected && evaluation.evaluatedAt > cutoff);
+  return recent[recent.length - 1] || null;
+};
+
+export default function DetectionFeedbackCard() {
+  const theme = useTheme();
+  const [detections, setDetections] = useState(detectionFeedbackService.getDetections());
+
+  useEffect(() => {
+    const refresh = () => setDetections(detectionFeedbackService.getDetections());
+    detectionFeedbackService.load().then(refresh);
+    return detectionFeedbackService.subscribe(refresh);
+  }, []);
+
+  const handleLabel = async (detection, label) => {
+    try {
+      await detectionFeedbackService.labelDetection(detection.id, label);
+    } catch (error) {
+      Alert.alert('❌ Error', error.message);
+    }
+  };
+
+  const handleReportMissed = (detector) => {
+    Alert.alert(
+      `Report a Missed ${DETECTOR_NAMES[detector]}?`,
+      'Only report events that really happened in the last few minutes. Detection will become more sensitive.',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Report',
+          onPress: async () => {
+            const evaluation = detector === DETECTORS.FALL ? getRecentFallEvaluation() : null;
+            await detectionFeedbackService.reportMissed(detector, evaluation ? {
+              score: evaluation.confidence,
+              threshold: evaluation.threshold,
+              features: { placement: evaluation.placement, matchedPhases: evaluation.matchedPhases, phases: evaluation.phases },
+            } : {});
+          },
+        },
+      ]
+    );
+  };
+
+  const recent = detections.filter(d => d.label !== FEEDBACK_LABELS.MISSED).slice(0, RECENT_DETECTIONS);
+
+  return (
+    <Card style={styles.card}>
+      <Card.Title
+        title="Detection Accuracy"
+        subtitle="Label alerts so detection adapts to you"
+      />
+      <Card.Content>
+        {Object.values(DETECTORS).map(detector => {
+          const metrics = detectionFeedbackService.getMetrics(detector);
+          return (
+            <View key={detector} style={styles.detectorRow}>
+              <View style={styles.detectorText}>
+                <Text variant="titleSmall">{DETECTOR_NAMES[detector]}</Text>
+                <Text variant="bodySmall" style={styles.mutedText}>
+                  Precision {formatPercent(metrics.precision)} · Recall {formatPercent(metrics.recall)}
+                  {' · '}{formatScale(detectionFeedbackService.getThresholdScale(detector))}
+                </Text>
+              </View>
+              <IconButton
+                icon="alert-plus-outline"
+                size={20}
+                accessibilityLabel={`Report missed ${DETECTOR_NAMES[detector].toLowerCase()}`}
+                onPress={() => handleReportMissed(detector)}
+              />
+            </View>
+          );
+        })}
+
+        {recent.length > 0 && <Divider style={styles.divider} />}
+        {recent.map(detection => (
+          <View key={detection.id} style={styles.detectionRow}>
+            <View style={styles.detectorText}>
+              <Text variant="bodyMedium">{DETECTOR_NAMES[detection.detector] || detection.detector}</Text>
+              <Text variant="bodySmall" style={styles.mutedText}>
+                {new Date(detection.detectedAt).toLocaleString()}
+                {detection.confidence !== null ? ` · ${Math.round(detection.confidence * 100)}%` : ''}
+              </Text>
+            </View>
+            {detection.label ? (
+              <Chip
+                compact
+                onClose={() => handleLabel(detection, detection.label === FEEDBACK_LABELS.CONFIRMED
+                  ? FEEDBACK_LABELS.FALSE_ALARM
+                  : FEEDBACK_LABELS.CONFIRMED)}
+                closeIcon="swap-horizontal"
+                textStyle={detection.label === FEEDBACK_LABELS.FALSE_ALARM ? { color: theme.colors.error } : undefined}
+              >
+                {LABEL_NAMES[detection.label]}
+              </Chip>
+            ) : (
+              <>
+                <Button compact onPress={() => handleLabel(detection, FEEDBACK_LABELS.CONFIRMED)}>Real</Button>
+                <Button compact onPress={() => handleLabel(detection, FEEDBACK_LABELS.FALSE_ALARM)}>False alarm</Button>
+              </>
+            )}
+          </View>
+        ))}
+      </Card.Content>
+    </Card>
+  );
+}
+
+const styles = StyleSheet.create({
+  card: {
+    marginBottom: 24,
+    borderRadius: 20,
+    elevation: 3,
+  },
+  detectorRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  detectionRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginVertical: 4,
+  },
+  detectorText: {
+    flex: 1,
+  },
+  divider: {
+    marginVertical: 8,
+  },
+  mutedText: {
+    color: 'gray',
+  },
+});
@@ -2,8 +2,24 @@ import React from 'react';
 import { View, StyleSheet } from 'react-native';
 import { Card, Text, IconButton, useTheme, Avatar } from 'react-native-paper';
 import * as Animatable from 'react-native-animatable';
+import { CONTACT_ROLE_LABELS, CONTACT_CHANNEL_LABELS } from '../services/contactService';
 
-export default function EmergencyContactCard({ name, phone, relationship, onDelete, index }) {
+export default function EmergencyContactCard({
+  name,
+  phone,
+  email,
+  relationship,
+  role,
+  channels,
+  quietHoursException,
+  isFirst,
+  isLast,
+  onEdit,
+  onMoveUp,
+  onMoveDown,
+  onDelete,
+  index,
+}) {
   const theme = useTheme();
 
   // Create a simple avatar from the contact's initials
@@ -11,25 +27,48 @@ export default function EmergencyContactCard({ name, phone, relationship, onDele
 
   return (
     <Animatable.View animation="fadeInUp" duration={300} delay={index * 100}>
-      <Card style={styles.card}>
+      <Card style={styles.card} onPress={onEdit}>
         <Card.Content style={styles.cardContent}>
           <View style={styles.contactInfo}>
             <Avatar.Text size={40} label={initials} style={{ backgroundColor: theme.colors.primaryContainer }} color={theme.colors.onPrimaryContainer} />
             <View style={styles.textContainer}>
               <Text variant="titleMedium">{name}</Text>
               <Text variant="bodyMedium" style={{ color: 'gray' }}>{phone}</Text>
+              {email ? (
+                <Text variant="bodySmall" style={{ color: 'gray' }}>{email}</Text>
+              ) : null}
               {relationship ? (
                 <Text variant="bodySmall" style={{ color: 'gray', fontStyle: 'italic' }}>
                   ({relationship})
                 </Text>
               ) : null}
+              <Text variant="labelSmall" style={[styles.meta, { color: theme.colors.primary }]}>
+                #{index + 1} · {CONTACT_ROLE_LABELS[role]} · {CONTACT_CHANNEL_LABELS[channels]}
+                {quietHoursException ? ' · 🌙 Quiet hours' : ''}
+              </Text>
             </View>
           </View>
-          <IconButton 
-            icon="trash-can-outline" 
-            size={24} 
-            iconColor={theme.colors.error} 
-            onPress={onDelete} 
+          <View style={styles.actions}>
+            <IconButton
+              icon="chevron-up"
+              size={20}
+              disabled={isFirst}
+              onPress={onMoveUp}
+              style={styles.actionButton}
+            />
+            <IconButton
+              icon="chevron-down"
+              size={20}
+              disabled={isLast}
+              onPress={onMoveDown}
+              style={styles.actionButton}
+            />
+          </View>
+          <IconButton
+            icon="trash-can-outline"
+            size={24}
+            iconColor={theme.colors.error}
+            onPress={onDelete}
             style={styles.deleteButton}
           />
         </Card.Content>
@@ -60,7 +99,16 @@ const styles = StyleSheet.create({
     marginLeft: 20,
     flexShrink: 1,
   },
+  meta: {
+    marginTop: 4,
+  },
+  actions: {
+    alignItems: 'center',
+  },
+  actionButton: {
+    margin: 0,
+  },
   deleteButton: {
     margin: 0,
   },
-});
\ No newline at end of file
+});
@@ -100,7 +100,7 @@ const EvidenceCaptureCard = ({ style, onCaptureStateChange }) => {
     const fileTypes = data.evidenceFiles.map(f => f.type).join(', ');
     Alert.alert(
       'Evidence Details',
-      `Session ID: ${data.sessionId}\nFiles: ${fileTypes}\nStorage: ${data.uploaded ? 'Cloud + Local' : 'Local only'}\n\nThis evidence is encrypted and can be accessed by you or law enforcement if needed.`,
+      `Session ID: ${data.sessionId}\nFiles: ${fileTypes}\nStorage: ${data.uploaded ? 'Cloud + Local' : 'Local only'}\n\nSession records are encrypted on this device and can be accessed by you or law enforcement if needed.`,
       [{ text: 'OK' }]
     );
   };
@@ -292,7 +292,7 @@ const EvidenceCaptureCard = ({ style, onCaptureStateChange }) => {
               <Text style={styles.modalTitle}>Evidence Capture Setup</Text>
               
               <Text style={styles.modalDescription}>
-                Configure automatic evidence recording for emergencies. All data is encrypted and stored securely.
+                Configure automatic evidence recording for emergencies. Session records are encrypted on this device.
               </Text>
 
               <View style={styles.toggleRow}>
@@ -369,7 +369,7 @@ const EvidenceCaptureCard = ({ style, onCaptureStateChange }) => {
               <View style={styles.securityNotice}>
                 <Text style={styles.securityTitle}>🔐 Security & Privacy</Text>
                 <Text style={styles.securityText}>
-                  • All recordings are encrypted end-to-end
+                  • Session records are encrypted on this device
                   • You control access to your evidence
                   • Data is automatically deleted after 7 years
                   • Can be shared with law enforcement if needed
@@ -0,0 +1,176 @@
+// Offline Tile Map Component
+// Draws downloaded map tiles around a point with safe haven and danger zone markers,
+// without a map SDK or network. Tiles missing from offline areas are left blank
+
+import React, { useState } from 'react';
+import { View, Text, Image, TouchableOpacity, StyleSheet } from 'react-native';
+import { TILE_SIZE, projectToTile } from '../services/mapTiles';
+import { offlineRegionService, REGION_LIMITS, TILE_SOURCE } from '../services/offlineRegionService';
+
+const DANGER_EMOJI = '⚠️';
+const HAVEN_EMOJI = '🛡️';
+const MARKER_SIZE = 24;
+
+const OfflineTileMap = ({ center, safeHavens = [], dangerZones = [], havenEmoji = () => HAVEN_EMOJI, style }) => {
+  const [size, setSize] = useState({ width: 0, height: 0 });
+  const [zoom, setZoom] = useState(15);
+
+  const origin = projectToTile(center, zoom);
+  // Screen position of a point, with the center in the middle
+  const toScreen = (point) => {
+    const tile = projectToTile(point, zoom);
+    return {
+      left: (tile.x - origin.x) * TILE_SIZE + size.width / 2,
+      top: (tile.y - origin.y) * TILE_SIZE + size.height / 2,
+    };
+  };
+  const isVisible = ({ left, top }) =>
+    left >= -MARKER_SIZE && left <= size.width + MARKER_SIZE && top >= -MARKER_SIZE && top <= size.height + MARKER_SIZE;
+
+  const tiles = [];
+  if (size.width > 0) {
+    const halfWidth = size.width / 2 / TILE_SIZE;
+    const halfHeight = size.height / 2 / TILE_SIZE;
+    for (let x = Math.floor(origin.x - halfWidth); x <= Math.floor(origin.x + halfWidth); x++) {
+      for (let y = Math.floor(origin.y - halfHeight); y <= Math.floor(origin.y + halfHeight); y++) {
+        const uri = offlineRegionService.getTileUri(zoom, x, y);
+        if (uri) {
+          tiles.push({
+            key: `${zoom}_${x}_${y}`,
+            uri,
+            left: (x - origin.x) * TILE_SIZE + size.width / 2,
+            top: (y - origin.y) * TILE_SIZE + size.height / 2,
+          });
+        }
+      }
+    }
+  }
+
+  const markers = [
+    ...dangerZones.filter(zone => zone.location)
+      .map(zone => ({ id: `danger_${zone.id}`, emoji: DANGER_EMOJI, position: toScreen(zone.location) })),
+    ...safeHavens.filter(haven => haven.location)
+      .map(haven => ({ id: `haven_${haven.id}`, emoji: havenEmoji(haven), position: toScreen(haven.location) })),
+  ].filter(marker => isVisible(marker.position));
+  const here = toScreen(center);
+
+  return (
+    <View
+      style={[styles.container, style]}
+      onLayout={(event) => setSize(event.nativeEvent.layout)}
+    >
+      {tiles.map(tile => (
+        <Image
+          key={tile.key}
+          source={{ uri: tile.uri }}
+          style={[styles.tile, { left: tile.left, top: tile.top }]}
+        />
+      ))}
+
+      {markers.map(marker => (
+        <Text
+          key={marker.id}
+          style={[styles.marker, { left: marker.position.left - MARKER_SIZE / 2, top: marker.position.top - MARKER_SIZE / 2 }]}
+        >
+          {marker.emoji}
+        </Text>
+      ))}
+      <View style={[styles.here, { left: here.left - 7, top: here.top - 7 }]} />
+
+      {tiles.length === 0 && (
+        <Text style={styles.emptyText}>No offline map tiles here at this zoom</Text>
+      )}
+
+      <View style={styles.zoomButtons}>
+        <TouchableOpacity
+          style={styles.zoomButton}
+          onPress={() => setZoom(Math.min(REGION_LIMITS.MAX_ZOOM, zoom + 1))}
+        >
+          <Text style={styles.zoomButtonText}>+</Text>
+        </TouchableOpacity>
+        <TouchableOpacity
+          style={styles.zoomButton}
+          onPress={() => setZoom(Math.max(REGION_LIMITS.MIN_ZOOM, zoom - 1))}
+        >
+          <Text style={styles.zoomButtonText}>−</Text>
+        </TouchableOpacity>
+      </View>
+
+      {TILE_SOURCE.attribution && (
+        <Text style={styles.attribution}>{TILE_SOURCE.attribution}</Text>
+      )}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    height: 220,
+    borderRadius: 8,
+    overflow: 'hidden',
+    backgroundColor: '#e9ecef',
+    marginBottom: 12
+  },
+  tile: {
+    position: 'absolute',
+    width: TILE_SIZE,
+    height: TILE_SIZE
+  },
+  marker: {
+    position: 'absolute',
+    width: MARKER_SIZE,
+    height: MARKER_SIZE,
+    fontSize: 18,
+    textAlign: 'center'
+  },
+  here: {
+    position: 'absolute',
+    width: 14,
+    height: 14,
+    borderRadius: 7,
+    backgroundColor: '#007AFF',
+    borderWidth: 2,
+    borderColor: '#ffffff'
+  },
+  emptyText: {
+    position: 'absolute',
+    bottom: 8,
+    left: 8,
+    fontSize: 12,
+    color: '#666'
+  },
+  zoomButtons: {
+    position: 'absolute',
+    top: 8,
+    right: 8,
+    gap: 6
+  },
+  zoomButton: {
+    width: 32,
+    height: 32,
+    borderRadius: 6,
+    backgroundColor: '#ffffff',
+    alignItems: 'center',
+    justifyContent: 'center',
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 1 },
+    shadowOpacity: 0.2,
+    shadowRadius: 2,
+    elevation: 2
+  },
+  zoomButtonText: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: '#333'
+  },
+  attribution: {
+    position: 'absolute',
+    bottom: 2,
+    right: 4,
+    fontSize: 10,
+    color: '#333',
+    backgroundColor: 'rgba(255, 255, 255, 0.7)'
+  }
+});
+
+export default OfflineTileMap;
@@ -0,0 +1,113 @@
+import React, { useState, useEffect } from 'react';
+import { View, StyleSheet } from 'react-native';
+import { Card, Text, Button, useTheme } from 'react-native-paper';
+import * as Animatable from 'react-native-animatable';
+import { outboxService, OUTBOX_STATUS } from '../services/outboxService';
+
+const CHANNEL_LABELS = {
+  sms: 'SMS alert',
+  email: 'Email alert',
+  email_report: 'Email report',
+};
+
+const RECIPIENT_ICONS = {
+  [OUTBOX_STATUS.SENT]: '✅',
+  [OUTBOX_STATUS.PENDING]: '⏳',
+  [OUTBOX_STATUS.FAILED]: '❌',
+};
+
+// Items the user still needs to know about: waiting to send, or given up on
+const isVisible = (item) => item.status === OUTBOX_STATUS.PENDING || item.status === OUTBOX_STATUS.FAILED;
+
+export default function OutboxStatusCard() {
+  const theme = useTheme();
+  const [items, setItems] = useState(() => outboxService.getItems().filter(isVisible));
+
+  useEffect(() => {
+    const refresh = () => setItems(outboxService.getItems().filter(isVisible));
+    const unsubscribe = outboxService.subscribe(refresh);
+    outboxService.load().then(refresh);
+    return unsubscribe;
+  }, []);
+
+  if (items.length === 0) {
+    return null;
+  }
+
+  const formatNextAttempt = (item) => {
+    if (item.status !== OUTBOX_STATUS.PENDING || !item.nextAttemptAt) return null;
+    const seconds = Math.max(Math.round((item.nextAttemptAt - Date.now()) / 1000), 0);
+    return seconds > 60 ? `next try in ${Math.round(seconds / 60)} min` : `next try in ${seconds}s`;
+  };
+
+  return (
+    <Animatable.View animation="fadeIn" duration={300} style={styles.wrapper}>
+      <Card style={styles.card}>
+        <Card.Title
+          title="Undelivered Alerts"
+          subtitle={`${items.length} alert${items.length > 1 ? 's' : ''} not yet delivered`}
+          titleStyle={{ color: theme.colors.error }}
+        />
+        <Card.Content>
+          {items.map(item => (
+            <View key={item.id} style={styles.item}>
+              <View style={styles.itemHeader}>
+                <Text variant="titleSmall">{CHANNEL_LABELS[item.channel] || item.channel}</Text>
+                <Text variant="bodySmall" style={styles.mutedText}>
+                  {item.status === OUTBOX_STATUS.FAILED ? 'Gave up' : formatNextAttempt(item)}
+                </Text>
+              </View>
+              {item.recipients.map(recipient => (
+                <Text key={recipient.address} variant="bodySmall">
+                  {RECIPIENT_ICONS[recipient.status]} {recipient.name || recipient.address}
+                  {recipient.status !== OUTBOX_STATUS.SENT && recipient.lastError ? ` — ${recipient.lastError}` : ''}
+                </Text>
+              ))}
+              <View style={styles.actions}>
+                {item.status === OUTBOX_STATUS.PENDING ? (
+                  <>
+                    <Button compact onPress={() => outboxService.discardItem(item.id)}>Stop</Button>
+                    <Button compact mode="contained" onPress={() => outboxService.deliver(item.id)}>Send Now</Button>
+                  </>
+                ) : (
+                  <>
+                    <Button compact onPress={() => outboxService.removeItem(item.id)}>Dismiss</Button>
+                    <Button compact mode="contained" onPress={() => outboxService.retryItem(item.id)}>Retry</Button>
+                  </>
+                )}
+              </View>
+            </View>
+          ))}
+        </Card.Content>
+      </Card>
+    </Animatable.View>
+  );
+}
+
+const styles = StyleSheet.create({
+  wrapper: {
+    width: '100%',
+  },
+  card: {
+    borderRadius: 16,
+    elevation: 3,
+  },
+  item: {
+    paddingVertical: 8,
+  },
+  itemHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 4,
+  },
+  mutedText: {
+    color: 'gray',
+  },
+  actions: {
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+    gap: 8,
+    marginTop: 4,
+  },
+});
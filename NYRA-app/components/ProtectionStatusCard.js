@@ -9,6 +9,8 @@ const activityDetails = {
   STANDING: { icon: 'human-male', emoji: '🧍' },
   WALKING: { icon: 'walk', emoji: '🚶' },
   RUNNING: { icon: 'run', emoji: '🏃' },
+  CYCLING: { icon: 'bike', emoji: '🚴' },
+  DRIVING: { icon: 'car', emoji: '🚗' },
   FALLING: { icon: 'arrow-down-bold-box', emoji: '💥' },
   CALIBRATING: { icon: 'progress-wrench', emoji: '🛠️' },
 };
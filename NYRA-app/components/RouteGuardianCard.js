@@ -3,7 +3,41 @@
 
 import React, { useState, useEffect } from 'react';
 import { View, Text, TouchableOpacity, StyleSheet, Alert, Modal, TextInput, ScrollView } from 'react-native';
-import { routeGuardianService } from '../services/routeGuardianService';
+import * as Location from 'expo-location';
+import { routeGuardianService, ROUTE_SOURCES } from '../services/routeGuardianService';
+import { ROUTE_PROFILES } from '../services/routeSafety';
+import { getMapExtractInfo, importMapExtract } from '../services/mapDataService';
+import { geofenceService } from '../services/geofenceService';
+import { etaWatchdogService } from '../services/etaWatchdogService';
+import { tripSharingService } from '../services/tripSharingService';
+import { loadContacts } from '../services/storageService';
+import { getPersonalContacts } from '../services/contactService';
+
+const PROFILE_OPTIONS = [
+  { profile: ROUTE_PROFILES.FASTEST, emoji: '⚡', label: 'Fastest' },
+  { profile: ROUTE_PROFILES.BALANCED, emoji: '⚖️', label: 'Balanced' },
+  { profile: ROUTE_PROFILES.SAFEST, emoji: '🛡️', label: 'Safest' },
+];
+
+const profileNames = (profiles) => PROFILE_OPTIONS
+  .filter(option => profiles.includes(option.profile))
+  .map(option => `${option.emoji} ${option.label}`)
+  .join(' · ');
+
+const formatFactor = (factor) =>
+  `${factor.impact > 0 ? '+' : ''}${factor.impact !== 0 ? `${factor.impact} ` : ''}${factor.text}`;
+
+const formatDistance = (meters) =>
+  (meters >= 1000 ? `${(meters / 1000).toFixed(1)} km` : `${Math.round(meters)} m`);
+
+const formatEta = (seconds) => {
+  const minutes = Math.max(1, Math.round(seconds / 60));
+  if (minutes < 60) return `${minutes} min`;
+  return `${Math.floor(minutes / 60)} h ${minutes % 60} min`;
+};
+
+const formatClockTime = (timestamp) =>
+  new Date(timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
 
 const RouteGuardianCard = ({ style, onRouteStateChange }) => {
   const [isActive, setIsActive] = useState(false);
@@ -12,10 +46,17 @@ const RouteGuardianCard = ({ style, onRouteStateChange }) => {
   const [showSetupModal, setShowSetupModal] = useState(false);
   const [routeConfig, setRouteConfig] = useState({
     destinationName: '',
+    destination: null, // Set when a saved place is chosen, otherwise geocoded from the name
     riskTolerance: 5,
-    useOptimalRoute: true
+    profile: ROUTE_PROFILES.BALANCED,
+    shareWith: [] // Contact ids who get trip updates
   });
   const [alerts, setAlerts] = useState([]);
+  const [progress, setProgress] = useState(null);
+  const [mapInfo, setMapInfo] = useState(null);
+  const [isImportingMap, setIsImportingMap] = useState(false);
+  const [arrivalStatus, setArrivalStatus] = useState({ active: false });
+  const [shareContacts, setShareContacts] = useState([]);
 
   useEffect(() => {
     // Subscribe to service events
@@ -25,6 +66,10 @@ const RouteGuardianCard = ({ style, onRouteStateChange }) => {
           setIsActive(true);
           setCurrentRoute(data.route);
           setSafetyScore(data.safetyScore);
+          setProgress(data.route.plannedRoute ? {
+            remainingDistance: data.route.plannedRoute.distance,
+            etaSeconds: data.route.plannedRoute.etaSeconds
+          } : null);
           onRouteStateChange?.(true, data);
           if (data.safetyScore < 5) {
             showSafetyWarning(data);
@@ -35,13 +80,29 @@ const RouteGuardianCard = ({ style, onRouteStateChange }) => {
           setCurrentRoute(null);
           setSafetyScore(0);
           setAlerts([]);
+          setProgress(null);
           onRouteStateChange?.(false, null);
           break;
         case 'riskZoneDetected':
           handleRiskZoneAlert(data);
           break;
+        case 'routeDeviation':
+          handleRouteDeviation(data);
+          setCurrentRoute({ ...data.route });
+          break;
+        case 'routeProfileChanged':
+          setCurrentRoute({ ...data.route });
+          setSafetyScore(data.safetyScore);
+          setProgress(data.route.plannedRoute ? {
+            remainingDistance: data.route.plannedRoute.distance,
+            etaSeconds: data.route.plannedRoute.etaSeconds
+          } : null);
+          break;
         case 'locationUpdated':
           setSafetyScore(data.safetyScore);
+          if (data.etaSeconds !== undefined) {
+            setProgress({ remainingDistance: data.remainingDistance, etaSeconds: data.etaSeconds });
+          }
           break;
         case 'routeCompleted':
           showRouteCompletedMessage(data);
@@ -55,15 +116,56 @@ const RouteGuardianCard = ({ style, onRouteStateChange }) => {
       setIsActive(true);
       setCurrentRoute(existingRoute);
       setSafetyScore(routeGuardianService.getCurrentSafetyScore());
+      if (existingRoute.plannedRoute) {
+        setProgress({
+          remainingDistance: existingRoute.plannedRoute.distance,
+          etaSeconds: existingRoute.plannedRoute.etaSeconds
+        });
+      }
     }
 
-    return unsubscribe;
+    // Arrival watchdog: expected arrival, check-in prompts and late-arrival alerts
+    const unsubscribeWatchdog = etaWatchdogService.subscribe((eventType, data) => {
+      switch (eventType) {
+        case 'tripStarted':
+        case 'planUpdated':
+        case 'checkInConfirmed':
+          setArrivalStatus(data);
+          break;
+        case 'tripEnded':
+          setArrivalStatus({ active: false });
+          break;
+        // The prompt and the alert notice are shown app-wide (see useArrivalCheckIn)
+        case 'checkInRequired':
+        case 'lateArrivalAlertSent':
+          setArrivalStatus(data.trip);
+          break;
+      }
+    });
+
+    etaWatchdogService.init().then(() => setArrivalStatus(etaWatchdogService.getStatus()));
+
+    getMapExtractInfo().then(setMapInfo).catch(error => console.error('Failed to read map info:', error));
+    geofenceService.load();
+
+    return () => {
+      unsubscribe();
+      unsubscribeWatchdog();
+    };
   }, []);
 
+  const handleConfirmArrival = () => {
+    etaWatchdogService.endTrip('arrival_confirmed');
+  };
+
   const showSafetyWarning = (analysisData) => {
+    const reasons = (analysisData.safetyFactors || [])
+      .filter(factor => factor.impact < 0)
+      .map(factor => `• ${factor.text}`)
+      .join('\n');
     Alert.alert(
       'Route Safety Warning',
-      `Your planned route has a low safety score (${analysisData.safetyScore}/10). Consider taking precautions or an alternative route.`,
+      `Your planned route has a low safety score (${analysisData.safetyScore}/10). Consider taking precautions or an alternative route.${reasons ? `\n\n${reasons}` : ''}`,
       [
         { text: 'Proceed Anyway', style: 'default' },
         { text: 'View Recommendations', onPress: () => showRecommendations(analysisData.recommendations) },
@@ -95,6 +197,46 @@ const RouteGuardianCard = ({ style, onRouteStateChange }) => {
     );
   };
 
+  const handleRouteDeviation = (data) => {
+    const newAlert = {
+      id: Date.now(),
+      type: 'deviation',
+      message: `${formatDistance(data.deviation.distanceFromRoute)} off your route - new route planned`,
+      timestamp: new Date()
+    };
+    setAlerts(prev => [newAlert, ...prev.slice(0, 4)]);
+  };
+
+  const explainAlternative = (alternative) => {
+    const isFollowed = alternative.profiles.includes(currentRoute?.profile);
+    const factors = alternative.factors.length > 0
+      ? alternative.factors.map(formatFactor).join('\n')
+      : 'No risk factors found along this route';
+    Alert.alert(
+      `${profileNames(alternative.profiles)}: ${alternative.safetyScore}/10`,
+      `${formatEta(alternative.route.etaSeconds)} · ${formatDistance(alternative.route.distance)}\n\n${factors}`,
+      isFollowed ? [{ text: 'OK' }] : [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Use This Route', onPress: () => routeGuardianService.setRouteProfile(alternative.profiles[0]) }
+      ]
+    );
+  };
+
+  const handleImportMap = async () => {
+    setIsImportingMap(true);
+    try {
+      const info = await importMapExtract();
+      if (info) {
+        setMapInfo(info);
+        Alert.alert('🗺️ Map Imported', `${info.name} has ${info.nodeCount} walkable junctions and paths.`);
+      }
+    } catch (error) {
+      Alert.alert('❌ Import Failed', error.message);
+    } finally {
+      setIsImportingMap(false);
+    }
+  };
+
   const showRecommendations = (recommendations) => {
     Alert.alert(
       'Safety Recommendations',
@@ -124,26 +266,62 @@ const RouteGuardianCard = ({ style, onRouteStateChange }) => {
     );
   };
 
-  const handleStartTracking = () => {
+  const handleStartTracking = async () => {
     if (!routeConfig.destinationName.trim()) {
       Alert.alert('Missing Destination', 'Please enter a destination to start route tracking.');
       return;
     }
 
+    let destination = routeConfig.destination;
+    if (!destination) {
+      try {
+        const [result] = await Location.geocodeAsync(routeConfig.destinationName.trim());
+        destination = result ? { latitude: result.latitude, longitude: result.longitude } : null;
+      } catch (error) {
+        console.error('Geocoding failed:', error);
+      }
+    }
+    if (!destination) {
+      Alert.alert('Destination Not Found', 'Try a full address, or choose one of your saved places.');
+      return;
+    }
+
     setShowSetupModal(false);
-    
-    // TODO: Get actual destination coordinates (could use geocoding)
-    const mockDestination = {
-      latitude: 37.7749 + (Math.random() - 0.5) * 0.01,
-      longitude: -122.4194 + (Math.random() - 0.5) * 0.01
-    };
+    tripSharingService.setShareContactIds(routeConfig.shareWith);
+    routeGuardianService.startRouteGuardian({ ...routeConfig, destination });
+  };
 
-    const config = {
-      ...routeConfig,
-      destination: mockDestination
-    };
+  // Offers the contacts chosen for the last shared trip again
+  const handleOpenSetup = async () => {
+    try {
+      const [contacts, lastShared] = await Promise.all([loadContacts(), tripSharingService.getShareContactIds()]);
+      const personal = getPersonalContacts(contacts);
+      setShareContacts(personal);
+      setRouteConfig(config => ({
+        ...config,
+        shareWith: lastShared.filter(id => personal.some(contact => contact.id === id))
+      }));
+    } catch (error) {
+      console.error('Failed to load contacts for trip sharing:', error);
+    }
+    setShowSetupModal(true);
+  };
+
+  const toggleShareContact = (contactId) => {
+    setRouteConfig(config => ({
+      ...config,
+      shareWith: config.shareWith.includes(contactId)
+        ? config.shareWith.filter(id => id !== contactId)
+        : [...config.shareWith, contactId]
+    }));
+  };
 
-    routeGuardianService.startRouteGuardian(config);
+  const handleSelectPlace = (place) => {
+    setRouteConfig({
+      ...routeConfig,
+      destinationName: place.name,
+      destination: { latitude: place.latitude, longitude: place.longitude }
+    });
   };
 
   const handleStopTracking = () => {
@@ -201,6 +379,61 @@ const RouteGuardianCard = ({ style, onRouteStateChange }) => {
         </View>
       )}
 
+      {isActive && progress && (
+        <View style={styles.statusContainer}>
+          <Text style={styles.statusLabel}>Arriving in: </Text>
+          <Text style={styles.statusValue}>
+            {formatEta(progress.etaSeconds)} · {formatDistance(progress.remainingDistance)}
+            {currentRoute?.plannedRoute?.source === ROUTE_SOURCES.STRAIGHT_LINE ? ' (estimate)' : ''}
+          </Text>
+        </View>
+      )}
+
+      {isActive && currentRoute?.shareWith?.length > 0 && (
+        <View style={styles.statusContainer}>
+          <Text style={styles.statusLabel}>Sharing with: </Text>
+          <Text style={styles.statusValue}>
+            {currentRoute.shareWith.length} contact{currentRoute.shareWith.length > 1 ? 's' : ''}
+          </Text>
+        </View>
+      )}
+
+      {arrivalStatus.active && (
+        <View style={styles.statusContainer}>
+          <Text style={styles.statusLabel}>Expected by: </Text>
+          <Text style={[styles.statusValue, arrivalStatus.isLate && styles.lateText]}>
+            {formatClockTime(arrivalStatus.deadline)}
+            {arrivalStatus.escalated ? ' · contacts alerted' : arrivalStatus.isLate ? ' · running late' : ''}
+          </Text>
+        </View>
+      )}
+
+      {/* Route alternatives; tap for the score explanation */}
+      {isActive && currentRoute?.alternatives?.length > 0 && (
+        <View style={styles.alternativesContainer}>
+          {currentRoute.alternatives.map(alternative => {
+            const isFollowed = alternative.profiles.includes(currentRoute.profile);
+            return (
+              <TouchableOpacity
+                key={alternative.profiles.join('-')}
+                style={[styles.alternativeRow, isFollowed && styles.alternativeRowSelected]}
+                onPress={() => explainAlternative(alternative)}
+              >
+                <View style={styles.alternativeText}>
+                  <Text style={styles.alternativeName}>{profileNames(alternative.profiles)}</Text>
+                  <Text style={styles.alternativeDetails}>
+                    {formatEta(alternative.route.etaSeconds)} · {formatDistance(alternative.route.distance)}
+                  </Text>
+                </View>
+                <Text style={[styles.alternativeScore, { color: getSafetyScoreColor(alternative.safetyScore) }]}>
+                  {alternative.safetyScore}/10
+                </Text>
+              </TouchableOpacity>
+            );
+          })}
+        </View>
+      )}
+
       {/* Recent Alerts */}
       {alerts.length > 0 && (
         <ScrollView style={styles.alertsContainer} showsVerticalScrollIndicator={false}>
@@ -224,8 +457,15 @@ const RouteGuardianCard = ({ style, onRouteStateChange }) => {
             <Text style={styles.stopButtonText}>Stop Tracking</Text>
           </TouchableOpacity>
         </View>
+      ) : arrivalStatus.active ? (
+        // Route Guardian stopped with the app, but the trip is still being watched
+        <TouchableOpacity style={styles.startButton} onPress={handleConfirmArrival}>
+          <Text style={styles.startButtonText}>
+            I've Arrived{arrivalStatus.destinationName ? ` at ${arrivalStatus.destinationName}` : ''}
+          </Text>
+        </TouchableOpacity>
       ) : (
-        <TouchableOpacity style={styles.startButton} onPress={() => setShowSetupModal(true)}>
+        <TouchableOpacity style={styles.startButton} onPress={handleOpenSetup}>
           <Text style={styles.startButtonText}>Start Route Guardian</Text>
         </TouchableOpacity>
       )}
@@ -247,10 +487,39 @@ const RouteGuardianCard = ({ style, onRouteStateChange }) => {
               value={routeConfig.destinationName}
               onChangeText={(text) => setRouteConfig({
                 ...routeConfig,
-                destinationName: text
+                destinationName: text,
+                destination: null
               })}
               placeholder="e.g., Home, Office, Train Station"
             />
+            {geofenceService.getPlaces().length > 0 && (
+              <View style={styles.chipRow}>
+                {geofenceService.getPlaces().map(place => (
+                  <TouchableOpacity
+                    key={place.id}
+                    style={[styles.chip, routeConfig.destinationName === place.name && routeConfig.destination && styles.chipSelected]}
+                    onPress={() => handleSelectPlace(place)}
+                  >
+                    <Text style={[styles.chipText, routeConfig.destinationName === place.name && routeConfig.destination && styles.chipTextSelected]}>
+                      {place.name}
+                    </Text>
+                  </TouchableOpacity>
+                ))}
+              </View>
+            )}
+
+            <View style={styles.mapRow}>
+              <Text style={styles.mapText}>
+                {mapInfo
+                  ? `🗺️ Walking routes from ${mapInfo.name}`
+                  : '🗺️ No map imported - routes are straight-line estimates'}
+              </Text>
+              <TouchableOpacity onPress={handleImportMap} disabled={isImportingMap}>
+                <Text style={styles.mapButtonText}>
+                  {isImportingMap ? 'Importing...' : mapInfo ? 'Replace' : 'Import Map'}
+                </Text>
+              </TouchableOpacity>
+            </View>
 
             <Text style={styles.label}>Risk Tolerance (1-10):</Text>
             <View style={styles.sliderContainer}>
@@ -283,20 +552,43 @@ const RouteGuardianCard = ({ style, onRouteStateChange }) => {
               ))}
             </View>
 
-            <View style={styles.checkboxContainer}>
-              <TouchableOpacity
-                style={styles.checkbox}
-                onPress={() => setRouteConfig({
-                  ...routeConfig,
-                  useOptimalRoute: !routeConfig.useOptimalRoute
-                })}
-              >
-                <Text style={styles.checkboxText}>
-                  {routeConfig.useOptimalRoute ? '✅' : '☐'} Use AI-optimized safe route
-                </Text>
-              </TouchableOpacity>
+            <Text style={styles.label}>Route:</Text>
+            <View style={styles.profileButtons}>
+              {PROFILE_OPTIONS.map(option => (
+                <TouchableOpacity
+                  key={option.profile}
+                  style={[styles.profileButton, routeConfig.profile === option.profile && styles.riskButtonSelected]}
+                  onPress={() => setRouteConfig({ ...routeConfig, profile: option.profile })}
+                >
+                  <Text style={[styles.riskButtonText, routeConfig.profile === option.profile && styles.riskButtonTextSelected]}>
+                    {option.emoji} {option.label}
+                  </Text>
+                </TouchableOpacity>
+              ))}
             </View>
 
+            {shareContacts.length > 0 && (
+              <>
+                <Text style={styles.label}>Share Trip With:</Text>
+                <View style={[styles.chipRow, styles.shareChipRow]}>
+                  {shareContacts.map(contact => {
+                    const isShared = routeConfig.shareWith.includes(contact.id);
+                    return (
+                      <TouchableOpacity
+                        key={contact.id}
+                        style={[styles.chip, isShared && styles.chipSelected]}
+                        onPress={() => toggleShareContact(contact.id)}
+                      >
+                        <Text style={[styles.chipText, isShared && styles.chipTextSelected]}>
+                          {contact.name}
+                        </Text>
+                      </TouchableOpacity>
+                    );
+                  })}
+                </View>
+              </>
+            )}
+
             <View style={styles.modalButtons}>
               <TouchableOpacity style={styles.cancelButton} onPress={() => setShowSetupModal(false)}>
                 <Text style={styles.cancelButtonText}>Cancel</Text>
@@ -374,6 +666,42 @@ const styles = StyleSheet.create({
     fontSize: 14,
     fontWeight: '600'
   },
+  lateText: {
+    color: '#FF3B30'
+  },
+  alternativesContainer: {
+    marginBottom: 12
+  },
+  alternativeRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    padding: 8,
+    marginBottom: 4,
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: '#eee'
+  },
+  alternativeRowSelected: {
+    borderColor: '#007AFF',
+    backgroundColor: '#f0f7ff'
+  },
+  alternativeText: {
+    flex: 1
+  },
+  alternativeName: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: '#333'
+  },
+  alternativeDetails: {
+    fontSize: 12,
+    color: '#666'
+  },
+  alternativeScore: {
+    fontSize: 14,
+    fontWeight: 'bold',
+    marginLeft: 8
+  },
   alertsContainer: {
     maxHeight: 80,
     marginBottom: 12
@@ -474,6 +802,51 @@ const styles = StyleSheet.create({
     marginBottom: 16,
     backgroundColor: '#f8f9fa'
   },
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+    marginTop: -8,
+    marginBottom: 16
+  },
+  chip: {
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 16,
+    paddingHorizontal: 12,
+    paddingVertical: 6
+  },
+  chipSelected: {
+    backgroundColor: '#007AFF',
+    borderColor: '#007AFF'
+  },
+  chipText: {
+    fontSize: 13,
+    color: '#333'
+  },
+  chipTextSelected: {
+    color: '#ffffff'
+  },
+  shareChipRow: {
+    marginTop: 0
+  },
+  mapRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    marginBottom: 16
+  },
+  mapText: {
+    flex: 1,
+    fontSize: 13,
+    color: '#666',
+    marginRight: 8
+  },
+  mapButtonText: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#007AFF'
+  },
   sliderContainer: {
     flexDirection: 'row',
     alignItems: 'center',
@@ -520,15 +893,19 @@ const styles = StyleSheet.create({
   riskButtonTextSelected: {
     color: '#ffffff'
   },
-  checkboxContainer: {
+  profileButtons: {
+    flexDirection: 'row',
+    gap: 8,
     marginBottom: 24
   },
-  checkbox: {
-    padding: 8
-  },
-  checkboxText: {
-    fontSize: 14,
-    color: '#333'
+  profileButton: {
+    flex: 1,
+    borderRadius: 8,
+    paddingVertical: 10,
+    backgroundColor: '#f8f9fa',
+    borderWidth: 1,
+    borderColor: '#ddd',
+    alignItems: 'center'
   },
   modalButtons: {
     flexDirection: 'row',
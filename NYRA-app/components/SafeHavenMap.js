@@ -4,6 +4,9 @@
 import React, { useState, useEffect } from 'react';
 import { View, Text, TouchableOpacity, StyleSheet, Alert, Modal, TextInput, ScrollView } from 'react-native';
 import { safeHavenService } from '../services/safeHavenService';
+import { offlineRegionService } from '../services/offlineRegionService';
+import { locationService } from '../services/locationService';
+import OfflineTileMap from './OfflineTileMap';
 
 const SafeHavenMap = ({ style, onMapStateChange }) => {
   const [isActive, setIsActive] = useState(false);
@@ -25,6 +28,10 @@ const SafeHavenMap = ({ style, onMapStateChange }) => {
     amenities: []
   });
   const [nearestSafeHaven, setNearestSafeHaven] = useState(null);
+  const [currentLocation, setCurrentLocation] = useState(null);
+  const [isOffline, setIsOffline] = useState(false);
+  const [offlineRegions, setOfflineRegions] = useState([]);
+  const [downloadProgress, setDownloadProgress] = useState(null);
 
   const safeHavenTypes = [
     { id: 'police', label: 'Police Station', emoji: '🚓' },
@@ -62,6 +69,7 @@ const SafeHavenMap = ({ style, onMapStateChange }) => {
         case 'nearbyPlacesUpdated':
           setSafeHavens(data.safeHavens);
           setDangerZones(data.dangerZones);
+          setIsOffline(!!data.isOffline);
           // Find nearest safe haven
           if (data.safeHavens.length > 0) {
             setNearestSafeHaven(data.safeHavens[0]); // Already sorted by distance
@@ -76,16 +84,44 @@ const SafeHavenMap = ({ style, onMapStateChange }) => {
       }
     });
 
+    const unsubscribeOffline = offlineRegionService.subscribe((eventType, data) => {
+      switch (eventType) {
+        case 'downloadProgress':
+          setDownloadProgress({ done: data.done, total: data.total });
+          break;
+        case 'regionDownloaded':
+        case 'regionDeleted':
+        case 'regionsExpired':
+          setOfflineRegions(offlineRegionService.getRegions());
+          break;
+      }
+    });
+    offlineRegionService.init().then(() => setOfflineRegions(offlineRegionService.getRegions()));
+
     // Check if already initialized
     if (safeHavenService.getIsActive()) {
       setIsActive(true);
       setSafeHavens(safeHavenService.getSafeHavens());
-      setDangerZones(safeHavenService.getDangerZones());
+      setDangerZones(safeHavenService.getCachedDangerZones());
+      setCurrentLocation(locationService.getLastKnownLocation()?.coords || null);
     }
 
-    return unsubscribe;
+    return () => {
+      unsubscribe();
+      unsubscribeOffline();
+    };
   }, []);
 
+  // GPS works without a network; fall back to the last fix if it is unavailable
+  const getCurrentCoords = async () => {
+    try {
+      const location = await locationService.getCurrentLocation();
+      return location.coords;
+    } catch (error) {
+      return locationService.getLastKnownLocation()?.coords || null;
+    }
+  };
+
   const showReportSubmittedAlert = (data) => {
     Alert.alert(
       '📝 Report Submitted',
@@ -111,7 +147,9 @@ const SafeHavenMap = ({ style, onMapStateChange }) => {
     
     if (!result.success) {
       Alert.alert('Setup Failed', result.error);
+      return;
     }
+    setCurrentLocation(await getCurrentCoords());
   };
 
   const handleSubmitReport = async () => {
@@ -139,14 +177,15 @@ const SafeHavenMap = ({ style, onMapStateChange }) => {
   };
 
   const handleFindNearestSafeHaven = async () => {
-    // TODO: Get current location
-    const mockLocation = {
-      latitude: 37.7749,
-      longitude: -122.4194
-    };
+    const coords = await getCurrentCoords();
+    if (!coords) {
+      Alert.alert('Location Unavailable', 'Please ensure location services are enabled.');
+      return;
+    }
+    setCurrentLocation(coords);
 
     const result = await safeHavenService.getDirectionsToNearestSafeHaven(
-      mockLocation, 
+      coords,
       null, // any type
       'medium' // medium urgency
     );
@@ -165,6 +204,50 @@ const SafeHavenMap = ({ style, onMapStateChange }) => {
     );
   };
 
+  const handleDownloadArea = async () => {
+    const coords = await getCurrentCoords();
+    if (!coords) {
+      Alert.alert('Location Unavailable', 'Please ensure location services are enabled.');
+      return;
+    }
+
+    setDownloadProgress({ done: 0, total: 0 });
+    try {
+      const region = await safeHavenService.downloadOfflineArea({
+        name: `Near ${coords.latitude.toFixed(3)}, ${coords.longitude.toFixed(3)}`,
+        center: coords,
+        radius: config.searchRadius
+      });
+      Alert.alert(
+        '📥 Area Saved',
+        `${region.safeHavenCount} safe havens and ${region.dangerZoneCount} danger zones are available offline until ${new Date(region.expiresAt).toLocaleDateString()}.`,
+        [{ text: 'OK' }]
+      );
+    } catch (error) {
+      if (error.message !== 'Download cancelled') {
+        Alert.alert('Download Failed', error.message);
+      }
+    } finally {
+      setDownloadProgress(null);
+    }
+  };
+
+  const handleDeleteArea = (region) => {
+    Alert.alert(
+      'Delete Offline Area',
+      `Remove ${region.name} from this device?`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Delete', style: 'destructive', onPress: () => offlineRegionService.deleteRegion(region.id) }
+      ]
+    );
+  };
+
+  const formatBytes = (bytes) => {
+    if (bytes >= 1024 * 1024) return `${Math.round(bytes / (1024 * 1024) * 10) / 10} MB`;
+    return `${Math.round(bytes / 1024)} KB`;
+  };
+
   const togglePreferredType = (type) => {
     const newTypes = config.preferredTypes.includes(type)
       ? config.preferredTypes.filter(t => t !== type)
@@ -224,6 +307,20 @@ const SafeHavenMap = ({ style, onMapStateChange }) => {
         </View>
       )}
 
+      {isOffline && (
+        <Text style={styles.offlineText}>📴 No connection - showing saved offline data</Text>
+      )}
+
+      {/* Offline Map */}
+      {isActive && currentLocation && (
+        <OfflineTileMap
+          center={currentLocation}
+          safeHavens={safeHavens}
+          dangerZones={config.showDangerZones ? dangerZones : []}
+          havenEmoji={(haven) => safeHavenTypes.find(t => t.id === haven.category)?.emoji || '🛡️'}
+        />
+      )}
+
       {/* Quick Stats */}
       {isActive && (
         <View style={styles.quickStats}>
@@ -261,6 +358,42 @@ const SafeHavenMap = ({ style, onMapStateChange }) => {
         </TouchableOpacity>
       )}
 
+      {/* Offline Areas */}
+      {isActive && (
+        <View style={styles.offlineSection}>
+          <Text style={styles.offlineTitle}>Offline Areas</Text>
+          {offlineRegions.map(region => (
+            <View key={region.id} style={styles.regionRow}>
+              <View style={styles.regionInfo}>
+                <Text style={styles.regionName}>{region.name}</Text>
+                <Text style={styles.regionDetails}>
+                  {region.safeHavenCount} havens · {formatBytes(region.bytes)} · until {new Date(region.expiresAt).toLocaleDateString()}
+                </Text>
+              </View>
+              <TouchableOpacity onPress={() => handleDeleteArea(region)}>
+                <Text style={styles.regionAction}>Delete</Text>
+              </TouchableOpacity>
+            </View>
+          ))}
+          {downloadProgress ? (
+            <View style={styles.regionRow}>
+              <Text style={styles.regionDetails}>
+                {downloadProgress.total > 0
+                  ? `Downloading map tiles ${downloadProgress.done}/${downloadProgress.total}`
+                  : 'Saving safe havens...'}
+              </Text>
+              <TouchableOpacity onPress={() => offlineRegionService.cancelDownload()}>
+                <Text style={styles.regionAction}>Cancel</Text>
+              </TouchableOpacity>
+            </View>
+          ) : (
+            <TouchableOpacity style={styles.downloadButton} onPress={handleDownloadArea}>
+              <Text style={styles.downloadButtonText}>📥 Download This Area</Text>
+            </TouchableOpacity>
+          )}
+        </View>
+      )}
+
       {/* Setup Modal */}
       <Modal
         visible={showSetupModal}
@@ -572,6 +705,63 @@ const styles = StyleSheet.create({
     fontSize: 14,
     fontWeight: '600'
   },
+  offlineText: {
+    fontSize: 12,
+    color: '#8a6d00',
+    backgroundColor: '#fff8e1',
+    borderRadius: 8,
+    padding: 8,
+    marginBottom: 12
+  },
+  offlineSection: {
+    marginTop: 16,
+    borderTopWidth: 1,
+    borderTopColor: '#eee',
+    paddingTop: 12
+  },
+  offlineTitle: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#333',
+    marginBottom: 8
+  },
+  regionRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 8
+  },
+  regionInfo: {
+    flex: 1
+  },
+  regionName: {
+    fontSize: 13,
+    fontWeight: '500',
+    color: '#333'
+  },
+  regionDetails: {
+    fontSize: 12,
+    color: '#666'
+  },
+  regionAction: {
+    fontSize: 13,
+    color: '#FF3B30',
+    fontWeight: '600',
+    marginLeft: 12
+  },
+  downloadButton: {
+    backgroundColor: '#f8f9fa',
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 8,
+    padding: 10,
+    alignItems: 'center'
+  },
+  downloadButtonText: {
+    color: '#007AFF',
+    fontSize: 14,
+    fontWeight: '600'
+  },
   setupButton: {
     backgroundColor: '#007AFF',
     borderRadius: 8,
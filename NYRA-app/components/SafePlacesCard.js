@@ -0,0 +1,497 @@
+// Safe Places Card Component
+// Frontend UI for geofenced safe places that switch features on arrival and departure
+
+import React, { useState, useEffect } from 'react';
+import { View, Text, TouchableOpacity, StyleSheet, Alert, Modal, TextInput, Switch, ScrollView } from 'react-native';
+import * as Location from 'expo-location';
+import { locationService } from '../services/locationService';
+import {
+  geofenceService,
+  PLACE_TYPES,
+  GEOFENCE_EVENTS,
+  GEOFENCE_FEATURES,
+  FEATURE_ACTIONS,
+  DEFAULT_PLACE_ACTIONS,
+} from '../services/geofenceService';
+
+const PLACE_TYPE_OPTIONS = [
+  { type: PLACE_TYPES.HOME, emoji: '🏠', label: 'Home' },
+  { type: PLACE_TYPES.WORK, emoji: '💼', label: 'Work' },
+  { type: PLACE_TYPES.CAMPUS, emoji: '🎓', label: 'Campus' },
+  { type: PLACE_TYPES.OTHER, emoji: '📍', label: 'Other' },
+];
+
+const FEATURE_NAMES = {
+  [GEOFENCE_FEATURES.AUTO_DETECTION]: 'Protection',
+  [GEOFENCE_FEATURES.VIRTUAL_COMPANION]: 'Walk with Me',
+  [GEOFENCE_FEATURES.ROUTE_GUARDIAN]: 'Route Guardian',
+};
+
+const RADIUS_OPTIONS = [100, 200, 500, 1000];
+
+// Tapping an action cycles: no change → on → off
+const ACTION_CYCLE = [null, FEATURE_ACTIONS.ENABLE, FEATURE_ACTIONS.DISABLE];
+const ACTION_LABELS = {
+  null: 'No change',
+  [FEATURE_ACTIONS.ENABLE]: 'Turn on',
+  [FEATURE_ACTIONS.DISABLE]: 'Turn off',
+};
+
+const emptyPlace = () => ({
+  name: '',
+  type: PLACE_TYPES.HOME,
+  radius: 200,
+  actions: {
+    [GEOFENCE_EVENTS.ENTER]: { ...DEFAULT_PLACE_ACTIONS[GEOFENCE_EVENTS.ENTER] },
+    [GEOFENCE_EVENTS.EXIT]: { ...DEFAULT_PLACE_ACTIONS[GEOFENCE_EVENTS.EXIT] },
+  },
+  routeDestinationId: null,
+  notifyContacts: { arrival: false, departure: false },
+});
+
+const nextOption = (options, current) => options[(options.indexOf(current) + 1) % options.length];
+
+const describeActions = (place) => {
+  const parts = [];
+  [GEOFENCE_EVENTS.ENTER, GEOFENCE_EVENTS.EXIT].forEach(event => {
+    Object.entries(place.actions?.[event] || {}).forEach(([feature, action]) => {
+      parts.push(`${FEATURE_NAMES[feature]} ${action === FEATURE_ACTIONS.ENABLE ? 'on' : 'off'} when ${event === GEOFENCE_EVENTS.ENTER ? 'arriving' : 'leaving'}`);
+    });
+  });
+  if (place.notifyContacts?.arrival || place.notifyContacts?.departure) {
+    parts.push('contacts notified');
+  }
+  return parts.length > 0 ? parts.join(' · ') : 'No automatic changes';
+};
+
+const SafePlacesCard = ({ style, onPlacesStateChange }) => {
+  const [places, setPlaces] = useState(geofenceService.getPlaces());
+  const [isMonitoring, setIsMonitoring] = useState(geofenceService.getIsMonitoring());
+  const [showSetupModal, setShowSetupModal] = useState(false);
+  const [draft, setDraft] = useState(emptyPlace());
+  const [isSaving, setIsSaving] = useState(false);
+
+  useEffect(() => {
+    const refresh = () => {
+      const current = geofenceService.getPlaces();
+      const monitoring = geofenceService.getIsMonitoring();
+      setPlaces(current);
+      setIsMonitoring(monitoring);
+      onPlacesStateChange?.(monitoring && current.length > 0, current);
+    };
+    geofenceService.load().then(refresh);
+    return geofenceService.subscribe(refresh);
+  }, []);
+
+  const setAction = (event, feature) => {
+    const current = draft.actions[event][feature] || null;
+    const next = nextOption(ACTION_CYCLE, current);
+    const eventActions = { ...draft.actions[event] };
+    if (next) {
+      eventActions[feature] = next;
+    } else {
+      delete eventActions[feature];
+    }
+    setDraft({ ...draft, actions: { ...draft.actions, [event]: eventActions } });
+  };
+
+  const needsDestination = Object.values(draft.actions)
+    .some(actions => actions[GEOFENCE_FEATURES.ROUTE_GUARDIAN] === FEATURE_ACTIONS.ENABLE);
+
+  const handleSave = async () => {
+    if (!draft.name.trim()) {
+      Alert.alert('Missing Name', 'Please name this place, e.g. Home or Office.');
+      return;
+    }
+    if (needsDestination && !draft.routeDestinationId) {
+      Alert.alert('Missing Destination', 'Choose the saved place Route Guardian should guard the way to.');
+      return;
+    }
+
+    setIsSaving(true);
+    try {
+      const { status: foregroundStatus } = await Location.requestForegroundPermissionsAsync();
+      if (foregroundStatus !== 'granted') {
+        Alert.alert('Permission Denied', 'Location access is needed to save your current location.');
+        return;
+      }
+      // Safe places are only watched with background location permission
+      const { status } = await Location.requestBackgroundPermissionsAsync();
+      const location = await locationService.getCurrentLocation();
+      await geofenceService.addPlace({
+        ...draft,
+        latitude: location.coords.latitude,
+        longitude: location.coords.longitude,
+      });
+      setShowSetupModal(false);
+      setDraft(emptyPlace());
+      if (status !== 'granted') {
+        Alert.alert(
+          'Background Location Needed',
+          'The place was saved, but NYRA can only notice arrivals and departures with background location access.'
+        );
+      }
+    } catch (error) {
+      Alert.alert('Could Not Add Place', error.message);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleRemove = (place) => {
+    Alert.alert(
+      `Remove ${place.name}?`,
+      'NYRA will stop watching this place.',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Remove', style: 'destructive', onPress: () => geofenceService.removePlace(place.id) },
+      ]
+    );
+  };
+
+  const getStatusText = () => {
+    if (places.length === 0) return 'No safe places yet';
+    if (!isMonitoring) return 'Paused • allow background location to watch places';
+    return `Watching ${places.length} place${places.length > 1 ? 's' : ''}`;
+  };
+
+  return (
+    <View style={[styles.container, style]}>
+      <View style={styles.header}>
+        <View style={styles.titleContainer}>
+          <Text style={styles.emoji}>🏡</Text>
+          <Text style={styles.title}>Safe Places</Text>
+        </View>
+        <View style={[styles.statusIndicator, { backgroundColor: isMonitoring && places.length > 0 ? '#51cf66' : '#ccc' }]} />
+      </View>
+
+      <Text style={styles.description}>
+        Switch protection on and off automatically when you arrive at or leave places like home or work
+      </Text>
+
+      <Text style={styles.status}>{getStatusText()}</Text>
+
+      {places.map(place => {
+        const option = PLACE_TYPE_OPTIONS.find(o => o.type === place.type) || PLACE_TYPE_OPTIONS[3];
+        return (
+          <TouchableOpacity key={place.id} style={styles.placeRow} onLongPress={() => handleRemove(place)}>
+            <Text style={styles.placeEmoji}>{option.emoji}</Text>
+            <View style={styles.placeText}>
+              <Text style={styles.placeName}>{place.name} · {place.radius} m</Text>
+              <Text style={styles.placeDetails}>{describeActions(place)}</Text>
+            </View>
+          </TouchableOpacity>
+        );
+      })}
+      {places.length > 0 && <Text style={styles.hint}>Long-press a place to remove it</Text>}
+
+      <TouchableOpacity style={styles.startButton} onPress={() => setShowSetupModal(true)}>
+        <Text style={styles.startButtonText}>Add Current Location</Text>
+      </TouchableOpacity>
+
+      {/* Setup Modal */}
+      <Modal
+        visible={showSetupModal}
+        animationType="slide"
+        transparent={true}
+        onRequestClose={() => setShowSetupModal(false)}
+      >
+        <View style={styles.modalOverlay}>
+          <View style={styles.modalContent}>
+            <ScrollView>
+              <Text style={styles.modalTitle}>Add Safe Place</Text>
+
+              <Text style={styles.label}>Name:</Text>
+              <TextInput
+                style={styles.input}
+                value={draft.name}
+                onChangeText={(text) => setDraft({ ...draft, name: text })}
+                placeholder="e.g., Home, Office, Library"
+              />
+
+              <Text style={styles.label}>Type:</Text>
+              <View style={styles.chipRow}>
+                {PLACE_TYPE_OPTIONS.map(option => (
+                  <TouchableOpacity
+                    key={option.type}
+                    style={[styles.chip, draft.type === option.type && styles.chipSelected]}
+                    onPress={() => setDraft({ ...draft, type: option.type })}
+                  >
+                    <Text style={[styles.chipText, draft.type === option.type && styles.chipTextSelected]}>
+                      {option.emoji} {option.label}
+                    </Text>
+                  </TouchableOpacity>
+                ))}
+              </View>
+
+              <TouchableOpacity
+                style={styles.optionRow}
+                onPress={() => setDraft({ ...draft, radius: nextOption(RADIUS_OPTIONS, draft.radius) })}
+              >
+                <Text style={styles.label}>Radius</Text>
+                <Text style={styles.optionValue}>{draft.radius} m</Text>
+              </TouchableOpacity>
+
+              {[GEOFENCE_EVENTS.ENTER, GEOFENCE_EVENTS.EXIT].map(event => (
+                <View key={event}>
+                  <Text style={styles.sectionLabel}>{event === GEOFENCE_EVENTS.ENTER ? 'When I arrive' : 'When I leave'}</Text>
+                  {Object.values(GEOFENCE_FEATURES).map(feature => (
+                    <TouchableOpacity key={feature} style={styles.optionRow} onPress={() => setAction(event, feature)}>
+                      <Text style={styles.optionLabel}>{FEATURE_NAMES[feature]}</Text>
+                      <Text style={styles.optionValue}>{ACTION_LABELS[draft.actions[event][feature] || null]}</Text>
+                    </TouchableOpacity>
+                  ))}
+                </View>
+              ))}
+
+              {needsDestination && (
+                <TouchableOpacity
+                  style={styles.optionRow}
+                  onPress={() => setDraft({
+                    ...draft,
+                    routeDestinationId: nextOption([null, ...places.map(p => p.id)], draft.routeDestinationId),
+                  })}
+                >
+                  <Text style={styles.optionLabel}>Guard route to</Text>
+                  <Text style={styles.optionValue}>
+                    {places.find(p => p.id === draft.routeDestinationId)?.name || 'Choose a saved place'}
+                  </Text>
+                </TouchableOpacity>
+              )}
+
+              <Text style={styles.sectionLabel}>Let my contacts know</Text>
+              <View style={styles.optionRow}>
+                <Text style={styles.optionLabel}>When I arrive</Text>
+                <Switch
+                  value={draft.notifyContacts.arrival}
+                  onValueChange={(value) => setDraft({ ...draft, notifyContacts: { ...draft.notifyContacts, arrival: value } })}
+                />
+              </View>
+              <View style={styles.optionRow}>
+                <Text style={styles.optionLabel}>When I leave</Text>
+                <Switch
+                  value={draft.notifyContacts.departure}
+                  onValueChange={(value) => setDraft({ ...draft, notifyContacts: { ...draft.notifyContacts, departure: value } })}
+                />
+              </View>
+
+              <View style={styles.modalButtons}>
+                <TouchableOpacity style={styles.cancelButton} onPress={() => setShowSetupModal(false)}>
+                  <Text style={styles.cancelButtonText}>Cancel</Text>
+                </TouchableOpacity>
+                <TouchableOpacity style={styles.confirmButton} onPress={handleSave} disabled={isSaving}>
+                  <Text style={styles.confirmButtonText}>{isSaving ? 'Saving…' : 'Save'}</Text>
+                </TouchableOpacity>
+              </View>
+            </ScrollView>
+          </View>
+        </View>
+      </Modal>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    backgroundColor: '#ffffff',
+    borderRadius: 12,
+    padding: 16,
+    marginVertical: 8,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.1,
+    shadowRadius: 4,
+    elevation: 3
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 8
+  },
+  titleContainer: {
+    flexDirection: 'row',
+    alignItems: 'center'
+  },
+  emoji: {
+    fontSize: 24,
+    marginRight: 8
+  },
+  title: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#333'
+  },
+  statusIndicator: {
+    width: 12,
+    height: 12,
+    borderRadius: 6
+  },
+  description: {
+    fontSize: 14,
+    color: '#666',
+    marginBottom: 8,
+    lineHeight: 20
+  },
+  status: {
+    fontSize: 14,
+    fontWeight: '500',
+    color: '#333',
+    marginBottom: 12
+  },
+  placeRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 8,
+    borderTopWidth: 1,
+    borderTopColor: '#f0f0f0'
+  },
+  placeEmoji: {
+    fontSize: 20,
+    marginRight: 12
+  },
+  placeText: {
+    flex: 1
+  },
+  placeName: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: '#333'
+  },
+  placeDetails: {
+    fontSize: 12,
+    color: '#666',
+    marginTop: 2
+  },
+  hint: {
+    fontSize: 12,
+    color: '#999',
+    marginBottom: 12
+  },
+  startButton: {
+    backgroundColor: '#007AFF',
+    borderRadius: 8,
+    padding: 12,
+    alignItems: 'center'
+  },
+  startButtonText: {
+    color: '#ffffff',
+    fontSize: 16,
+    fontWeight: '600'
+  },
+  modalOverlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0, 0, 0, 0.5)',
+    justifyContent: 'center',
+    alignItems: 'center'
+  },
+  modalContent: {
+    backgroundColor: '#ffffff',
+    borderRadius: 16,
+    padding: 24,
+    width: '90%',
+    maxWidth: 400,
+    maxHeight: '85%'
+  },
+  modalTitle: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: '#333',
+    marginBottom: 24,
+    textAlign: 'center'
+  },
+  label: {
+    fontSize: 14,
+    fontWeight: '500',
+    color: '#333',
+    marginBottom: 8
+  },
+  sectionLabel: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#007AFF',
+    marginTop: 12,
+    marginBottom: 4
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 8,
+    padding: 12,
+    fontSize: 16,
+    marginBottom: 16,
+    backgroundColor: '#f8f9fa'
+  },
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+    marginBottom: 16
+  },
+  chip: {
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 16,
+    paddingHorizontal: 12,
+    paddingVertical: 6
+  },
+  chipSelected: {
+    backgroundColor: '#007AFF',
+    borderColor: '#007AFF'
+  },
+  chipText: {
+    fontSize: 13,
+    color: '#333'
+  },
+  chipTextSelected: {
+    color: '#ffffff'
+  },
+  optionRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingVertical: 8
+  },
+  optionLabel: {
+    fontSize: 14,
+    color: '#333'
+  },
+  optionValue: {
+    fontSize: 14,
+    fontWeight: '500',
+    color: '#007AFF'
+  },
+  modalButtons: {
+    flexDirection: 'row',
+    gap: 12,
+    marginTop: 16
+  },
+  cancelButton: {
+    flex: 1,
+    backgroundColor: '#f8f9fa',
+    borderRadius: 8,
+    padding: 12,
+    alignItems: 'center',
+    borderWidth: 1,
+    borderColor: '#ddd'
+  },
+  cancelButtonText: {
+    color: '#666',
+    fontSize: 16,
+    fontWeight: '600'
+  },
+  confirmButton: {
+    flex: 1,
+    backgroundColor: '#007AFF',
+    borderRadius: 8,
+    padding: 12,
+    alignItems: 'center'
+  },
+  confirmButtonText: {
+    color: '#ffffff',
+    fontSize: 16,
+    fontWeight: '600'
+  }
+});
+
+export default SafePlacesCard;
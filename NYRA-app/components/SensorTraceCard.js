@@ -0,0 +1,214 @@
+// Sensor Trace Card Component
+// Debug tool for recording labelled sensor traces and replaying them through the detectors
+
+import React, { useState, useEffect, useRef } from 'react';
+import { View, StyleSheet, Alert } from 'react-native';
+import { Card, Text, Button, Chip, IconButton, useTheme } from 'react-native-paper';
+import { sensorService } from '../services/sensorService';
+import {
+  TRACE_LABELS,
+  TRACE_EVENTS,
+  startTraceRecording,
+  stopTraceRecording,
+  markTraceEvent,
+  getRecordedSampleCount,
+  saveTrace,
+  listSavedTraces,
+  loadTraceFile,
+  deleteTraceFile,
+  shareTraceFile,
+  importTraceFile,
+  createReplaySource,
+} from '../services/sensorTraceService';
+
+export default function SensorTraceCard() {
+  const theme = useTheme();
+  const [label, setLabel] = useState(TRACE_LABELS.WALKING);
+  const [isRecording, setIsRecording] = useState(false);
+  const [sampleCount, setSampleCount] = useState(0);
+  const [traces, setTraces] = useState([]);
+  const [replaying, setReplaying] = useState(null);
+  const startedSensorsRef = useRef(false);
+
+  const refreshTraces = () => {
+    try {
+      setTraces(listSavedTraces());
+    } catch (error) {
+      console.error('Failed to list sensor traces:', error);
+    }
+  };
+
+  useEffect(() => {
+    refreshTraces();
+  }, []);
+
+  useEffect(() => {
+    if (!isRecording) return undefined;
+    const interval = setInterval(() => setSampleCount(getRecordedSampleCount()), 500);
+    return () => clearInterval(interval);
+  }, [isRecording]);
+
+  const handleRecord = async () => {
+    try {
+      // Recording works with or without protection running
+      if (!sensorService.isSensorListening()) {
+        await sensorService.startSensorUpdates();
+        startedSensorsRef.current = true;
+      }
+      startTraceRecording({ label });
+      setSampleCount(0);
+      setIsRecording(true);
+    } catch (error) {
+      Alert.alert('Recording Failed', error.message);
+    }
+  };
+
+  const handleStop = () => {
+    const trace = stopTraceRecording();
+    setIsRecording(false);
+    if (startedSensorsRef.current) {
+      sensorService.stopSensorUpdates();
+      startedSensorsRef.current = false;
+    }
+    if (!trace || trace.samples.length === 0) {
+      Alert.alert('Nothing Recorded', 'No sensor readings were received.');
+      return;
+    }
+    saveTrace(trace);
+    refreshTraces();
+  };
+
+  const handleReplay = async (item) => {
+    try {
+      const trace = await loadTraceFile(item.uri);
+      await sensorService.setReplaySource(createReplaySource(trace, {
+        onFinished: () => {
+          sensorService.setReplaySource(null);
+          setReplaying(null);
+        },
+      }));
+      setReplaying(item.name);
+      if (!sensorService.isSensorListening()) {
+        Alert.alert('Replay Ready', 'Start protection to run the detectors on this trace.');
+      }
+    } catch (error) {
+      Alert.alert('Replay Failed', error.message);
+    }
+  };
+
+  const handleLive = async () => {
+    await sensorService.setReplaySource(null);
+    setReplaying(null);
+  };
+
+  const handleImport = async () => {
+    try {
+      if (await importTraceFile()) {
+        refreshTraces();
+      }
+    } catch (error) {
+      Alert.alert('Import Failed', error.message);
+    }
+  };
+
+  const handleShare = async (item) => {
+    try {
+      await shareTraceFile(item.uri);
+    } catch (error) {
+      Alert.alert('Share Failed', error.message);
+    }
+  };
+
+  const handleDelete = (item) => {
+    deleteTraceFile(item.uri);
+    refreshTraces();
+  };
+
+  return (
+    <Card style={styles.card}>
+      <Card.Title
+        title="Sensor Traces"
+        subtitle={replaying ? `Replaying ${replaying}` : 'Record and replay sensor data'}
+        subtitleStyle={replaying ? { color: theme.colors.primary } : undefined}
+      />
+      <Card.Content>
+        <View style={styles.chipRow}>
+          {Object.values(TRACE_LABELS).map(value => (
+            <Chip
+              key={value}
+              compact
+              selected={label === value}
+              showSelectedOverlay
+              disabled={isRecording}
+              onPress={() => setLabel(value)}
+              style={styles.chip}
+            >
+              {value}
+            </Chip>
+          ))}
+        </View>
+
+        <View style={styles.actions}>
+          {isRecording ? (
+            <>
+              <Text variant="bodySmall" style={styles.mutedText}>{sampleCount} samples</Text>
+              <Button compact onPress={() => markTraceEvent(TRACE_EVENTS.IMPACT)}>Mark Impact</Button>
+              <Button compact mode="contained" onPress={handleStop}>Stop & Save</Button>
+            </>
+          ) : (
+            <>
+              {replaying && <Button compact onPress={handleLive}>Use Live Sensors</Button>}
+              <Button compact onPress={handleImport}>Import</Button>
+              <Button compact mode="contained" disabled={!!replaying} onPress={handleRecord}>Record</Button>
+            </>
+          )}
+        </View>
+
+        {traces.map(item => (
+          <View key={item.uri} style={styles.traceRow}>
+            <View style={styles.traceText}>
+              <Text variant="bodyMedium" numberOfLines={1}>{item.name}</Text>
+              <Text variant="bodySmall" style={styles.mutedText}>{Math.round(item.size / 1024)} KB</Text>
+            </View>
+            <IconButton icon="play" size={20} disabled={isRecording} onPress={() => handleReplay(item)} />
+            <IconButton icon="share-variant" size={20} onPress={() => handleShare(item)} />
+            <IconButton icon="delete" size={20} onPress={() => handleDelete(item)} />
+          </View>
+        ))}
+      </Card.Content>
+    </Card>
+  );
+}
+
+const styles = StyleSheet.create({
+  card: {
+    marginBottom: 24,
+    borderRadius: 20,
+    elevation: 3,
+  },
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 6,
+  },
+  chip: {
+    marginBottom: 2,
+  },
+  actions: {
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+    alignItems: 'center',
+    gap: 8,
+    marginVertical: 8,
+  },
+  traceRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  traceText: {
+    flex: 1,
+  },
+  mutedText: {
+    color: 'gray',
+  },
+});
@@ -4,6 +4,9 @@
 import React, { useState, useEffect } from 'react';
 import { View, Text, TouchableOpacity, StyleSheet, Alert, Modal, TextInput } from 'react-native';
 import { virtualCompanionService } from '../services/virtualCompanionService';
+import { tripSharingService } from '../services/tripSharingService';
+import { loadContacts } from '../services/storageService';
+import { getPersonalContacts } from '../services/contactService';
 
 const VirtualCompanionCard = ({ style, onSessionStateChange }) => {
   const [isActive, setIsActive] = useState(false);
@@ -13,8 +16,10 @@ const VirtualCompanionCard = ({ style, onSessionStateChange }) => {
     durationMinutes: 15,
     destination: '',
     checkIntervalMinutes: 5,
-    emergencyContacts: []
+    emergencyContacts: [],
+    shareWith: [] // Contact ids who get trip updates
   });
+  const [shareContacts, setShareContacts] = useState([]);
   const [timeRemaining, setTimeRemaining] = useState(0);
 
   useEffect(() => {
@@ -136,9 +141,35 @@ const VirtualCompanionCard = ({ style, onSessionStateChange }) => {
     }
 
     setShowSetupModal(false);
+    tripSharingService.setShareContactIds(sessionConfig.shareWith);
     virtualCompanionService.startSession(sessionConfig);
   };
 
+  // Offers the contacts chosen for the last shared trip again
+  const handleOpenSetup = async () => {
+    try {
+      const [contacts, lastShared] = await Promise.all([loadContacts(), tripSharingService.getShareContactIds()]);
+      const personal = getPersonalContacts(contacts);
+      setShareContacts(personal);
+      setSessionConfig(config => ({
+        ...config,
+        shareWith: lastShared.filter(id => personal.some(contact => contact.id === id))
+      }));
+    } catch (error) {
+      console.error('Failed to load contacts for trip sharing:', error);
+    }
+    setShowSetupModal(true);
+  };
+
+  const toggleShareContact = (contactId) => {
+    setSessionConfig(config => ({
+      ...config,
+      shareWith: config.shareWith.includes(contactId)
+        ? config.shareWith.filter(id => id !== contactId)
+        : [...config.shareWith, contactId]
+    }));
+  };
+
   const handleEndSession = () => {
     Alert.alert(
       'End Virtual Companion',
@@ -195,7 +226,7 @@ const VirtualCompanionCard = ({ style, onSessionStateChange }) => {
           </TouchableOpacity>
         </View>
       ) : (
-        <TouchableOpacity style={styles.startButton} onPress={() => setShowSetupModal(true)}>
+        <TouchableOpacity style={styles.startButton} onPress={handleOpenSetup}>
           <Text style={styles.startButtonText}>Start Virtual Companion</Text>
         </TouchableOpacity>
       )}
@@ -246,6 +277,28 @@ const VirtualCompanionCard = ({ style, onSessionStateChange }) => {
               placeholder="5"
             />
 
+            {shareContacts.length > 0 && (
+              <>
+                <Text style={styles.label}>Share trip with:</Text>
+                <View style={styles.chipRow}>
+                  {shareContacts.map(contact => {
+                    const isShared = sessionConfig.shareWith.includes(contact.id);
+                    return (
+                      <TouchableOpacity
+                        key={contact.id}
+                        style={[styles.chip, isShared && styles.chipSelected]}
+                        onPress={() => toggleShareContact(contact.id)}
+                      >
+                        <Text style={[styles.chipText, isShared && styles.chipTextSelected]}>
+                          {contact.name}
+                        </Text>
+                      </TouchableOpacity>
+                    );
+                  })}
+                </View>
+              </>
+            )}
+
             <View style={styles.modalButtons}>
               <TouchableOpacity style={styles.cancelButton} onPress={() => setShowSetupModal(false)}>
                 <Text style={styles.cancelButtonText}>Cancel</Text>
@@ -383,6 +436,30 @@ const styles = StyleSheet.create({
     marginBottom: 16,
     backgroundColor: '#f8f9fa'
   },
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+    marginBottom: 16
+  },
+  chip: {
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 16,
+    paddingHorizontal: 12,
+    paddingVertical: 6
+  },
+  chipSelected: {
+    backgroundColor: '#007AFF',
+    borderColor: '#007AFF'
+  },
+  chipText: {
+    fontSize: 13,
+    color: '#333'
+  },
+  chipTextSelected: {
+    color: '#ffffff'
+  },
   modalButtons: {
     flexDirection: 'row',
     gap: 12,
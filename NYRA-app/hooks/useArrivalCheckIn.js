@@ -0,0 +1,47 @@
+import { useEffect, useRef } from 'react';
+import { Alert } from 'react-native';
+import { etaWatchdogService } from '../services/etaWatchdogService';
+
+/**
+ * Shows the ETA watchdog's check-in prompt and late-arrival notice on whatever screen is open.
+ * Mounted once in App, since opening the app from the watchdog's reminder lands on Home.
+ */
+export const useArrivalCheckIn = () => {
+  // A check-in can be both pending at launch and announced by the launch's own check
+  const shownPromptRef = useRef(null);
+
+  useEffect(() => {
+    const showCheckIn = (checkIn) => {
+      if (shownPromptRef.current === checkIn.promptedAt) return;
+      shownPromptRef.current = checkIn.promptedAt;
+      Alert.alert(
+        '⏱️ Are You Okay?',
+        `${checkIn.message}\n\nIf you don't answer in a few minutes, your emergency contacts will be alerted.`,
+        [
+          { text: 'Send Alert', style: 'destructive', onPress: () => etaWatchdogService.respondToCheckIn(false) },
+          { text: "I'm OK", onPress: () => etaWatchdogService.respondToCheckIn(true) }
+        ],
+        { cancelable: false }
+      );
+    };
+
+    const unsubscribe = etaWatchdogService.subscribe((eventType, data) => {
+      if (eventType === 'checkInRequired') {
+        showCheckIn(data);
+      } else if (eventType === 'lateArrivalAlertSent') {
+        Alert.alert(
+          '🚨 Contacts Alerted',
+          'Nobody answered the check-in, so your emergency contacts have been sent your location.'
+        );
+      }
+    });
+
+    // A trip resumed after the app was closed may already be waiting for a check-in
+    etaWatchdogService.init().then(() => {
+      const { checkIn } = etaWatchdogService.getStatus();
+      if (checkIn) showCheckIn(checkIn);
+    });
+
+    return unsubscribe;
+  }, []);
+};
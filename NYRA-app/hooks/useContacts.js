@@ -1,7 +1,10 @@
 import { useState, useEffect, useCallback } from 'react';
 import { loadContacts as loadContactsFromStorage, saveContacts as saveContactsToStorage } from '../services/storageService';
+import { normalizeContact, sortByPriority, MAX_CONTACTS } from '../services/contactService';
 import { Alert } from 'react-native';
 import debounce from 'lodash.debounce';
+import 'react-native-get-random-values'; // Polyfill for uuid
+import { v4 as uuidv4 } from 'uuid';
 
 export const useContacts = () => {
   const [contacts, setContacts] = useState([]);
@@ -45,17 +48,72 @@ export const useContacts = () => {
   }, [contacts, isLoading, debouncedSave]);
 
   const addContact = useCallback((newContact) => {
-    if (contacts.length >= 5) {
-      Alert.alert("Limit Reached", "You can only add up to 5 emergency contacts.");
+    if (contacts.length >= MAX_CONTACTS) {
+      Alert.alert("Limit Reached", `You can only add up to ${MAX_CONTACTS} emergency contacts.`);
       return false;
     }
-    setContacts(prevContacts => [...prevContacts, newContact]);
+    // New contacts go to the bottom of the priority order
+    setContacts(prevContacts => [
+      ...prevContacts,
+      normalizeContact({ ...newContact, id: newContact.id || uuidv4() }, prevContacts.length),
+    ]);
     return true;
   }, [contacts.length]);
 
+  /**
+   * Adds contacts read from a file (see vCardService), skipping numbers already in the list.
+   * @param {Array<object>} importedContacts - Contacts in priority order
+   * @param {object} options - { replace } to replace the current list instead of appending
+   * @returns {{added: number, duplicates: number, overLimit: number}}
+   */
+  const importContacts = useCallback((importedContacts, { replace = false } = {}) => {
+    const existing = replace ? [] : contacts;
+    // Compare trailing digits, since older contacts may not be stored in E.164
+    const digits = (phone) => (phone || '').replace(/\D/g, '').slice(-10);
+    const seen = new Set(existing.map(c => digits(c.phone)));
+
+    const unique = importedContacts.filter(c => {
+      if (seen.has(digits(c.phone))) return false;
+      seen.add(digits(c.phone));
+      return true;
+    });
+    const toAdd = unique.slice(0, Math.max(0, MAX_CONTACTS - existing.length));
+
+    setContacts([
+      ...existing,
+      ...toAdd.map((c, i) => normalizeContact({ ...c, id: uuidv4() }, existing.length + i)),
+    ].map((c, i) => ({ ...c, priority: i })));
+
+    return {
+      added: toAdd.length,
+      duplicates: importedContacts.length - unique.length,
+      overLimit: unique.length - toAdd.length,
+    };
+  }, [contacts]);
+
+  const updateContact = useCallback((contactId, changes) => {
+    setContacts(prevContacts => prevContacts.map(c =>
+      c.id === contactId ? normalizeContact({ ...c, ...changes }, c.priority) : c
+    ));
+  }, []);
+
   const removeContact = useCallback((contactId) => {
-    setContacts(prevContacts => prevContacts.filter(c => c.id !== contactId));
+    setContacts(prevContacts => sortByPriority(prevContacts.filter(c => c.id !== contactId)));
+  }, []);
+
+  // Swap a contact with its neighbour; direction is -1 (higher priority) or 1 (lower)
+  const moveContact = useCallback((contactId, direction) => {
+    setContacts(prevContacts => {
+      const index = prevContacts.findIndex(c => c.id === contactId);
+      const target = index + direction;
+      if (index === -1 || target < 0 || target >= prevContacts.length) {
+        return prevContacts;
+      }
+      const reordered = [...prevContacts];
+      [reordered[index], reordered[target]] = [reordered[target], reordered[index]];
+      return reordered.map((c, i) => ({ ...c, priority: i }));
+    });
   }, []);
 
-  return { contacts, addContact, removeContact, isLoading, error, retry: fetchContacts };
+  return { contacts, addContact, importContacts, updateContact, removeContact, moveContact, isLoading, error, retry: fetchContacts };
 };
\ No newline at end of file
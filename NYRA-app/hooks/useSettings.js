@@ -12,6 +12,15 @@ const defaultSettings = {
   sendSmsAlerts: true,
   sendEmailAlerts: true,
   shareLiveLocation: true,
+  liveLocationIntervalMinutes: 5,
+  liveLocationDistanceMeters: 250,
+  quietHoursEnabled: false,
+  quietHoursStart: 22,
+  quietHoursEnd: 7,
+  defaultCountry: null,
+  activityClassifier: 'rules',
+  requestCommunityHelp: true,
+  captureEvidence: true,
 };
 
 export const useSettings = () => {
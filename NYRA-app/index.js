@@ -1,6 +1,34 @@
 import { registerRootComponent } from 'expo';
 
 import App from './App';
+import { backgroundProtectionService } from './services/backgroundProtectionService';
+import { powerService } from './services/powerService';
+import { geofenceService } from './services/geofenceService';
+import { etaWatchdogService } from './services/etaWatchdogService';
+import { tripSharingService } from './services/tripSharingService';
+import { offlineRegionService } from './services/offlineRegionService';
+import { escalationService } from './services/escalationService';
+import { outboxService } from './services/outboxService';
+
+// Resumes protection left on when the app was killed. Runs here rather than in App because
+// Android relaunches the app without UI to deliver background locations
+backgroundProtectionService.init();
+// Sampling rates follow movement, incidents and the battery from the start, headless too
+powerService.init();
+// Defines the region task and re-registers safe places, which arrive as headless launches too
+geofenceService.init();
+// Resumes an escalation ladder and runs steps that fell due while the app was suspended or
+// killed; background location deliveries keep it moving without the UI
+escalationService.init();
+// Resumes delivery of alerts left in the outbox, so retries continue in headless launches too.
+// The SMS and email senders register when escalationService's imports load them
+outboxService.init();
+// Catches up on a trip that became overdue while the app was suspended or killed
+etaWatchdogService.init();
+// Listens for Route Guardian and Walk with Me trips to send chosen contacts trip updates
+tripSharingService.init();
+// Deletes offline areas past their expiry so stale tiles and safety data are not used
+offlineRegionService.init();
 
 // registerRootComponent calls AppRegistry.registerComponent('main', () => App);
 // It also ensures that whether you load the app in Expo Go or in a native build,
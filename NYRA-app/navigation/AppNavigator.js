@@ -10,6 +10,8 @@ import SettingsScreen from '../screens/SettingsScreen';
 import ActivityDetectionScreen from '../screens/ActivityDetectionScreen';
 import AlertScreen from '../screens/AlertScreen';
 import SafetyFeaturesScreen from '../screens/SafetyFeaturesScreen';
+import IncidentHistoryScreen from '../screens/IncidentHistoryScreen';
+import CalibrationScreen from '../screens/CalibrationScreen';
 
 // --- Create the Bottom Tab Navigator Component ---
 const Tab = BottomNavigation; // Using Paper's BottomNavigation as tabs
@@ -98,6 +100,16 @@ export default function AppNavigator() {
           headerBackVisible: false, // Hide back button on alert screen
         }}
       />
+      <Stack.Screen
+        name="IncidentHistory"
+        component={IncidentHistoryScreen}
+        options={{ title: 'Incident History' }}
+      />
+      <Stack.Screen
+        name="Calibration"
+        component={CalibrationScreen}
+        options={{ title: 'Motion Calibration' }}
+      />
     </Stack.Navigator>
   );
 }
\ No newline at end of file
@@ -9,17 +9,34 @@ import { LineChart } from 'react-native-chart-kit';
 import {
   subscribeToSensorData,
 } from '../services/sensorService';
-import { getLatestActivity, subscribeToActivity } from '../services/harModelService';
+import harModelService, { getLatestActivity, subscribeToActivity } from '../services/harModelService';
+import SensorTraceCard from '../components/SensorTraceCard';
+import DetectionFeedbackCard from '../components/DetectionFeedbackCard';
 
 const activityIcons = {
   IDLE: 'seat-recline-normal',
   STANDING: 'human-male',
   WALKING: 'walk',
   RUNNING: 'run',
+  CYCLING: 'bike',
+  DRIVING: 'car',
   FALL: 'arrow-down-bold-box',
   CALIBRATING: 'progress-wrench',
 };
 
+const activityEmojis = {
+  IDLE: '🧘',
+  STANDING: '🧍',
+  WALKING: '🚶‍♂️',
+  RUNNING: '🏃‍♂️',
+  CYCLING: '🚴',
+  DRIVING: '🚗',
+};
+
+// Name of the classifier behind the activity stream, e.g. "Rules-based"
+const getClassifierName = (id) =>
+  (harModelService.getClassifiers().find(classifier => classifier.id === id) || { name: id }).name;
+
 const screenWidth = Dimensions.get('window').width;
 
 const getChartConfig = (theme) => ({
@@ -63,7 +80,7 @@ const MemoizedLineChart = React.memo(({ data, theme }) => (
 export default function ActivityDetectionScreen() {
   const theme = useTheme();
   const isFocused = useIsFocused();
-  const [currentActivity, setCurrentActivity] = useState({ name: 'IDLE', confidence: 1.0 });
+  const [currentActivity, setCurrentActivity] = useState(getLatestActivity);
   const [sensorData, setSensorData] = useState({
     labels: [],
     datasets: [{ data: [0], strokeWidth: 2 }],
@@ -140,11 +157,11 @@ export default function ActivityDetectionScreen() {
     };
   }, [isFocused, currentActivity.name]);
 
-  const { name, confidence } = currentActivity;
+  const { name, confidence, classifier } = currentActivity;
 
   return (
     <SafeAreaView style={[styles.container, { backgroundColor: theme.colors.background }]}>
-      <View style={styles.content}>
+      <ScrollView contentContainerStyle={styles.content}>
         <Animatable.Text animation="fadeInDown" style={[styles.title, {color: theme.colors.onSurface}]}>Real-Time Activity</Animatable.Text>
 
         <Animatable.View animation="fadeInUp" delay={200}>
@@ -152,12 +169,7 @@ export default function ActivityDetectionScreen() {
             <Card.Content style={styles.cardContent}>
               <Animatable.View ref={activityIconRef}>
                 <RNText style={{fontSize: 60}}>
-                  {isProtectionActive ? 
-                    (name === 'IDLE' ? '🧘' : 
-                     name === 'WALKING' ? '🚶‍♂️' : 
-                     name === 'RUNNING' ? '🏃‍♂️' : 
-                     name === 'STANDING' ? '🧍' : '🏃‍♂️') 
-                    : '😴'}
+                  {isProtectionActive ? (activityEmojis[name] || '🏃‍♂️') : '😴'}
                 </RNText>
               </Animatable.View>
               <View style={styles.activityTextContainer}>
@@ -167,6 +179,9 @@ export default function ActivityDetectionScreen() {
                 <Text style={{ color: 'grey', marginTop: 4 }}>
                   {isProtectionActive ? `Confidence: ${(confidence * 100).toFixed(1)}%` : 'Protection is not running'}
                 </Text>
+                <Text variant="bodySmall" style={{ color: 'grey', marginTop: 2 }}>
+                  Model: {getClassifierName(classifier)}
+                </Text>
               </View>
             </Card.Content>
           </Card>
@@ -193,7 +208,14 @@ export default function ActivityDetectionScreen() {
           </Card>
         </Animatable.View>
 
-      </View>
+        <Animatable.View animation="fadeInUp" delay={600}>
+          <DetectionFeedbackCard />
+        </Animatable.View>
+
+        {/* Debug builds only: record and replay traces for the detectors */}
+        {__DEV__ && <SensorTraceCard />}
+
+      </ScrollView>
     </SafeAreaView>
   );
 }
@@ -203,7 +225,7 @@ const styles = StyleSheet.create({
     flex: 1,
   },
   content: {
-    flex: 1,
+    flexGrow: 1,
     paddingHorizontal: 16,
     paddingTop: 8,
     justifyContent: 'flex-start',
@@ -1,15 +1,15 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import { View, StyleSheet, Alert } from 'react-native';
 import { Text, Button, useTheme } from 'react-native-paper';
 import { SafeAreaView } from 'react-native-safe-area-context';
 import MaterialCommunityIcons from 'react-native-vector-icons/MaterialCommunityIcons';
 import * as Animatable from 'react-native-animatable';
 import * as Haptics from 'expo-haptics';
-import { smsService } from '../services/smsService';
-import { emailService } from '../services/emailService';
+import { alertService, INCIDENT_SOURCES } from '../services/alertService';
 import { locationService } from '../services/locationService';
-import { useContacts } from '../hooks/useContacts';
-import { useSettings } from '../hooks/useSettings';
+import { liveLocationService } from '../services/liveLocationService';
+import { detectionFeedbackService } from '../services/detectionFeedbackService';
+import AcknowledgementCard from '../components/AcknowledgementCard';
 
 const pulseBackground = {
   0: { backgroundColor: '#EF5350' }, // Using theme error color
@@ -17,16 +17,37 @@ const pulseBackground = {
   1: { backgroundColor: '#EF5350' }, // Back to theme error color
 };
 
-export default function AlertScreen({ navigation }) {
+export default function AlertScreen({ navigation, route }) {
   const theme = useTheme();
   const [countdown, setCountdown] = useState(10);
-  const { contacts } = useContacts();
-  const { settings } = useSettings();
+  // Once sent, the screen stays up to show contact acknowledgements
+  const [isSent, setIsSent] = useState(false);
+  const [dispatchedIncidentId, setDispatchedIncidentId] = useState(null);
+  const source = route?.params?.source || INCIDENT_SOURCES.MANUAL;
+  // Set when an automatic detector raised the alert, see detectionFeedbackService
+  const detection = route?.params?.detection || null;
+  // Resolves to the pending incident record created when the countdown started
+  const pendingIncidentRef = useRef(null);
 
   useEffect(() => {
     // Trigger a warning haptic feedback when the screen loads
     Haptics.notificationAsync(Haptics.NotificationFeedbackType.Warning);
 
+    // Record the incident now so a cancelled countdown still shows up in history
+    pendingIncidentRef.current = alertService
+      .openCountdown({ source, severity: 'high' })
+      .then(async (incident) => {
+        if (detection) {
+          await detectionFeedbackService.recordDetection({ ...detection, incidentId: incident.id })
+            .catch(error => console.error('❌ Failed to record detection:', error));
+        }
+        return incident;
+      })
+      .catch((error) => {
+        console.error('❌ Failed to record pending incident:', error);
+        return null;
+      });
+
     // Use setInterval for accurate countdown
     const intervalId = setInterval(() => {
       setCountdown((prevCountdown) => {
@@ -38,8 +59,8 @@ export default function AlertScreen({ navigation }) {
           // Timer finished, send emergency alerts
           clearInterval(intervalId);
           Haptics.notificationAsync(Haptics.NotificationFeedbackType.Error);
+          setIsSent(true);
           sendEmergencyAlerts();
-          navigation.navigate('MainTabs', { screen: 'Home' });
           return 0;
         }
       });
@@ -52,65 +73,32 @@ export default function AlertScreen({ navigation }) {
     console.log('🚨 ALERT! Countdown finished. Sending emergency alerts...');
 
     try {
-      // Get current location for emergency alerts
-      console.log('📍 Getting current location for emergency SMS...');
-      const currentLocation = await locationService.getCurrentLocation();
-      console.log('📍 Current location obtained:', currentLocation ? 'Yes' : 'No');
-      if (currentLocation) {
-        console.log(`📍 Coordinates: ${currentLocation.coords.latitude}, ${currentLocation.coords.longitude}`);
-      }
-
-      // Load contacts - use hook contacts if available, otherwise load directly from storage
-      let emergencyContacts = contacts;
-      console.log(`👥 Contacts from hook: ${contacts.length}`);
-
-      if (!emergencyContacts || emergencyContacts.length === 0) {
-        console.log('⚠️ No contacts from hook, loading directly from storage...');
-        const { loadContacts } = require('../services/storageService');
-        emergencyContacts = await loadContacts();
-        console.log(`👥 Contacts loaded from storage: ${emergencyContacts.length}`);
-      }
-
-      if (!emergencyContacts || emergencyContacts.length === 0) {
-        console.error('❌ No emergency contacts found!');
-        Alert.alert(
-          "⚠️ No Emergency Contacts",
-          "No emergency contacts found. Please add contacts in the app settings.",
-          [{ text: "OK" }]
-        );
-        // Stop location service
-        locationService.stopLocationUpdates();
-        return;
-      }
-
-      const emergencyMessage = "EMERGENCY: I may need help! This is an automated alert from the NYRA safety app.";
-
-      let smsSuccess = false;
-      let emailSuccess = false;
+      const pendingIncident = await pendingIncidentRef.current;
+      const { success, deduplicated, incident, results } = await alertService.dispatchIncident({
+        source,
+        severity: 'high',
+        incidentId: pendingIncident?.id,
+      });
+      setDispatchedIncidentId(incident.id);
 
-      // Send SMS alerts if enabled
-      if (settings.sendSmsAlerts && emergencyContacts.length > 0) {
-        console.log(`📱 Sending SMS alerts to ${emergencyContacts.length} contacts with location...`);
-        const result = await smsService.sendEmergencySMS(emergencyContacts, currentLocation);
-        smsSuccess = result.success || result === true;
-        console.log(`📱 SMS Result: ${smsSuccess ? 'SUCCESS' : 'FAILED'} - Sent: ${result.sent || 0}, Failed: ${result.failed || 0}`);
+      // Keep location running while follow-up updates are being shared, otherwise stop it
+      if (liveLocationService.isSharing()) {
+        liveLocationService.takeOverLocationUpdates();
       } else {
-        console.log('📱 SMS alerts disabled or no contacts available');
+        console.log('🛑 Stopping location service after emergency alerts sent');
+        locationService.stopLocationUpdates();
       }
 
-      // Send Email alerts if enabled  
-      if (settings.sendEmailAlerts && emergencyContacts.length > 0) {
-        console.log('📧 Sending Email alerts with location...');
-        emailSuccess = await emailService.sendEmergencyEmail(emergencyContacts, currentLocation);
-        console.log(`📧 Email Result: ${emailSuccess ? 'SUCCESS' : 'FAILED'}`);
+      if (deduplicated) {
+        console.log('🔁 Alert already dispatched for this emergency, not re-sending');
+        return;
       }
 
-      // Stop location service after sending alerts
-      console.log('🛑 Stopping location service after emergency alerts sent');
-      locationService.stopLocationUpdates();
+      const smsSuccess = !!results.sms?.success;
+      const emailSuccess = results.email === true;
 
       // Show appropriate success/failure message
-      if (smsSuccess || emailSuccess) {
+      if (success) {
         Alert.alert(
           "📱 Emergency Alert Sent",
           `Emergency alerts sent successfully! ${smsSuccess ? 'SMS ✅' : ''} ${emailSuccess ? 'Email ✅' : ''}`,
@@ -137,16 +125,30 @@ export default function AlertScreen({ navigation }) {
     }
   };
 
-  const handleCancel = () => {
+  const handleCancel = async () => {
     // Success haptic on cancellation
     Haptics.notificationAsync(Haptics.NotificationFeedbackType.Success);
     console.log('⚠️ Alert Cancelled by user.');
+    const pendingIncident = await pendingIncidentRef.current;
+    await alertService.cancelCountdown(pendingIncident?.id);
     // Stop location service when alert is cancelled
     locationService.stopLocationUpdates();
     console.log('🛑 Location service stopped after alert cancellation');
     navigation.goBack();
   };
 
+  const handleSafe = async () => {
+    Haptics.notificationAsync(Haptics.NotificationFeedbackType.Success);
+    try {
+      if (dispatchedIncidentId) {
+        await alertService.resolveIncident(dispatchedIncidentId, { note: 'User marked themselves safe' });
+      }
+    } catch (error) {
+      console.error('❌ Failed to resolve incident:', error);
+    }
+    navigation.navigate('MainTabs', { screen: 'Home' });
+  };
+
   return (
     <Animatable.View
       animation={pulseBackground}
@@ -156,18 +158,47 @@ export default function AlertScreen({ navigation }) {
     >
       <SafeAreaView style={styles.content}>
         <Text style={{ fontSize: 100, color: theme.colors.onError }}>🚨</Text>
-        <Text style={[styles.title, { color: theme.colors.onError }]}>ALERT TRIGGERED!</Text>
-        <Text style={[styles.countdown, { color: theme.colors.onError }]}>{countdown}</Text>
-        <Text style={[styles.subtitle, { color: theme.colors.onError }]}>Sending alert in {countdown} seconds...</Text>
-        <Button
-          mode="contained"
-          onPress={handleCancel}
-          icon="cancel"
-          style={[styles.cancelButton, { backgroundColor: theme.colors.success }]}
-          labelStyle={[styles.cancelButtonLabel, { color: theme.colors.onPrimary }]}
-        >
-          Cancel Alert
-        </Button>
+        {isSent ? (
+          <>
+            <Text style={[styles.title, { color: theme.colors.onError }]}>ALERT SENT</Text>
+            <Text style={[styles.subtitle, styles.sentSubtitle, { color: theme.colors.onError }]}>
+              Your contacts have been notified.
+            </Text>
+            <AcknowledgementCard style={styles.acknowledgements} />
+            <Button
+              mode="contained"
+              onPress={handleSafe}
+              icon="shield-check"
+              style={[styles.cancelButton, { backgroundColor: theme.colors.success }]}
+              labelStyle={[styles.cancelButtonLabel, { color: theme.colors.onPrimary }]}
+            >
+              I'm Safe
+            </Button>
+            <Button
+              mode="text"
+              onPress={() => navigation.navigate('MainTabs', { screen: 'Home' })}
+              textColor={theme.colors.onError}
+              style={styles.homeButton}
+            >
+              Back to Home
+            </Button>
+          </>
+        ) : (
+          <>
+            <Text style={[styles.title, { color: theme.colors.onError }]}>ALERT TRIGGERED!</Text>
+            <Text style={[styles.countdown, { color: theme.colors.onError }]}>{countdown}</Text>
+            <Text style={[styles.subtitle, { color: theme.colors.onError }]}>Sending alert in {countdown} seconds...</Text>
+            <Button
+              mode="contained"
+              onPress={handleCancel}
+              icon="cancel"
+              style={[styles.cancelButton, { backgroundColor: theme.colors.success }]}
+              labelStyle={[styles.cancelButtonLabel, { color: theme.colors.onPrimary }]}
+            >
+              Cancel Alert
+            </Button>
+          </>
+        )}
       </SafeAreaView>
     </Animatable.View>
   );
@@ -202,6 +233,16 @@ const styles = StyleSheet.create({
     marginBottom: 40,
     // color handled by theme
   },
+  sentSubtitle: {
+    marginTop: 12,
+    marginBottom: 24,
+  },
+  acknowledgements: {
+    marginBottom: 24,
+  },
+  homeButton: {
+    marginTop: 12,
+  },
   cancelButton: {
     width: '100%',
     paddingVertical: 8,
@@ -0,0 +1,201 @@
+import React, { useState, useEffect } from 'react';
+import { View, StyleSheet, ScrollView, Alert } from 'react-native';
+import { Text, Card, Button, ProgressBar, useTheme } from 'react-native-paper';
+import { SafeAreaView } from 'react-native-safe-area-context';
+import { calibrationService, CALIBRATION_STEPS } from '../services/calibrationService';
+import { getLatestActivity } from '../services/harModelService';
+
+const STEP_TEXT = {
+  sitting: {
+    title: '🧘 Sit',
+    instructions: 'Put the phone where you usually carry it and sit down normally. Small movements are fine.',
+  },
+  walking: {
+    title: '🚶 Walk',
+    instructions: 'Walk at your everyday pace, on a flat path if you can, without stopping.',
+  },
+  running: {
+    title: '🏃 Run',
+    instructions: 'Jog or run at a comfortable pace. Skip this step if running is not for you.',
+  },
+};
+
+const formatSeconds = (ms) => `${Math.ceil(ms / 1000)}s`;
+
+const formatDate = (timestamp) => new Date(timestamp).toLocaleDateString();
+
+export default function CalibrationScreen() {
+  const theme = useTheme();
+  const [profile, setProfile] = useState(calibrationService.getProfile());
+  const [results, setResults] = useState(calibrationService.getResults());
+  const [progress, setProgress] = useState(calibrationService.getStepProgress());
+  const [stepErrors, setStepErrors] = useState({});
+
+  useEffect(() => {
+    calibrationService.load().then(setProfile);
+    return calibrationService.subscribe((eventType, data) => {
+      setResults(calibrationService.getResults());
+      setProgress(calibrationService.getStepProgress());
+      setProfile(calibrationService.getProfile());
+      if (eventType === 'stepFailed') {
+        setStepErrors(errors => ({ ...errors, [data.stepId]: data.error }));
+      } else if (eventType === 'stepStarted' || eventType === 'stepCompleted') {
+        setStepErrors(errors => ({ ...errors, [data.stepId]: null }));
+      }
+    });
+  }, []);
+
+  useEffect(() => {
+    if (!progress) return undefined;
+    const interval = setInterval(() => setProgress(calibrationService.getStepProgress()), 500);
+    return () => clearInterval(interval);
+  }, [progress?.stepId]);
+
+  // Leaving the screen abandons a step in progress
+  useEffect(() => () => calibrationService.cancelStep(), []);
+
+  const handleStart = async (stepId) => {
+    if (getLatestActivity().isProtectionActive) {
+      Alert.alert(
+        'Stop Protection First',
+        'Calibration movements, like stopping after a run, could raise alerts while protection is on.'
+      );
+      return;
+    }
+    try {
+      await calibrationService.startStep(stepId);
+    } catch (error) {
+      Alert.alert('Calibration Failed', error.message);
+    }
+  };
+
+  const handleSave = async () => {
+    try {
+      await calibrationService.saveCalibration();
+      Alert.alert('✅ Calibrated', 'Activity detection now uses your personal baseline.');
+    } catch (error) {
+      Alert.alert('Could Not Calibrate', error.message);
+    }
+  };
+
+  const handleReset = () => {
+    Alert.alert(
+      'Reset Calibration?',
+      'Your personal baseline will be deleted and the default thresholds used again.',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Reset', style: 'destructive', onPress: () => calibrationService.resetCalibration() },
+      ]
+    );
+  };
+
+  const canSave = !progress && CALIBRATION_STEPS.every(step => step.optional || results[step.id]);
+
+  const renderStep = (step) => {
+    const text = STEP_TEXT[step.id];
+    const isActive = progress?.stepId === step.id;
+    const result = results[step.id];
+    const error = stepErrors[step.id];
+
+    return (
+      <Card key={step.id} style={styles.card}>
+        <Card.Title
+          title={text.title}
+          subtitle={`${formatSeconds(step.durationMs)}${step.optional ? ' · optional' : ''}`}
+        />
+        <Card.Content>
+          <Text variant="bodyMedium">{text.instructions}</Text>
+          {isActive && (
+            <View style={styles.progress}>
+              <ProgressBar progress={progress.elapsedMs / progress.durationMs} color={theme.colors.primary} />
+              <Text variant="bodySmall" style={styles.mutedText}>
+                {formatSeconds(progress.durationMs - progress.elapsedMs)} left · {progress.samples} readings
+              </Text>
+            </View>
+          )}
+          {!isActive && result && (
+            <Text variant="bodySmall" style={styles.statusText}>
+              ✓ Recorded {result.samples} readings
+            </Text>
+          )}
+          {!isActive && error && (
+            <Text variant="bodySmall" style={[styles.statusText, { color: theme.colors.error }]}>{error}</Text>
+          )}
+        </Card.Content>
+        <Card.Actions>
+          {isActive ? (
+            <Button onPress={() => calibrationService.cancelStep()}>Cancel</Button>
+          ) : (
+            <Button mode={result ? 'text' : 'contained'} disabled={!!progress} onPress={() => handleStart(step.id)}>
+              {result ? 'Redo' : 'Start'}
+            </Button>
+          )}
+        </Card.Actions>
+      </Card>
+    );
+  };
+
+  return (
+    <SafeAreaView style={[styles.container, { backgroundColor: theme.colors.background }]}>
+      <ScrollView contentContainerStyle={styles.content}>
+        <Text variant="bodyMedium" style={styles.intro}>
+          Record a few minutes of your normal movement so activity and sudden-stop detection fit the way
+          you move. Each step starts recording a few seconds after you press Start.
+        </Text>
+
+        {profile && (
+          <Card style={styles.card}>
+            <Card.Title title="Personal Baseline" subtitle={`Calibrated on ${formatDate(profile.calibratedAt)}`} />
+            <Card.Content>
+              <Text variant="bodySmall" style={styles.mutedText}>
+                Thresholds: idle {profile.thresholds.idle}, standing {profile.thresholds.standing},
+                walking {profile.thresholds.walking}, running {profile.thresholds.running}
+              </Text>
+            </Card.Content>
+            <Card.Actions>
+              <Button textColor={theme.colors.error} disabled={!!progress} onPress={handleReset}>
+                Reset to Defaults
+              </Button>
+            </Card.Actions>
+          </Card>
+        )}
+
+        {CALIBRATION_STEPS.map(renderStep)}
+
+        <Button mode="contained" disabled={!canSave} onPress={handleSave} style={styles.saveButton}>
+          {profile ? 'Save New Calibration' : 'Save Calibration'}
+        </Button>
+      </ScrollView>
+    </SafeAreaView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+  },
+  content: {
+    padding: 16,
+  },
+  intro: {
+    marginBottom: 16,
+  },
+  card: {
+    marginBottom: 16,
+    borderRadius: 20,
+    elevation: 3,
+  },
+  progress: {
+    marginTop: 12,
+    gap: 4,
+  },
+  statusText: {
+    marginTop: 8,
+  },
+  mutedText: {
+    color: 'gray',
+  },
+  saveButton: {
+    marginVertical: 8,
+  },
+});
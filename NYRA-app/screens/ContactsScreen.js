@@ -1,27 +1,74 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import { View, StyleSheet, ScrollView, Alert, ActivityIndicator, KeyboardAvoidingView, Platform } from 'react-native';
-import { Text, TextInput, Button, useTheme, Portal, Dialog, HelperText } from 'react-native-paper';
+import { Text, TextInput, Button, useTheme, Portal, Dialog, HelperText, Chip, Switch } from 'react-native-paper';
 import { SafeAreaView } from 'react-native-safe-area-context';
 import EmergencyContactCard from '../components/EmergencyContactCard';
 import ErrorState from '../components/ErrorState';
 import { useContacts } from '../hooks/useContacts';
 import * as Animatable from 'react-native-animatable';
+import {
+  CONTACT_ROLES,
+  CONTACT_ROLE_LABELS,
+  CONTACT_CHANNELS,
+  CONTACT_CHANNEL_LABELS,
+  MAX_CONTACTS,
+} from '../services/contactService';
+import { vCardService } from '../services/vCardService';
+import { loadSettings } from '../services/storageService';
+import {
+  COUNTRIES,
+  normalizePhoneNumber,
+  resolveDefaultCountry,
+  describePhoneWarning,
+  isAmbiguous,
+} from '../services/phoneNumberService';
 
 export default function ContactsScreen() {
   const theme = useTheme();
-  const { contacts, addContact, removeContact, isLoading, error, retry } = useContacts();
+  const { contacts, addContact, importContacts, updateContact, removeContact, moveContact, isLoading, error, retry } = useContacts();
 
   const [name, setName] = useState('');
   const [phone, setPhone] = useState('');
+  const [email, setEmail] = useState('');
   const [relationship, setRelationship] = useState('');
+  const [role, setRole] = useState(CONTACT_ROLES.FRIEND);
+  const [channels, setChannels] = useState(CONTACT_CHANNELS.SMS);
+  const [quietHoursException, setQuietHoursException] = useState(false);
+  const [editingContactId, setEditingContactId] = useState(null);
   const [isDialogVisible, setIsDialogVisible] = useState(false);
   const [formErrors, setFormErrors] = useState({});
+  const [defaultCountry, setDefaultCountry] = useState(() => resolveDefaultCountry(null));
+
+  // Re-read whenever the dialog opens, since the setting may have changed on the Settings tab
+  useEffect(() => {
+    loadSettings()
+      .then(settings => setDefaultCountry(resolveDefaultCountry(settings)))
+      .catch(e => console.warn('Could not load default country:', e));
+  }, [isDialogVisible]);
+
+  const normalizedPhone = phone.trim() ? normalizePhoneNumber(phone, defaultCountry) : null;
 
   const showDialog = () => setIsDialogVisible(true);
+  const showEditDialog = (contact) => {
+    setEditingContactId(contact.id);
+    setName(contact.name);
+    setPhone(contact.phone);
+    setEmail(contact.email);
+    setRelationship(contact.relationship || '');
+    setRole(contact.role);
+    setChannels(contact.channels);
+    setQuietHoursException(contact.quietHoursException);
+    setIsDialogVisible(true);
+  };
   const hideDialog = () => {
     setName('');
     setPhone('');
+    setEmail('');
     setRelationship('');
+    setRole(CONTACT_ROLES.FRIEND);
+    setChannels(CONTACT_CHANNELS.SMS);
+    setQuietHoursException(false);
+    setEditingContactId(null);
     setFormErrors({});
     setIsDialogVisible(false);
   };
@@ -33,28 +80,56 @@ export default function ContactsScreen() {
     }
     if (!phone.trim()) {
       newErrors.phone = "Phone number is required.";
-    } else if (!/^\+?\d{10,}$/.test(phone)) {
-      newErrors.phone = "Please enter a valid phone number (at least 10 digits).";
+    } else if (!normalizedPhone.valid) {
+      newErrors.phone = `Please enter a valid phone number, including the country code if it is not a ${COUNTRIES[defaultCountry].name} number.`;
+    }
+    if (email.trim() && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email.trim())) {
+      newErrors.email = "Please enter a valid email address.";
+    } else if (!email.trim() && channels !== CONTACT_CHANNELS.SMS) {
+      newErrors.email = "An email address is needed to send alerts by email.";
     }
     setFormErrors(newErrors);
     return Object.keys(newErrors).length === 0;
   };
 
-  const handleAddContact = () => {
-    if (!validateForm()) {
-      return;
-    }
-
-    const newContact = {
-      // The hook will add the ID
+  const saveContact = () => {
+    const contactData = {
       name: name.trim(),
-      phone: phone.trim(),
+      // Stored in E.164 so the number still works when the user is abroad
+      phone: normalizedPhone.e164,
+      email: email.trim(),
       relationship: relationship.trim(),
+      role,
+      channels,
+      quietHoursException,
     };
 
-    if (addContact(newContact)) {
+    if (editingContactId) {
+      updateContact(editingContactId, contactData);
       hideDialog();
+    } else if (addContact(contactData)) {
+      // The hook will add the ID and priority
+      hideDialog();
+    }
+  };
+
+  const handleSaveContact = () => {
+    if (!validateForm()) {
+      return;
+    }
+
+    if (isAmbiguous(normalizedPhone)) {
+      Alert.alert(
+        'Check Phone Number',
+        normalizedPhone.warnings.map(w => describePhoneWarning(w, normalizedPhone)).join('\n\n'),
+        [
+          { text: 'Edit', style: 'cancel' },
+          { text: `Save ${normalizedPhone.e164}`, onPress: saveContact },
+        ]
+      );
+      return;
     }
+    saveContact();
   };
 
   const handleDeleteContact = (contact) => {
@@ -68,6 +143,70 @@ export default function ContactsScreen() {
     );
   };
 
+  const describeRejected = (rejected) => rejected.length === 0 ? '' :
+    `\n\nSkipped ${rejected.length} card${rejected.length > 1 ? 's' : ''}:\n` +
+    rejected.map(r => `• ${r.name || 'Unnamed'}${r.phone ? ` (${r.phone})` : ''}: ${r.reason}`).join('\n');
+
+  const describeWarnings = (warnings) => warnings.length === 0 ? '' :
+    `\n\nPlease check ${warnings.length === 1 ? 'this number' : 'these numbers'}:\n` +
+    warnings.map(w => `• ${w.name} (${w.phone}): ${w.message}`).join('\n');
+
+  const applyImport = ({ contacts: imported, rejected, warnings }, replace) => {
+    const { added, duplicates, overLimit } = importContacts(imported, { replace });
+    const notes = [];
+    if (duplicates > 0) notes.push(`${duplicates} already in your list`);
+    if (overLimit > 0) notes.push(`${overLimit} over the ${MAX_CONTACTS} contact limit`);
+    Alert.alert(
+      'Import Complete',
+      `Imported ${added} contact${added === 1 ? '' : 's'}.` +
+      (notes.length > 0 ? ` Not imported: ${notes.join(', ')}.` : '') +
+      describeRejected(rejected) +
+      describeWarnings(warnings)
+    );
+  };
+
+  const handleImport = async () => {
+    let result;
+    try {
+      const settings = await loadSettings();
+      result = await vCardService.importContactsFromFile({ defaultCountry: resolveDefaultCountry(settings) });
+    } catch (e) {
+      console.error('Failed to import contacts:', e);
+      Alert.alert('Import Failed', 'Could not read the selected file.');
+      return;
+    }
+    if (!result) return;
+
+    if (result.contacts.length === 0) {
+      Alert.alert('No Contacts Imported', `No usable contacts were found in ${result.fileName}.` + describeRejected(result.rejected));
+      return;
+    }
+
+    if (contacts.length === 0) {
+      applyImport(result, false);
+      return;
+    }
+
+    Alert.alert(
+      'Import Contacts',
+      `Found ${result.contacts.length} contact${result.contacts.length > 1 ? 's' : ''} in ${result.fileName}.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Replace List', style: 'destructive', onPress: () => applyImport(result, true) },
+        { text: 'Add', onPress: () => applyImport(result, false) },
+      ]
+    );
+  };
+
+  const handleExport = async () => {
+    try {
+      await vCardService.exportContactsToFile(contacts);
+    } catch (e) {
+      console.error('Failed to export contacts:', e);
+      Alert.alert('Export Failed', e.message || 'Could not export contacts.');
+    }
+  };
+
   if (isLoading) {
     return (
       <SafeAreaView style={[styles.container, styles.loadingContainer, { backgroundColor: theme.colors.background }]}>
@@ -87,8 +226,16 @@ export default function ContactsScreen() {
         <View style={styles.header}>
           <Text variant="headlineSmall" style={styles.title}>Emergency Contacts 📞</Text>
           <Text variant="bodyMedium" style={styles.subtitle}>
-            Add up to 5 trusted people who will be alerted in an emergency.
+            Add up to {MAX_CONTACTS} trusted people who will be alerted in an emergency. Contacts at the top are alerted first.
           </Text>
+          <View style={styles.fileActions}>
+            <Button mode="text" icon="file-import-outline" onPress={handleImport}>
+              Import vCard
+            </Button>
+            <Button mode="text" icon="file-export-outline" onPress={handleExport} disabled={contacts.length === 0}>
+              Export vCard
+            </Button>
+          </View>
         </View>
 
         {contacts.length === 0 ? (
@@ -108,7 +255,16 @@ export default function ContactsScreen() {
                 index={index}
                 name={contact.name}
                 phone={contact.phone}
+                email={contact.email}
                 relationship={contact.relationship}
+                role={contact.role}
+                channels={contact.channels}
+                quietHoursException={contact.quietHoursException}
+                isFirst={index === 0}
+                isLast={index === contacts.length - 1}
+                onEdit={() => showEditDialog(contact)}
+                onMoveUp={() => moveContact(contact.id, -1)}
+                onMoveDown={() => moveContact(contact.id, 1)}
                 onDelete={() => handleDeleteContact(contact)}
               />
             ))}
@@ -121,58 +277,120 @@ export default function ContactsScreen() {
           mode="contained"
           icon="plus-circle-outline"
           onPress={showDialog}
-          disabled={contacts.length >= 5}
+          disabled={contacts.length >= MAX_CONTACTS}
           style={styles.addButton}
           labelStyle={styles.addButtonLabel}
         >
           Add New Contact
         </Button>
-        {contacts.length >= 5 && (
-          <Text style={styles.limitText}>You've reached the contact limit (Max 5).</Text>
+        {contacts.length >= MAX_CONTACTS && (
+          <Text style={styles.limitText}>You've reached the contact limit (Max {MAX_CONTACTS}).</Text>
         )}
       </View>
 
       <Portal>
         <Dialog visible={isDialogVisible} onDismiss={hideDialog} style={{backgroundColor: theme.colors.surface}}>
           <KeyboardAvoidingView behavior={Platform.OS === "ios" ? "padding" : "height"}>
-            <Dialog.Title>New Contact ✨</Dialog.Title>
-            <Dialog.Content>
-              <TextInput
-                label="Name *"
-                value={name}
-                onChangeText={setName}
-                mode="outlined"
-                style={styles.input}
-                error={!!formErrors.name}
-              />
-              <HelperText type="error" visible={!!formErrors.name}>
-                {formErrors.name}
-              </HelperText>
-
-              <TextInput
-                label="Phone Number *"
-                value={phone}
-                onChangeText={setPhone}
-                mode="outlined"
-                keyboardType="phone-pad"
-                style={styles.input}
-                error={!!formErrors.phone}
-              />
-              <HelperText type="error" visible={!!formErrors.phone}>
-                {formErrors.phone}
-              </HelperText>
-
-              <TextInput
-                label="Relationship (e.g., Mother, Friend)"
-                value={relationship}
-                onChangeText={setRelationship}
-                mode="outlined"
-                style={styles.input}
-              />
-            </Dialog.Content>
+            <Dialog.Title>{editingContactId ? 'Edit Contact ✏️' : 'New Contact ✨'}</Dialog.Title>
+            <Dialog.ScrollArea style={styles.dialogScrollArea}>
+              <ScrollView keyboardShouldPersistTaps="handled">
+                <TextInput
+                  label="Name *"
+                  value={name}
+                  onChangeText={setName}
+                  mode="outlined"
+                  style={styles.input}
+                  error={!!formErrors.name}
+                />
+                <HelperText type="error" visible={!!formErrors.name}>
+                  {formErrors.name}
+                </HelperText>
+
+                <TextInput
+                  label="Phone Number *"
+                  value={phone}
+                  onChangeText={setPhone}
+                  mode="outlined"
+                  keyboardType="phone-pad"
+                  style={styles.input}
+                  error={!!formErrors.phone}
+                />
+                {formErrors.phone || !normalizedPhone?.valid ? (
+                  <HelperText type="error" visible={!!formErrors.phone}>
+                    {formErrors.phone}
+                  </HelperText>
+                ) : (
+                  <HelperText type="info" visible>
+                    Saved as {normalizedPhone.e164}
+                  </HelperText>
+                )}
+
+                <TextInput
+                  label="Email"
+                  value={email}
+                  onChangeText={setEmail}
+                  mode="outlined"
+                  keyboardType="email-address"
+                  autoCapitalize="none"
+                  style={styles.input}
+                  error={!!formErrors.email}
+                />
+                <HelperText type="error" visible={!!formErrors.email}>
+                  {formErrors.email}
+                </HelperText>
+
+                <TextInput
+                  label="Relationship (e.g., Mother, Friend)"
+                  value={relationship}
+                  onChangeText={setRelationship}
+                  mode="outlined"
+                  style={styles.input}
+                />
+
+                <Text variant="labelLarge" style={styles.fieldLabel}>Role</Text>
+                <View style={styles.chipRow}>
+                  {Object.values(CONTACT_ROLES).map(value => (
+                    <Chip
+                      key={value}
+                      selected={role === value}
+                      showSelectedOverlay
+                      onPress={() => setRole(value)}
+                      style={styles.chip}
+                    >
+                      {CONTACT_ROLE_LABELS[value]}
+                    </Chip>
+                  ))}
+                </View>
+
+                <Text variant="labelLarge" style={styles.fieldLabel}>Send alerts by</Text>
+                <View style={styles.chipRow}>
+                  {Object.values(CONTACT_CHANNELS).map(value => (
+                    <Chip
+                      key={value}
+                      selected={channels === value}
+                      showSelectedOverlay
+                      onPress={() => setChannels(value)}
+                      style={styles.chip}
+                    >
+                      {CONTACT_CHANNEL_LABELS[value]}
+                    </Chip>
+                  ))}
+                </View>
+
+                <View style={styles.switchRow}>
+                  <View style={styles.switchText}>
+                    <Text variant="bodyLarge">Alert during quiet hours</Text>
+                    <Text variant="bodySmall" style={{ color: 'grey' }}>
+                      Lower-severity alerts still reach this contact at night
+                    </Text>
+                  </View>
+                  <Switch value={quietHoursException} onValueChange={setQuietHoursException} />
+                </View>
+              </ScrollView>
+            </Dialog.ScrollArea>
             <Dialog.Actions>
               <Button onPress={hideDialog}>Cancel</Button>
-              <Button onPress={handleAddContact}>Save</Button>
+              <Button onPress={handleSaveContact}>Save</Button>
             </Dialog.Actions>
           </KeyboardAvoidingView>
         </Dialog>
@@ -210,6 +428,10 @@ const styles = StyleSheet.create({
     fontSize: 16,
     lineHeight: 22,
   },
+  fileActions: {
+    flexDirection: 'row',
+    marginTop: 8,
+  },
   listContainer: {
     paddingHorizontal: 16,
     paddingTop: 8,
@@ -233,6 +455,33 @@ const styles = StyleSheet.create({
   input: {
     marginBottom: 0, // HelperText will provide spacing
   },
+  dialogScrollArea: {
+    maxHeight: 480,
+    paddingHorizontal: 24,
+  },
+  fieldLabel: {
+    marginTop: 8,
+    marginBottom: 6,
+  },
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+  },
+  chip: {
+    marginRight: 8,
+    marginBottom: 8,
+  },
+  switchRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    marginTop: 8,
+    marginBottom: 8,
+  },
+  switchText: {
+    flex: 1,
+    marginRight: 12,
+  },
   addButtonContainer: {
     position: 'absolute',
     bottom: 20,
@@ -8,9 +8,12 @@ import * as Animatable from 'react-native-animatable';
 
 import ProtectionStatusCard from '../components/ProtectionStatusCard';
 import PanicButton from '../components/PanicButton';
-import { sensorService } from '../services/sensorService';
-import { locationService } from '../services/locationService';
-import harModelService, { subscribeToActivity, getLatestActivity } from '../services/harModelService';
+import OutboxStatusCard from '../components/OutboxStatusCard';
+import AcknowledgementCard from '../components/AcknowledgementCard';
+import { subscribeToActivity, getLatestActivity } from '../services/harModelService';
+import ActivityDetectionService from '../services/activityDetectionService';
+import { backgroundProtectionService, PROTECTION_HEALTH } from '../services/backgroundProtectionService';
+import { INCIDENT_SOURCES } from '../services/alertService';
 
 export default function HomeScreen() {
   const theme = useTheme();
@@ -27,17 +30,40 @@ export default function HomeScreen() {
     return () => unsubscribe(); // Cleanup on unmount
   }, []);
 
+  const [protectionHealth, setProtectionHealth] = useState(backgroundProtectionService.getHealth());
+
+  useEffect(() => {
+    backgroundProtectionService.init().then(() => setProtectionHealth(backgroundProtectionService.getHealth()));
+    return backgroundProtectionService.subscribe((eventType, health) => setProtectionHealth(health));
+  }, []);
+
+  // Fall and sudden-stop countdowns started by background protection can be cancelled from here
+  useEffect(() => {
+    const showCancelOption = (title) => ({ onCancel }) => {
+      Alert.alert(
+        title,
+        'Your emergency contacts will be alerted unless you cancel.',
+        [{ text: "I'm OK - Cancel", style: 'cancel', onPress: onCancel }]
+      );
+    };
+    const detection = ActivityDetectionService.getInstance();
+    const unsubscribeFall = detection.subscribe('showFallCancelOption', showCancelOption('🚨 Possible Fall Detected'));
+    const unsubscribeStop = detection.subscribe('showSuddenStopCancelOption', showCancelOption('🚨 Sudden Stop Detected'));
+    return () => {
+      unsubscribeFall();
+      unsubscribeStop();
+    };
+  }, []);
+
   const handlePanicPress = () => {
     console.log('Panic Button Pressed!');
-    navigation.navigate('Alert');
+    navigation.navigate('Alert', { source: INCIDENT_SOURCES.MANUAL });
   };
 
 
 
-  const stopMonitoring = () => {
-    harModelService.stop();
-    sensorService.stopSensorUpdates();
-    locationService.stopLocationUpdates();
+  const stopMonitoring = async () => {
+    await backgroundProtectionService.stop();
     console.log('Protection stopped.');
     if (protectionButtonRef.current) {
       protectionButtonRef.current.pulse(800);
@@ -58,15 +84,13 @@ export default function HomeScreen() {
     if (backgroundStatus !== 'granted') {
       Alert.alert(
         'Permission Warning',
-        'Background location is not enabled. The app may not function correctly if it is not in the foreground.'
+        'Background location is not enabled. Protection will only run while NYRA is open.'
       );
     }
 
-    // 2. Start Services
+    // 2. Start Services (location, sensors, HAR and fall detection, kept alive in the background)
     try {
-      await locationService.startLocationUpdates();
-      await sensorService.startSensorUpdates(); // Start sensor collection
-      harModelService.start(); // Start HAR model (which subscribes to sensor data)
+      await backgroundProtectionService.start();
       console.log('Protection started.');
       if (protectionButtonRef.current) {
         protectionButtonRef.current.bounceIn(800);
@@ -74,7 +98,6 @@ export default function HomeScreen() {
     } catch (error) {
       console.error("Failed to start monitoring services:", error);
       Alert.alert("Error Starting Protection", error.message || "An unknown error occurred. Please try again.");
-      stopMonitoring(); // Ensure everything is turned off if one part fails
     }
   };
 
@@ -86,49 +109,6 @@ export default function HomeScreen() {
     }
   };
 
-  // Effect to listen for anomalies from the single source of truth
-  const lastAnomalyRef = useRef(null);
-
-  useEffect(() => {
-    const anomaly = activityState.anomaly;
-
-    // Check if we have a new SUDDEN_STOP anomaly
-    if (anomaly && anomaly.type === 'SUDDEN_STOP') {
-      // Prevent duplicate triggers by checking if this is a new anomaly
-      const anomalyKey = `${anomaly.type}_${Date.now()}`;
-
-      if (lastAnomalyRef.current !== anomalyKey) {
-        lastAnomalyRef.current = anomalyKey;
-
-        console.log("🚨 SUDDEN STOP DETECTED, TRIGGERING ALERT!");
-        console.log("🚨 Anomaly details:", JSON.stringify(anomaly));
-
-        // Stop HAR and sensors but KEEP location running for emergency SMS
-        harModelService.stop();
-        sensorService.stopSensorUpdates();
-
-        // DON'T stop location - we need it for the emergency SMS!
-        console.log("⚠️ Keeping location service active for emergency alert");
-        console.log("🔄 Navigating to Alert screen...");
-
-        try {
-          navigation.navigate('Alert');
-          console.log("✅ Navigation to Alert screen triggered");
-        } catch (error) {
-          console.error("❌ Navigation error:", error);
-        }
-      } else {
-        console.log("⚠️ Duplicate anomaly detected, ignoring");
-      }
-    }
-  }, [activityState, navigation]);
-
-
-  // Cleanup on component unmount
-  useEffect(() => {
-    return () => stopMonitoring();
-  }, []);
-
   return (
     <SafeAreaView
       style={[styles.container, { backgroundColor: theme.colors.background }]}
@@ -145,6 +125,16 @@ export default function HomeScreen() {
             activity={currentActivity}
             confidence={confidence}
           />
+          {protectionHealth.status === PROTECTION_HEALTH.DEGRADED && (
+            <Text variant="bodySmall" style={[styles.healthText, { color: theme.colors.error }]}>
+              ⚠️ {protectionHealth.issues[0]}. Restarting automatically.
+            </Text>
+          )}
+          {protectionHealth.mode === 'foreground' && (
+            <Text variant="bodySmall" style={[styles.healthText, { color: theme.colors.onSurfaceVariant }]}>
+              Protection pauses when NYRA is closed. Allow background location to keep it running.
+            </Text>
+          )}
         </View>
 
         <Animatable.View ref={protectionButtonRef} style={styles.section}>
@@ -162,6 +152,10 @@ export default function HomeScreen() {
         <View style={styles.panicSection}>
           <PanicButton onPress={handlePanicPress} />
         </View>
+
+        <AcknowledgementCard />
+
+        <OutboxStatusCard />
       </View>
     </SafeAreaView>
   );
@@ -197,6 +191,10 @@ const styles = StyleSheet.create({
     alignItems: 'center',
     paddingVertical: 8,
   },
+  healthText: {
+    textAlign: 'center',
+    marginTop: 8,
+  },
   panicSection: {
     width: '100%',
     alignItems: 'center',
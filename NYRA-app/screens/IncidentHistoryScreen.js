@@ -0,0 +1,185 @@
+import React, { useState, useEffect } from 'react';
+import { View, StyleSheet, FlatList, Alert } from 'react-native';
+import { Text, Card, Chip, Button, ActivityIndicator, useTheme } from 'react-native-paper';
+import { SafeAreaView } from 'react-native-safe-area-context';
+import { incidentService, INCIDENT_STATES } from '../services/incidentService';
+import { alertService } from '../services/alertService';
+
+const STATE_LABELS = {
+  [INCIDENT_STATES.PENDING_COUNTDOWN]: 'Counting down',
+  [INCIDENT_STATES.CANCELLED]: 'Cancelled',
+  [INCIDENT_STATES.DISPATCHED]: 'Dispatched',
+  [INCIDENT_STATES.ACKNOWLEDGED]: 'Acknowledged',
+  [INCIDENT_STATES.RESOLVED]: 'Resolved',
+  [INCIDENT_STATES.FALSE_ALARM]: 'False alarm',
+};
+
+const formatTime = (timestamp) => new Date(timestamp).toLocaleString();
+
+const formatSource = (source) => (source || 'unknown').replace(/_/g, ' ');
+
+export default function IncidentHistoryScreen() {
+  const theme = useTheme();
+  const [incidents, setIncidents] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+
+  useEffect(() => {
+    const refresh = () => setIncidents([...incidentService.getIncidents()]);
+    const unsubscribe = incidentService.subscribe(refresh);
+
+    incidentService.load()
+      .then(refresh)
+      .finally(() => setIsLoading(false));
+
+    return unsubscribe;
+  }, []);
+
+  const stateColor = (state) => {
+    switch (state) {
+      case INCIDENT_STATES.DISPATCHED:
+      case INCIDENT_STATES.PENDING_COUNTDOWN:
+        return theme.colors.error;
+      case INCIDENT_STATES.ACKNOWLEDGED:
+        return '#FFA726';
+      case INCIDENT_STATES.RESOLVED:
+        return '#66BB6A';
+      default:
+        return 'gray';
+    }
+  };
+
+  const handleClose = async (incident, falseAlarm) => {
+    try {
+      await alertService.resolveIncident(incident.id, {
+        falseAlarm,
+        note: falseAlarm ? 'Marked as false alarm from history' : 'Resolved from history',
+      });
+    } catch (error) {
+      console.error('Failed to close incident:', error);
+      Alert.alert('❌ Error', 'Could not update this incident. Please try again.');
+    }
+  };
+
+  const handleClearHistory = () => {
+    Alert.alert(
+      'Clear Incident History?',
+      'Closed incidents will be removed. Incidents still in progress are kept.',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Clear', style: 'destructive', onPress: () => incidentService.clearHistory() },
+      ]
+    );
+  };
+
+  const renderIncident = ({ item }) => {
+    const canClose = item.state === INCIDENT_STATES.DISPATCHED || item.state === INCIDENT_STATES.ACKNOWLEDGED;
+
+    return (
+      <Card style={styles.card}>
+        <Card.Content>
+          <View style={styles.cardHeader}>
+            <Text variant="titleMedium" style={styles.sourceText}>{formatSource(item.source)}</Text>
+            <Chip compact textStyle={{ color: '#FFFFFF' }} style={{ backgroundColor: stateColor(item.state) }}>
+              {STATE_LABELS[item.state] || item.state}
+            </Chip>
+          </View>
+          <Text variant="bodySmall" style={styles.mutedText}>
+            {formatTime(item.createdAt)} · Severity: {item.severity}
+          </Text>
+          {item.sources && item.sources.length > 1 && (
+            <Text variant="bodySmall" style={styles.mutedText}>
+              Also triggered by: {item.sources.filter(s => s !== item.source).map(formatSource).join(', ')}
+            </Text>
+          )}
+
+          <View style={styles.timeline}>
+            {item.timeline.map((entry, index) => (
+              entry.event ? (
+                <Text key={`${item.id}_${index}`} variant="bodySmall" style={styles.mutedText}>
+                  • {formatTime(entry.at)} — {entry.note || entry.event}
+                </Text>
+              ) : (
+                <Text key={`${item.id}_${index}`} variant="bodySmall">
+                  • {formatTime(entry.at)} — {STATE_LABELS[entry.state] || entry.state}
+                  {entry.note ? ` (${entry.note})` : ''}
+                </Text>
+              )
+            ))}
+          </View>
+        </Card.Content>
+        {canClose && (
+          <Card.Actions>
+            <Button onPress={() => handleClose(item, true)}>False Alarm</Button>
+            <Button mode="contained" onPress={() => handleClose(item, false)}>Resolve</Button>
+          </Card.Actions>
+        )}
+      </Card>
+    );
+  };
+
+  if (isLoading) {
+    return (
+      <SafeAreaView style={[styles.container, styles.centered, { backgroundColor: theme.colors.background }]}>
+        <ActivityIndicator animating={true} size="large" />
+      </SafeAreaView>
+    );
+  }
+
+  return (
+    <SafeAreaView edges={['bottom']} style={[styles.container, { backgroundColor: theme.colors.background }]}>
+      <FlatList
+        data={incidents}
+        keyExtractor={item => item.id}
+        renderItem={renderIncident}
+        contentContainerStyle={styles.listContent}
+        ListEmptyComponent={
+          <View style={styles.centered}>
+            <Text variant="bodyLarge" style={styles.mutedText}>No incidents recorded yet.</Text>
+          </View>
+        }
+        ListFooterComponent={incidents.length > 0 ? (
+          <Button icon="delete-sweep-outline" onPress={handleClearHistory} textColor={theme.colors.error}>
+            Clear Closed Incidents
+          </Button>
+        ) : null}
+      />
+    </SafeAreaView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+  },
+  centered: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    paddingVertical: 40,
+  },
+  listContent: {
+    padding: 16,
+  },
+  card: {
+    marginBottom: 16,
+    borderRadius: 16,
+    elevation: 2,
+  },
+  cardHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 4,
+  },
+  sourceText: {
+    textTransform: 'capitalize',
+    fontWeight: 'bold',
+  },
+  mutedText: {
+    color: 'gray',
+  },
+  timeline: {
+    marginTop: 12,
+    gap: 2,
+  },
+});
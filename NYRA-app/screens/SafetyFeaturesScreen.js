@@ -20,6 +20,8 @@ import VoiceAlertCard from '../components/VoiceAlertCard';
 import CommunityShieldCard from '../components/CommunityShieldCard';
 import SafeHavenMap from '../components/SafeHavenMap';
 import EvidenceCaptureCard from '../components/EvidenceCaptureCard';
+import SafePlacesCard from '../components/SafePlacesCard';
+import { alertService, INCIDENT_SOURCES } from '../services/alertService';
 
 const SafetyFeaturesScreen = ({ navigation }) => {
   const [activeFeatures, setActiveFeatures] = useState({
@@ -28,7 +30,8 @@ const SafetyFeaturesScreen = ({ navigation }) => {
     voiceAlert: false,
     communityShield: false,
     safeHavenMap: false,
-    evidenceCapture: false
+    evidenceCapture: false,
+    safePlaces: false
   });
 
   const [emergencyMode, setEmergencyMode] = useState(false);
@@ -52,7 +55,7 @@ const SafetyFeaturesScreen = ({ navigation }) => {
   const handleEmergencyMode = () => {
     Alert.alert(
       'Emergency Mode',
-      'This will activate all available safety features and send an immediate alert. Continue?',
+      'This will alert your emergency contacts immediately with your location. Continue?',
       [
         { text: 'Cancel', style: 'cancel' },
         { 
@@ -64,17 +67,20 @@ const SafetyFeaturesScreen = ({ navigation }) => {
     );
   };
 
-  const activateEmergencyMode = () => {
+  const activateEmergencyMode = async () => {
     setEmergencyMode(true);
-    // TODO: Trigger all emergency services
-    // - Start evidence recording
-    // - Send community alert
-    // - Start route tracking
-    // - Trigger voice detection
+    // Alerts, community help and evidence recording are fanned out by the dispatcher, and
+    // liveLocationService sends location updates where SMS can be sent automatically
+    const { success } = await alertService.dispatchIncident({
+      source: INCIDENT_SOURCES.MANUAL,
+      severity: 'critical'
+    });
     
     Alert.alert(
       'Emergency Activated',
-      'All safety features have been activated and emergency contacts have been notified.',
+      success
+        ? 'Your emergency contacts have been alerted with your location.'
+        : 'Emergency mode is active, but alerts could not be sent. Contact emergency services directly.',
       [{ text: 'OK' }]
     );
   };
@@ -130,6 +136,10 @@ const SafetyFeaturesScreen = ({ navigation }) => {
             <Text style={styles.statusIcon}>{getFeatureStatusIcon(activeFeatures.evidenceCapture)}</Text>
             <Text style={styles.statusText}>Evidence</Text>
           </View>
+          <View style={styles.statusItem}>
+            <Text style={styles.statusIcon}>{getFeatureStatusIcon(activeFeatures.safePlaces)}</Text>
+            <Text style={styles.statusText}>Safe Places</Text>
+          </View>
         </View>
       </View>
 
@@ -157,6 +167,10 @@ const SafetyFeaturesScreen = ({ navigation }) => {
         <RouteGuardianCard 
           onRouteStateChange={(active, data) => handleFeatureStateChange('routeGuardian', active, data)}
         />
+
+        <SafePlacesCard
+          onPlacesStateChange={(active, data) => handleFeatureStateChange('safePlaces', active, data)}
+        />
         
         <VoiceAlertCard 
           onVoiceStateChange={(active, data) => handleFeatureStateChange('voiceAlert', active, data)}
@@ -249,4 +263,113 @@ const styles = StyleSheet.create({
   },
   statusTitle: {
     fontSize: 16,
-    fontWeight: '600',\n    color: '#333',\n    marginBottom: 12\n  },\n  statusGrid: {\n    flexDirection: 'row',\n    flexWrap: 'wrap',\n    gap: 12\n  },\n  statusItem: {\n    alignItems: 'center',\n    minWidth: 80\n  },\n  statusIcon: {\n    fontSize: 20,\n    marginBottom: 4\n  },\n  statusText: {\n    fontSize: 10,\n    color: '#666',\n    textAlign: 'center'\n  },\n  emergencyButton: {\n    backgroundColor: '#FF3B30',\n    marginHorizontal: 16,\n    marginVertical: 8,\n    borderRadius: 12,\n    padding: 16,\n    alignItems: 'center',\n    shadowColor: '#FF3B30',\n    shadowOffset: { width: 0, height: 4 },\n    shadowOpacity: 0.3,\n    shadowRadius: 8,\n    elevation: 6\n  },\n  emergencyButtonActive: {\n    backgroundColor: '#8E8E93'\n  },\n  emergencyButtonText: {\n    color: '#ffffff',\n    fontSize: 18,\n    fontWeight: 'bold'\n  },\n  scrollView: {\n    flex: 1\n  },\n  scrollContent: {\n    paddingHorizontal: 16,\n    paddingBottom: 100 // Extra space for last card\n  },\n  additionalFeaturesCard: {\n    backgroundColor: '#ffffff',\n    borderRadius: 12,\n    padding: 16,\n    marginVertical: 8,\n    borderWidth: 2,\n    borderColor: '#e3f2fd',\n    borderStyle: 'dashed'\n  },\n  additionalFeaturesTitle: {\n    fontSize: 18,\n    fontWeight: 'bold',\n    color: '#333',\n    marginBottom: 8\n  },\n  additionalFeaturesDescription: {\n    fontSize: 14,\n    color: '#666',\n    marginBottom: 12\n  },\n  comingSoonList: {\n    marginLeft: 8\n  },\n  comingSoonItem: {\n    fontSize: 13,\n    color: '#1976D2',\n    marginBottom: 4,\n    lineHeight: 18\n  },\n  safetyTipsCard: {\n    backgroundColor: '#fff3e0',\n    borderRadius: 12,\n    padding: 16,\n    marginVertical: 8,\n    borderLeftWidth: 4,\n    borderLeftColor: '#FF9500'\n  },\n  safetyTipsTitle: {\n    fontSize: 18,\n    fontWeight: 'bold',\n    color: '#333',\n    marginBottom: 8\n  },\n  safetyTipsDescription: {\n    fontSize: 14,\n    color: '#666',\n    marginBottom: 12\n  },\n  tipsList: {\n    marginLeft: 8\n  },\n  tipItem: {\n    fontSize: 13,\n    color: '#e65100',\n    marginBottom: 4,\n    lineHeight: 18\n  }\n});\n\nexport default SafetyFeaturesScreen;
\ No newline at end of file
+    fontWeight: '600',
+    color: '#333',
+    marginBottom: 12
+  },
+  statusGrid: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 12
+  },
+  statusItem: {
+    alignItems: 'center',
+    minWidth: 80
+  },
+  statusIcon: {
+    fontSize: 20,
+    marginBottom: 4
+  },
+  statusText: {
+    fontSize: 10,
+    color: '#666',
+    textAlign: 'center'
+  },
+  emergencyButton: {
+    backgroundColor: '#FF3B30',
+    marginHorizontal: 16,
+    marginVertical: 8,
+    borderRadius: 12,
+    padding: 16,
+    alignItems: 'center',
+    shadowColor: '#FF3B30',
+    shadowOffset: { width: 0, height: 4 },
+    shadowOpacity: 0.3,
+    shadowRadius: 8,
+    elevation: 6
+  },
+  emergencyButtonActive: {
+    backgroundColor: '#8E8E93'
+  },
+  emergencyButtonText: {
+    color: '#ffffff',
+    fontSize: 18,
+    fontWeight: 'bold'
+  },
+  scrollView: {
+    flex: 1
+  },
+  scrollContent: {
+    paddingHorizontal: 16,
+    paddingBottom: 100 // Extra space for last card
+  },
+  additionalFeaturesCard: {
+    backgroundColor: '#ffffff',
+    borderRadius: 12,
+    padding: 16,
+    marginVertical: 8,
+    borderWidth: 2,
+    borderColor: '#e3f2fd',
+    borderStyle: 'dashed'
+  },
+  additionalFeaturesTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#333',
+    marginBottom: 8
+  },
+  additionalFeaturesDescription: {
+    fontSize: 14,
+    color: '#666',
+    marginBottom: 12
+  },
+  comingSoonList: {
+    marginLeft: 8
+  },
+  comingSoonItem: {
+    fontSize: 13,
+    color: '#1976D2',
+    marginBottom: 4,
+    lineHeight: 18
+  },
+  safetyTipsCard: {
+    backgroundColor: '#fff3e0',
+    borderRadius: 12,
+    padding: 16,
+    marginVertical: 8,
+    borderLeftWidth: 4,
+    borderLeftColor: '#FF9500'
+  },
+  safetyTipsTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#333',
+    marginBottom: 8
+  },
+  safetyTipsDescription: {
+    fontSize: 14,
+    color: '#666',
+    marginBottom: 12
+  },
+  tipsList: {
+    marginLeft: 8
+  },
+  tipItem: {
+    fontSize: 13,
+    color: '#e65100',
+    marginBottom: 4,
+    lineHeight: 18
+  }
+});
+
+export default SafetyFeaturesScreen;
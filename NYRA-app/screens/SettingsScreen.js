@@ -1,11 +1,46 @@
-import React from 'react';
+import React, { useState, useEffect } from 'react';
 import { View, StyleSheet, ScrollView, ActivityIndicator, Alert, Platform } from 'react-native';
-import { Text, List, Switch, Divider, Button, useTheme } from 'react-native-paper';
+import { Text, List, Switch, Divider, Button, IconButton, Portal, Dialog, RadioButton, useTheme } from 'react-native-paper';
 import { SafeAreaView } from 'react-native-safe-area-context';
 import { useNavigation } from '@react-navigation/native';
 import Slider from '@react-native-community/slider';
 import { useSettings } from '../hooks/useSettings';
 import ErrorState from '../components/ErrorState';
+import { escalationService, ESCALATION_STEP_LABELS } from '../services/escalationService';
+import { COUNTRIES, getDeviceCountry } from '../services/phoneNumberService';
+import harModelService from '../services/harModelService';
+import { calibrationService } from '../services/calibrationService';
+import { powerService, POWER_MODES, BATTERY_TIERS } from '../services/powerService';
+import { TRIP_SHARE_DETAIL, TRIP_SHARE_DETAIL_LABELS } from '../services/tripSharingService';
+
+// Options cycled through by tapping the live location rows
+const LIVE_LOCATION_INTERVALS = [2, 5, 10, 15];
+const LIVE_LOCATION_DISTANCES = [100, 250, 500, 1000];
+const QUIET_HOURS_STARTS = [20, 21, 22, 23, 0];
+const QUIET_HOURS_ENDS = [5, 6, 7, 8, 9];
+
+const formatHour = (hour) => `${String(hour).padStart(2, '0')}:00`;
+
+const AUTOMATIC_COUNTRY = 'automatic'; // RadioButton values must be strings; stored as null
+
+const formatCountry = (code) => `${COUNTRIES[code].name} (+${COUNTRIES[code].callingCode})`;
+
+const nextOption = (options, current) => options[(options.indexOf(current) + 1) % options.length];
+
+const POWER_MODE_NAMES = {
+  [POWER_MODES.STATIONARY]: { title: 'Still', icon: 'sofa-outline' },
+  [POWER_MODES.MOVING]: { title: 'Moving', icon: 'walk' },
+  [POWER_MODES.INCIDENT]: { title: 'Emergency', icon: 'alarm-light-outline' },
+};
+
+const formatInterval = (ms) => (ms >= 60000 ? `${Math.round(ms / 60000)} min` : `${Math.round(ms / 1000)}s`);
+
+const formatBattery = ({ battery, batteryTier }) => {
+  if (battery.level === null || battery.level < 0) return 'Battery level unknown';
+  const level = `Battery ${Math.round(battery.level * 100)}%`;
+  if (battery.charging) return `${level}, charging`;
+  return batteryTier === BATTERY_TIERS.NORMAL ? level : `${level}, saving power`;
+};
 
 const sensitivityLabels = {
   0: 'Low',
@@ -17,6 +52,38 @@ export default function SettingsScreen() {
   const navigation = useNavigation();
   const theme = useTheme();
   const { settings, updateSetting, isLoading, error, retry, clearData } = useSettings();
+  const [escalationPolicy, setEscalationPolicy] = useState(escalationService.getPolicy());
+  const [isCountryDialogVisible, setIsCountryDialogVisible] = useState(false);
+  const [calibration, setCalibration] = useState(calibrationService.getProfile());
+  const [powerStatus, setPowerStatus] = useState(powerService.getStatus());
+  const deviceCountry = getDeviceCountry();
+  const activityModel = harModelService.getClassifiers().find(classifier => classifier.id === 'model');
+
+  useEffect(() => {
+    escalationService.loadPolicy().then(policy => setEscalationPolicy({ ...policy }));
+    return escalationService.subscribe((eventType, data) => {
+      if (eventType === 'policyUpdated') setEscalationPolicy({ ...data });
+    });
+  }, []);
+
+  useEffect(() => {
+    powerService.init().then(() => setPowerStatus(powerService.getStatus()));
+    return powerService.subscribe(() => setPowerStatus(powerService.getStatus()));
+  }, []);
+
+  useEffect(() => {
+    calibrationService.load().then(setCalibration);
+    return calibrationService.subscribe(() => setCalibration(calibrationService.getProfile()));
+  }, []);
+
+  const adjustEscalationDelay = (stepId, delta) => {
+    const steps = escalationPolicy.steps.map(step =>
+      step.step === stepId
+        ? { ...step, afterMinutes: Math.max(0, step.afterMinutes + delta) }
+        : step
+    );
+    escalationService.updatePolicy({ steps });
+  };
 
   const handleClearData = () => {
     Alert.alert(
@@ -95,12 +162,48 @@ export default function SettingsScreen() {
               <Text>High</Text>
             </View>
           </View>
+          <List.Item
+            title="Personal Calibration"
+            description={calibration
+              ? `Calibrated on ${new Date(calibration.calibratedAt).toLocaleDateString()}`
+              : 'Using default thresholds. Record your own walking, sitting and running'}
+            left={props => <List.Icon {...props} icon="tune-vertical" />}
+            right={props => <List.Icon {...props} icon="chevron-right" />}
+            onPress={() => navigation.navigate('Calibration')}
+          />
+          {activityModel && (
+            <List.Item
+              title="Use Activity Model"
+              description={settings.activityClassifier === 'model'
+                ? `Activity is recognised by ${activityModel.name}`
+                : 'Activity is recognised by the built-in rules'}
+              left={props => <List.Icon {...props} icon="brain" />}
+              right={props => (
+                <Switch
+                  value={settings.activityClassifier === 'model'}
+                  onValueChange={(value) => {
+                    const id = value ? 'model' : 'rules';
+                    updateSetting('activityClassifier', id);
+                    harModelService.setClassifier(id); // Apply now rather than on the next settings refresh
+                  }}
+                />
+              )}
+            />
+          )}
         </List.Section>
 
         <Divider />
 
         <List.Section>
           <List.Subheader>Alert Preferences 📣</List.Subheader>
+          <List.Item
+            title="Default Country"
+            description={settings.defaultCountry && COUNTRIES[settings.defaultCountry]
+              ? `Numbers without a country code are ${formatCountry(settings.defaultCountry)}`
+              : `Automatic: ${deviceCountry ? formatCountry(deviceCountry) : formatCountry('US')}`}
+            left={props => <List.Icon {...props} icon="earth" />}
+            onPress={() => setIsCountryDialogVisible(true)}
+          />
           <List.Item
             title="Send SMS Alerts"
             left={props => <List.Icon {...props} icon="message-alert-outline" />}
@@ -117,10 +220,132 @@ export default function SettingsScreen() {
             left={props => <List.Icon {...props} icon="map-marker-radius-outline" />}
             right={props => <Switch value={settings.shareLiveLocation} onValueChange={(value) => updateSetting('shareLiveLocation', value)} />}
           />
+          {settings.shareLiveLocation && (
+            <>
+              <List.Item
+                title="Location Update Interval"
+                description={`Send contacts an update every ${settings.liveLocationIntervalMinutes} min during an emergency`}
+                left={props => <List.Icon {...props} icon="timer-sync-outline" />}
+                onPress={() => updateSetting('liveLocationIntervalMinutes', nextOption(LIVE_LOCATION_INTERVALS, settings.liveLocationIntervalMinutes))}
+              />
+              <List.Item
+                title="Location Update Distance"
+                description={`Or sooner after moving ${settings.liveLocationDistanceMeters} m`}
+                left={props => <List.Icon {...props} icon="map-marker-distance" />}
+                onPress={() => updateSetting('liveLocationDistanceMeters', nextOption(LIVE_LOCATION_DISTANCES, settings.liveLocationDistanceMeters))}
+              />
+            </>
+          )}
+          <List.Item
+            title="Quiet Hours"
+            description="Only contacts marked as exceptions get lower-severity alerts at night"
+            left={props => <List.Icon {...props} icon="weather-night" />}
+            right={props => <Switch value={settings.quietHoursEnabled} onValueChange={(value) => updateSetting('quietHoursEnabled', value)} />}
+          />
+          {settings.quietHoursEnabled && (
+            <>
+              <List.Item
+                title="Quiet Hours Start"
+                description={formatHour(settings.quietHoursStart)}
+                left={props => <List.Icon {...props} icon="clock-start" />}
+                onPress={() => updateSetting('quietHoursStart', nextOption(QUIET_HOURS_STARTS, settings.quietHoursStart))}
+              />
+              <List.Item
+                title="Quiet Hours End"
+                description={formatHour(settings.quietHoursEnd)}
+                left={props => <List.Icon {...props} icon="clock-end" />}
+                onPress={() => updateSetting('quietHoursEnd', nextOption(QUIET_HOURS_ENDS, settings.quietHoursEnd))}
+              />
+            </>
+          )}
+          <List.Item
+            title="Request Community Help"
+            description="Ask nearby NYRA users for help in serious emergencies"
+            left={props => <List.Icon {...props} icon="account-group-outline" />}
+            right={props => <Switch value={settings.requestCommunityHelp} onValueChange={(value) => updateSetting('requestCommunityHelp', value)} />}
+          />
+          <List.Item
+            title="Capture Evidence"
+            description="Start discreet recording when an alert is sent"
+            left={props => <List.Icon {...props} icon="record-rec" />}
+            right={props => <Switch value={settings.captureEvidence} onValueChange={(value) => updateSetting('captureEvidence', value)} />}
+          />
+          <List.Item
+            title="Trip Update Detail"
+            description={`Contacts you share a trip with get: ${TRIP_SHARE_DETAIL_LABELS[settings.tripShareDetail] || TRIP_SHARE_DETAIL_LABELS[TRIP_SHARE_DETAIL.STANDARD]}`}
+            left={props => <List.Icon {...props} icon="map-marker-path" />}
+            onPress={() => updateSetting('tripShareDetail', nextOption(Object.values(TRIP_SHARE_DETAIL), settings.tripShareDetail))}
+          />
+          <List.Item
+            title="Incident History"
+            description="Review past alerts and close open incidents"
+            left={props => <List.Icon {...props} icon="history" />}
+            right={props => <List.Icon {...props} icon="chevron-right" />}
+            onPress={() => navigation.navigate('IncidentHistory')}
+          />
         </List.Section>
         
         <Divider />
 
+        <List.Section>
+          <List.Subheader>Battery 🔋</List.Subheader>
+          <List.Item
+            title="Adaptive Sampling"
+            description={`Sample less while you are still or the battery is low. ${formatBattery(powerStatus)}`}
+            left={props => <List.Icon {...props} icon="battery-sync-outline" />}
+            right={props => (
+              <Switch
+                value={settings.adaptiveSampling}
+                onValueChange={(value) => {
+                  updateSetting('adaptiveSampling', value);
+                  powerService.setAdaptiveSampling(value);
+                }}
+              />
+            )}
+          />
+          {powerService.getModeEstimates()
+            .filter(({ mode }) => settings.adaptiveSampling || mode !== POWER_MODES.STATIONARY)
+            .map(({ mode, rates, estimatedImpact }) => (
+              <List.Item
+                key={mode}
+                title={`${POWER_MODE_NAMES[mode].title}: about ${estimatedImpact}% per hour`}
+                description={`Motion ${Math.round(1000 / rates.sensorIntervalMs)}×/s · location every ${formatInterval(rates.locationIntervalMs)}`}
+                left={props => <List.Icon {...props} icon={POWER_MODE_NAMES[mode].icon} />}
+                right={() => (powerStatus.mode === mode
+                  ? <Text style={{ color: theme.colors.primary, alignSelf: 'center' }}>Now</Text>
+                  : null)}
+              />
+            ))}
+        </List.Section>
+
+        <Divider />
+
+        <List.Section>
+          <List.Subheader>Escalation 📈</List.Subheader>
+          <List.Item
+            title="Escalate Unanswered Alerts"
+            description="Alert more people step by step until someone responds"
+            left={props => <List.Icon {...props} icon="stairs-up" />}
+            right={props => <Switch value={escalationPolicy.enabled} onValueChange={(value) => escalationService.updatePolicy({ enabled: value })} />}
+          />
+          {escalationPolicy.enabled && escalationPolicy.steps.map(step => (
+            <List.Item
+              key={step.step}
+              title={ESCALATION_STEP_LABELS[step.step] || step.step}
+              description={step.afterMinutes === 0 ? 'Immediately' : `After ${step.afterMinutes} min without a response`}
+              left={props => <List.Icon {...props} icon="timer-outline" />}
+              right={() => (
+                <View style={styles.stepper}>
+                  <IconButton icon="minus" size={18} onPress={() => adjustEscalationDelay(step.step, -1)} />
+                  <IconButton icon="plus" size={18} onPress={() => adjustEscalationDelay(step.step, 1)} />
+                </View>
+              )}
+            />
+          ))}
+        </List.Section>
+
+        <Divider />
+
         <List.Section>
             <List.Subheader>App Permissions 🔐</List.Subheader>
              <List.Item
@@ -165,6 +390,31 @@ export default function SettingsScreen() {
             </Button>
         </View>
       </ScrollView>
+
+      <Portal>
+        <Dialog visible={isCountryDialogVisible} onDismiss={() => setIsCountryDialogVisible(false)}>
+          <Dialog.Title>Default Country</Dialog.Title>
+          <Dialog.ScrollArea style={styles.countryList}>
+            <ScrollView>
+              <RadioButton.Group
+                value={settings.defaultCountry || AUTOMATIC_COUNTRY}
+                onValueChange={(value) => {
+                  updateSetting('defaultCountry', value === AUTOMATIC_COUNTRY ? null : value);
+                  setIsCountryDialogVisible(false);
+                }}
+              >
+                <RadioButton.Item label="Automatic (device region)" value={AUTOMATIC_COUNTRY} />
+                {Object.keys(COUNTRIES).map(code => (
+                  <RadioButton.Item key={code} label={formatCountry(code)} value={code} />
+                ))}
+              </RadioButton.Group>
+            </ScrollView>
+          </Dialog.ScrollArea>
+          <Dialog.Actions>
+            <Button onPress={() => setIsCountryDialogVisible(false)}>Close</Button>
+          </Dialog.Actions>
+        </Dialog>
+      </Portal>
     </SafeAreaView>
   );
 }
@@ -187,6 +437,14 @@ const styles = StyleSheet.create({
     paddingHorizontal: 12,
     marginTop: 8,
   },
+  countryList: {
+    maxHeight: 420,
+    paddingHorizontal: 0,
+  },
+  stepper: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
   buttonContainer: {
     paddingHorizontal: 20,
     paddingVertical: 24,
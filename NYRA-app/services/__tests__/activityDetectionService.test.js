@@ -0,0 +1,95 @@
+import ActivityDetectionService from '../activityDetectionService';
+import { alertService, INCIDENT_SOURCES } from '../alertService';
+import { detectionFeedbackService, DETECTORS } from '../detectionFeedbackService';
+
+jest.mock('../secureStorageService', () => ({
+  secureStorage: { getItem: jest.fn(async () => null), setItem: jest.fn(async () => {}) },
+}));
+jest.mock('../alertService', () => ({
+  INCIDENT_SOURCES: { FALL: 'fall', SUDDEN_STOP: 'sudden_stop' },
+  alertService: {
+    openCountdown: jest.fn(async () => ({ id: 'incident_1' })),
+    cancelCountdown: jest.fn(async () => {}),
+    dispatchIncident: jest.fn(async () => ({ incident: { id: 'incident_1' } })),
+  },
+}));
+jest.mock('../detectionFeedbackService', () => ({
+  DETECTORS: { FALL: 'fall', SUDDEN_STOP: 'sudden_stop' },
+  detectionFeedbackService: {
+    subscribe: jest.fn(),
+    load: jest.fn(async () => {}),
+    getThresholdScale: jest.fn(() => 1),
+    recordDetection: jest.fn(async () => ({ id: 'detection_1' })),
+  },
+}));
+jest.mock('../sensorService', () => ({ subscribeToSensorData: jest.fn(() => () => {}) }));
+jest.mock('../harModelService', () => ({ subscribeToActivity: jest.fn(() => () => {}) }));
+
+const suddenStop = () => ({ type: 'SUDDEN_STOP', severity: 'HIGH', score: 3, threshold: 2, features: { movementDrop: 0.95 } });
+// Lets the awaited incident and detection records settle
+const flush = () => new Promise(jest.requireActual('timers').setImmediate);
+
+describe('sudden stop alerts', () => {
+  let service;
+  let cancelOptions;
+
+  beforeEach(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.clearAllMocks();
+    service = new ActivityDetectionService();
+    await service.startMonitoring();
+    service.config.emergencyTimeout = 3000;
+    cancelOptions = [];
+    service.subscribe('showSuddenStopCancelOption', option => cancelOptions.push(option));
+  });
+
+  afterEach(() => service.stopMonitoring());
+
+  it('opens a countdown and alerts contacts when it runs out', async () => {
+    const anomaly = suddenStop();
+    service.handleActivityUpdate({ name: 'IDLE', confidence: 0.8, anomaly });
+    await flush();
+
+    expect(alertService.openCountdown).toHaveBeenCalledWith(expect.objectContaining({ source: INCIDENT_SOURCES.SUDDEN_STOP }));
+    expect(detectionFeedbackService.recordDetection).toHaveBeenCalledWith(expect.objectContaining({
+      detector: DETECTORS.SUDDEN_STOP, incidentId: 'incident_1', score: 3, threshold: 2, confidence: 0.8,
+    }));
+    expect(cancelOptions).toHaveLength(1);
+
+    jest.advanceTimersByTime(3000);
+    await flush();
+    expect(alertService.dispatchIncident).toHaveBeenCalledWith(expect.objectContaining({
+      source: INCIDENT_SOURCES.SUDDEN_STOP,
+      incidentId: 'incident_1',
+    }));
+  });
+
+  it('cancels the incident when the user is okay', async () => {
+    service.handleActivityUpdate({ name: 'IDLE', confidence: 0.8, anomaly: suddenStop() });
+    await flush();
+    cancelOptions[0].onCancel();
+    jest.advanceTimersByTime(3000);
+    await flush();
+
+    expect(alertService.cancelCountdown).toHaveBeenCalledWith('incident_1', 'Sudden stop alert cancelled by user');
+    expect(alertService.dispatchIncident).not.toHaveBeenCalled();
+  });
+
+  it('raises each anomaly once and one countdown at a time', async () => {
+    const anomaly = suddenStop();
+    service.handleActivityUpdate({ name: 'IDLE', confidence: 0.8, anomaly });
+    service.handleActivityUpdate({ name: 'IDLE', confidence: 0.8, anomaly });
+    service.handleActivityUpdate({ name: 'IDLE', confidence: 0.8, anomaly: suddenStop() });
+    await flush();
+
+    expect(alertService.openCountdown).toHaveBeenCalledTimes(1);
+  });
+
+  it('ignores sudden stops while not monitoring', async () => {
+    await service.stopMonitoring();
+    service.handleActivityUpdate({ name: 'IDLE', confidence: 0.8, anomaly: suddenStop() });
+    await flush();
+
+    expect(alertService.openCountdown).not.toHaveBeenCalled();
+  });
+});
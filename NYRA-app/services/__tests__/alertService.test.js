@@ -0,0 +1,74 @@
+import { alertService, INCIDENT_SOURCES } from '../alertService';
+import { escalationService } from '../escalationService';
+import { smsService } from '../smsService';
+import { emailService } from '../emailService';
+
+jest.mock('../storageService', () => ({
+  loadContacts: jest.fn(async () => [
+    { id: 'mum', name: 'Mum', phone: '+447700900001', role: 'family' },
+    { id: 'police', name: 'Police', phone: '+447700900999', role: 'authority' },
+  ]),
+  loadSettings: jest.fn(async () => ({ sendSmsAlerts: true, sendEmailAlerts: true })),
+}));
+jest.mock('../locationService', () => ({
+  locationService: { getLastKnownLocation: jest.fn(() => null), getCurrentLocation: jest.fn(async () => null) },
+}));
+jest.mock('../smsService', () => ({
+  smsService: { sendEmergencySMS: jest.fn(async () => ({ success: true, sent: 1, failed: 0, total: 1 })) },
+}));
+jest.mock('../emailService', () => ({ emailService: { sendEmergencyEmail: jest.fn(async () => true) } }));
+jest.mock('../communityResponseService', () => ({ communityResponseService: { getIsActive: jest.fn(() => false) } }));
+jest.mock('../evidenceCaptureService', () => ({ evidenceCaptureService: {} }));
+jest.mock('../incidentService', () => ({
+  INCIDENT_STATES: { PENDING_COUNTDOWN: 'pending_countdown', DISPATCHED: 'dispatched' },
+  incidentService: {
+    getIncident: jest.fn(() => null),
+    isTerminal: jest.fn(() => false),
+    openIncident: jest.fn(async () => {}),
+    updateIncident: jest.fn(async () => {}),
+  },
+}));
+jest.mock('../escalationService', () => ({
+  ESCALATION_LEVEL_START: {},
+  escalationService: {
+    isEnabled: jest.fn(() => true),
+    start: jest.fn(async () => ({})),
+    markContactsAlerted: jest.fn(async () => {}),
+  },
+}));
+
+const dispatch = () => alertService.dispatchIncident({ source: INCIDENT_SOURCES.MANUAL });
+const messagedNames = (send) => send.mock.calls[0][0].map(contact => contact.name);
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  jest.clearAllMocks();
+  alertService.clearActiveIncident();
+});
+
+describe('dispatchIncident with escalation enabled', () => {
+  it('leaves alerting to the ladder when it reaches someone', async () => {
+    escalationService.start.mockResolvedValueOnce({ sms: { success: true, sent: 1, failed: 0, total: 1 } });
+    const { success } = await dispatch();
+
+    expect(success).toBe(true);
+    expect(smsService.sendEmergencySMS).not.toHaveBeenCalled();
+    expect(emailService.sendEmergencyEmail).not.toHaveBeenCalled();
+  });
+
+  it.each([
+    ['fails to start', () => escalationService.start.mockRejectedValueOnce(new Error('Storage unavailable'))],
+    ['alerts no one', () => escalationService.start.mockResolvedValueOnce({})],
+  ])('alerts personal contacts directly when the ladder %s', async (_, arrange) => {
+    arrange();
+    const { success, results } = await dispatch();
+
+    expect(messagedNames(smsService.sendEmergencySMS)).toEqual(['Mum']);
+    expect(messagedNames(emailService.sendEmergencyEmail)).toEqual(['Mum']);
+    expect(escalationService.markContactsAlerted).toHaveBeenCalledWith([expect.objectContaining({ id: 'mum' })]);
+    expect(results.sms.success).toBe(true);
+    expect(success).toBe(true);
+  });
+});
@@ -0,0 +1,103 @@
+import {
+  computeThresholdScale,
+  computeMetrics,
+  detectionFeedbackService,
+  DETECTORS,
+  FEEDBACK_LABELS,
+  LABEL_SOURCES,
+} from '../detectionFeedbackService';
+import { incidentService, INCIDENT_STATES } from '../incidentService';
+import { secureStorage } from '../secureStorageService';
+
+jest.mock('../secureStorageService', () => ({
+  secureStorage: { getItem: jest.fn(async () => null), setItem: jest.fn(async () => {}) },
+}));
+jest.mock('../incidentService', () => ({
+  INCIDENT_STATES: { CANCELLED: 'cancelled', RESOLVED: 'resolved', FALSE_ALARM: 'false_alarm' },
+  incidentService: { subscribe: jest.fn() },
+}));
+
+const [[onIncidentEvent]] = incidentService.subscribe.mock.calls;
+
+const { CONFIRMED, FALSE_ALARM, MISSED } = FEEDBACK_LABELS;
+// Lets the load and label started by an incident event settle
+const flush = () => new Promise(jest.requireActual('timers').setImmediate);
+
+// score / threshold is the detection's margin over the unadapted threshold
+const detection = (label, margin = null) => ({ label, score: margin, threshold: margin === null ? null : 1 });
+
+describe('computeThresholdScale', () => {
+  it('leaves the threshold alone with fewer than three labels', () => {
+    expect(computeThresholdScale([detection(FALSE_ALARM, 1.1), detection(FALSE_ALARM, 1.2), detection(null, 1)])).toBe(1);
+  });
+
+  it('raises the threshold just above recorded false alarms', () => {
+    const detections = [detection(FALSE_ALARM, 1.05), detection(FALSE_ALARM, 1.1), detection(FALSE_ALARM, 1)];
+    expect(computeThresholdScale(detections)).toBe(1.12);
+  });
+
+  it('stops short of silencing a confirmed event', () => {
+    // Silencing the 1.1 false alarm would also silence the real event at 1.08
+    const detections = [detection(FALSE_ALARM, 1.05), detection(CONFIRMED, 1.08), detection(FALSE_ALARM, 1.1), detection(FALSE_ALARM, 1)];
+    expect(computeThresholdScale(detections)).toBe(1.07);
+  });
+
+  it('lowers the threshold for each missed event', () => {
+    expect(computeThresholdScale([detection(MISSED), detection(MISSED), detection(MISSED)])).toBe(0.91);
+  });
+
+  it('keeps the scale within its limits', () => {
+    expect(computeThresholdScale([detection(FALSE_ALARM, 2), detection(FALSE_ALARM, 2), detection(FALSE_ALARM, 2)])).toBe(1.3);
+    expect(computeThresholdScale(Array.from({ length: 10 }, () => detection(MISSED)))).toBe(0.85);
+  });
+
+  it('only counts the 50 most recent labels', () => {
+    const older = Array.from({ length: 10 }, () => detection(FALSE_ALARM, 1.2));
+    const recent = Array.from({ length: 50 }, () => detection(CONFIRMED, 1.5));
+    expect(computeThresholdScale([...recent, ...older])).toBe(1);
+  });
+});
+
+describe('computeMetrics', () => {
+  it('gives precision and recall from the labels', () => {
+    const detections = [detection(CONFIRMED), detection(CONFIRMED), detection(FALSE_ALARM), detection(MISSED), detection(null)];
+
+    expect(computeMetrics(detections)).toEqual({
+      truePositives: 2,
+      falsePositives: 1,
+      falseNegatives: 1,
+      unlabelled: 1,
+      precision: 2 / 3,
+      recall: 2 / 3,
+    });
+  });
+
+  it('has no precision or recall without labels', () => {
+    expect(computeMetrics([detection(null)])).toMatchObject({ precision: null, recall: null, unlabelled: 1 });
+  });
+});
+
+describe('labelling from incidents', () => {
+  const stored = {
+    id: 'detection_1',
+    detector: DETECTORS.FALL,
+    incidentId: 'incident_1',
+    score: 0.7,
+    threshold: 0.6,
+    label: null,
+    labelSource: null,
+  };
+
+  it('loads stored detections before labelling one whose incident closed', async () => {
+    secureStorage.getItem.mockResolvedValueOnce(JSON.stringify([stored]));
+    onIncidentEvent('incidentTransitioned', { incident: { id: 'incident_1' }, to: INCIDENT_STATES.CANCELLED });
+    await flush();
+
+    expect(detectionFeedbackService.getDetections()).toEqual([expect.objectContaining({
+      id: 'detection_1',
+      label: FALSE_ALARM,
+      labelSource: LABEL_SOURCES.COUNTDOWN,
+    })]);
+    expect(JSON.parse(secureStorage.setItem.mock.calls[0][1])[0].label).toBe(FALSE_ALARM);
+  });
+});
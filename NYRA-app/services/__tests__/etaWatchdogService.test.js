@@ -0,0 +1,225 @@
+import { AppState } from 'react-native';
+import * as Notifications from 'expo-notifications';
+import { etaWatchdogService, WATCHDOG_REASONS } from '../etaWatchdogService';
+import { alertService, INCIDENT_SOURCES } from '../alertService';
+
+jest.mock('expo-notifications', () => ({
+  scheduleNotificationAsync: jest.fn(async () => 'reminder_1'),
+  cancelScheduledNotificationAsync: jest.fn(async () => {}),
+  SchedulableTriggerInputTypes: { DATE: 'date' },
+}));
+jest.mock('../secureStorageService', () => ({
+  secureStorage: {
+    getItem: jest.fn(async () => null),
+    setItem: jest.fn(async () => {}),
+    removeItem: jest.fn(async () => {}),
+  },
+}));
+jest.mock('../locationService', () => ({
+  locationService: {
+    subscribeToLocation: jest.fn(() => () => {}),
+    getCurrentLocation: jest.fn(async () => null),
+  },
+}));
+jest.mock('../alertService', () => ({
+  INCIDENT_SOURCES: { ROUTE_GUARDIAN: 'route_guardian' },
+  alertService: { dispatchIncident: jest.fn(async () => ({ incident: { id: 'incident_1' } })) },
+}));
+
+const { OVERDUE, STALLED, SILENT } = WATCHDOG_REASONS;
+const MINUTE = 60000;
+const START = new Date(2026, 9, 19, 21, 0).getTime();
+
+const home = { latitude: 51.5, longitude: -0.12 };
+// About 11 m and 111 m north of the start
+const nearby = { latitude: 51.5001, longitude: -0.12 };
+const farther = { latitude: 51.501, longitude: -0.12 };
+
+const setTime = (ms) => jest.setSystemTime(START + ms);
+
+// A 10-minute walk gets the minimum 5 minutes of grace: overdue 15 minutes after starting
+const startTrip = (etaSeconds = 600) =>
+  etaWatchdogService.startTrip({ routeId: 1, destination: home, destinationName: 'Home', etaSeconds });
+
+let events;
+
+beforeEach(async () => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  await etaWatchdogService.endTrip('test');
+  jest.clearAllMocks();
+  setTime(0);
+  AppState.currentState = 'active';
+  events = [];
+  etaWatchdogService.listeners = [(type, data) => events.push({ type, data })];
+});
+
+afterAll(() => etaWatchdogService.endTrip('test'));
+
+describe('getConcern', () => {
+  it('has no concern while the trip is on plan', async () => {
+    await startTrip();
+    expect(etaWatchdogService.getConcern(START + 4 * MINUTE)).toBeNull();
+  });
+
+  it('is overdue from the deadline', async () => {
+    await startTrip();
+
+    expect(etaWatchdogService.trip.deadline).toBe(START + 15 * MINUTE);
+    expect(etaWatchdogService.getConcern(START + 15 * MINUTE)).toBe(OVERDUE);
+  });
+
+  it('gives long walks a quarter of their ETA as grace', async () => {
+    await startTrip(3600);
+    expect(etaWatchdogService.trip.deadline).toBe(START + 75 * MINUTE);
+  });
+
+  it('is silent after 5 minutes without a sign of life', async () => {
+    await startTrip(3600);
+
+    expect(etaWatchdogService.getConcern(START + 5 * MINUTE - 1)).toBeNull();
+    expect(etaWatchdogService.getConcern(START + 5 * MINUTE)).toBe(SILENT);
+  });
+
+  it('puts overdue before silent', async () => {
+    await startTrip();
+    expect(etaWatchdogService.getConcern(START + 60 * MINUTE)).toBe(OVERDUE);
+  });
+
+  it('is stalled after 10 minutes within 40 m of one spot', async () => {
+    await startTrip(3600);
+    await etaWatchdogService.recordProgress(home);
+    for (const minute of [3, 6, 9]) {
+      setTime(minute * MINUTE);
+      await etaWatchdogService.recordProgress(nearby);
+    }
+
+    expect(etaWatchdogService.getConcern(START + 10 * MINUTE)).toBe(STALLED);
+  });
+
+  it('is not stalled after moving on', async () => {
+    await startTrip(3600);
+    await etaWatchdogService.recordProgress(home);
+    setTime(9 * MINUTE);
+    await etaWatchdogService.recordProgress(farther);
+
+    expect(etaWatchdogService.getConcern(START + 10 * MINUTE)).toBeNull();
+  });
+});
+
+describe('check', () => {
+  it('asks the user to check in when something is wrong', async () => {
+    await startTrip();
+    setTime(15 * MINUTE);
+    await etaWatchdogService.check();
+
+    expect(etaWatchdogService.trip.checkIn).toMatchObject({
+      reason: OVERDUE,
+      promptedAt: START + 15 * MINUTE,
+      expiresAt: START + 18 * MINUTE,
+    });
+    expect(events.map(event => event.type)).toContain('checkInRequired');
+    // The app is open, so the only notification is the deadline reminder from the start
+    expect(Notifications.scheduleNotificationAsync).toHaveBeenCalledTimes(1);
+  });
+
+  it('notifies the user when the app is in the background', async () => {
+    await startTrip(3600);
+    AppState.currentState = 'background';
+    setTime(5 * MINUTE);
+    await etaWatchdogService.check();
+
+    expect(Notifications.scheduleNotificationAsync).toHaveBeenLastCalledWith({
+      content: expect.objectContaining({ title: '⏱️ Are you okay?', data: { routeId: 1, reason: SILENT } }),
+      trigger: null,
+    });
+  });
+
+  it('does nothing while the trip is on plan', async () => {
+    await startTrip();
+    setTime(4 * MINUTE);
+    await etaWatchdogService.check();
+
+    expect(etaWatchdogService.trip.checkIn).toBeNull();
+  });
+
+  it('waits for an answer, then alerts contacts once', async () => {
+    await startTrip();
+    await etaWatchdogService.recordProgress(home);
+    setTime(15 * MINUTE);
+    await etaWatchdogService.check();
+
+    setTime(18 * MINUTE - 1);
+    await etaWatchdogService.check();
+    expect(alertService.dispatchIncident).not.toHaveBeenCalled();
+
+    setTime(18 * MINUTE);
+    await etaWatchdogService.check();
+    await etaWatchdogService.check();
+
+    expect(alertService.dispatchIncident).toHaveBeenCalledTimes(1);
+    expect(alertService.dispatchIncident).toHaveBeenCalledWith(expect.objectContaining({
+      source: INCIDENT_SOURCES.ROUTE_GUARDIAN,
+      severity: 'high',
+      location: { coords: home, timestamp: START },
+      details: expect.objectContaining({ reason: OVERDUE, routeId: 1, destinationName: 'Home' }),
+    }));
+    expect(etaWatchdogService.getStatus()).toMatchObject({ escalated: true, checkIn: null });
+    expect(events.map(event => event.type)).toContain('lateArrivalAlertSent');
+  });
+
+  it('retries alerting contacts when the dispatch fails', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    alertService.dispatchIncident.mockRejectedValueOnce(new Error('Storage unavailable'));
+    await startTrip();
+    setTime(15 * MINUTE);
+    await etaWatchdogService.check();
+    setTime(18 * MINUTE);
+    await etaWatchdogService.check();
+
+    expect(etaWatchdogService.getStatus()).toMatchObject({ escalated: false, checkIn: null });
+    expect(etaWatchdogService.trip.pendingEscalation).toBe(OVERDUE);
+
+    setTime(18 * MINUTE + 30000);
+    await etaWatchdogService.check();
+    expect(alertService.dispatchIncident).toHaveBeenCalledTimes(2);
+    expect(alertService.dispatchIncident).toHaveBeenLastCalledWith(expect.objectContaining({
+      details: expect.objectContaining({ reason: OVERDUE }),
+    }));
+    expect(etaWatchdogService.getStatus().escalated).toBe(true);
+  });
+
+  it('gives more time when the user answers an overdue check-in', async () => {
+    await startTrip();
+    setTime(15 * MINUTE);
+    await etaWatchdogService.check();
+    setTime(16 * MINUTE);
+    await etaWatchdogService.respondToCheckIn(true);
+
+    expect(etaWatchdogService.trip.checkIn).toBeNull();
+    expect(etaWatchdogService.trip.deadline).toBe(START + 26 * MINUTE);
+
+    // Past the first deadline, within the new one
+    setTime(20 * MINUTE);
+    await etaWatchdogService.check();
+    expect(etaWatchdogService.trip.checkIn).toBeNull();
+    expect(alertService.dispatchIncident).not.toHaveBeenCalled();
+  });
+
+  it('alerts contacts at once when the user says they are not safe', async () => {
+    await startTrip();
+    setTime(15 * MINUTE);
+    await etaWatchdogService.check();
+    await etaWatchdogService.respondToCheckIn(false);
+
+    expect(alertService.dispatchIncident).toHaveBeenCalledWith(expect.objectContaining({
+      severity: 'critical',
+      details: expect.objectContaining({ reason: 'user_indicated_unsafe' }),
+    }));
+  });
+
+  it('does nothing without a trip', async () => {
+    await expect(etaWatchdogService.check()).resolves.toBeUndefined();
+    expect(events).toEqual([]);
+  });
+});
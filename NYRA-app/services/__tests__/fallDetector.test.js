@@ -0,0 +1,178 @@
+// Stage-by-stage checks on shaped readings. The corpus test covers recorded-style traces
+
+import { FallDetector, FALL_PHASES, FALL_PROFILES, PHONE_PLACEMENTS } from '../fallDetector';
+
+const { FREE_FALL, IMPACT, ORIENTATION, INACTIVITY } = FALL_PHASES;
+
+const INTERVAL_MS = 100;
+
+// Readings in g; `fields` is an object or a function of the reading's index in the segment
+const segment = (count, fields) =>
+  Array.from({ length: count }, (_, i) => (typeof fields === 'function' ? fields(i) : fields));
+
+const standingInPocket = segment(20, { ay: 1 });
+const heldFlat = segment(20, { az: 1 });
+const freeFall = (count, g = 0.3) => segment(count, { ay: g });
+const impact = (g) => segment(1, { ay: g });
+// On their back, breathing
+const lyingStill = segment(55, i => ({ az: i % 2 === 0 ? 0.98 : 1.02 }));
+const gettingUp = segment(55, i => ({ ay: i % 2 === 0 ? 0.6 : 1.4, gx: 1 }));
+
+// Replays segments at 10 Hz; returns every evaluation with the index of the reading that gave it
+const play = (detector, ...segments) => {
+  const evaluations = [];
+  segments.flat().forEach((fields, i) => {
+    const reading = { ax: 0, ay: 0, az: 0, gx: 0, gy: 0, gz: 0, ...fields, timestamp: i * INTERVAL_MS };
+    const evaluation = detector.process(reading);
+    if (evaluation) evaluations.push({ ...evaluation, index: i });
+  });
+  return evaluations;
+};
+
+const impactTimeAfter = (...segments) => segments.flat().length * INTERVAL_MS;
+
+describe('FallDetector', () => {
+  it('matches every phase of a fall from standing', () => {
+    const evaluations = play(new FallDetector(), standingInPocket, freeFall(3), impact(3), lyingStill);
+
+    expect(evaluations).toHaveLength(1);
+    const [evaluation] = evaluations;
+    expect(evaluation).toMatchObject({
+      detected: true,
+      placement: PHONE_PLACEMENTS.POCKET,
+      rejectedAs: null,
+      matchedPhases: [FREE_FALL, IMPACT, ORIENTATION, INACTIVITY],
+      impactTime: impactTimeAfter(standingInPocket, freeFall(3)),
+    });
+    expect(evaluation.phases.freeFall).toMatchObject({ durationMs: 300, minMagnitude: 0.3 });
+    expect(evaluation.phases.impact.peak).toBe(3);
+    expect(evaluation.phases.orientation.angle).toBeCloseTo(90, 0);
+    expect(evaluation.phases.inactivity).toMatchObject({ accelStd: 0.02, gyroMean: 0 });
+  });
+
+  it('waits for the settle and inactivity windows before judging', () => {
+    const [evaluation] = play(new FallDetector(), standingInPocket, freeFall(3), impact(3), lyingStill);
+    const { settleMs, inactivityMs } = FALL_PROFILES[PHONE_PLACEMENTS.POCKET];
+
+    expect(evaluation.evaluatedAt - evaluation.impactTime).toBe(settleMs + inactivityMs);
+  });
+
+  it('scores each phase from its measurements', () => {
+    const [evaluation] = play(new FallDetector(), standingInPocket, freeFall(3), impact(3), lyingStill);
+    const { phases } = evaluation;
+
+    // Free-fall: half depth below the threshold, half duration against 3x the minimum
+    expect(phases.freeFall.confidence).toBeCloseTo(0.5 * (0.7 - 0.3) / 0.7 + 0.5, 3);
+    // Impact: 1 at twice the threshold's excess over 1 g
+    expect(phases.impact.confidence).toBe(1);
+    expect(phases.orientation.confidence).toBeCloseTo(1, 3);
+    // Inactivity: 0.5 plus half the remaining stillness
+    expect(phases.inactivity.confidence).toBeCloseTo(0.5 + 0.5 * (1 - 0.5 * (0.02 / 0.06)), 3);
+
+    const { weights } = FALL_PROFILES[PHONE_PLACEMENTS.POCKET];
+    const score = Object.keys(weights).reduce((total, phase) => total + weights[phase] * phases[phase].confidence, 0);
+    expect(evaluation.confidence).toBeCloseTo(score, 2);
+  });
+
+  it('lets a soft fall through without free-fall when the rest is convincing', () => {
+    const [evaluation] = play(new FallDetector(), standingInPocket, impact(3), lyingStill);
+
+    expect(evaluation.detected).toBe(true);
+    expect(evaluation.matchedPhases).toEqual([IMPACT, ORIENTATION, INACTIVITY]);
+  });
+
+  it('does not report a fall when the person gets up', () => {
+    const [evaluation] = play(new FallDetector(), standingInPocket, freeFall(3), impact(3), gettingUp);
+
+    expect(evaluation.detected).toBe(false);
+    expect(evaluation.phases.inactivity.matched).toBe(false);
+  });
+
+  it('ignores bumps below the impact threshold', () => {
+    expect(play(new FallDetector(), standingInPocket, freeFall(3), impact(1.8), lyingStill)).toEqual([]);
+  });
+
+  it('rejects a phone that falls freely and lies flat and perfectly still', () => {
+    const dropped = segment(5, { az: 0.05 });
+    const [evaluation] = play(new FallDetector(), heldFlat, dropped, segment(1, { az: 3 }), segment(55, { az: 1 }));
+
+    expect(evaluation).toMatchObject({ detected: false, rejectedAs: 'drop', placement: PHONE_PLACEMENTS.HAND });
+    expect(evaluation.phases.freeFall).toMatchObject({ matched: true, durationMs: 500 });
+    expect(evaluation.phases.orientation.matched).toBe(false);
+  });
+
+  it('scores a drop-like fall lower instead of rejecting it when the phone turned over', () => {
+    const dropped = segment(5, { ay: 0.05 });
+    const [evaluation] = play(new FallDetector(), standingInPocket, dropped, impact(3), segment(55, { az: 1 }));
+    const { weights } = FALL_PROFILES[PHONE_PLACEMENTS.POCKET];
+    const score = Object.keys(weights).reduce((total, phase) =>
+      total + weights[phase] * evaluation.phases[phase].confidence, 0);
+
+    expect(evaluation).toMatchObject({ detected: true, rejectedAs: null, dropLike: true });
+    expect(evaluation.phases.orientation.matched).toBe(true);
+    expect(evaluation.confidence).toBeCloseTo(score - 0.15, 2);
+  });
+
+  describe('placement', () => {
+    it('reads an upright phone as in a pocket and a flat one as in the hand', () => {
+      const [pocket] = play(new FallDetector(), standingInPocket, impact(3), lyingStill);
+      const [hand] = play(new FallDetector(), heldFlat, segment(1, { az: 3 }), lyingStill);
+
+      expect(pocket.placement).toBe(PHONE_PLACEMENTS.POCKET);
+      expect(hand.placement).toBe(PHONE_PLACEMENTS.HAND);
+    });
+
+    it('uses the hand thresholds when the placement is set', () => {
+      const detector = new FallDetector({ placement: PHONE_PLACEMENTS.HAND });
+      // 2.2 g starts a candidate in a pocket (2.0 g) but not in the hand (2.5 g)
+      expect(play(detector, standingInPocket, impact(2.2), lyingStill)).toEqual([]);
+      expect(play(new FallDetector(), standingInPocket, impact(2.2), lyingStill)).toHaveLength(1);
+    });
+  });
+
+  describe('sensitivity and feedback', () => {
+    it('scales the impact threshold and detection score', () => {
+      const pocket = FALL_PROFILES[PHONE_PLACEMENTS.POCKET];
+      const low = new FallDetector({ sensitivity: 'low' }).getProfile(PHONE_PLACEMENTS.POCKET);
+      const high = new FallDetector({ sensitivity: 'high' }).getProfile(PHONE_PLACEMENTS.POCKET);
+
+      expect(low.impactThreshold).toBeCloseTo(pocket.impactThreshold * 1.2, 10);
+      expect(low.detectionScore).toBeCloseTo(pocket.detectionScore + 0.1, 10);
+      expect(high.impactThreshold).toBeCloseTo(pocket.impactThreshold * 0.85, 10);
+      expect(high.detectionScore).toBeCloseTo(pocket.detectionScore - 0.1, 10);
+      expect(new FallDetector({ sensitivity: 'extreme' }).sensitivity).toBe('medium');
+    });
+
+    it('needs a harder impact at low sensitivity', () => {
+      // 2.2 g is above the medium pocket threshold (2.0 g) but below the low one (2.4 g)
+      expect(play(new FallDetector({ sensitivity: 'low' }), standingInPocket, impact(2.2), lyingStill)).toEqual([]);
+    });
+
+    it('raises the detection score by the feedback scale', () => {
+      const detector = new FallDetector();
+      detector.setThresholdScale(1.5);
+      const [evaluation] = play(detector, standingInPocket, impact(3), lyingStill);
+
+      // The soft fall scores about 0.83, under 0.6 x 1.5
+      expect(evaluation.detected).toBe(false);
+      expect(evaluation.threshold).toBe(0.6);
+      expect(evaluation.thresholdScale).toBe(1.5);
+    });
+
+    it('ignores an invalid feedback scale', () => {
+      const detector = new FallDetector();
+      detector.setThresholdScale(0);
+      expect(detector.getProfile(PHONE_PLACEMENTS.POCKET).detectionScore).toBe(0.6);
+    });
+  });
+
+  it('starts over after reset', () => {
+    const detector = new FallDetector();
+    play(detector, standingInPocket, impact(3));
+    expect(detector.candidate).not.toBeNull();
+
+    detector.reset();
+    expect(detector.candidate).toBeNull();
+    expect(detector.history).toEqual([]);
+  });
+});
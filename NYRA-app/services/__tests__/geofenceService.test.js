@@ -0,0 +1,105 @@
+import { geofenceService, GEOFENCE_EVENTS, DEFAULT_PLACE_ACTIONS } from '../geofenceService';
+import { backgroundProtectionService } from '../backgroundProtectionService';
+import { incidentService } from '../incidentService';
+import { smsService } from '../smsService';
+
+jest.mock('../secureStorageService', () => ({
+  secureStorage: { getItem: jest.fn(async () => null), setItem: jest.fn(async () => {}) },
+}));
+jest.mock('../storageService', () => ({
+  loadContacts: jest.fn(async () => []),
+  loadSettings: jest.fn(async () => ({})),
+}));
+jest.mock('../smsService', () => ({ smsService: { sendPlaceUpdateSMS: jest.fn() } }));
+jest.mock('../incidentService', () => ({
+  incidentService: { load: jest.fn(async () => []), getActiveIncident: jest.fn(() => null) },
+}));
+jest.mock('../backgroundProtectionService', () => ({
+  backgroundProtectionService: { isActive: jest.fn(), start: jest.fn(), stop: jest.fn() },
+}));
+jest.mock('../virtualCompanionService', () => ({ virtualCompanionService: {} }));
+jest.mock('../routeGuardianService', () => ({ routeGuardianService: {} }));
+
+const { ENTER, EXIT } = GEOFENCE_EVENTS;
+const MINUTE = 60000;
+
+// Home with the default actions: protection off on arrival, on when leaving
+const addHome = () => {
+  geofenceService.places = [{
+    id: 'home',
+    name: 'Home',
+    actions: DEFAULT_PLACE_ACTIONS,
+    notifyContacts: { arrival: true, departure: true },
+  }];
+};
+
+let now;
+let protectionOn;
+
+beforeEach(async () => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.clearAllMocks();
+  now = 1_000_000;
+  jest.spyOn(Date, 'now').mockImplementation(() => now);
+  protectionOn = true;
+  backgroundProtectionService.isActive.mockImplementation(() => protectionOn);
+  backgroundProtectionService.start.mockImplementation(async () => { protectionOn = true; });
+  backgroundProtectionService.stop.mockImplementation(async () => { protectionOn = false; });
+  jest.spyOn(geofenceService, 'showEventNotification').mockResolvedValue();
+  await geofenceService.load();
+  addHome();
+});
+
+describe('handleRegionEvent', () => {
+  it('runs the place actions and lets contacts know', async () => {
+    await geofenceService.handleRegionEvent(ENTER, 'home');
+
+    expect(backgroundProtectionService.stop).toHaveBeenCalled();
+    expect(smsService.sendPlaceUpdateSMS).toHaveBeenCalledTimes(1);
+    expect(geofenceService.getPlace('home').lastEvent).toEqual({ type: ENTER, at: now });
+  });
+
+  it('ignores a repeat of the last event', async () => {
+    await geofenceService.handleRegionEvent(ENTER, 'home');
+    now += 10 * MINUTE;
+    await geofenceService.handleRegionEvent(ENTER, 'home');
+
+    expect(backgroundProtectionService.stop).toHaveBeenCalledTimes(1);
+    expect(smsService.sendPlaceUpdateSMS).toHaveBeenCalledTimes(1);
+  });
+
+  it('still switches protection on when leaving straight after arriving', async () => {
+    await geofenceService.handleRegionEvent(ENTER, 'home');
+    now += MINUTE;
+    await geofenceService.handleRegionEvent(EXIT, 'home');
+
+    expect(backgroundProtectionService.start).toHaveBeenCalledTimes(1);
+    expect(protectionOn).toBe(true);
+    // Contacts are not told about a crossing that may be jitter
+    expect(smsService.sendPlaceUpdateSMS).toHaveBeenCalledTimes(1);
+  });
+
+  it('does not switch protection off on a quick crossing back', async () => {
+    await geofenceService.handleRegionEvent(EXIT, 'home');
+    now += MINUTE;
+    await geofenceService.handleRegionEvent(ENTER, 'home');
+
+    expect(backgroundProtectionService.stop).not.toHaveBeenCalled();
+    expect(geofenceService.getPlace('home').lastEvent).toEqual({ type: ENTER, at: now });
+
+    // Once outside the gap the place acts normally again
+    now += 10 * MINUTE;
+    await geofenceService.handleRegionEvent(EXIT, 'home');
+    now += 10 * MINUTE;
+    await geofenceService.handleRegionEvent(ENTER, 'home');
+    expect(backgroundProtectionService.stop).toHaveBeenCalledTimes(1);
+  });
+
+  it('loads incidents before deciding whether to switch anything off', async () => {
+    incidentService.getActiveIncident.mockReturnValueOnce({ id: 'incident_1' });
+    await geofenceService.handleRegionEvent(ENTER, 'home');
+
+    expect(incidentService.load).toHaveBeenCalled();
+    expect(backgroundProtectionService.stop).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,127 @@
+// Synthetic windows with features that can be worked out by hand
+
+import {
+  extractFeatures,
+  featureVector,
+  FEATURE_NAMES,
+  mean,
+  standardDeviation,
+  rms,
+  percentile,
+  jerk,
+  zeroCrossings,
+  signalMagnitudeArea,
+  orientationChange,
+  angleBetween,
+  estimateSampleRate,
+  powerSpectrum,
+  bandEnergy,
+  stepCadence,
+} from '../imuFeatures';
+
+const GRAVITY = 9.81;
+const RATE_HZ = 10;
+
+// Readings at RATE_HZ; `at` gives the fields for time t in seconds
+const makeWindow = (samples, at) => Array.from({ length: samples }, (_, i) => ({
+  ax: 0, ay: 0, az: GRAVITY, gx: 0, gy: 0, gz: 0, timestamp: 1000 + i * (1000 / RATE_HZ), ...at(i / RATE_HZ, i),
+}));
+
+// Phone lying flat, bouncing 2 m/s² at a 2 Hz step frequency. The phase keeps samples off the mean
+const gait = (samples = 20) =>
+  makeWindow(samples, t => ({ az: GRAVITY + 2 * Math.sin(2 * Math.PI * 2 * t + Math.PI / 4) }));
+
+describe('statistics', () => {
+  it('computes mean, standard deviation and RMS', () => {
+    expect(mean([1, 2, 3, 6])).toBe(3);
+    expect(standardDeviation([2, 4, 4, 4, 5, 5, 7, 9])).toBe(2);
+    expect(rms([3, -3, 3, -3])).toBe(3);
+  });
+
+  it('ignores values that are not finite numbers', () => {
+    expect(mean([1, NaN, 3, Infinity, undefined])).toBe(2);
+    expect(mean([])).toBe(0);
+  });
+
+  it('interpolates percentiles', () => {
+    expect(percentile([4, 1, 3, 2], 0.5)).toBe(2.5);
+    expect(percentile([1, 2, 3], 1)).toBe(3);
+  });
+});
+
+describe('time-domain features', () => {
+  it('measures jerk per second', () => {
+    expect(jerk([0, 1, 2, 3], RATE_HZ)).toBe(10);
+    expect(jerk([0, 2, 0, 2], 50)).toBe(100);
+    expect(jerk([5])).toBe(0);
+  });
+
+  it('counts crossings of the mean', () => {
+    expect(zeroCrossings([1, -1, 1, -1])).toBe(3);
+    expect(zeroCrossings([1, 1, 1])).toBe(0);
+    // Two per cycle, less the one the window does not see the end of
+    expect(zeroCrossings(gait(20).map(d => d.az))).toBe(7);
+  });
+
+  it('removes gravity before the signal magnitude area', () => {
+    const window = makeWindow(10, (t, i) => ({ ax: i % 2 === 0 ? 1 : -1, ay: 3 }));
+    expect(signalMagnitudeArea(window)).toBeCloseTo(1, 10);
+    expect(signalMagnitudeArea(makeWindow(10, () => ({})))).toBe(0);
+  });
+
+  it('measures the orientation change between the first and last third', () => {
+    const turnedOver = makeWindow(9, (t, i) => (i >= 6 ? { ax: GRAVITY, az: 0 } : {}));
+    expect(orientationChange(turnedOver)).toBeCloseTo(90, 10);
+    expect(orientationChange(gait(30))).toBeCloseTo(0, 10);
+    expect(angleBetween([0, 0, 1], [0, 0, -1])).toBeCloseTo(180, 10);
+    expect(angleBetween([0, 0, 0], [0, 0, 1])).toBe(0);
+  });
+
+  it('estimates the sample rate from timestamps', () => {
+    expect(estimateSampleRate(gait(20))).toBeCloseTo(RATE_HZ, 10);
+    expect(estimateSampleRate(makeWindow(5, () => ({ timestamp: undefined })))).toBe(RATE_HZ);
+  });
+});
+
+describe('frequency-domain features', () => {
+  const signal = gait(20).map(d => d.az);
+  const spectrum = powerSpectrum(signal, RATE_HZ);
+
+  it('puts a 2 Hz gait signal in the gait band', () => {
+    expect(spectrum.map(bin => bin.frequency)).toEqual([0, 0.5, 1, 1.5, 2, 2.5, 3, 3.5, 4, 4.5, 5]);
+    // A sine of amplitude A over n samples has power A²n/4 in its bin
+    expect(bandEnergy(spectrum, [0.5, 3])).toBeCloseTo(20, 10);
+    expect(bandEnergy(spectrum, [0, 0.5])).toBeCloseTo(0, 10);
+    expect(bandEnergy(spectrum, [3, 5])).toBeCloseTo(0, 10);
+  });
+
+  it('reads 120 steps per minute from a 2 Hz gait', () => {
+    expect(stepCadence(spectrum)).toBe(120);
+  });
+
+  it('finds no cadence when the phone is still', () => {
+    expect(stepCadence(powerSpectrum(makeWindow(20, () => ({})).map(d => d.az), RATE_HZ))).toBe(0);
+  });
+});
+
+describe('extractFeatures', () => {
+  it('computes the feature set of a gait window', () => {
+    const features = extractFeatures(gait(20));
+
+    expect(Object.keys(features)).toEqual(FEATURE_NAMES);
+    expect(features.accelMean).toBeCloseTo(GRAVITY, 10);
+    expect(features.accelStd).toBeCloseTo(Math.SQRT2, 10);
+    expect(features.accelRms).toBeCloseTo(Math.sqrt(GRAVITY ** 2 + 2), 10);
+    expect(features.accelMin).toBeCloseTo(GRAVITY - 2 * Math.sin(0.45 * Math.PI), 10);
+    expect(features.gyroMean).toBe(0);
+    expect(features.zeroCrossingRate).toBeCloseTo(3.5, 10);
+    expect(features.bandEnergyGait).toBeCloseTo(20, 10);
+    expect(features.cadence).toBe(120);
+    expect(features.orientationChange).toBeCloseTo(0, 10);
+  });
+
+  it('lists features in FEATURE_NAMES order', () => {
+    const features = extractFeatures(gait(20));
+    expect(featureVector(features)).toEqual(FEATURE_NAMES.map(name => features[name]));
+  });
+});
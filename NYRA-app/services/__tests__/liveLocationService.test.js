@@ -0,0 +1,75 @@
+import { liveLocationService } from '../liveLocationService';
+import { smsService } from '../smsService';
+import { locationService } from '../locationService';
+import { incidentService } from '../incidentService';
+
+jest.mock('../storageService', () => ({
+  loadSettings: jest.fn(async () => ({
+    shareLiveLocation: true,
+    liveLocationIntervalMinutes: 5,
+    liveLocationDistanceMeters: 250,
+  })),
+}));
+jest.mock('../locationService', () => ({
+  locationService: {
+    subscribeToLocation: jest.fn(() => () => {}),
+    isTrackingLocation: jest.fn(() => true),
+    stopLocationUpdates: jest.fn(),
+  },
+}));
+jest.mock('../smsService', () => ({
+  smsService: { canSendAutomatically: jest.fn(async () => true), sendLocationUpdateSMS: jest.fn(async () => {}) },
+}));
+jest.mock('../outboxService', () => ({
+  OUTBOX_STATUS: { FAILED: 'failed' },
+  outboxService: {
+    getItemsForIncident: jest.fn(() => [
+      { channel: 'sms', recipients: [{ address: '+447700900123', name: 'Mum', status: 'sent' }] },
+    ]),
+  },
+}));
+jest.mock('../incidentService', () => ({
+  INCIDENT_STATES: { DISPATCHED: 'dispatched', ACKNOWLEDGED: 'acknowledged' },
+  incidentService: {
+    getIncident: jest.fn(() => ({ id: 'incident_1', state: 'dispatched', location: null })),
+    updateIncident: jest.fn(async () => {}),
+  },
+}));
+
+const fix = { coords: { latitude: 51.5, longitude: -0.12 }, timestamp: 0 };
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.clearAllMocks();
+});
+
+afterEach(() => liveLocationService.stop());
+
+describe('live location follow-ups', () => {
+  it('sends updates where SMS goes out automatically', async () => {
+    await liveLocationService.start('incident_1');
+    await liveLocationService.sendUpdate(fix, 'first_fix');
+
+    expect(liveLocationService.isSharing()).toBe(true);
+    expect(smsService.sendLocationUpdateSMS).toHaveBeenCalledWith(
+      [{ phone: '+447700900123', name: 'Mum' }], fix, { incidentId: 'incident_1', sequence: 1 });
+    expect(incidentService.updateIncident).toHaveBeenCalledWith('incident_1', { latestLocation: fix });
+  });
+
+  it('does not start when only the SMS composer is available', async () => {
+    smsService.canSendAutomatically.mockResolvedValueOnce(false);
+    await liveLocationService.start('incident_1');
+
+    expect(liveLocationService.isSharing()).toBe(false);
+    expect(locationService.subscribeToLocation).not.toHaveBeenCalled();
+  });
+
+  it('skips updates once SMS permission is gone', async () => {
+    await liveLocationService.start('incident_1');
+    smsService.canSendAutomatically.mockResolvedValueOnce(false);
+    await liveLocationService.sendUpdate(fix, 'first_fix');
+
+    expect(smsService.sendLocationUpdateSMS).not.toHaveBeenCalled();
+    expect(liveLocationService.getSession().sequence).toBe(0);
+  });
+});
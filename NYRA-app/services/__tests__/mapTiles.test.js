@@ -0,0 +1,88 @@
+import {
+  projectToTile,
+  tileToPoint,
+  boundsAround,
+  containsPoint,
+  getTileRange,
+  countTiles,
+  listTiles,
+} from '../mapTiles';
+
+const london = { latitude: 51.5074, longitude: -0.1278 };
+
+describe('projectToTile', () => {
+  it('puts the origin in the middle of the world tile', () => {
+    expect(projectToTile({ latitude: 0, longitude: 0 }, 0)).toEqual({ x: 0.5, y: 0.5 });
+  });
+
+  it('finds the standard tile for a known point', () => {
+    // London at zoom 10 is tile 511/340 on every slippy map server
+    const { x, y } = projectToTile(london, 10);
+    expect(Math.floor(x)).toBe(511);
+    expect(Math.floor(y)).toBe(340);
+  });
+
+  it('clamps latitudes beyond the Web Mercator limit', () => {
+    expect(projectToTile({ latitude: 90, longitude: 0 }, 1).y).toBeCloseTo(0, 3);
+    expect(projectToTile({ latitude: -90, longitude: 0 }, 1).y).toBeCloseTo(2, 3);
+  });
+});
+
+describe('tileToPoint', () => {
+  it('returns the north-west corner of a tile', () => {
+    expect(tileToPoint(0, 0, 1).longitude).toBe(-180);
+    expect(tileToPoint(1, 1, 1)).toEqual({ latitude: 0, longitude: 0 });
+  });
+
+  it('inverts projectToTile', () => {
+    const { x, y } = projectToTile(london, 15);
+    const point = tileToPoint(x, y, 15);
+    expect(point.latitude).toBeCloseTo(london.latitude, 10);
+    expect(point.longitude).toBeCloseTo(london.longitude, 10);
+  });
+});
+
+describe('boundsAround', () => {
+  it('spans about the radius in both directions', () => {
+    const bounds = boundsAround(london, 1000);
+    expect((bounds.maxLatitude - bounds.minLatitude) * 111320).toBeCloseTo(2000, 6);
+    // Degrees of longitude shrink away from the equator
+    expect(bounds.maxLongitude - bounds.minLongitude).toBeGreaterThan(bounds.maxLatitude - bounds.minLatitude);
+    expect(containsPoint(bounds, london)).toBe(true);
+  });
+
+  it('excludes points outside', () => {
+    const bounds = boundsAround(london, 1000);
+    expect(containsPoint(bounds, { latitude: london.latitude + 0.01, longitude: london.longitude })).toBe(false);
+  });
+});
+
+describe('tile ranges', () => {
+  const bounds = boundsAround(london, 1000);
+
+  it('covers the bounds with the tiles around the centre', () => {
+    // Tiles at zoom 14 are about 1.5 km wide in London, so a 2 km box needs 2 or 3 per side
+    const range = getTileRange(bounds, 14);
+    const centre = projectToTile(london, 14);
+    expect(Math.floor(centre.x)).toBeGreaterThanOrEqual(range.minX);
+    expect(Math.floor(centre.x)).toBeLessThanOrEqual(range.maxX);
+    expect(Math.floor(centre.y)).toBeGreaterThanOrEqual(range.minY);
+    expect(Math.floor(centre.y)).toBeLessThanOrEqual(range.maxY);
+    expect(range.maxX - range.minX + 1).toBeGreaterThanOrEqual(2);
+    expect(range.maxX - range.minX + 1).toBeLessThanOrEqual(3);
+  });
+
+  it('stays within the world at low zoom', () => {
+    const world = { minLatitude: -85, minLongitude: -180, maxLatitude: 85, maxLongitude: 180 };
+    expect(getTileRange(world, 1)).toEqual({ minX: 0, maxX: 1, minY: 0, maxY: 1 });
+    expect(countTiles(world, 0, 2)).toBe(1 + 4 + 16);
+  });
+
+  it('lists as many tiles as it counts, lowest zoom first', () => {
+    const tiles = listTiles(bounds, 12, 15);
+    expect(tiles).toHaveLength(countTiles(bounds, 12, 15));
+    expect(tiles[0].z).toBe(12);
+    expect(tiles[tiles.length - 1].z).toBe(15);
+    expect(new Set(tiles.map(({ z, x, y }) => `${z}/${x}/${y}`)).size).toBe(tiles.length);
+  });
+});
@@ -0,0 +1,168 @@
+import { loadModel, softmax, MODEL_FORMAT, MODEL_TYPES } from '../modelRuntime';
+
+const LN3 = Math.log(3);
+
+const model = (fields) => ({
+  format: MODEL_FORMAT,
+  version: 1,
+  classes: ['IDLE', 'WALKING'],
+  features: ['x'],
+  ...fields,
+});
+
+// x <= 1 gives sample counts [3, 1], otherwise WALKING
+const tree = (nodes) => model({
+  type: MODEL_TYPES.DECISION_TREE,
+  nodes: nodes || [
+    { feature: 'x', threshold: 1, left: 1, right: 2 },
+    { leaf: [3, 1] },
+    { leaf: [0, 1] },
+  ],
+});
+
+const logistic = (fields) => model({
+  type: MODEL_TYPES.LOGISTIC_REGRESSION,
+  features: ['x', 'y'],
+  weights: [[1, 0], [0, 1]],
+  bias: [0, 0],
+  ...fields,
+});
+
+// Hidden units relu(x) and relu(-x), passed straight through to the output
+const mlp = (layers) => model({
+  type: MODEL_TYPES.MLP,
+  layers: layers || [
+    { weights: [[1], [-1]], bias: [0, 0], activation: 'relu' },
+    { weights: [[1, 0], [0, 1]], bias: [0, 0] },
+  ],
+});
+
+const expectProbabilities = (prediction, probabilities) => {
+  prediction.probabilities.forEach((p, i) => expect(p).toBeCloseTo(probabilities[i], 10));
+};
+
+describe('softmax', () => {
+  it('turns scores into probabilities', () => {
+    const [a, b] = softmax([0, LN3]);
+    expect(a).toBeCloseTo(0.25, 10);
+    expect(b).toBeCloseTo(0.75, 10);
+  });
+
+  it('stays finite for large scores', () => {
+    expect(softmax([1000, 1000])).toEqual([0.5, 0.5]);
+  });
+});
+
+describe('loadModel', () => {
+  it('reads JSON text and fills in defaults', () => {
+    const loaded = loadModel(JSON.stringify(tree()));
+    expect(loaded).toMatchObject({ name: MODEL_TYPES.DECISION_TREE, windowSize: 25, sampleRateHz: null, validated: false });
+    expect(loadModel(tree()).validated).toBe(false);
+    expect(loadModel({ ...tree(), validated: true }).validated).toBe(true);
+  });
+
+  it.each([
+    [null, 'Not a HAR model file'],
+    [{ ...tree(), format: 'other' }, 'Not a HAR model file'],
+    [{ ...tree(), version: 2 }, 'Unsupported HAR model version: 2'],
+    [{ ...tree(), type: 'svm' }, 'Unsupported HAR model type: svm'],
+    [{ ...tree(), classes: ['IDLE'] }, 'HAR model needs at least two classes'],
+    [{ ...tree(), features: [] }, 'HAR model lists no input features'],
+    [{ ...tree(), normalization: { mean: [0, 0], std: [1] } }, 'HAR model normalization must give a mean and std per feature'],
+  ])('rejects a bad header (%#)', (input, message) => {
+    expect(() => loadModel(input)).toThrow(message);
+  });
+
+  it.each([
+    [[], 'Decision tree has no nodes'],
+    [[{ feature: 'x', threshold: 1, left: 1, right: 2 }, { leaf: [1] }, { leaf: [0, 1] }], 'Decision tree leaf 1 must give one probability per class'],
+    [[{ feature: 'z', threshold: 1, left: 1, right: 2 }, { leaf: [1, 0] }, { leaf: [0, 1] }], 'Decision tree node 0 is invalid'],
+    [[{ feature: 'x', threshold: '1', left: 1, right: 2 }, { leaf: [1, 0] }, { leaf: [0, 1] }], 'Decision tree node 0 is invalid'],
+    [[{ feature: 'x', threshold: 1, left: 1, right: 3 }, { leaf: [1, 0] }, { leaf: [0, 1] }], 'Decision tree node 0 is invalid'],
+    // A child pointing back up the tree would loop forever
+    [[{ feature: 'x', threshold: 1, left: 1, right: 2 }, { feature: 'x', threshold: 0, left: 0, right: 2 }, { leaf: [0, 1] }], 'Decision tree node 1 is invalid'],
+  ])('rejects a bad decision tree (%#)', (nodes, message) => {
+    expect(() => loadModel(tree(nodes))).toThrow(message);
+  });
+
+  it.each([
+    [{ weights: [[1, 0]] }],
+    [{ weights: [[1, 0], [0]] }],
+    [{ weights: [[1, 0], [0, NaN]] }],
+    [{ bias: [0] }],
+  ])('rejects logistic regression of the wrong shape (%#)', (fields) => {
+    expect(() => loadModel(logistic(fields))).toThrow('Logistic regression needs weights[classes][features] and bias[classes]');
+  });
+
+  it.each([
+    [[], 'MLP has no layers'],
+    [[{ weights: [[1, 1]], bias: [0], activation: 'relu' }, { weights: [[1], [1]], bias: [0, 0] }], 'MLP layer 0 has the wrong shape'],
+    [[{ weights: [[1], [-1]], bias: [0], activation: 'relu' }, { weights: [[1, 0], [0, 1]], bias: [0, 0] }], 'MLP layer 0 has the wrong shape'],
+    [[{ weights: [[1], [-1]], bias: [0, 0], activation: 'swish' }, { weights: [[1, 0], [0, 1]], bias: [0, 0] }], 'MLP layer 0 has unknown activation swish'],
+    [[{ weights: [[1], [-1]], bias: [0, 0], activation: 'relu' }, { weights: [[1, 0]], bias: [0] }], 'MLP output layer must have one unit per class'],
+  ])('rejects a bad MLP (%#)', (layers, message) => {
+    expect(() => loadModel(mlp(layers))).toThrow(message);
+  });
+});
+
+describe('predict', () => {
+  it('follows a decision tree and turns leaf counts into probabilities', () => {
+    const { predict } = loadModel(tree());
+
+    const atThreshold = predict({ x: 1 });
+    expect(atThreshold).toMatchObject({ activity: 'IDLE', confidence: 0.75 });
+    expectProbabilities(atThreshold, [0.75, 0.25]);
+    expect(predict({ x: 1.5 })).toMatchObject({ activity: 'WALKING', confidence: 1 });
+  });
+
+  it('treats missing and non-finite features as 0', () => {
+    const { predict } = loadModel(tree());
+    expect(predict({}).activity).toBe('IDLE');
+    expect(predict({ x: NaN }).activity).toBe('IDLE');
+  });
+
+  it('applies logistic regression weights and bias', () => {
+    const { predict } = loadModel(logistic({ bias: [0, LN3] }));
+
+    // Scores [0, ln 3]
+    const prediction = predict({ x: 0, y: 0 });
+    expect(prediction.activity).toBe('WALKING');
+    expect(prediction.confidence).toBeCloseTo(0.75, 10);
+    // Scores [2 ln 3, ln 3]
+    expectProbabilities(predict({ x: 2 * LN3, y: 0 }), [0.75, 0.25]);
+  });
+
+  it('standardises features before a logistic regression', () => {
+    const { predict } = loadModel(logistic({
+      normalization: { mean: [1, 5], std: [2, 0] },
+    }));
+
+    // x becomes (1 + 2 ln 3 - 1) / 2 = ln 3; a std of 0 leaves y at 5 - 5 = 0
+    expectProbabilities(predict({ x: 1 + 2 * LN3, y: 5 }), [0.75, 0.25]);
+  });
+
+  it('runs an MLP with a softmax output', () => {
+    const { predict } = loadModel(mlp());
+
+    // Hidden [ln 3, 0]
+    expectProbabilities(predict({ x: LN3 }), [0.75, 0.25]);
+    // Hidden [0, ln 3]
+    const negative = predict({ x: -LN3 });
+    expect(negative.activity).toBe('WALKING');
+    expectProbabilities(negative, [0.25, 0.75]);
+  });
+
+  it.each([
+    ['tanh', Math.tanh(1)],
+    ['sigmoid', 1 / (1 + Math.exp(-1))],
+    ['linear', 1],
+  ])('applies the %s activation', (activation, hidden) => {
+    const { predict } = loadModel(mlp([
+      { weights: [[1]], bias: [0], activation },
+      { weights: [[1], [0]], bias: [0, 0] },
+    ]));
+
+    const expected = softmax([hidden, 0]);
+    expectProbabilities(predict({ x: 1 }), expected);
+  });
+});
@@ -0,0 +1,24 @@
+import { resolveTileSource } from '../offlineRegionService';
+
+jest.mock('expo-file-system', () => ({ Directory: jest.fn(), File: jest.fn(), Paths: {} }));
+jest.mock('../secureStorageService', () => ({ secureStorage: {} }));
+
+describe('resolveTileSource', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  it('uses a configured https template', () => {
+    expect(resolveTileSource({ urlTemplate: 'https://tiles.example.com/{z}/{x}/{y}.png', attribution: '© Example' }))
+      .toEqual({ urlTemplate: 'https://tiles.example.com/{z}/{x}/{y}.png', attribution: '© Example' });
+  });
+
+  it.each([
+    ['no config', undefined],
+    ['no template', { urlTemplate: null }],
+    ['plain http', { urlTemplate: 'http://tiles.example.com/{z}/{x}/{y}.png' }],
+    ['a missing placeholder', { urlTemplate: 'https://tiles.example.com/{z}/{x}.png' }],
+  ])('disables tiles with %s', (_, config) => {
+    expect(resolveTileSource(config)).toEqual({ urlTemplate: null, attribution: null });
+  });
+});
@@ -0,0 +1,66 @@
+import { normalizePhoneNumber, PHONE_WARNINGS, isAmbiguous } from '../phoneNumberService';
+
+const { ASSUMED_COUNTRY, MISSING_PLUS, EXTENSION_DROPPED, UNKNOWN_COUNTRY_CODE } = PHONE_WARNINGS;
+
+describe('normalizePhoneNumber', () => {
+  // [input, default country, e164, country, warnings]
+  it.each([
+    // International format, whatever the default country
+    ['+44 7700 900123', 'US', '+447700900123', 'GB', []],
+    ['+44 (0)20 7946 0958', 'US', '+442079460958', 'GB', []],
+    ['+1 (555) 123-4567', 'GB', '+15551234567', null, []],
+    ['+91 98765 43210', 'US', '+919876543210', 'IN', []],
+    ['+353 85 123 4567', 'GB', '+353851234567', 'IE', []],
+    ['+61 412 345 678', 'GB', '+61412345678', 'AU', []],
+    ['+49 30 123456', 'GB', '+4930123456', 'DE', []],
+    ['+39 06 6982 1234', 'GB', '+390669821234', 'IT', []],
+    ['+65 9123 4567', 'US', '+6591234567', 'SG', []],
+    ['+880 1712 345678', 'GB', '+8801712345678', 'BD', []],
+    ['tel:+33-6-12-34-56-78', 'US', '+33612345678', 'FR', []],
+    // Local international prefixes
+    ['0044 7700 900123', 'GB', '+447700900123', 'GB', []],
+    ['011 44 7700 900123', 'US', '+447700900123', 'GB', []],
+    ['0011 61 412 345 678', 'AU', '+61412345678', 'AU', []],
+    // National format with the trunk prefix
+    ['07700 900123', 'GB', '+447700900123', 'GB', [ASSUMED_COUNTRY]],
+    ['(555) 123-4567', 'US', '+15551234567', 'US', [ASSUMED_COUNTRY]],
+    ['1 555 123 4567', 'CA', '+15551234567', 'CA', [ASSUMED_COUNTRY]],
+    ['098765 43210', 'IN', '+919876543210', 'IN', [ASSUMED_COUNTRY]],
+    ['06 6982 1234', 'IT', '+390669821234', 'IT', [ASSUMED_COUNTRY]],
+    // Extensions are dropped
+    ['+44 20 7946 0958 ext. 12', 'US', '+442079460958', 'GB', [EXTENSION_DROPPED]],
+    // Unknown but plausible calling code
+    ['+372 5123 4567', 'US', '+37251234567', null, [UNKNOWN_COUNTRY_CODE]],
+  ])('%s (default %s) is %s', (input, defaultCountry, e164, country, warnings) => {
+    expect(normalizePhoneNumber(input, defaultCountry)).toEqual({ e164, valid: true, country, warnings });
+  });
+
+  it('reads an international number typed without the plus', () => {
+    const result = normalizePhoneNumber('447700900123', 'US');
+    expect(result).toMatchObject({ e164: '+447700900123', valid: true, country: 'GB' });
+    expect(result.warnings).toEqual([MISSING_PLUS]);
+    expect(isAmbiguous(result)).toBe(true);
+  });
+
+  it('flags local numbers that also read as international', () => {
+    const result = normalizePhoneNumber('4930123456', 'US');
+    expect(result).toMatchObject({ e164: '+14930123456', valid: true, country: 'US' });
+    expect(result.warnings).toEqual([ASSUMED_COUNTRY, MISSING_PLUS]);
+  });
+
+  it.each([
+    ['+0123456789', 'US'],
+    ['+00 44 7700 900123', 'US'],
+    ['+44 7700', 'US'],
+    ['+1234', 'US'],
+    ['+9991234567890123', 'US'],
+    ['12', 'GB'],
+    ['07700 9001234567', 'GB'],
+  ])('rejects %s', (input, defaultCountry) => {
+    expect(normalizePhoneNumber(input, defaultCountry).valid).toBe(false);
+  });
+
+  it.each([null, undefined, '', '   ', 'call me'])('has no number for %p', (input) => {
+    expect(normalizePhoneNumber(input, 'GB')).toEqual({ e164: null, valid: false, country: null, warnings: [] });
+  });
+});
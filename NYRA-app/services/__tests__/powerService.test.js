@@ -0,0 +1,27 @@
+import { samplingRatesFor, POWER_MODES, BATTERY_TIERS, SAMPLING_PROFILES } from '../powerService';
+
+jest.mock('../storageService', () => ({ loadSettings: jest.fn() }));
+jest.mock('../sensorService', () => ({ sensorService: {} }));
+jest.mock('../locationService', () => ({ locationService: {} }));
+jest.mock('../harModelService', () => ({ subscribeToActivity: jest.fn(), getLatestActivity: jest.fn() }));
+jest.mock('../incidentService', () => ({ incidentService: {} }));
+jest.mock('../routeGuardianService', () => ({ routeGuardianService: {} }));
+jest.mock('../safeHavenService', () => ({ safeHavenService: {} }));
+
+const everyMode = Object.values(POWER_MODES);
+const everyTier = Object.values(BATTERY_TIERS);
+
+describe('samplingRatesFor', () => {
+  it.each(everyMode)('keeps motion sensors at 10 Hz in %s mode on any battery', (mode) => {
+    everyTier.forEach(tier => expect(samplingRatesFor(mode, tier).sensorIntervalMs).toBe(100));
+  });
+
+  it('stretches location-based intervals on a low battery', () => {
+    const rates = samplingRatesFor(POWER_MODES.STATIONARY, BATTERY_TIERS.CRITICAL);
+    expect(rates.locationIntervalMs).toBe(SAMPLING_PROFILES[POWER_MODES.STATIONARY].locationIntervalMs * 2);
+  });
+
+  it('never stretches an incident', () => {
+    expect(samplingRatesFor(POWER_MODES.INCIDENT, BATTERY_TIERS.CRITICAL)).toEqual(SAMPLING_PROFILES[POWER_MODES.INCIDENT]);
+  });
+});
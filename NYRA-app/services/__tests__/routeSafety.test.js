@@ -0,0 +1,193 @@
+import { createEdgeCost, scoreRoute, buildSafetyContext, isNightTime, ROUTE_PROFILES } from '../routeSafety';
+import { buildRoutingGraph, findShortestPath, haversineDistance } from '../routingGraph';
+
+const { FASTEST, BALANCED, SAFEST } = ROUTE_PROFILES;
+
+const NOON = new Date(2026, 9, 19, 12, 0);
+const MIDNIGHT = new Date(2026, 9, 19, 23, 30);
+
+const point = (latitude, longitude) => ({ latitude, longitude });
+
+// One 56 m street segment on the equator, sampled at two points
+const street = (tags = { highway: 'residential' }) => {
+  const graph = buildRoutingGraph({
+    nodes: new Map([['a', { id: 'a', ...point(0, 0) }], ['b', { id: 'b', ...point(0, 0.0005) }]]),
+    ways: [{ id: 'w', nodeIds: ['a', 'b'], tags }],
+  });
+  return { graph, edge: graph.edges.get('a')[0] };
+};
+
+const costOf = (profile, context, tags) => {
+  const { graph, edge } = street(tags);
+  return createEdgeCost(graph, profile, context)(edge, 'a') / edge.distance;
+};
+
+const dangerZone = (threatLevel, location = point(0, 0.00025)) => ({ name: 'Reported mugging', threatLevel, location });
+
+describe('buildSafetyContext', () => {
+  it('combines danger and risk zones and drops expired ones', () => {
+    const context = buildSafetyContext({
+      dangerZones: [
+        dangerZone('high'),
+        { ...dangerZone('high'), validUntil: '2026-10-01T00:00:00Z' },
+        { threatLevel: 'high' }, // No location
+      ],
+      riskZones: [{ center: point(1, 1), riskLevel: 'unheard_of', radius: 20 }],
+      safeHavens: [{ name: 'Police', location: point(0, 0) }, { name: 'Unplaced' }],
+      date: NOON,
+    });
+
+    expect(context.zones).toEqual([
+      { center: point(0, 0.00025), radius: 150, riskLevel: 'high', risk: 2, reason: 'Reported mugging' },
+      { center: point(1, 1), radius: 20, riskLevel: 'medium', risk: 1, reason: 'Reported risk' },
+    ]);
+    expect(context.havens).toHaveLength(1);
+    expect(context.isNight).toBe(false);
+  });
+});
+
+describe('isNightTime', () => {
+  it.each([
+    ['05:59', true],
+    ['06:00', false],
+    ['21:59', false],
+    ['22:00', true],
+    ['22:30', true],
+  ])('counts %s as night: %s', (time, night) => {
+    const [hour, minute] = time.split(':').map(Number);
+    expect(isNightTime(new Date(2026, 9, 19, hour, minute))).toBe(night);
+  });
+});
+
+describe('createEdgeCost', () => {
+  const day = buildSafetyContext({ date: NOON });
+  const dangerous = buildSafetyContext({ dangerZones: [dangerZone('medium')], date: NOON });
+
+  it('costs plain distance on the fastest profile', () => {
+    expect(costOf(FASTEST, dangerous)).toBe(1);
+  });
+
+  it('costs plain distance when there is no risk', () => {
+    expect(costOf(BALANCED, day)).toBe(1);
+    expect(costOf(SAFEST, day)).toBe(1);
+  });
+
+  it('weights danger zones by profile', () => {
+    // Medium threat adds 1 risk per metre; balanced weighs it 1.5, safest 5
+    expect(costOf(BALANCED, dangerous)).toBeCloseTo(2.5, 10);
+    expect(costOf(SAFEST, dangerous)).toBeCloseTo(6, 10);
+  });
+
+  it('adds risk for dark and unlit streets at night', () => {
+    const night = buildSafetyContext({ date: MIDNIGHT });
+
+    expect(costOf(BALANCED, night, { highway: 'residential' })).toBeCloseTo(1 + 1.5 * 0.25, 10);
+    expect(costOf(BALANCED, night, { highway: 'footway' })).toBeCloseTo(1 + 1.5 * 1, 10);
+    expect(costOf(BALANCED, night, { highway: 'footway', lit: 'yes' })).toBeCloseTo(1 + 1.5 * 0.25, 10);
+    expect(costOf(BALANCED, night, { highway: 'residential', lit: 'no' })).toBeCloseTo(1 + 1.5 * 1, 10);
+  });
+
+  it('halves risk near a safe haven and adds some away from every haven', () => {
+    const nearHaven = buildSafetyContext({ dangerZones: [dangerZone('medium')], safeHavens: [{ location: point(0, 0) }], date: NOON });
+    const farFromHaven = buildSafetyContext({ safeHavens: [{ location: point(1, 1) }], date: NOON });
+
+    expect(costOf(BALANCED, nearHaven)).toBeCloseTo(1 + 1.5 * 0.5, 10);
+    expect(costOf(BALANCED, farFromHaven)).toBeCloseTo(1 + 1.5 * 0.2, 10);
+  });
+
+  it('never costs less than the distance', () => {
+    const { graph } = street();
+    const cost = createEdgeCost(graph, SAFEST, buildSafetyContext({ safeHavens: [{ location: point(0, 0) }], date: NOON }));
+    graph.edges.forEach((edges, fromId) => edges.forEach(edge => {
+      expect(cost(edge, fromId)).toBeGreaterThanOrEqual(edge.distance);
+    }));
+  });
+
+  it('steers A* around a danger zone', () => {
+    // Two streets 222 m apart joined at each end; the zone covers only the southern one
+    const nodes = new Map([
+      ['1', { id: '1', ...point(0, 0) }], ['2', { id: '2', ...point(0, 0.001) }], ['3', { id: '3', ...point(0, 0.002) }],
+      ['4', { id: '4', ...point(0.002, 0) }], ['5', { id: '5', ...point(0.002, 0.001) }], ['6', { id: '6', ...point(0.002, 0.002) }],
+    ]);
+    const tags = { highway: 'residential' };
+    const graph = buildRoutingGraph({
+      nodes,
+      ways: [
+        { id: 'south', nodeIds: ['1', '2', '3'], tags },
+        { id: 'north', nodeIds: ['4', '5', '6'], tags },
+        { id: 'west', nodeIds: ['1', '4'], tags },
+        { id: 'east', nodeIds: ['3', '6'], tags },
+      ],
+    });
+    const context = buildSafetyContext({ dangerZones: [dangerZone('medium', point(0, 0.001))], date: NOON });
+
+    expect(findShortestPath(graph, '1', '3', createEdgeCost(graph, FASTEST, context)).nodeIds).toEqual(['1', '2', '3']);
+    expect(findShortestPath(graph, '1', '3', createEdgeCost(graph, SAFEST, context)).nodeIds)
+      .toEqual(['1', '4', '5', '6', '3']);
+  });
+});
+
+describe('scoreRoute', () => {
+  // Two 111 m segments heading east, each sampled at three points
+  const polyline = [point(0, 0), point(0, 0.001), point(0, 0.002)];
+  const route = (fields) => ({
+    polyline,
+    segmentWays: [{ highway: 'residential' }, { highway: 'residential' }],
+    distance: Math.round(haversineDistance(polyline[0], polyline[2])),
+    ...fields,
+  });
+  const factor = (result, name) => result.factors.find(f => f.factor === name);
+
+  it('gives a quiet daytime route the base score', () => {
+    expect(scoreRoute(route(), buildSafetyContext({ date: NOON }))).toEqual({ safetyScore: 8, factors: [] });
+  });
+
+  it('takes points off for metres walked through danger', () => {
+    const context = buildSafetyContext({ dangerZones: [{ ...dangerZone('medium', point(0, 0.001)), name: 'Dark alley' }], date: NOON });
+    const result = scoreRoute(route(), context);
+
+    // Every sample lies within 100 m of the zone: 222 m at risk 1
+    expect(factor(result, 'danger')).toEqual({ factor: 'danger', impact: -2, text: 'Passes 222 m through reported danger (Dark alley)' });
+    expect(result.safetyScore).toBe(6);
+  });
+
+  it('notes danger zones the route avoids', () => {
+    const context = buildSafetyContext({ dangerZones: [dangerZone('medium', point(1, 1))], date: NOON });
+    expect(scoreRoute(route(), context).factors).toEqual([
+      { factor: 'danger', impact: 0, text: 'Avoids all reported danger zones nearby' },
+    ]);
+  });
+
+  it('takes more off at night for unlit paths', () => {
+    const night = buildSafetyContext({ date: MIDNIGHT });
+
+    expect(factor(scoreRoute(route(), night), 'night')).toEqual({ factor: 'night', impact: -1, text: 'After dark, but on lit streets' });
+    const halfUnlit = scoreRoute(route({ segmentWays: [{ highway: 'footway' }, { highway: 'residential' }] }), night);
+    expect(factor(halfUnlit, 'night')).toEqual({ factor: 'night', impact: -2, text: 'After dark, with 50% on unlit paths' });
+    expect(halfUnlit.safetyScore).toBe(6);
+  });
+
+  it('adds a point when most of the way is near a safe haven', () => {
+    // Within 150 m of the start: the first segment and one sample of the second
+    const result = scoreRoute(route(), buildSafetyContext({ safeHavens: [{ location: point(0, 0) }], date: NOON }));
+
+    expect(factor(result, 'havens')).toEqual({ factor: 'havens', impact: 1, text: '67% of the way is within 150 m of a safe haven' });
+    expect(result.safetyScore).toBe(9);
+    expect(factor(scoreRoute(route(), buildSafetyContext({ safeHavens: [{ location: point(1, 1) }], date: NOON })), 'havens'))
+      .toEqual({ factor: 'havens', impact: 0, text: 'No safe havens along the way' });
+  });
+
+  it('takes a point off long walks', () => {
+    expect(factor(scoreRoute(route({ distance: 6000 }), buildSafetyContext({ date: NOON })), 'distance'))
+      .toEqual({ factor: 'distance', impact: -1, text: 'Long walk (6.0 km)' });
+  });
+
+  it('keeps the score between 1 and 10', () => {
+    const context = buildSafetyContext({ dangerZones: [dangerZone('very_high', point(0, 0.001))], date: MIDNIGHT });
+    const result = scoreRoute(route({ segmentWays: [{ highway: 'path' }, { highway: 'path' }], distance: 6000 }), context);
+
+    // Danger is capped at -4; night on unlit paths -3; long walk -1
+    expect(result.factors.map(f => f.impact)).toEqual([-4, -3, -1]);
+    expect(result.safetyScore).toBe(1);
+  });
+});
@@ -0,0 +1,202 @@
+import {
+  parseOsmExtract,
+  buildRoutingGraph,
+  getGraphStats,
+  findShortestPath,
+  planRoute,
+  measureAgainstPolyline,
+  haversineDistance,
+  isWalkableWay,
+} from '../routingGraph';
+
+// On the equator 0.001° is the same distance north or east
+const STEP_M = haversineDistance({ latitude: 0, longitude: 0 }, { latitude: 0, longitude: 0.001 });
+
+// Two parallel streets joined by paths at each end, and a motorway across the middle:
+//
+//   4 --- 5 --- 6      High & Mighty Street (lit)
+//   |     |     |
+//   |  motorway |
+//   |     |     |
+//   1 --- 2 --- 3      Low Lane
+//
+// 7 --- 8 lie far away and are not connected to the rest
+const OSM_XML = `<?xml version="1.0" encoding="UTF-8"?>
+<osm version="0.6" generator="test">
+  <node id="1" lat="0" lon="0"/>
+  <node id="2" lat="0" lon="0.001"/>
+  <node id='3' lat='0' lon='0.002'/>
+  <node id="4" lat="0.001" lon="0">
+    <tag k="highway" v="crossing"/>
+  </node>
+  <node id="5" lat="0.001" lon="0.001"/>
+  <node id="6" lat="0.001" lon="0.002"/>
+  <node id="7" lat="0.05" lon="0.05"/>
+  <node id="8" lat="0.05" lon="0.051"/>
+  <way id="10">
+    <nd ref="1"/><nd ref="2"/><nd ref="3"/>
+    <tag k="highway" v="footway"/>
+    <tag k="name" v="Low Lane"/>
+  </way>
+  <way id="11">
+    <nd ref="4"/><nd ref="5"/><nd ref="6"/>
+    <tag k="highway" v="residential"/>
+    <tag k="name" v="High &amp; Mighty Street"/>
+    <tag k="lit" v="yes"/>
+  </way>
+  <way id="12"><nd ref="1"/><nd ref="4"/><tag k="highway" v="path"/></way>
+  <way id="13"><nd ref="3"/><nd ref="6"/><tag k="highway" v="path"/></way>
+  <way id="14"><nd ref="2"/><nd ref="5"/><tag k="highway" v="motorway"/></way>
+  <way id="15"><nd ref="7"/><nd ref="8"/><nd ref="99"/><tag k="highway" v="footway"/></way>
+</osm>`;
+
+const graph = buildRoutingGraph(parseOsmExtract(OSM_XML));
+
+describe('parseOsmExtract', () => {
+  it('reads OSM XML nodes, ways and tags', () => {
+    const { nodes, ways } = parseOsmExtract(OSM_XML);
+
+    expect(nodes.size).toBe(8);
+    expect(nodes.get('3')).toEqual({ id: '3', latitude: 0, longitude: 0.002 });
+    expect(nodes.get('4')).toEqual({ id: '4', latitude: 0.001, longitude: 0 });
+    expect(ways).toHaveLength(6);
+    expect(ways[0]).toEqual({ id: '10', nodeIds: ['1', '2', '3'], tags: { highway: 'footway', name: 'Low Lane' } });
+    expect(ways[1].tags.name).toBe('High & Mighty Street');
+  });
+
+  it('reads Overpass JSON with numeric ids', () => {
+    const { nodes, ways } = parseOsmExtract(JSON.stringify({
+      elements: [
+        { type: 'node', id: 1, lat: 0, lon: 0 },
+        { type: 'node', id: 2, lat: 0, lon: 0.001 },
+        { type: 'way', id: 10, nodes: [1, 2], tags: { highway: 'path' } },
+        { type: 'relation', id: 20, members: [] },
+      ],
+    }));
+
+    expect([...nodes.keys()]).toEqual(['1', '2']);
+    expect(ways).toEqual([{ id: '10', nodeIds: ['1', '2'], tags: { highway: 'path' } }]);
+  });
+
+  it.each([
+    ['{"version": 0.6}', 'JSON has no elements'],
+    ['<html><body>Not found</body></html>', 'expected OSM XML or Overpass JSON'],
+    ['lat,lon\n0,0', 'expected OSM XML or Overpass JSON'],
+  ])('rejects %p', (text, message) => {
+    expect(() => parseOsmExtract(text)).toThrow(message);
+  });
+});
+
+describe('buildRoutingGraph', () => {
+  it('keeps walkable ways in both directions', () => {
+    expect(getGraphStats(graph)).toMatchObject({ nodeCount: 8, edgeCount: 7 });
+    expect(graph.edges.get('2').map(edge => edge.to).sort()).toEqual(['1', '3']);
+    expect(graph.edges.get('1')[0]).toMatchObject({ to: '2', way: { id: '10', highway: 'footway', name: 'Low Lane' } });
+    expect(graph.edges.get('1')[0].distance).toBeCloseTo(STEP_M, 6);
+  });
+
+  it.each([
+    [{ highway: 'motorway' }, false],
+    [{ highway: 'trunk' }, false],
+    [{ highway: 'trunk', foot: 'yes' }, true],
+    [{ highway: 'footway', foot: 'no' }, false],
+    [{ highway: 'service', access: 'private' }, false],
+    [{ highway: 'service', access: 'private', foot: 'permissive' }, true],
+    [{ building: 'yes' }, false],
+  ])('treats %p as walkable: %s', (tags, walkable) => {
+    expect(isWalkableWay(tags)).toBe(walkable);
+  });
+});
+
+describe('findShortestPath', () => {
+  it('takes the shortest walkable path', () => {
+    const path = findShortestPath(graph, '1', '3');
+
+    expect(path.nodeIds).toEqual(['1', '2', '3']);
+    expect(path.edges.map(edge => edge.way.id)).toEqual(['10', '10']);
+    expect(path.distance).toBeCloseTo(2 * STEP_M, 6);
+    expect(path.cost).toBeCloseTo(2 * STEP_M, 6);
+  });
+
+  it('does not cross the motorway', () => {
+    expect(findShortestPath(graph, '2', '5').nodeIds).toEqual(['2', '1', '4', '5']);
+  });
+
+  it('follows a custom edge cost', () => {
+    // Low Lane counts triple, so going round by High & Mighty Street is cheaper despite being longer
+    const avoidLowLane = edge => (edge.way.name === 'Low Lane' ? edge.distance * 3 : edge.distance);
+    const path = findShortestPath(graph, '1', '3', avoidLowLane);
+
+    expect(path.nodeIds).toEqual(['1', '4', '5', '6', '3']);
+    expect(path.distance).toBeCloseTo(4 * STEP_M, 6);
+    expect(path.cost).toBeCloseTo(4 * STEP_M, 6);
+  });
+
+  it('returns a one-node path from a node to itself', () => {
+    expect(findShortestPath(graph, '5', '5')).toEqual({ nodeIds: ['5'], edges: [], distance: 0, cost: 0 });
+  });
+
+  it('returns null when nothing connects the nodes', () => {
+    expect(findShortestPath(graph, '1', '7')).toBeNull();
+  });
+});
+
+describe('planRoute', () => {
+  it('snaps both ends to the nearest node and walks from and to the exact points', () => {
+    const from = { latitude: -0.0001, longitude: 0 };
+    const to = { latitude: -0.0001, longitude: 0.002 };
+    const route = planRoute(graph, from, to);
+
+    expect(route.nodeIds).toEqual(['1', '2', '3']);
+    expect(route.polyline[0]).toEqual(from);
+    expect(route.polyline[route.polyline.length - 1]).toEqual(to);
+    expect(route.segmentWays.map(way => way && way.id)).toEqual([null, '10', '10', null]);
+    expect(route.distance).toBe(Math.round(2.2 * STEP_M));
+    expect(route.etaSeconds).toBe(Math.round(2.2 * STEP_M / 1.35));
+  });
+
+  it('refuses points off the map', () => {
+    expect(() => planRoute(graph, { latitude: 0.01, longitude: 0.01 }, { latitude: 0, longitude: 0 }))
+      .toThrow('Your location is outside the map extract');
+    expect(() => planRoute(graph, { latitude: 0, longitude: 0 }, { latitude: -0.01, longitude: 0 }))
+      .toThrow('The destination is outside the map extract');
+  });
+
+  it('returns null when no path connects the points', () => {
+    expect(planRoute(graph, { latitude: 0, longitude: 0 }, { latitude: 0.05, longitude: 0.05 })).toBeNull();
+  });
+});
+
+describe('measureAgainstPolyline', () => {
+  // Two segments heading east along the equator, STEP_M each
+  const polyline = [
+    { latitude: 0, longitude: 0 },
+    { latitude: 0, longitude: 0.001 },
+    { latitude: 0, longitude: 0.002 },
+  ];
+
+  it('measures from the closest point on a segment', () => {
+    expect(measureAgainstPolyline({ latitude: 0.0001, longitude: 0.0005 }, polyline)).toEqual({
+      distanceFromRoute: Math.round(0.1 * STEP_M),
+      remainingDistance: Math.round(1.5 * STEP_M),
+    });
+  });
+
+  it('is on the route with the whole way left at the start', () => {
+    expect(measureAgainstPolyline({ latitude: 0, longitude: 0 }, polyline))
+      .toEqual({ distanceFromRoute: 0, remainingDistance: Math.round(2 * STEP_M) });
+  });
+
+  it('measures to the nearest end beyond the polyline', () => {
+    expect(measureAgainstPolyline({ latitude: 0, longitude: 0.003 }, polyline))
+      .toEqual({ distanceFromRoute: Math.round(STEP_M), remainingDistance: 0 });
+    expect(measureAgainstPolyline({ latitude: 0, longitude: -0.001 }, polyline))
+      .toEqual({ distanceFromRoute: Math.round(STEP_M), remainingDistance: Math.round(2 * STEP_M) });
+  });
+
+  it('handles a single-point polyline', () => {
+    const result = measureAgainstPolyline({ latitude: 0.001, longitude: 0 }, [{ latitude: 0, longitude: 0 }]);
+    expect(result.distanceFromRoute).toBeCloseTo(STEP_M, 6);
+    expect(result.remainingDistance).toBe(0);
+  });
+});
@@ -0,0 +1,138 @@
+jest.mock('expo-secure-store', () => {
+  const keychain = {};
+  return {
+    AFTER_FIRST_UNLOCK: 'after_first_unlock',
+    keychain,
+    isAvailableAsync: jest.fn(async () => true),
+    getItemAsync: jest.fn(async (name) => keychain[name] ?? null),
+    setItemAsync: jest.fn(async (name, value) => { keychain[name] = value; }),
+  };
+});
+
+let AsyncStorage;
+let SecureStore;
+let secureStorage;
+
+// The key and migration are cached per module, so each launch reloads the modules
+const launch = ({ storage = {}, keychain = {} } = {}) => {
+  jest.resetModules();
+  AsyncStorage = require('@react-native-async-storage/async-storage');
+  SecureStore = require('expo-secure-store');
+  secureStorage = require('../secureStorageService').secureStorage;
+  AsyncStorage.__INTERNAL_MOCK_STORAGE__ = { ...storage };
+  Object.assign(SecureStore.keychain, keychain);
+};
+
+// Keeps both stores, as after the app is killed and started again
+const relaunch = () => launch({ storage: AsyncStorage.__INTERNAL_MOCK_STORAGE__, keychain: SecureStore.keychain });
+
+const stored = (storageKey) => AsyncStorage.__INTERNAL_MOCK_STORAGE__[storageKey];
+// As before the first unlock after a reboot
+const lockKeychain = () => SecureStore.getItemAsync.mockRejectedValue(new Error('User interaction is not allowed'));
+const unlockKeychain = () => SecureStore.getItemAsync.mockImplementation(async (name) => SecureStore.keychain[name] ?? null);
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  launch();
+});
+
+describe('encryption', () => {
+  it('stores values encrypted and reads them back', async () => {
+    const contacts = JSON.stringify([{ name: 'Zoë', phone: '+447700900001' }]);
+    await secureStorage.setItem('emergencyContacts', contacts);
+
+    expect(stored('emergencyContacts')).toMatch(/^enc:v1:/);
+    expect(stored('emergencyContacts')).not.toContain('+447700900001');
+    expect(await secureStorage.getItem('emergencyContacts')).toBe(contacts);
+  });
+
+  it('reads values back after a relaunch', async () => {
+    await secureStorage.setItem('appSettings', '{"sendSmsAlerts":true}');
+    relaunch();
+
+    expect(await secureStorage.getItem('appSettings')).toBe('{"sendSmsAlerts":true}');
+  });
+
+  it('returns null for values it cannot decrypt', async () => {
+    await secureStorage.setItem('appSettings', '{}');
+    launch({ storage: AsyncStorage.__INTERNAL_MOCK_STORAGE__ }); // A keystore reset loses the key
+
+    expect(await secureStorage.getItem('appSettings')).toBeNull();
+  });
+
+  it('returns null for missing values', async () => {
+    expect(await secureStorage.getItem('emergencyContacts')).toBeNull();
+  });
+});
+
+describe('when the keystore is locked', () => {
+  it('refuses to write instead of storing plaintext', async () => {
+    lockKeychain();
+
+    await expect(secureStorage.setItem('emergencyContacts', '[]')).rejects.toThrow('locked');
+    expect(stored('emergencyContacts')).toBeUndefined();
+  });
+
+  it('throws instead of reporting encrypted values as missing', async () => {
+    await secureStorage.setItem('emergencyContacts', '[]');
+    relaunch();
+    lockKeychain();
+
+    await expect(secureStorage.getItem('emergencyContacts')).rejects.toThrow('locked');
+  });
+
+  it('reads the value once the keystore unlocks', async () => {
+    await secureStorage.setItem('emergencyContacts', '[]');
+    relaunch();
+    lockKeychain();
+
+    await expect(secureStorage.getItem('emergencyContacts')).rejects.toThrow();
+    unlockKeychain();
+    expect(await secureStorage.getItem('emergencyContacts')).toBe('[]');
+  });
+});
+
+describe('migration', () => {
+  it("encrypts the app's plaintext values and leaves other libraries' keys alone", async () => {
+    launch({ storage: {
+      emergencyContacts: '[]',
+      evidence_session_1: '{"id":1}',
+      'persist:other-library': '{"theme":"dark"}',
+    } });
+    await secureStorage.init();
+
+    expect(stored('emergencyContacts')).toMatch(/^enc:v1:/);
+    expect(stored('evidence_session_1')).toMatch(/^enc:v1:/);
+    expect(stored('persist:other-library')).toBe('{"theme":"dark"}');
+    expect(stored('secure_storage_version')).toBe('2');
+    expect(await secureStorage.getItem('evidence_session_1')).toBe('{"id":1}');
+  });
+
+  it('deletes route analyses cached by earlier versions', async () => {
+    launch({ storage: { 'route_analysis_51.5_-0.12_51.6_-0.1': '{}', appSettings: '{}' } });
+    await secureStorage.init();
+
+    expect(Object.keys(AsyncStorage.__INTERNAL_MOCK_STORAGE__)).toEqual(['appSettings', 'secure_storage_version']);
+  });
+
+  it('re-encrypts plaintext left after the version 1 migration', async () => {
+    launch({ storage: { secure_storage_version: '1', appSettings: '{}' } });
+    await secureStorage.init();
+
+    expect(stored('appSettings')).toMatch(/^enc:v1:/);
+  });
+
+  it('retries on the next call when the keystore is locked', async () => {
+    launch({ storage: { appSettings: '{}' } });
+    lockKeychain();
+    await secureStorage.init();
+    expect(stored('appSettings')).toBe('{}');
+    expect(stored('secure_storage_version')).toBeUndefined();
+
+    unlockKeychain();
+    expect(await secureStorage.getItem('appSettings')).toBe('{}');
+    expect(stored('appSettings')).toMatch(/^enc:v1:/);
+  });
+});
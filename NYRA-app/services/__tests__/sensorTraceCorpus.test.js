@@ -0,0 +1,148 @@
+// Replays the labelled trace corpus in __fixtures__/traces through the HAR engine and the
+// fall detector. Traces play without timers, so every run sees the same readings
+
+import { replayTrace, TRACE_LABELS } from '../sensorTraceService';
+import harModelService from '../harModelService';
+import { FallDetector } from '../fallDetector';
+import { ModelClassifier } from '../harClassifiers';
+import { loadModel } from '../modelRuntime';
+import harModelAsset from '../../assets/models/har-model.json';
+import { listCorpusTraces, loadCorpusTrace } from '../../__fixtures__/traceCorpus';
+
+jest.mock('../sensorService', () => ({ subscribeToSensorData: () => () => {} }));
+
+const ACTIVITY_TRACES = {
+  idle: 'IDLE',
+  standing: 'STANDING',
+  walking: 'WALKING',
+  running: 'RUNNING',
+};
+
+// Activities reported once the classifier's window has filled
+const replayActivities = (trace) => {
+  const names = [];
+  replayTrace(trace, reading => names.push(harModelService.predictActivity(reading).name));
+  return names.filter(name => name !== 'CALIBRATING');
+};
+
+// Share of full windows the classifier labels as the expected activity, without smoothing
+const classifierAccuracy = (classifier, trace, activity) => {
+  const window = [];
+  let total = 0;
+  let matching = 0;
+  replayTrace(trace, reading => {
+    window.push(reading);
+    if (window.length > classifier.windowSize) window.shift();
+    if (window.length < classifier.windowSize) return;
+    const prediction = classifier.classify(window, { settings: harModelService.settings, timestamp: reading.timestamp });
+    total++;
+    if (prediction.activity === activity) matching++;
+  });
+  return total > 0 ? matching / total : 0;
+};
+
+const replayFalls = (trace, options) => {
+  const detector = new FallDetector(options);
+  const evaluations = [];
+  replayTrace(trace, reading => {
+    const evaluation = detector.process(reading);
+    if (evaluation) evaluations.push(evaluation);
+  });
+  return evaluations;
+};
+
+beforeAll(async () => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  await harModelService._refreshSettings();
+  harModelService.isMonitoring = true; // start() would also subscribe to the live sensors
+});
+
+beforeEach(() => {
+  harModelService.setClassifier('rules');
+  harModelService._resetState();
+});
+
+test('every trace in the corpus parses and is labelled', () => {
+  const names = listCorpusTraces();
+  expect(names.length).toBeGreaterThanOrEqual(6);
+  names.forEach(name => {
+    const trace = loadCorpusTrace(name);
+    expect(Object.values(TRACE_LABELS)).toContain(trace.label);
+    expect(trace.samples.length).toBeGreaterThan(50);
+  });
+});
+
+describe.each(Object.entries(ACTIVITY_TRACES))('%s trace', (name, activity) => {
+  test(`is recognised as ${activity}`, () => {
+    const activities = replayActivities(loadCorpusTrace(name));
+    const matching = activities.filter(a => a === activity).length;
+    expect(activities.length).toBeGreaterThan(0);
+    expect(matching / activities.length).toBeGreaterThanOrEqual(0.9);
+    expect(activities[activities.length - 1]).toBe(activity);
+  });
+
+  test('does not raise a fall or sudden stop', () => {
+    const trace = loadCorpusTrace(name);
+    expect(replayFalls(trace).filter(e => e.detected)).toEqual([]);
+
+    const anomalies = [];
+    replayTrace(trace, reading => {
+      const state = harModelService.predictActivity(reading);
+      if (state.anomaly) anomalies.push(state.anomaly);
+    });
+    expect(anomalies).toEqual([]);
+  });
+});
+
+describe('bundled activity model', () => {
+  let accuracies;
+
+  beforeAll(() => {
+    const classifier = new ModelClassifier(loadModel(harModelAsset));
+    accuracies = Object.fromEntries(Object.entries(ACTIVITY_TRACES).map(([name, activity]) =>
+      [name, classifierAccuracy(classifier, loadCorpusTrace(name), activity)]));
+  });
+
+  test.each(Object.keys(ACTIVITY_TRACES))('recognises the %s trace', (name) => {
+    expect(accuracies[name]).toBeGreaterThanOrEqual(0.9);
+  });
+
+  // Settings only offer the model once it is marked validated (see harModelService)
+  test('is marked validated only when it recognises every trace', () => {
+    const recognisesAll = Object.values(accuracies).every(accuracy => accuracy >= 0.9);
+    expect(loadModel(harModelAsset).validated).toBe(recognisesAll);
+  });
+
+  test('is offered in settings only when validated', () => {
+    const offered = harModelService.getClassifiers().some(({ id }) => id === 'model');
+    expect(offered).toBe(loadModel(harModelAsset).validated);
+  });
+});
+
+describe('fall trace', () => {
+  test('is detected with all four phases near the marked impact', () => {
+    const trace = loadCorpusTrace('fall');
+    const [evaluation] = replayFalls(trace);
+    const impact = trace.events.find(event => event.type === 'impact');
+
+    expect(evaluation.detected).toBe(true);
+    expect(evaluation.placement).toBe('pocket');
+    expect(evaluation.matchedPhases).toEqual(['freeFall', 'impact', 'orientation', 'inactivity']);
+    expect(Math.abs(evaluation.impactTime - impact.t)).toBeLessThanOrEqual(200);
+  });
+
+  test('ends with the person still', () => {
+    const activities = replayActivities(loadCorpusTrace('fall'));
+    expect(activities[activities.length - 1]).toBe('IDLE');
+  });
+
+});
+
+describe('drop trace', () => {
+  test('is rejected as a phone drop', () => {
+    const evaluations = replayFalls(loadCorpusTrace('drop'));
+    expect(evaluations).toHaveLength(1);
+    expect(evaluations[0].detected).toBe(false);
+    expect(evaluations[0].rejectedAs).toBe('drop');
+  });
+});
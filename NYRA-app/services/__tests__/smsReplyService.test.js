@@ -0,0 +1,93 @@
+import { smsReplyService, parseReplyKeyword, REPLY_KEYWORDS } from '../smsReplyService';
+import { incidentService, INCIDENT_STATES } from '../incidentService';
+import { loadContacts } from '../storageService';
+
+jest.mock('../storageService', () => ({ loadContacts: jest.fn() }));
+jest.mock('../incidentService', () => ({
+  INCIDENT_STATES: { PENDING_COUNTDOWN: 'pending_countdown', DISPATCHED: 'dispatched', ACKNOWLEDGED: 'acknowledged' },
+  incidentService: {
+    getIncidents: jest.fn(),
+    transition: jest.fn(),
+    addTimelineEntry: jest.fn(),
+  },
+}));
+
+describe('parseReplyKeyword', () => {
+  it.each([
+    ['OK', REPLY_KEYWORDS.OK],
+    ['okay thanks', REPLY_KEYWORDS.OK],
+    ['Got it.', REPLY_KEYWORDS.OK],
+    ['coming now', REPLY_KEYWORDS.COMING],
+    ['OK, on my way!', REPLY_KEYWORDS.COMING],
+    ['omw', REPLY_KEYWORDS.COMING],
+    ['calling you', REPLY_KEYWORDS.CALL],
+    ['Will CALL', REPLY_KEYWORDS.CALL],
+  ])('reads %p as %s', (body, keyword) => {
+    expect(parseReplyKeyword(body)).toBe(keyword);
+  });
+
+  it.each([
+    'not ok',
+    'Are you OK?? no answer from you',
+    "I can't call right now",
+    'Im not coming',
+    'I dont know, are you safe?',
+    'who is this',
+    'bookkeeping',
+    '',
+    undefined,
+  ])('does not acknowledge %p', (body) => {
+    expect(parseReplyKeyword(body)).toBe(REPLY_KEYWORDS.REPLY);
+  });
+});
+
+describe('handleIncomingSms', () => {
+  const incident = { id: 'incident_1', state: INCIDENT_STATES.DISPATCHED };
+  const contact = { id: 'contact_1', name: 'Asha', phone: '+15551234567' };
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.clearAllMocks();
+    incidentService.getIncidents.mockReturnValue([incident]);
+    loadContacts.mockResolvedValue([contact]);
+  });
+
+  it('acknowledges the incident on a keyword reply', async () => {
+    const acknowledgement = await smsReplyService.handleIncomingSms({ from: '5551234567', body: 'coming' });
+
+    expect(acknowledgement).toMatchObject({ contactId: 'contact_1', keyword: REPLY_KEYWORDS.COMING });
+    expect(incidentService.transition).toHaveBeenCalledWith('incident_1', INCIDENT_STATES.ACKNOWLEDGED, expect.anything());
+    expect(incidentService.addTimelineEntry).not.toHaveBeenCalled();
+  });
+
+  it('logs other replies without leaving the escalating state', async () => {
+    const acknowledgement = await smsReplyService.handleIncomingSms({ from: '+1 555 123 4567', body: 'not ok' });
+
+    expect(acknowledgement).toBeNull();
+    expect(incidentService.transition).not.toHaveBeenCalled();
+    expect(incidentService.addTimelineEntry).toHaveBeenCalledWith('incident_1', expect.objectContaining({
+      event: 'reply',
+      data: expect.objectContaining({ keyword: REPLY_KEYWORDS.REPLY, message: 'not ok' }),
+    }));
+  });
+
+  it('answers the dispatched incident while a newer one counts down', async () => {
+    incidentService.getIncidents.mockReturnValue([{ id: 'incident_2', state: INCIDENT_STATES.PENDING_COUNTDOWN }, incident]);
+    await smsReplyService.handleIncomingSms({ from: '+15551234567', body: 'ok' });
+
+    expect(incidentService.transition).toHaveBeenCalledWith('incident_1', INCIDENT_STATES.ACKNOWLEDGED, expect.anything());
+  });
+
+  it('ignores replies when no incident was dispatched', async () => {
+    incidentService.getIncidents.mockReturnValue([{ id: 'incident_2', state: INCIDENT_STATES.PENDING_COUNTDOWN }]);
+
+    expect(await smsReplyService.handleIncomingSms({ from: '+15551234567', body: 'ok' })).toBeNull();
+    expect(incidentService.transition).not.toHaveBeenCalled();
+  });
+
+  it('ignores messages from numbers that are not contacts', async () => {
+    expect(await smsReplyService.handleIncomingSms({ from: '+15550000000', body: 'ok' })).toBeNull();
+    expect(incidentService.transition).not.toHaveBeenCalled();
+    expect(incidentService.addTimelineEntry).not.toHaveBeenCalled();
+  });
+});
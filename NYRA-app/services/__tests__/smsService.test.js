@@ -0,0 +1,91 @@
+import * as SMS from 'expo-sms';
+import { smsService } from '../smsService';
+import { outboxService } from '../outboxService';
+
+jest.mock('../outboxService', () => ({
+  outboxService: {
+    registerSender: jest.fn(),
+    enqueue: jest.fn(async (item) => ({ ...item, id: 'outbox_1' })),
+    deliver: jest.fn(async () => ({ id: 'outbox_1', recipients: [] })),
+  },
+}));
+
+const settings = { defaultCountry: 'GB', quietHoursEnabled: false };
+const contacts = [
+  { id: '1', name: 'Local', phone: '07700 900123', priority: 1 },
+  { id: '2', name: 'Abroad', phone: '+1 (555) 123-4567', priority: 0 },
+  { id: '3', name: 'Typo', phone: '12', priority: 2 },
+  { id: '4', name: 'Email only', phone: '07700 900456', email: 'a@example.com', channels: 'email', priority: 3 },
+];
+
+jest.mock('expo-sms', () => ({
+  isAvailableAsync: jest.fn(async () => true),
+  sendSMSAsync: jest.fn(async () => ({ result: 'sent' })),
+}));
+
+// Registered when smsService is imported, before beforeEach clears the mocks
+const [, deliverSMS] = outboxService.registerSender.mock.calls[0];
+
+const queuedRecipients = () => outboxService.enqueue.mock.calls[0][0].recipients;
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  jest.clearAllMocks();
+});
+
+describe('SMS recipients', () => {
+  const expected = [
+    { address: '+15551234567', name: 'Abroad' },
+    { address: '+447700900123', name: 'Local' },
+  ];
+
+  it('normalises location updates to E.164', async () => {
+    const location = { coords: { latitude: 51.5, longitude: -0.1 }, timestamp: 0 };
+    await smsService.sendLocationUpdateSMS([
+      { name: 'Abroad', phone: '+1 (555) 123-4567' },
+      { name: 'Local', phone: '+44 7700 900123' },
+      { name: 'Typo', phone: '+44 12' },
+    ], location);
+    expect(queuedRecipients()).toEqual(expected);
+  });
+
+  it('builds the same recipients for emergency, place and trip messages', async () => {
+    await smsService.sendEmergencySMS(contacts, null, { silent: true, settings });
+    await smsService.sendPlaceUpdateSMS(contacts, { placeName: 'Home', arrived: true }, { settings });
+    await smsService.sendTripUpdateSMS(contacts, { headline: 'Walking home' }, { settings });
+
+    expect(outboxService.enqueue).toHaveBeenCalledTimes(3);
+    outboxService.enqueue.mock.calls.forEach(([item]) => expect(item.recipients).toEqual(expected));
+  });
+});
+
+describe('SMS composer delivery', () => {
+  const deliverWithComposer = (result) => {
+    SMS.sendSMSAsync.mockResolvedValueOnce({ result });
+    return deliverSMS(['+447700900123'], { message: 'Help' }, { isForeground: true });
+  };
+
+  it.each([
+    ['sent', { success: true, permanent: false }],
+    // Android never reports what the user did, so the composer is not reopened on every retry
+    ['unknown', { success: true, permanent: false }],
+    ['cancelled', { success: false, permanent: true }],
+  ])('maps the composer result %s', async (result, expected) => {
+    expect(await deliverWithComposer(result)).toEqual([expect.objectContaining({ address: '+447700900123', ...expected })]);
+  });
+
+  it('retries when the composer could not be opened', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    SMS.sendSMSAsync.mockRejectedValueOnce(new Error('No activity'));
+    const [result] = await deliverSMS(['+447700900123'], { message: 'Help' }, { isForeground: true });
+
+    expect(result).toMatchObject({ success: false, permanent: false, error: 'Composer result: error' });
+  });
+
+  it('waits for the foreground before opening the composer', async () => {
+    expect(await deliverSMS(['+447700900123'], { message: 'Help' }, { isForeground: false }))
+      .toEqual([{ address: '+447700900123', deferred: true }]);
+    expect(SMS.sendSMSAsync).not.toHaveBeenCalled();
+  });
+});
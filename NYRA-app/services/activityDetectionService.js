@@ -1,8 +1,17 @@
 // Activity Detection Service
 // Automatic detection of activities, falls, and emergency situations using device sensors
 
-import AsyncStorage from '@react-native-async-storage/async-storage';
+import { secureStorage } from './secureStorageService';
 import { DeviceEventEmitter } from 'react-native';
+import { alertService, INCIDENT_SOURCES } from './alertService';
+import { subscribeToSensorData } from './sensorService';
+import { subscribeToActivity } from './harModelService';
+import { ACTIVITIES } from './harClassifiers';
+import { FallDetector, PHONE_PLACEMENTS } from './fallDetector';
+import { detectionFeedbackService, DETECTORS } from './detectionFeedbackService';
+
+const FALL_LOG_KEY = 'fallDetectionLog';
+const MAX_FALL_LOG_ENTRIES = 50;
 
 class ActivityDetectionService {
   static instance = null;
@@ -10,9 +19,13 @@ class ActivityDetectionService {
   constructor() {
     this.isActive = false;
     this.isMonitoring = false;
-    this.currentActivity = 'stationary';
+    this.currentActivity = ACTIVITIES.IDLE;
     this.activityHistory = [];
     this.listeners = new Map();
+    this.sensorUnsubscribe = null;
+    this.activityUnsubscribe = null;
+    this.lastAnomaly = null;
+    this.suddenStopPending = false;
     
     // Sensor data
     this.accelerometerData = [];
@@ -23,33 +36,23 @@ class ActivityDetectionService {
     this.config = {
       samplingRate: 50, // Hz
       windowSize: 100, // Number of samples to analyze
-      fallThreshold: {
-        acceleration: 15, // m/s²
-        duration: 2000, // ms
-        impactThreshold: 25, // m/s²
-        stillnessAfterFall: 3000 // ms
-      },
-      activityThresholds: {
-        walking: { min: 1.5, max: 4.0 },
-        running: { min: 4.0, max: 12.0 },
-        cycling: { min: 8.0, max: 20.0 },
-        driving: { min: 5.0, max: 50.0 }
-      },
+      phonePlacement: PHONE_PLACEMENTS.AUTO, // auto, hand, pocket - selects the fall thresholds
       emergencyTimeout: 30000, // 30 seconds to cancel fall alert
       privacyMode: false,
       autoEmergencyCall: false,
       sensitivityLevel: 'medium' // low, medium, high
     };
     
-    // Activity patterns
-    this.activityPatterns = {
-      walking: { pattern: 'rhythmic', frequency: [1.5, 3.0] },
-      running: { pattern: 'rhythmic', frequency: [2.5, 4.5] },
-      cycling: { pattern: 'smooth', frequency: [1.0, 2.5] },
-      driving: { pattern: 'smooth', frequency: [0.1, 0.8] },
-      stationary: { pattern: 'minimal', frequency: [0.0, 0.5] },
-      fall: { pattern: 'impact', frequency: [0.0, 10.0] }
-    };
+    // Staged fall detection (free fall, impact, orientation, inactivity); see fallDetector
+    this.fallDetector = new FallDetector();
+    // Labelled false alarms and missed falls tune the detection score
+    detectionFeedbackService.subscribe((eventType) => {
+      if (eventType === 'thresholdsAdapted' || eventType === 'feedbackLoaded') {
+        this.fallDetector.setThresholdScale(detectionFeedbackService.getThresholdScale(DETECTORS.FALL));
+      }
+    });
+    // Recent fall evaluations, kept for false-positive analysis
+    this.fallLog = [];
     
     this.init();
   }
@@ -63,6 +66,8 @@ class ActivityDetectionService {
   
   async init() {
     await this.loadSettings();
+    await this.loadFallLog();
+    await detectionFeedbackService.load();
     this.setupEventListeners();
   }
   
@@ -95,7 +100,7 @@ class ActivityDetectionService {
   
   async loadSettings() {
     try {
-      const settings = await AsyncStorage.getItem('activityDetectionSettings');
+      const settings = await secureStorage.getItem('activityDetectionSettings');
       if (settings) {
         const parsed = JSON.parse(settings);
         this.config = { ...this.config, ...parsed };
@@ -103,11 +108,13 @@ class ActivityDetectionService {
     } catch (error) {
       console.error('Failed to load activity detection settings:', error);
     }
+    this.fallDetector.setPlacement(this.config.phonePlacement);
+    this.fallDetector.setSensitivity(this.config.sensitivityLevel);
   }
   
   async saveSettings() {
     try {
-      await AsyncStorage.setItem('activityDetectionSettings', JSON.stringify(this.config));
+      await secureStorage.setItem('activityDetectionSettings', JSON.stringify(this.config));
     } catch (error) {
       console.error('Failed to save activity detection settings:', error);
     }
@@ -136,9 +143,12 @@ class ActivityDetectionService {
       
       this.isMonitoring = true;
       this.activityHistory = [];
+      this.fallDetector.reset();
       
-      // TODO: Start sensor data collection
-      // await this.startSensorCollection();
+      // Readings come from sensorService and the activity from the HAR engine (harModelService),
+      // so this service never classifies activity itself
+      this.sensorUnsubscribe = subscribeToSensorData(reading => this.handleSensorReading(reading));
+      this.activityUnsubscribe = subscribeToActivity(state => this.handleActivityUpdate(state));
       
       // Start analysis loop
       this.startAnalysisLoop();
@@ -159,8 +169,10 @@ class ActivityDetectionService {
     
     this.isMonitoring = false;
     
-    // TODO: Stop sensor data collection
-    // await this.stopSensorCollection();
+    this.sensorUnsubscribe?.();
+    this.activityUnsubscribe?.();
+    this.sensorUnsubscribe = null;
+    this.activityUnsubscribe = null;
     
     this.emit('monitoringStopped', {
       timestamp: Date.now(),
@@ -175,16 +187,7 @@ class ActivityDetectionService {
       if (!this.isMonitoring) return;
       
       try {
-        // Analyze recent sensor data
-        const activity = await this.analyzeCurrentActivity();
-        
-        if (activity !== this.currentActivity) {
-          this.handleActivityChange(activity);
-        }
-        
-        // Check for fall detection
-        await this.checkForFall();
-        
+        // Falls are evaluated per reading in handleSensorReading
         // Check for unusual patterns
         await this.checkForAnomalies();
         
@@ -201,123 +204,91 @@ class ActivityDetectionService {
   }
   
   // Sensor data handlers
+  // Readings may carry their own timestamp (e.g. replayed sensor traces); otherwise now is used
+
+  /**
+   * Accepts a combined reading from sensorService ({ ax, ay, az, gx, gy, gz, timestamp }).
+   */
+  handleSensorReading(reading) {
+    const { ax, ay, az, gx, gy, gz, timestamp } = reading;
+    this.handleAccelerometerData({ x: ax, y: ay, z: az, timestamp });
+    this.handleGyroscopeData({ x: gx, y: gy, z: gz, timestamp });
+    
+    if (!this.isMonitoring) return;
+    const evaluation = this.fallDetector.process(reading);
+    if (evaluation) {
+      this.handleFallEvaluation(evaluation);
+    }
+  }
+
   handleAccelerometerData(data) {
     if (!this.isMonitoring) return;
     
+    const timestamp = data.timestamp ?? Date.now();
     this.accelerometerData.push({
       ...data,
-      timestamp: Date.now()
+      timestamp
     });
     
     // Keep only recent data
-    const cutoff = Date.now() - (this.config.windowSize * 1000 / this.config.samplingRate);
+    const cutoff = timestamp - (this.config.windowSize * 1000 / this.config.samplingRate);
     this.accelerometerData = this.accelerometerData.filter(item => item.timestamp > cutoff);
   }
   
   handleGyroscopeData(data) {
     if (!this.isMonitoring) return;
     
+    const timestamp = data.timestamp ?? Date.now();
     this.gyroscopeData.push({
       ...data,
-      timestamp: Date.now()
+      timestamp
     });
     
     // Keep only recent data
-    const cutoff = Date.now() - (this.config.windowSize * 1000 / this.config.samplingRate);
+    const cutoff = timestamp - (this.config.windowSize * 1000 / this.config.samplingRate);
     this.gyroscopeData = this.gyroscopeData.filter(item => item.timestamp > cutoff);
   }
   
   handleMagnetometerData(data) {
     if (!this.isMonitoring) return;
     
+    const timestamp = data.timestamp ?? Date.now();
     this.magnetometerData.push({
       ...data,
-      timestamp: Date.now()
+      timestamp
     });
     
     // Keep only recent data
-    const cutoff = Date.now() - (this.config.windowSize * 1000 / this.config.samplingRate);
+    const cutoff = timestamp - (this.config.windowSize * 1000 / this.config.samplingRate);
     this.magnetometerData = this.magnetometerData.filter(item => item.timestamp > cutoff);
   }
   
-  // Activity analysis
-  async analyzeCurrentActivity() {
-    if (this.accelerometerData.length < 10) {
-      return 'insufficient_data';
-    }
+  // Activity tracking
+  handleActivityUpdate(state) {
+    if (!this.isMonitoring) return;
     
-    // Calculate movement magnitude
-    const movementMagnitude = this.calculateMovementMagnitude();
-    
-    // Analyze movement patterns
-    const patterns = this.analyzeMovementPatterns();
-    
-    // Determine activity based on magnitude and patterns
-    let detectedActivity = 'stationary';
-    
-    if (movementMagnitude < 0.5) {
-      detectedActivity = 'stationary';
-    } else if (patterns.rhythmic && movementMagnitude < 4.0) {
-      detectedActivity = 'walking';
-    } else if (patterns.rhythmic && movementMagnitude >= 4.0) {
-      detectedActivity = 'running';
-    } else if (patterns.smooth && movementMagnitude > 8.0) {
-      if (patterns.speed > 20) {
-        detectedActivity = 'driving';
-      } else {
-        detectedActivity = 'cycling';
-      }
-    } else {
-      detectedActivity = 'unknown';
+    // Each sudden stop is published once, as a new anomaly object
+    if (state.anomaly?.type === 'SUDDEN_STOP' && state.anomaly !== this.lastAnomaly) {
+      this.triggerSuddenStopAlert(state.anomaly, state.confidence);
     }
+    this.lastAnomaly = state.anomaly || null;
     
-    return detectedActivity;
-  }
-  
-  calculateMovementMagnitude() {
-    if (this.accelerometerData.length === 0) return 0;
-    
-    const recentData = this.accelerometerData.slice(-20);
-    const magnitudes = recentData.map(data => 
-      Math.sqrt(data.x * data.x + data.y * data.y + data.z * data.z)
-    );
+    if (!Object.values(ACTIVITIES).includes(state.name)) return;
     
-    return magnitudes.reduce((sum, mag) => sum + mag, 0) / magnitudes.length;
-  }
-  
-  analyzeMovementPatterns() {
-    if (this.accelerometerData.length < 20) {
-      return { rhythmic: false, smooth: false, speed: 0 };
+    if (state.name !== this.currentActivity) {
+      this.handleActivityChange(state.name, state.confidence, state.timestamp ?? Date.now());
     }
-    
-    const recentData = this.accelerometerData.slice(-50);
-    
-    // Simple pattern analysis
-    const variations = recentData.map((data, index) => {
-      if (index === 0) return 0;
-      const prev = recentData[index - 1];
-      return Math.abs(data.x - prev.x) + Math.abs(data.y - prev.y) + Math.abs(data.z - prev.z);
-    });
-    
-    const avgVariation = variations.reduce((sum, v) => sum + v, 0) / variations.length;
-    const maxVariation = Math.max(...variations);
-    
-    return {
-      rhythmic: avgVariation > 0.5 && maxVariation < 3.0,
-      smooth: avgVariation < 0.3,
-      speed: this.calculateMovementMagnitude()
-    };
   }
   
-  handleActivityChange(newActivity) {
+  handleActivityChange(newActivity, confidence, timestamp = Date.now()) {
     const previousActivity = this.currentActivity;
     this.currentActivity = newActivity;
     
     const activityEvent = {
       previousActivity,
       currentActivity: newActivity,
-      timestamp: Date.now(),
-      confidence: this.calculateActivityConfidence(newActivity)
+      timestamp,
+      confidence
     };
     
     this.activityHistory.push(activityEvent);
@@ -332,109 +303,128 @@ class ActivityDetectionService {
     this.checkDangerousTransitions(previousActivity, newActivity);
   }
   
-  calculateActivityConfidence(activity) {
-    // Simple confidence calculation based on data quality
-    const dataQuality = Math.min(this.accelerometerData.length / 50, 1.0);
-    const movementConsistency = this.analyzeMovementPatterns().rhythmic ? 0.8 : 0.6;
-    
-    return dataQuality * movementConsistency;
-  }
-  
   // Fall detection
-  async checkForFall() {
-    if (this.accelerometerData.length < 10) return;
-    
-    const recentData = this.accelerometerData.slice(-10);
-    
-    // Check for sudden impact
-    const impacts = recentData.filter(data => {
-      const magnitude = Math.sqrt(data.x * data.x + data.y * data.y + data.z * data.z);
-      return magnitude > this.config.fallThreshold.impactThreshold;
-    });
-    
-    if (impacts.length > 0) {
-      // Check for subsequent stillness
-      setTimeout(() => {
-        this.checkForStillnessAfterImpact(impacts[0].timestamp);
-      }, this.config.fallThreshold.stillnessAfterFall);
+  /**
+   * Records every completed evaluation from the fall detector, matched or not, and raises an
+   * alert when it reports a fall.
+   */
+  async handleFallEvaluation(evaluation) {
+    this.fallLog.push(evaluation);
+    if (this.fallLog.length > MAX_FALL_LOG_ENTRIES) {
+      this.fallLog = this.fallLog.slice(-MAX_FALL_LOG_ENTRIES);
     }
-  }
-  
-  checkForStillnessAfterImpact(impactTime) {
-    const currentTime = Date.now();
-    const dataAfterImpact = this.accelerometerData.filter(
-      data => data.timestamp > impactTime && data.timestamp < currentTime
-    );
-    
-    if (dataAfterImpact.length < 5) return;
+    await this.saveFallLog();
     
-    // Calculate average movement after impact
-    const avgMovement = dataAfterImpact.reduce((sum, data) => {
-      const magnitude = Math.sqrt(data.x * data.x + data.y * data.y + data.z * data.z);
-      return sum + magnitude;
-    }, 0) / dataAfterImpact.length;
+    this.emit('fallEvaluated', evaluation);
     
-    // If movement is very low, likely a fall
-    if (avgMovement < 2.0) {
-      this.triggerFallAlert(impactTime);
+    if (evaluation.detected) {
+      await this.triggerFallAlert(evaluation);
     }
   }
   
-  async triggerFallAlert(impactTime) {
+  async triggerFallAlert(evaluation) {
     const fallEvent = {
       type: 'fall_detected',
-      timestamp: impactTime,
+      timestamp: evaluation.impactTime,
       currentTime: Date.now(),
       location: null, // TODO: Get current location
       activity: this.currentActivity,
-      confidence: 0.8
+      confidence: evaluation.confidence,
+      threshold: evaluation.threshold,
+      placement: evaluation.placement,
+      matchedPhases: evaluation.matchedPhases,
+      phases: evaluation.phases
     };
     
     this.emit('fallDetected', fallEvent);
     
     // Start emergency countdown
-    this.startEmergencyCountdown(fallEvent);
+    await this.startEmergencyCountdown(fallEvent);
+  }
+  
+  async startEmergencyCountdown(fallEvent) {
+    // Record the pending incident so a cancelled fall alert still appears in history
+    const pendingIncident = await alertService.openCountdown({
+      source: INCIDENT_SOURCES.FALL,
+      severity: 'high',
+      details: {
+        impactTime: fallEvent.timestamp,
+        confidence: fallEvent.confidence,
+        placement: fallEvent.placement,
+        matchedPhases: fallEvent.matchedPhases
+      }
+    });
+    fallEvent.incidentId = pendingIncident.id;
+    
+    // Cancelling or closing the incident labels this detection for feedback
+    const detection = await detectionFeedbackService.recordDetection({
+      detector: DETECTORS.FALL,
+      incidentId: pendingIncident.id,
+      score: fallEvent.confidence,
+      threshold: fallEvent.threshold,
+      confidence: fallEvent.confidence,
+      features: {
+        placement: fallEvent.placement,
+        matchedPhases: fallEvent.matchedPhases,
+        phases: fallEvent.phases
+      }
+    });
+    fallEvent.detectionId = detection.id;
+    
+    this.startCountdown('showFallCancelOption', { fallEvent }, {
+      onExpire: () => this.executeEmergencyProtocol(fallEvent),
+      onCancel: () => this.cancelFallAlert(fallEvent)
+    });
   }
   
-  startEmergencyCountdown(fallEvent) {
+  /**
+   * Counts down the cancel window, emitting 'emergencyCountdown' every second, and emits
+   * `cancelEvent` with an onCancel callback for the UI.
+   */
+  startCountdown(cancelEvent, eventData, { onExpire, onCancel }) {
     let countdown = this.config.emergencyTimeout / 1000;
     
     const countdownInterval = setInterval(() => {
       countdown--;
       this.emit('emergencyCountdown', { 
         remaining: countdown,
-        fallEvent 
+        ...eventData
       });
       
       if (countdown <= 0) {
         clearInterval(countdownInterval);
-        this.executeEmergencyProtocol(fallEvent);
+        onExpire();
       }
     }, 1000);
     
     // Allow user to cancel
-    this.emit('showFallCancelOption', {
-      fallEvent,
+    this.emit(cancelEvent, {
+      ...eventData,
       onCancel: () => {
         clearInterval(countdownInterval);
-        this.cancelFallAlert(fallEvent);
+        onCancel();
       }
     });
   }
   
   async executeEmergencyProtocol(fallEvent) {
     try {
-      // TODO: Integrate with other safety services
-      // const alertService = require('./alertService').default.getInstance();
-      // await alertService.triggerFallAlert(fallEvent);
-      
-      // const evidenceService = require('./evidenceCaptureService').default.getInstance();
-      // await evidenceService.startFallRecording(fallEvent);
-      
-      // const communityService = require('./communityResponseService').default.getInstance();
-      // await communityService.sendFallEmergency(fallEvent);
+      const dispatch = await alertService.dispatchIncident({
+        source: INCIDENT_SOURCES.FALL,
+        severity: 'high',
+        location: fallEvent.location,
+        incidentId: fallEvent.incidentId,
+        details: {
+          impactTime: fallEvent.timestamp,
+          activity: fallEvent.activity,
+          confidence: fallEvent.confidence,
+          placement: fallEvent.placement,
+          matchedPhases: fallEvent.matchedPhases,
+          phases: fallEvent.phases
+        }
+      });
       
-      this.emit('emergencyActivated', fallEvent);
+      this.emit('emergencyActivated', { ...fallEvent, incidentId: dispatch.incident.id });
       
     } catch (error) {
       console.error('Emergency protocol execution failed:', error);
@@ -443,9 +433,87 @@ class ActivityDetectionService {
   }
   
   cancelFallAlert(fallEvent) {
+    // The cancelled incident marks the detection as a false alarm in detectionFeedbackService
+    alertService.cancelCountdown(fallEvent.incidentId, 'Fall alert cancelled by user');
     this.emit('fallAlertCancelled', fallEvent);
   }
   
+  // Sudden stop detection
+  /**
+   * A sudden stop from the HAR engine gets the same cancellable countdown as a fall, so it is
+   * handled while the app is in the background or was relaunched without UI.
+   */
+  async triggerSuddenStopAlert(anomaly, confidence) {
+    // One countdown at a time; a later stop in the same emergency adds nothing
+    if (this.suddenStopPending) return;
+    this.suddenStopPending = true;
+    
+    const stopEvent = {
+      type: 'sudden_stop',
+      timestamp: Date.now(),
+      activity: this.currentActivity,
+      confidence,
+      anomaly
+    };
+    
+    try {
+      this.emit('suddenStopDetected', stopEvent);
+      
+      const pendingIncident = await alertService.openCountdown({
+        source: INCIDENT_SOURCES.SUDDEN_STOP,
+        severity: 'high',
+        details: { features: anomaly.features || {} }
+      });
+      stopEvent.incidentId = pendingIncident.id;
+      
+      // Cancelling or closing the incident labels this detection for feedback
+      const detection = await detectionFeedbackService.recordDetection({
+        detector: DETECTORS.SUDDEN_STOP,
+        incidentId: pendingIncident.id,
+        score: anomaly.score ?? null,
+        threshold: anomaly.threshold ?? null,
+        confidence,
+        features: anomaly.features || {}
+      });
+      stopEvent.detectionId = detection.id;
+    } catch (error) {
+      console.error('Failed to record sudden stop:', error);
+    }
+    
+    this.startCountdown('showSuddenStopCancelOption', { stopEvent }, {
+      onExpire: () => this.dispatchSuddenStop(stopEvent),
+      onCancel: () => this.cancelSuddenStopAlert(stopEvent)
+    });
+  }
+  
+  async dispatchSuddenStop(stopEvent) {
+    try {
+      const dispatch = await alertService.dispatchIncident({
+        source: INCIDENT_SOURCES.SUDDEN_STOP,
+        severity: 'high',
+        incidentId: stopEvent.incidentId,
+        details: {
+          activity: stopEvent.activity,
+          confidence: stopEvent.confidence,
+          features: stopEvent.anomaly.features || {}
+        }
+      });
+      
+      this.emit('emergencyActivated', { ...stopEvent, incidentId: dispatch.incident.id });
+    } catch (error) {
+      console.error('Sudden stop alert failed:', error);
+      this.emit('emergencyError', { error: error.message, stopEvent });
+    } finally {
+      this.suddenStopPending = false;
+    }
+  }
+  
+  cancelSuddenStopAlert(stopEvent) {
+    this.suddenStopPending = false;
+    alertService.cancelCountdown(stopEvent.incidentId, 'Sudden stop alert cancelled by user');
+    this.emit('suddenStopAlertCancelled', stopEvent);
+  }
+  
   // Anomaly detection
   async checkForAnomalies() {
     // Check for unusual activity patterns
@@ -472,9 +540,9 @@ class ActivityDetectionService {
   checkDangerousTransitions(fromActivity, toActivity) {
     // Check for potentially dangerous transitions
     const dangerousTransitions = [
-      { from: 'running', to: 'stationary', concern: 'sudden_stop' },
-      { from: 'cycling', to: 'stationary', concern: 'cycling_accident' },
-      { from: 'driving', to: 'stationary', concern: 'vehicle_accident' }
+      { from: ACTIVITIES.RUNNING, to: ACTIVITIES.IDLE, concern: 'sudden_stop' },
+      { from: ACTIVITIES.CYCLING, to: ACTIVITIES.IDLE, concern: 'cycling_accident' },
+      { from: ACTIVITIES.DRIVING, to: ACTIVITIES.IDLE, concern: 'vehicle_accident' }
     ];
     
     const dangerous = dangerousTransitions.find(
@@ -497,21 +565,14 @@ class ActivityDetectionService {
   }
   
   async setSensitivity(level) {
+    // Fall thresholds for each level live in fallDetector (SENSITIVITY_ADJUSTMENTS)
     const sensitivityConfigs = {
-      low: {
-        fallThreshold: { ...this.config.fallThreshold, impactThreshold: 30 },
-        emergencyTimeout: 45000
-      },
-      medium: {
-        fallThreshold: { ...this.config.fallThreshold, impactThreshold: 25 },
-        emergencyTimeout: 30000
-      },
-      high: {
-        fallThreshold: { ...this.config.fallThreshold, impactThreshold: 20 },
-        emergencyTimeout: 15000
-      }
+      low: { emergencyTimeout: 45000 },
+      medium: { emergencyTimeout: 30000 },
+      high: { emergencyTimeout: 15000 }
     };
     
+    this.fallDetector.setSensitivity(level);
     await this.updateConfig({
       sensitivityLevel: level,
       ...sensitivityConfigs[level]
@@ -520,6 +581,42 @@ class ActivityDetectionService {
     this.emit('sensitivityChanged', level);
   }
   
+  async setPhonePlacement(placement) {
+    this.fallDetector.setPlacement(placement);
+    await this.updateConfig({ phonePlacement: placement });
+  }
+  
+  // Fall evaluation log
+  async loadFallLog() {
+    try {
+      const stored = await secureStorage.getItem(FALL_LOG_KEY);
+      this.fallLog = stored ? JSON.parse(stored) : [];
+    } catch (error) {
+      console.error('Failed to load fall detection log:', error);
+    }
+  }
+  
+  async saveFallLog() {
+    try {
+      await secureStorage.setItem(FALL_LOG_KEY, JSON.stringify(this.fallLog));
+    } catch (error) {
+      console.error('Failed to save fall detection log:', error);
+    }
+  }
+  
+  /**
+   * Recent fall evaluations, newest last, including the ones that did not raise an alert and
+   * which phases each one matched.
+   */
+  getFallLog() {
+    return [...this.fallLog];
+  }
+  
+  async clearFallLog() {
+    this.fallLog = [];
+    await this.saveFallLog();
+  }
+  
   // Status and data methods
   getStatus() {
     return {
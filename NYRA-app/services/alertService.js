@@ -2,46 +2,385 @@ import { loadContacts, loadSettings } from './storageService';
 import { locationService } from './locationService';
 import { smsService } from './smsService';
 import { emailService } from './emailService';
+import { communityResponseService } from './communityResponseService';
+import { evidenceCaptureService } from './evidenceCaptureService';
+import { incidentService, INCIDENT_STATES } from './incidentService';
+import { escalationService, ESCALATION_LEVEL_START } from './escalationService';
+import { getPersonalContacts } from './contactService';
 
 /**
- * Coordinates the entire alert procedure based on user settings.
+ * Where an emergency can be raised from.
  */
-const triggerAlertProcedure = async () => {
-  console.log('--- Triggering Alert Procedure ---');
+export const INCIDENT_SOURCES = {
+  MANUAL: 'manual',
+  PANIC_BUTTON: 'panic_button',
+  SUDDEN_STOP: 'sudden_stop',
+  FALL: 'fall',
+  VOICE: 'voice',
+  THREAT: 'threat',
+  VIRTUAL_COMPANION: 'virtual_companion',
+  ROUTE_GUARDIAN: 'route_guardian',
+};
 
-  // 1. Load contacts and settings
-  const contacts = await loadContacts();
-  const settings = await loadSettings();
+export const INCIDENT_SEVERITIES = ['low', 'medium', 'high', 'critical'];
+
+// Triggers arriving this soon after a dispatched incident are treated as the same event
+const DEDUP_WINDOW_MS = 5 * 60 * 1000;
+
+// Community help is only requested for incidents at or above this severity
+const COMMUNITY_MIN_SEVERITY = 'high';
+
+let activeIncident = null;
+let listeners = [];
 
-  if (!contacts || contacts.length === 0) {
-    console.warn('Alert procedure aborted: No emergency contacts found.');
-    return;
+/**
+ * @typedef {Object} Incident
+ * @property {string} id - Unique incident identifier
+ * @property {string} source - Primary trigger, one of INCIDENT_SOURCES
+ * @property {Array<string>} sources - Every trigger merged into this incident
+ * @property {string} severity - One of INCIDENT_SEVERITIES
+ * @property {Location.LocationObject|null} location - Where the incident happened
+ * @property {Array<object>} evidence - Evidence references, e.g. { type, id }
+ * @property {object} details - Source-specific context
+ * @property {number} createdAt - Epoch milliseconds
+ */
+
+const notifyListeners = (eventType, incident) => {
+  for (const listener of listeners) {
+    try {
+      listener(eventType, incident);
+    } catch (error) {
+      console.error('Alert service listener error:', error);
+    }
   }
+};
+
+/**
+ * Subscribes to incident lifecycle events ('incidentDispatched', 'incidentMerged', 'incidentCleared').
+ * @param {function(string, Incident): void} callback
+ * @returns {function(): void} Unsubscribe function
+ */
+export const subscribeToIncidents = (callback) => {
+  listeners.push(callback);
+  return () => {
+    listeners = listeners.filter(l => l !== callback);
+  };
+};
 
-  // 2. Get last known location
-  const location = locationService.getLastKnownLocation();
-  if (!location) {
-      console.warn("Could not get last known location for the alert.");
+const severityRank = (severity) => INCIDENT_SEVERITIES.indexOf(severity);
+
+/**
+ * Normalises raw trigger data into a typed incident.
+ * @param {object} input - { source, severity, location, evidence, details, contacts }
+ * @returns {Incident}
+ */
+const createIncident = (input) => {
+  const source = Object.values(INCIDENT_SOURCES).includes(input.source)
+    ? input.source
+    : INCIDENT_SOURCES.MANUAL;
+  const severity = INCIDENT_SEVERITIES.includes(input.severity) ? input.severity : 'high';
+
+  return {
+    id: `incident_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+    source,
+    sources: [source],
+    severity,
+    location: input.location || null,
+    evidence: input.evidence || [],
+    details: input.details || {},
+    createdAt: Date.now(),
+  };
+};
+
+/**
+ * Returns the incident currently inside its de-duplication window, if any.
+ * An incident that has been resolved or marked a false alarm is no longer active.
+ * @returns {Incident|null}
+ */
+const getActiveIncident = () => {
+  if (activeIncident && (
+    Date.now() - activeIncident.createdAt > DEDUP_WINDOW_MS ||
+    incidentService.isTerminal(incidentService.getIncident(activeIncident.id))
+  )) {
+    activeIncident = null;
+  }
+  return activeIncident;
+};
+
+/**
+ * Folds a second trigger for the same event into the active incident instead of alerting again.
+ */
+const mergeIntoActiveIncident = async (incident, pendingIncidentId) => {
+  if (!activeIncident.sources.includes(incident.source)) {
+    activeIncident.sources.push(incident.source);
+  }
+  if (severityRank(incident.severity) > severityRank(activeIncident.severity)) {
+    activeIncident.severity = incident.severity;
+  }
+  activeIncident.evidence.push(...incident.evidence);
+  activeIncident.details = { ...activeIncident.details, [incident.source]: incident.details };
+
+  console.log(`🔁 Alert Service: ${incident.source} trigger merged into ${activeIncident.id}`);
+
+  await incidentService.updateIncident(activeIncident.id, {
+    sources: activeIncident.sources,
+    severity: activeIncident.severity,
+    evidence: activeIncident.evidence,
+    details: activeIncident.details,
+  });
+  if (pendingIncidentId) {
+    await closePendingIncident(pendingIncidentId, INCIDENT_STATES.CANCELLED, `Merged into ${activeIncident.id}`);
+  }
+
+  notifyListeners('incidentMerged', activeIncident);
+  return activeIncident;
+};
+
+const closePendingIncident = async (incidentId, toState, note) => {
+  try {
+    await incidentService.transition(incidentId, toState, { note });
+  } catch (error) {
+    console.warn('Alert Service: could not update pending incident:', error.message);
+  }
+};
+
+/**
+ * Records an incident that is waiting on a cancellable countdown (alert screen, panic
+ * button, fall alert). Pass the returned id to dispatchIncident when the countdown ends.
+ * @param {object} input - Incident fields (see createIncident)
+ * @returns {Promise<object>} The stored incident record
+ */
+const openCountdown = async (input = {}) => {
+  return incidentService.openIncident(createIncident(input), INCIDENT_STATES.PENDING_COUNTDOWN);
+};
+
+/**
+ * Records that the user cancelled an incident during its countdown.
+ */
+const cancelCountdown = async (incidentId, note = 'Cancelled by user') => {
+  if (!incidentId) return;
+  await closePendingIncident(incidentId, INCIDENT_STATES.CANCELLED, note);
+};
+
+const resolveLocation = async (incident) => {
+  if (incident.location) return incident.location;
+
+  const lastKnown = locationService.getLastKnownLocation();
+  if (lastKnown) return lastKnown;
+
+  try {
+    return await locationService.getCurrentLocation();
+  } catch (error) {
+    console.warn('Could not get a location for the alert:', error.message);
+    return null;
+  }
+};
+
+const requestCommunityHelp = async (incident) => {
+  if (!communityResponseService.getIsActive()) {
+    return { success: false, error: 'Community response not initialized' };
+  }
+  return communityResponseService.sendHelpRequest({
+    urgency: incident.severity,
+    type: incident.source,
+    description: `Emergency raised by ${incident.source.replace(/_/g, ' ')}`,
+    shareLocation: true,
+  });
+};
+
+const startEvidenceCapture = async (incident) => {
+  if (!evidenceCaptureService.getIsActive()) {
+    return { success: false, error: 'Evidence capture not initialized' };
+  }
+  if (evidenceCaptureService.getIsRecording()) {
+    const session = evidenceCaptureService.getCurrentSession();
+    return { success: true, sessionId: session?.id, alreadyRecording: true };
+  }
+  return evidenceCaptureService.startEvidenceRecording({
+    source: incident.source,
+    urgency: incident.severity,
+    location: incident.location,
+  }, true);
+};
+
+// Authorities are only contacted through their own escalation step
+const getDirectContacts = async (input) =>
+  getPersonalContacts(input.contacts && input.contacts.length > 0 ? input.contacts : await loadContacts());
+
+const alertContactsDirectly = async (contacts, incident, settings) => {
+  const results = {};
+  if (contacts.length === 0) {
+    console.warn('Alert dispatch: No personal emergency contacts found, skipping SMS and email.');
+    return results;
   }
 
-  // 3. Send alerts based on preferences
   if (settings.sendSmsAlerts) {
-    console.log('Attempting to send SMS alerts...');
-    await smsService.sendEmergencySMS(contacts, location);
+    results.sms = await smsService.sendEmergencySMS(contacts, incident.location, {
+      incidentId: incident.id,
+      severity: incident.severity,
+      settings,
+    });
   } else {
     console.log('SMS alerts are disabled in settings.');
   }
 
   if (settings.sendEmailAlerts) {
-    console.log('Attempting to send Email alerts...');
-    await emailService.sendEmergencyEmail(contacts, location);
+    results.email = await emailService.sendEmergencyEmail(contacts, incident.location, {
+      incidentId: incident.id,
+      severity: incident.severity,
+      settings,
+    });
   } else {
     console.log('Email alerts are disabled in settings.');
   }
-  
-  console.log('--- Alert Procedure Finished ---');
+  return results;
+};
+
+/**
+ * Single entry point for raising an emergency. Fans the incident out to SMS, email,
+ * community help and evidence capture according to the user's settings. When the escalation
+ * policy is enabled, contacts and community are alerted step by step by escalationService
+ * until someone acknowledges. A trigger that arrives while another incident is still active
+ * is merged into it rather than re-alerting.
+ *
+ * @param {object} input - Incident fields (see createIncident)
+ * @param {string} [input.incidentId] - Id returned by openCountdown for this trigger
+ * @param {Array<object>} [input.contacts] - Contacts to alert instead of the saved list
+ * @param {string} [input.escalationLevel] - 'silent', 'local' or 'full'; where the ladder starts
+ * @returns {Promise<object>} { success, deduplicated, incident, results }
+ */
+const dispatchIncident = async (input = {}) => {
+  const incident = createIncident(input);
+  const pending = input.incidentId ? incidentService.getIncident(input.incidentId) : null;
+  if (pending && pending.state === INCIDENT_STATES.PENDING_COUNTDOWN) {
+    incident.id = pending.id;
+    incident.createdAt = pending.createdAt;
+  }
+
+  if (getActiveIncident()) {
+    const merged = await mergeIntoActiveIncident(incident, pending ? pending.id : null);
+    return { success: true, deduplicated: true, incident: merged, results: {} };
+  }
+
+  // Claim the active slot before any await so concurrent triggers merge into this one
+  activeIncident = incident;
+  console.log(`--- Dispatching incident ${incident.id} (${incident.source}, ${incident.severity}) ---`);
+
+  if (pending) {
+    await closePendingIncident(pending.id, INCIDENT_STATES.DISPATCHED, 'Countdown finished');
+  } else {
+    await incidentService.openIncident(incident, INCIDENT_STATES.DISPATCHED);
+  }
+
+  const settings = await loadSettings();
+  incident.location = await resolveLocation(incident);
+
+  let results = {};
+
+  if (escalationService.isEnabled()) {
+    try {
+      results = (await escalationService.start(incident, {
+        contacts: input.contacts,
+        startStep: ESCALATION_LEVEL_START[input.escalationLevel],
+      })) || {};
+    } catch (error) {
+      console.error('Alert dispatch: escalation failed to start:', error);
+    }
+
+    // An incident must never go out with no message at all
+    if (!results.sms && results.email === undefined) {
+      console.warn('Alert dispatch: escalation alerted no one, alerting personal contacts directly');
+      const contacts = await getDirectContacts(input);
+      results = { ...results, ...await alertContactsDirectly(contacts, incident, settings) };
+      await escalationService.markContactsAlerted(contacts);
+    }
+  } else {
+    results = await alertContactsDirectly(await getDirectContacts(input), incident, settings);
+
+    if (settings.requestCommunityHelp && severityRank(incident.severity) >= severityRank(COMMUNITY_MIN_SEVERITY)) {
+      try {
+        results.community = await requestCommunityHelp(incident);
+      } catch (error) {
+        console.error('Alert dispatch: community help request failed:', error);
+        results.community = { success: false, error: error.message };
+      }
+    }
+  }
+
+  if (settings.captureEvidence) {
+    try {
+      results.evidence = await startEvidenceCapture(incident);
+      if (results.evidence?.success && results.evidence.sessionId) {
+        incident.evidence.push({ type: 'evidence_session', id: results.evidence.sessionId });
+      }
+    } catch (error) {
+      console.error('Alert dispatch: evidence capture failed:', error);
+      results.evidence = { success: false, error: error.message };
+    }
+  }
+
+  const success = !!(results.sms?.success || results.email === true || results.community?.success);
+
+  await incidentService.updateIncident(incident.id, {
+    location: incident.location,
+    evidence: incident.evidence,
+    channels: {
+      sms: results.sms ? { sent: results.sms.sent, failed: results.sms.failed, outboxId: results.sms.outboxId } : null,
+      email: results.email === undefined ? null : results.email === true,
+      community: results.community ? !!results.community.success : null,
+    },
+  });
+
+  notifyListeners('incidentDispatched', incident);
+  console.log('--- Incident Dispatch Finished ---');
+
+  return { success, deduplicated: false, incident, results };
+};
+
+/**
+ * Ends the active incident so the next trigger raises a fresh alert.
+ */
+const clearActiveIncident = () => {
+  if (activeIncident) {
+    const cleared = activeIncident;
+    activeIncident = null;
+    notifyListeners('incidentCleared', cleared);
+  }
+};
+
+/**
+ * Closes a dispatched incident as resolved or a false alarm.
+ * @param {string} incidentId
+ * @param {object} options
+ * @param {boolean} options.falseAlarm - Record the incident as a false alarm
+ * @param {string} options.note - Note for the incident timeline
+ */
+const resolveIncident = async (incidentId, { falseAlarm = false, note = null } = {}) => {
+  const record = await incidentService.transition(
+    incidentId,
+    falseAlarm ? INCIDENT_STATES.FALSE_ALARM : INCIDENT_STATES.RESOLVED,
+    { note }
+  );
+  if (activeIncident && activeIncident.id === incidentId) {
+    clearActiveIncident();
+  }
+  return record;
+};
+
+/**
+ * Coordinates the entire alert procedure based on user settings.
+ * Kept for callers that predate incident dispatch.
+ */
+const triggerAlertProcedure = async () => {
+  return dispatchIncident({ source: INCIDENT_SOURCES.MANUAL, severity: 'high' });
 };
 
 export const alertService = {
+  dispatchIncident,
+  openCountdown,
+  cancelCountdown,
+  resolveIncident,
+  getActiveIncident,
+  clearActiveIncident,
   triggerAlertProcedure,
 };
@@ -0,0 +1,348 @@
+// Background Protection Service - Protection That Outlives the Screen
+// Runs location tracking, sensor-based fall and sudden-stop detection and companion check-ins
+// behind a persistent notification, so they keep going while the app is in the background.
+// A watchdog restarts parts that stop delivering data, and protection resumes after a restart
+
+import { AppState } from 'react-native';
+import * as Location from 'expo-location';
+import * as Notifications from 'expo-notifications';
+import { secureStorage } from './secureStorageService';
+import { locationService } from './locationService';
+import { sensorService, subscribeToSensorData } from './sensorService';
+import harModelService from './harModelService';
+import ActivityDetectionService from './activityDetectionService';
+import { virtualCompanionService } from './virtualCompanionService';
+
+const STATE_KEY = 'background_protection_state';
+
+const WATCHDOG_INTERVAL_MS = 15000;
+const SENSOR_STALE_MS = 10000; // Sensors deliver ten readings a second, so this means stalled
+const RESTART_COOLDOWN_MS = 60000; // Per component, so a sensor the OS keeps blocking is not hammered
+const HEARTBEAT_PERSIST_MS = 60000;
+const MAX_RESTART_LOG = 20;
+
+const PERSISTENT_NOTIFICATION = {
+  title: 'NYRA protection is on',
+  body: 'Watching for falls and sudden stops and sharing your location in an emergency.',
+};
+
+export const PROTECTION_HEALTH = {
+  HEALTHY: 'healthy',
+  DEGRADED: 'degraded', // Running, but a component is not delivering data
+  STOPPED: 'stopped',
+};
+
+class BackgroundProtectionService {
+  constructor() {
+    this.state = { active: false, startedAt: null, lastHeartbeatAt: null, restarts: [] };
+    this.mode = null; // 'background' with the location task, 'foreground' without permission
+    this.lastSensorSampleAt = null;
+    this.lastLocationAt = null;
+    this.lastCheckAt = null;
+    this.lastRestartAt = {}; // Per component, for the cooldown
+    this.issues = [];
+    this.listeners = [];
+    this.watchdogTimer = null;
+    this.sensorUnsubscribe = null;
+    this.locationUnsubscribe = null;
+    this.fallUnsubscribe = null;
+    this.suddenStopUnsubscribe = null;
+    this.isChecking = false;
+    this.initPromise = null;
+    this.saveChain = Promise.resolve();
+  }
+
+  /**
+   * Resume protection left on when the app was closed or killed. Called from index.js, so it
+   * also runs when Android relaunches the app without UI for the background location task.
+   */
+  init() {
+    if (!this.initPromise) {
+      this.initPromise = (async () => {
+        try {
+          const stored = await secureStorage.getItem(STATE_KEY);
+          if (stored) {
+            this.state = { ...this.state, ...JSON.parse(stored) };
+          }
+        } catch (error) {
+          console.error('Failed to load background protection state:', error);
+        }
+
+        if (this.state.active && !this.mode) {
+          const downSince = this.state.lastHeartbeatAt;
+          console.log('🛡️ Background protection: Resuming after restart');
+          this.recordRestart('app', downSince
+            ? `App restarted after ${Math.round((Date.now() - downSince) / 1000)}s without a heartbeat`
+            : 'App restarted');
+          try {
+            await this.startComponents();
+          } catch (error) {
+            console.error('Background protection: Could not resume:', error);
+          }
+        }
+      })();
+    }
+    return this.initPromise;
+  }
+
+  persist() {
+    this.saveChain = this.saveChain
+      .then(() => secureStorage.setItem(STATE_KEY, JSON.stringify(this.state)))
+      .catch(error => console.error('Failed to save background protection state:', error));
+    return this.saveChain;
+  }
+
+  isActive() {
+    return this.state.active;
+  }
+
+  /**
+   * Turn protection on. Uses the background location task when background permission is
+   * granted, and otherwise tracks only while the app is open.
+   * @throws {Error} If location or sensors cannot be started; everything is stopped again
+   */
+  async start() {
+    await this.init();
+    if (this.state.active && this.mode) return;
+
+    this.state = {
+      ...this.state,
+      active: true,
+      startedAt: Date.now(),
+      lastHeartbeatAt: Date.now(),
+      restarts: [],
+    };
+    this.lastRestartAt = {};
+    try {
+      await this.startComponents();
+    } catch (error) {
+      await this.stop();
+      throw error;
+    }
+    await this.persist();
+  }
+
+  /**
+   * Turn protection off.
+   * @param {object} [options]
+   * @param {boolean} [options.keepLocation] - Leave location running for an alert in progress
+   */
+  async stop({ keepLocation = false } = {}) {
+    this.stopWatchdog();
+    ActivityDetectionService.getInstance().stopMonitoring();
+    harModelService.stop();
+    sensorService.stopSensorUpdates();
+    if (!keepLocation) {
+      locationService.stopLocationUpdates();
+      await locationService.stopBackgroundLocationUpdates();
+    }
+
+    this.mode = null;
+    this.issues = [];
+    this.state = { ...this.state, active: false, startedAt: null };
+    await this.persist();
+    console.log('🛡️ Background protection: Stopped');
+    this.notifyListeners('protectionStopped', this.getHealth());
+  }
+
+  async startComponents() {
+    const { status } = await Location.getBackgroundPermissionsAsync();
+    if (status === 'granted') {
+      await locationService.startBackgroundLocationUpdates(PERSISTENT_NOTIFICATION);
+      this.mode = 'background';
+    } else {
+      await locationService.startLocationUpdates();
+      this.mode = 'foreground';
+    }
+
+    if (!this.sensorUnsubscribe) {
+      this.sensorUnsubscribe = subscribeToSensorData(() => {
+        this.lastSensorSampleAt = Date.now();
+      });
+    }
+    if (!this.locationUnsubscribe) {
+      // Background task deliveries also wake the watchdog when timers are throttled
+      this.locationUnsubscribe = locationService.subscribeToLocation(() => {
+        this.lastLocationAt = Date.now();
+        if (Date.now() - (this.lastCheckAt || 0) >= WATCHDOG_INTERVAL_MS) {
+          this.checkHealth();
+        }
+      });
+    }
+    if (!this.fallUnsubscribe) {
+      this.fallUnsubscribe = ActivityDetectionService.getInstance()
+        .subscribe('showFallCancelOption', () => this.notifyCountdownInBackground('🚨 Possible fall detected'));
+    }
+    if (!this.suddenStopUnsubscribe) {
+      this.suddenStopUnsubscribe = ActivityDetectionService.getInstance()
+        .subscribe('showSuddenStopCancelOption', () => this.notifyCountdownInBackground('🚨 Sudden stop detected'));
+    }
+
+    this.lastSensorSampleAt = null;
+    await sensorService.startSensorUpdates();
+    if (!harModelService.isMonitoring) {
+      harModelService.start();
+    }
+    await ActivityDetectionService.getInstance().startMonitoring();
+
+    // Companion check-in timers left running when the app was killed
+    if (!virtualCompanionService.getIsActive()) {
+      await virtualCompanionService.restoreSession();
+    }
+
+    this.startWatchdog();
+    console.log(`🛡️ Background protection: Started (${this.mode})`);
+    this.notifyListeners('protectionStarted', this.getHealth());
+  }
+
+  // --- Watchdog ---
+
+  startWatchdog() {
+    this.stopWatchdog();
+    this.watchdogTimer = setInterval(() => this.checkHealth(), WATCHDOG_INTERVAL_MS);
+  }
+
+  stopWatchdog() {
+    if (this.watchdogTimer) {
+      clearInterval(this.watchdogTimer);
+      this.watchdogTimer = null;
+    }
+  }
+
+  /**
+   * Restart any component that stopped delivering data, and update the heartbeat.
+   */
+  async checkHealth() {
+    if (!this.state.active || !this.mode || this.isChecking) return;
+    this.isChecking = true;
+    const now = Date.now();
+    this.lastCheckAt = now;
+    const issues = [];
+
+    try {
+      const sensorsStale = !sensorService.isSensorListening() ||
+        now - (this.lastSensorSampleAt || this.state.startedAt) > SENSOR_STALE_MS;
+      if (sensorsStale) {
+        issues.push('No recent sensor readings');
+        if (this.canRestart('sensors', now)) {
+          this.recordRestart('sensors', 'Sensor readings stopped');
+          sensorService.stopSensorUpdates();
+          await sensorService.startSensorUpdates();
+        }
+      }
+      if (!harModelService.isMonitoring) {
+        issues.push('Activity recognition stopped');
+        this.recordRestart('activity', 'Activity recognition stopped');
+        harModelService.start();
+      }
+      if (!ActivityDetectionService.getInstance().isMonitoring) {
+        issues.push('Fall detection stopped');
+        this.recordRestart('falls', 'Fall detection stopped');
+        await ActivityDetectionService.getInstance().startMonitoring();
+      }
+
+      const locationRunning = this.mode === 'background'
+        ? await locationService.isBackgroundTrackingActive()
+        : locationService.isTrackingLocation();
+      if (!locationRunning) {
+        issues.push('Location tracking stopped');
+        if (this.canRestart('location', now)) {
+          this.recordRestart('location', 'Location tracking stopped');
+          if (this.mode === 'background') {
+            await locationService.stopBackgroundLocationUpdates();
+            await locationService.startBackgroundLocationUpdates(PERSISTENT_NOTIFICATION);
+          } else {
+            locationService.stopLocationUpdates();
+            await locationService.startLocationUpdates();
+          }
+        }
+      }
+    } catch (error) {
+      console.error('Background protection: Watchdog restart failed:', error);
+      issues.push(`Restart failed: ${error.message}`);
+    } finally {
+      this.isChecking = false;
+    }
+
+    this.issues = issues;
+    if (now - (this.state.lastHeartbeatAt || 0) >= HEARTBEAT_PERSIST_MS) {
+      this.state.lastHeartbeatAt = now;
+      this.persist();
+    }
+    this.notifyListeners('healthUpdated', this.getHealth());
+  }
+
+  canRestart(component, now) {
+    return now - (this.lastRestartAt[component] || 0) >= RESTART_COOLDOWN_MS;
+  }
+
+  recordRestart(component, reason) {
+    const now = Date.now();
+    console.warn(`🛡️ Background protection: Restarting ${component} - ${reason}`);
+    this.lastRestartAt[component] = now;
+    this.state.restarts = [{ component, reason, at: now }, ...(this.state.restarts || [])].slice(0, MAX_RESTART_LOG);
+    this.persist();
+  }
+
+  // Fall and sudden-stop countdowns are only visible in the app, so say so when it is in the background
+  async notifyCountdownInBackground(title) {
+    if (AppState.currentState === 'active') return;
+    try {
+      await Notifications.scheduleNotificationAsync({
+        content: {
+          title,
+          body: 'Your contacts will be alerted shortly. Open NYRA now if you are okay.',
+        },
+        trigger: null,
+      });
+    } catch (error) {
+      console.warn('Background protection: Could not show countdown notification:', error.message);
+    }
+  }
+
+  /**
+   * @returns {{status: string, active: boolean, mode: string|null, startedAt: number|null,
+   *   lastSensorSampleAt: number|null, lastLocationAt: number|null, lastCheckAt: number|null,
+   *   issues: Array<string>, restarts: Array<{component: string, reason: string, at: number}>}}
+   */
+  getHealth() {
+    let status = PROTECTION_HEALTH.STOPPED;
+    if (this.state.active && this.mode) {
+      status = this.issues.length > 0 ? PROTECTION_HEALTH.DEGRADED : PROTECTION_HEALTH.HEALTHY;
+    }
+    return {
+      status,
+      active: this.state.active,
+      mode: this.mode,
+      startedAt: this.state.startedAt,
+      lastSensorSampleAt: this.lastSensorSampleAt,
+      lastLocationAt: this.lastLocationAt,
+      lastCheckAt: this.lastCheckAt,
+      issues: [...this.issues],
+      restarts: [...(this.state.restarts || [])],
+    };
+  }
+
+  // FRONTEND: Subscribe to service events
+  subscribe(listener) {
+    this.listeners.push(listener);
+    return () => {
+      this.listeners = this.listeners.filter(l => l !== listener);
+    };
+  }
+
+  // FRONTEND: Notify UI components of state changes
+  notifyListeners(eventType, data) {
+    this.listeners.forEach(listener => {
+      try {
+        listener(eventType, data);
+      } catch (error) {
+        console.error('Listener error:', error);
+      }
+    });
+  }
+}
+
+// Export singleton instance
+export const backgroundProtectionService = new BackgroundProtectionService();
+export default backgroundProtectionService;
@@ -0,0 +1,339 @@
+// Calibration Service - Personal Motion Baselines
+// Guides the user through recording a few minutes of their own sitting, walking and running,
+// and turns the recordings into personal HAR thresholds. The profile is stored encrypted with
+// this device's keystore key, so it stays with the phone it was measured on
+
+import { Platform } from 'react-native';
+import { secureStorage } from './secureStorageService';
+import { sensorService, subscribeToSensorData } from './sensorService';
+import { DEFAULT_MOVEMENT_THRESHOLDS, movementScore } from './harClassifiers';
+import { extractFeatures, percentile } from './imuFeatures';
+
+const STORAGE_KEY = 'motion_calibration';
+const PROFILE_VERSION = 1;
+
+export const CALIBRATION_STEPS = [
+  { id: 'sitting', durationMs: 60000, optional: false },
+  { id: 'walking', durationMs: 90000, optional: false },
+  { id: 'running', durationMs: 45000, optional: true },
+];
+
+const WINDOW_SIZE = 25; // Same window as the rules classifier
+const WINDOW_HOP = 5; // Overlapping windows, one every 0.5 s
+const SETTLE_MS = 3000; // Ignored at the start of a step while the phone is put away
+const MIN_SAMPLE_SHARE = 0.5; // Share of the expected readings a step must deliver
+const EXPECTED_INTERVAL_MS = 100;
+
+const IDLE_HEADROOM = 1.5; // Above the user's own fidgeting while sitting
+const WALKING_MARGIN = 0.8; // Below the slowest walking windows
+const MIN_SEPARATION = 4; // Walking must score at least this many times the idle threshold
+const RUNNING_SEPARATION = 1.5;
+// Keeps a bad recording (e.g. walking during the sitting step) from producing absurd thresholds
+const MAX_DEVIATION = 10;
+
+const round = (value) => Math.round(value * 1000) / 1000;
+
+const clampToDefault = (key, value) => {
+  const base = DEFAULT_MOVEMENT_THRESHOLDS[key];
+  return round(Math.min(base * MAX_DEVIATION, Math.max(base / MAX_DEVIATION, value)));
+};
+
+/**
+ * Movement statistics for one recorded step.
+ * @param {Array<object>} readings - sensorService readings, oldest first
+ * @returns {{samples: number, windows: number, movement: {p10: number, p50: number, p90: number},
+ *   accelStd: number, cadence: number}}
+ */
+export const summarizeStep = (readings) => {
+  const scores = [];
+  const accelStds = [];
+  const cadences = [];
+  for (let end = WINDOW_SIZE; end <= readings.length; end += WINDOW_HOP) {
+    const window = readings.slice(end - WINDOW_SIZE, end);
+    const features = extractFeatures(window);
+    scores.push(movementScore(window));
+    accelStds.push(features.accelStd);
+    cadences.push(features.cadence);
+  }
+
+  return {
+    samples: readings.length,
+    windows: scores.length,
+    movement: {
+      p10: round(percentile(scores, 0.1)),
+      p50: round(percentile(scores, 0.5)),
+      p90: round(percentile(scores, 0.9)),
+    },
+    accelStd: round(percentile(accelStds, 0.5)),
+    cadence: round(percentile(cadences, 0.5)),
+  };
+};
+
+/**
+ * Personal thresholds from step summaries. Movement scores span orders of magnitude, so
+ * boundaries between activities are placed at the geometric mean of their neighbours.
+ * @param {object} baselines - Summaries keyed by step id; running may be missing
+ * @returns {{idle: number, standing: number, walking: number, running: number}}
+ * @throws {Error} With a message for the user when the recordings cannot be told apart
+ */
+export const computeThresholds = ({ sitting, walking, running }) => {
+  if (!sitting || !walking) {
+    throw new Error('Record sitting and walking before saving.');
+  }
+
+  const idle = Math.max(sitting.movement.p90 * IDLE_HEADROOM, DEFAULT_MOVEMENT_THRESHOLDS.idle / MAX_DEVIATION);
+  const walkingThreshold = walking.movement.p10 * WALKING_MARGIN;
+  if (walkingThreshold < idle * MIN_SEPARATION) {
+    throw new Error('Walking was too close to sitting. Walk at your normal pace for the whole step and try again.');
+  }
+
+  let runningThreshold;
+  if (running) {
+    if (running.movement.p50 < walking.movement.p50 * RUNNING_SEPARATION) {
+      throw new Error('Running was too close to walking. Run a bit faster, or redo the step.');
+    }
+    runningThreshold = running.movement.p10 > walking.movement.p90
+      ? Math.sqrt(walking.movement.p90 * running.movement.p10)
+      : Math.sqrt(walking.movement.p50 * running.movement.p50);
+  } else {
+    // Without a running recording, keep the default spacing between walking and running
+    runningThreshold = Math.max(
+      walking.movement.p90 * RUNNING_SEPARATION,
+      walkingThreshold * (DEFAULT_MOVEMENT_THRESHOLDS.running / DEFAULT_MOVEMENT_THRESHOLDS.walking)
+    );
+  }
+
+  return {
+    idle: clampToDefault('idle', idle),
+    standing: clampToDefault('standing', Math.sqrt(idle * walkingThreshold)),
+    walking: clampToDefault('walking', walkingThreshold),
+    running: clampToDefault('running', runningThreshold),
+  };
+};
+
+class CalibrationService {
+  constructor() {
+    this.profile = null;
+    this.results = {}; // Step summaries of the calibration in progress, keyed by step id
+    this.activeStep = null;
+    this.listeners = [];
+    this.isLoaded = false;
+    this.loadPromise = null;
+    this.saveChain = Promise.resolve();
+  }
+
+  /**
+   * Load the stored profile. Safe to call repeatedly.
+   * @returns {Promise<object|null>} The profile, or null when the defaults are in use
+   */
+  async load() {
+    if (this.isLoaded) return this.profile;
+    if (!this.loadPromise) {
+      this.loadPromise = (async () => {
+        try {
+          const stored = await secureStorage.getItem(STORAGE_KEY);
+          const profile = stored ? JSON.parse(stored) : null;
+          // A profile from a newer app version may use a different score
+          this.profile = profile && profile.version <= PROFILE_VERSION ? profile : null;
+        } catch (error) {
+          console.error('Failed to load motion calibration:', error);
+          this.profile = null;
+        }
+        this.isLoaded = true;
+        this.notifyListeners('profileLoaded', this.profile);
+        return this.profile;
+      })();
+    }
+    return this.loadPromise;
+  }
+
+  persist() {
+    this.saveChain = this.saveChain
+      .then(() => (this.profile
+        ? secureStorage.setItem(STORAGE_KEY, JSON.stringify(this.profile))
+        : secureStorage.removeItem(STORAGE_KEY)))
+      .catch(error => console.error('Failed to save motion calibration:', error));
+    return this.saveChain;
+  }
+
+  getProfile() {
+    return this.profile;
+  }
+
+  isCalibrated() {
+    return this.profile !== null;
+  }
+
+  // --- Recording ---
+
+  /**
+   * Records one step. It finishes by itself after the step's duration. Protection should be
+   * stopped first: running and stopping on purpose looks like a sudden stop to the detectors.
+   * @param {string} stepId - One of CALIBRATION_STEPS
+   * @throws {Error} If another step is recording
+   */
+  async startStep(stepId) {
+    const step = CALIBRATION_STEPS.find(s => s.id === stepId);
+    if (!step) {
+      throw new Error(`Unknown calibration step: ${stepId}`);
+    }
+    if (this.activeStep) {
+      throw new Error('A calibration step is already recording.');
+    }
+
+    const active = {
+      step,
+      startedAt: Date.now(),
+      readings: [],
+      startedSensors: false,
+      unsubscribe: null,
+      timer: null,
+    };
+    this.activeStep = active;
+
+    active.unsubscribe = subscribeToSensorData(reading => {
+      // Clock time, since replayed readings carry the trace's own timestamps
+      if (Date.now() - active.startedAt >= SETTLE_MS) {
+        active.readings.push(reading);
+      }
+    });
+    try {
+      if (!sensorService.isSensorListening()) {
+        await sensorService.startSensorUpdates();
+        active.startedSensors = true;
+      }
+    } catch (error) {
+      this._endStep();
+      throw error;
+    }
+
+    active.timer = setTimeout(() => this._completeStep(), step.durationMs);
+    this.notifyListeners('stepStarted', { stepId });
+  }
+
+  /**
+   * Stops the step being recorded without keeping it.
+   */
+  cancelStep() {
+    const active = this._endStep();
+    if (active) {
+      this.notifyListeners('stepCancelled', { stepId: active.step.id });
+    }
+  }
+
+  /**
+   * @returns {{stepId: string, elapsedMs: number, durationMs: number, samples: number}|null}
+   */
+  getStepProgress() {
+    if (!this.activeStep) return null;
+    const { step, startedAt, readings } = this.activeStep;
+    return {
+      stepId: step.id,
+      elapsedMs: Math.min(step.durationMs, Date.now() - startedAt),
+      durationMs: step.durationMs,
+      samples: readings.length,
+    };
+  }
+
+  /**
+   * Summaries of the steps recorded so far, keyed by step id.
+   */
+  getResults() {
+    return { ...this.results };
+  }
+
+  _endStep() {
+    const active = this.activeStep;
+    if (!active) return null;
+    clearTimeout(active.timer);
+    active.unsubscribe?.();
+    if (active.startedSensors) {
+      sensorService.stopSensorUpdates();
+    }
+    this.activeStep = null;
+    return active;
+  }
+
+  _completeStep() {
+    const active = this._endStep();
+    if (!active) return;
+    const { step, readings } = active;
+
+    const expected = (step.durationMs - SETTLE_MS) / EXPECTED_INTERVAL_MS;
+    if (readings.length < expected * MIN_SAMPLE_SHARE) {
+      delete this.results[step.id];
+      this.notifyListeners('stepFailed', {
+        stepId: step.id,
+        error: 'Not enough sensor readings were received. Keep the app open during the step.',
+      });
+      return;
+    }
+
+    this.results[step.id] = summarizeStep(readings);
+    this.notifyListeners('stepCompleted', { stepId: step.id, summary: this.results[step.id] });
+  }
+
+  // --- Profile ---
+
+  /**
+   * Turns the recorded steps into the profile used by the HAR engine.
+   * @returns {Promise<object>} The saved profile
+   * @throws {Error} If required steps are missing or the activities cannot be told apart
+   */
+  async saveCalibration() {
+    await this.load();
+    const thresholds = computeThresholds(this.results);
+
+    this.profile = {
+      version: PROFILE_VERSION,
+      calibratedAt: Date.now(),
+      device: { platform: Platform.OS, version: String(Platform.Version) },
+      thresholds,
+      baselines: {
+        sitting: this.results.sitting,
+        walking: this.results.walking,
+        running: this.results.running || null,
+      },
+    };
+    this.results = {};
+
+    await this.persist();
+    this.notifyListeners('calibrationSaved', this.profile);
+    return this.profile;
+  }
+
+  /**
+   * Discards the personal profile and returns to the default thresholds.
+   */
+  async resetCalibration() {
+    await this.load();
+    this.cancelStep();
+    this.profile = null;
+    this.results = {};
+    await this.persist();
+    this.notifyListeners('calibrationReset', null);
+  }
+
+  // FRONTEND: Subscribe to service events
+  subscribe(listener) {
+    this.listeners.push(listener);
+    return () => {
+      this.listeners = this.listeners.filter(l => l !== listener);
+    };
+  }
+
+  // FRONTEND: Notify UI components of state changes
+  notifyListeners(eventType, data) {
+    this.listeners.forEach(listener => {
+      try {
+        listener(eventType, data);
+      } catch (error) {
+        console.error('Listener error:', error);
+      }
+    });
+  }
+}
+
+// Export singleton instance
+export const calibrationService = new CalibrationService();
+export default calibrationService;
@@ -2,9 +2,8 @@
 // Community-based emergency response system for nearby NYRA users
 // Handles both frontend UI for help requests/offers and backend peer-to-peer coordination
 
-import AsyncStorage from '@react-native-async-storage/async-storage';
+import { secureStorage } from './secureStorageService';
 import { locationService } from './locationService';
-import { alertService } from './alertService';
 
 class CommunityResponseService {
   constructor() {
@@ -41,7 +40,7 @@ class CommunityResponseService {
         anonymousMode: config.anonymousMode || false
       };
 
-      await AsyncStorage.setItem('community_config', JSON.stringify(communityConfig));
+      await secureStorage.setItem('community_config', JSON.stringify(communityConfig));
 
       // Create user profile for community features
       this.currentUserProfile = {
@@ -111,7 +110,7 @@ class CommunityResponseService {
       };
 
       // Store request locally
-      await AsyncStorage.setItem(`help_request_${helpRequest.id}`, JSON.stringify(helpRequest));
+      await secureStorage.setItem(`help_request_${helpRequest.id}`, JSON.stringify(helpRequest));
       this.activeRequests.push(helpRequest);
 
       // BACKEND: Broadcast to nearby helpers
@@ -170,7 +169,7 @@ class CommunityResponseService {
       };
 
       // Store response locally
-      await AsyncStorage.setItem(`help_response_${response.id}`, JSON.stringify(response));
+      await secureStorage.setItem(`help_response_${response.id}`, JSON.stringify(response));
 
       // BACKEND: Send response to requester
       await this.sendResponseToRequester(response);
@@ -218,7 +217,7 @@ class CommunityResponseService {
       };
 
       // Store session
-      await AsyncStorage.setItem(`helping_session_${helpingSession.id}`, JSON.stringify(helpingSession));
+      await secureStorage.setItem(`helping_session_${helpingSession.id}`, JSON.stringify(helpingSession));
 
       // FRONTEND: Update UI to show active helping session
       this.notifyListeners('helpingSessionStarted', {
@@ -421,7 +420,7 @@ class CommunityResponseService {
       };
 
       // Store locally for now
-      await AsyncStorage.setItem('helper_location', JSON.stringify(locationUpdate));
+      await secureStorage.setItem('helper_location', JSON.stringify(locationUpdate));
       
     } catch (error) {
       console.error('Failed to update helper location:', error);
@@ -493,7 +492,7 @@ class CommunityResponseService {
       // TODO: Send to backend for trust score calculation
       // Backend would update trust scores for involved users
       
-      await AsyncStorage.setItem(`feedback_${requestId}`, JSON.stringify(feedbackData));
+      await secureStorage.setItem(`feedback_${requestId}`, JSON.stringify(feedbackData));
       
     } catch (error) {
       console.error('Failed to process feedback:', error);
@@ -514,10 +513,10 @@ class CommunityResponseService {
       };
 
       // Store locally
-      const logs = await AsyncStorage.getItem('community_response_logs');
+      const logs = await secureStorage.getItem('community_response_logs');
       const logArray = logs ? JSON.parse(logs) : [];
       logArray.push(logEntry);
-      await AsyncStorage.setItem('community_response_logs', JSON.stringify(logArray));
+      await secureStorage.setItem('community_response_logs', JSON.stringify(logArray));
 
       // TODO: Send to backend API
       // await this.sendLogToBackend(logEntry);
@@ -556,13 +555,13 @@ class CommunityResponseService {
 
   async getUserTrustScore() {
     // TODO: Get from user profile/backend
-    const stored = await AsyncStorage.getItem('user_trust_score');
+    const stored = await secureStorage.getItem('user_trust_score');
     return stored ? parseFloat(stored) : 5.0; // Default score
   }
 
   async getUserVerificationStatus() {
     // TODO: Get from user profile/backend
-    const stored = await AsyncStorage.getItem('user_verification_status');
+    const stored = await secureStorage.getItem('user_verification_status');
     return stored || 'unverified'; // 'unverified', 'pending', 'verified'
   }
 
@@ -586,16 +585,16 @@ class CommunityResponseService {
   }
 
   async getDeviceId() {
-    let deviceId = await AsyncStorage.getItem('device_id');
+    let deviceId = await secureStorage.getItem('device_id');
     if (!deviceId) {
       deviceId = Date.now().toString() + Math.random().toString(36);
-      await AsyncStorage.setItem('device_id', deviceId);
+      await secureStorage.setItem('device_id', deviceId);
     }
     return deviceId;
   }
 
   async getUserId() {
-    return await AsyncStorage.getItem('user_id') || 'anonymous';
+    return await secureStorage.getItem('user_id') || 'anonymous';
   }
 
   // FRONTEND: Get current user profile
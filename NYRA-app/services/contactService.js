@@ -0,0 +1,120 @@
+// Contact Service - Roles, Priorities and Channel Preferences
+// Every place that picks who to alert (SMS, email, email reports, escalation) goes through
+// selectRecipients, so a contact's role, priority, channels and quiet-hours exception are
+// honoured the same way everywhere
+
+export const CONTACT_ROLES = {
+  FAMILY: 'family',
+  FRIEND: 'friend',
+  MEDICAL: 'medical',
+  AUTHORITY: 'authority',
+};
+
+export const CONTACT_ROLE_LABELS = {
+  [CONTACT_ROLES.FAMILY]: 'Family',
+  [CONTACT_ROLES.FRIEND]: 'Friend',
+  [CONTACT_ROLES.MEDICAL]: 'Medical',
+  [CONTACT_ROLES.AUTHORITY]: 'Authority',
+};
+
+export const CONTACT_CHANNELS = {
+  SMS: 'sms',
+  EMAIL: 'email',
+  BOTH: 'both',
+};
+
+export const CONTACT_CHANNEL_LABELS = {
+  [CONTACT_CHANNELS.SMS]: 'SMS',
+  [CONTACT_CHANNELS.EMAIL]: 'Email',
+  [CONTACT_CHANNELS.BOTH]: 'SMS & Email',
+};
+
+export const MAX_CONTACTS = 5;
+
+// Same order as INCIDENT_SEVERITIES in alertService (not imported, alertService depends on this module)
+const SEVERITY_ORDER = ['low', 'medium', 'high', 'critical'];
+
+// During quiet hours, messages below this severity only reach contacts marked as exceptions
+const QUIET_HOURS_MIN_SEVERITY = 'high';
+
+/**
+ * Fills in the fields added after the first release, so older saved contacts keep working.
+ * @param {object} contact - Stored contact
+ * @param {number} index - Position in the stored list, used as the default priority
+ * @returns {object} Contact with role, priority, channels and quietHoursException
+ */
+export const normalizeContact = (contact, index = 0) => ({
+  ...contact,
+  email: contact.email || '',
+  role: Object.values(CONTACT_ROLES).includes(contact.role) ? contact.role : CONTACT_ROLES.FRIEND,
+  priority: Number.isFinite(contact.priority) ? contact.priority : index,
+  channels: Object.values(CONTACT_CHANNELS).includes(contact.channels)
+    ? contact.channels
+    : (contact.email ? CONTACT_CHANNELS.BOTH : CONTACT_CHANNELS.SMS),
+  quietHoursException: !!contact.quietHoursException,
+});
+
+/**
+ * Normalises and sorts contacts by priority (lowest number first), renumbering 0..n-1.
+ * @param {Array<object>} contacts
+ * @returns {Array<object>}
+ */
+export const sortByPriority = (contacts) =>
+  contacts
+    .map(normalizeContact)
+    .sort((a, b) => a.priority - b.priority)
+    .map((contact, index) => ({ ...contact, priority: index }));
+
+/**
+ * Whether a contact wants to be reached on a channel.
+ * @param {object} contact
+ * @param {string} channel - CONTACT_CHANNELS.SMS or CONTACT_CHANNELS.EMAIL
+ */
+export const wantsChannel = (contact, channel) => {
+  const channels = normalizeContact(contact).channels;
+  return channels === CONTACT_CHANNELS.BOTH || channels === channel;
+};
+
+/**
+ * Whether quiet hours are in effect. The window may wrap past midnight (e.g. 22 to 7).
+ * @param {object} settings - App settings with quietHoursEnabled, quietHoursStart, quietHoursEnd
+ * @param {Date} now
+ */
+export const isQuietHours = (settings, now = new Date()) => {
+  if (!settings || !settings.quietHoursEnabled) return false;
+
+  const hour = now.getHours();
+  const { quietHoursStart: start, quietHoursEnd: end } = settings;
+  if (start === end) return false;
+  return start < end ? hour >= start && hour < end : hour >= start || hour < end;
+};
+
+/**
+ * Contacts who should receive a message on a channel, in priority order.
+ * @param {Array<object>} contacts
+ * @param {string} channel - CONTACT_CHANNELS.SMS or CONTACT_CHANNELS.EMAIL
+ * @param {object} options
+ * @param {string} options.severity - Message severity, one of INCIDENT_SEVERITIES
+ * @param {object} options.settings - App settings, for quiet hours
+ * @param {Array<string>} options.roles - Only include these roles
+ * @returns {Array<object>}
+ */
+export const selectRecipients = (contacts, channel, { severity = 'high', settings = null, roles = null } = {}) => {
+  const quiet = isQuietHours(settings)
+    && SEVERITY_ORDER.indexOf(severity) < SEVERITY_ORDER.indexOf(QUIET_HOURS_MIN_SEVERITY);
+
+  return sortByPriority(contacts || []).filter(contact =>
+    wantsChannel(contact, channel) &&
+    (!roles || roles.includes(contact.role)) &&
+    (!quiet || contact.quietHoursException)
+  );
+};
+
+/**
+ * Contacts alerted personally (SMS/email) during an emergency. Authorities are only
+ * contacted through the escalation ladder's authorities step.
+ * @param {Array<object>} contacts
+ * @returns {Array<object>}
+ */
+export const getPersonalContacts = (contacts) =>
+  sortByPriority(contacts || []).filter(contact => contact.role !== CONTACT_ROLES.AUTHORITY);
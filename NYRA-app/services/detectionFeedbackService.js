@@ -0,0 +1,318 @@
+// Detection Feedback Service - Labelled Detections and Adaptive Thresholds
+// Stores every automatic detection (fall, sudden stop, voice) with the features it was based on
+// and what the user said about it. The labels give precision and recall per detector and tune
+// each detector's threshold: false alarms raise it, missed events lower it
+
+import { secureStorage } from './secureStorageService';
+import { incidentService, INCIDENT_STATES } from './incidentService';
+
+const STORAGE_KEY = 'detection_feedback';
+const MAX_STORED_DETECTIONS = 500;
+
+// Same values as the matching INCIDENT_SOURCES, so incidents map straight to detectors
+export const DETECTORS = {
+  FALL: 'fall',
+  SUDDEN_STOP: 'sudden_stop',
+  VOICE: 'voice',
+};
+
+export const FEEDBACK_LABELS = {
+  CONFIRMED: 'confirmed', // A real event (true positive)
+  FALSE_ALARM: 'false_alarm', // Detected but nothing happened (false positive)
+  MISSED: 'missed', // Reported by the user, never detected (false negative)
+};
+
+export const LABEL_SOURCES = {
+  COUNTDOWN: 'countdown', // Cancelled before the alert went out
+  INCIDENT: 'incident', // Closed from the alert or incident history
+  USER: 'user', // Labelled directly; never overwritten automatically
+};
+
+// Threshold adaptation
+const ADAPT_MIN_LABELS = 3; // Labels needed before a detector's threshold moves
+const ADAPT_RECENT_LABELS = 50; // Only recent labels count, so adaptation follows the user
+const SCALE_LIMITS = [0.85, 1.3];
+const FALSE_ALARM_MARGIN = 0.02; // How far above a false alarm's score the threshold goes
+const MISSED_STEP = 0.03; // Threshold decrease per missed event
+const MISSED_EVENT_COST = 3; // A lost real event counts as much as this many false alarms
+
+const clampScale = (scale) => Math.min(SCALE_LIMITS[1], Math.max(SCALE_LIMITS[0], scale));
+
+// Score relative to the unadapted threshold; 1 means exactly at the threshold
+const marginOf = (detection) =>
+  (typeof detection.score === 'number' && detection.threshold > 0 ? detection.score / detection.threshold : null);
+
+/**
+ * Threshold scale for one detector from its labelled detections. Among the scales that would
+ * have silenced recorded false alarms, picks the one with the lowest cost, where letting a
+ * confirmed event through unreported costs MISSED_EVENT_COST false alarms. Each missed event
+ * then lowers the result by MISSED_STEP.
+ * @param {Array<object>} detections - Labelled detections of one detector, newest first
+ * @returns {number} Multiplier for the detector's threshold, within SCALE_LIMITS
+ */
+export const computeThresholdScale = (detections) => {
+  const labelled = detections.filter(d => d.label).slice(0, ADAPT_RECENT_LABELS);
+  if (labelled.length < ADAPT_MIN_LABELS) return 1;
+
+  const marginsFor = (label) => labelled
+    .filter(d => d.label === label)
+    .map(marginOf)
+    .filter(margin => margin !== null);
+  const falseAlarms = marginsFor(FEEDBACK_LABELS.FALSE_ALARM);
+  const confirmed = marginsFor(FEEDBACK_LABELS.CONFIRMED);
+  const missed = labelled.filter(d => d.label === FEEDBACK_LABELS.MISSED).length;
+
+  const cost = (scale) =>
+    MISSED_EVENT_COST * confirmed.filter(m => m < scale).length + falseAlarms.filter(m => m >= scale).length;
+
+  let best = 1;
+  falseAlarms.map(m => m + FALSE_ALARM_MARGIN).forEach(candidate => {
+    if (cost(candidate) < cost(best) || (cost(candidate) === cost(best) && candidate < best)) {
+      best = candidate;
+    }
+  });
+
+  return Math.round(clampScale(best - missed * MISSED_STEP) * 1000) / 1000;
+};
+
+/**
+ * Precision and recall from labelled detections; null where there is nothing to divide by.
+ */
+export const computeMetrics = (detections) => {
+  const count = (label) => detections.filter(d => d.label === label).length;
+  const truePositives = count(FEEDBACK_LABELS.CONFIRMED);
+  const falsePositives = count(FEEDBACK_LABELS.FALSE_ALARM);
+  const falseNegatives = count(FEEDBACK_LABELS.MISSED);
+  return {
+    truePositives,
+    falsePositives,
+    falseNegatives,
+    unlabelled: detections.filter(d => !d.label).length,
+    precision: truePositives + falsePositives > 0 ? truePositives / (truePositives + falsePositives) : null,
+    recall: truePositives + falseNegatives > 0 ? truePositives / (truePositives + falseNegatives) : null,
+  };
+};
+
+class DetectionFeedbackService {
+  constructor() {
+    this.detections = []; // Newest first
+    this.scales = {};
+    this.listeners = [];
+    this.isLoaded = false;
+    this.loadPromise = null;
+    this.saveChain = Promise.resolve();
+
+    // Cancelling or closing an incident labels the detection that raised it
+    incidentService.subscribe((eventType, data) => {
+      if (eventType === 'incidentTransitioned') {
+        this._handleIncidentTransition(data);
+      }
+    });
+  }
+
+  /**
+   * Load stored detections. Safe to call repeatedly.
+   */
+  async load() {
+    if (this.isLoaded) return this.detections;
+    if (!this.loadPromise) {
+      this.loadPromise = (async () => {
+        try {
+          const stored = await secureStorage.getItem(STORAGE_KEY);
+          this.detections = stored ? JSON.parse(stored) : [];
+        } catch (error) {
+          console.error('Failed to load detection feedback:', error);
+          this.detections = [];
+        }
+        this.isLoaded = true;
+        this._updateScales();
+        this.notifyListeners('feedbackLoaded', this.detections);
+        return this.detections;
+      })();
+    }
+    return this.loadPromise;
+  }
+
+  /**
+   * Serialise writes so concurrent labels never overwrite each other.
+   */
+  persist() {
+    this.saveChain = this.saveChain
+      .then(() => secureStorage.setItem(STORAGE_KEY, JSON.stringify(this.detections)))
+      .catch(error => console.error('Failed to save detection feedback:', error));
+    return this.saveChain;
+  }
+
+  /**
+   * Records a detection that raised an alert.
+   * @param {object} detection
+   * @param {string} detection.detector - One of DETECTORS
+   * @param {number} detection.score - The value the detector compared with its threshold
+   * @param {number} detection.threshold - The threshold before adaptation
+   * @param {number} [detection.confidence]
+   * @param {object} [detection.features] - Sensor or audio features the decision was based on
+   * @param {string} [detection.incidentId] - Incident opened for this detection
+   * @returns {Promise<object>} The stored record
+   */
+  async recordDetection({ detector, score = null, threshold = null, confidence = null, features = {}, incidentId = null, detectedAt = Date.now() }) {
+    await this.load();
+    const record = {
+      id: `detection_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      detector,
+      detectedAt,
+      incidentId,
+      score,
+      threshold,
+      confidence,
+      features,
+      label: null,
+      labelSource: null,
+      labelledAt: null,
+    };
+    this._add(record);
+    await this.persist();
+    this.notifyListeners('detectionRecorded', record);
+    return record;
+  }
+
+  /**
+   * Records an event the user says happened but was not detected.
+   * @param {string} detector - One of DETECTORS
+   * @param {object} [options] - { features, score, threshold } from around the time, if known
+   */
+  async reportMissed(detector, { features = {}, score = null, threshold = null } = {}) {
+    await this.load();
+    const now = Date.now();
+    const record = {
+      id: `detection_${now}_${Math.random().toString(36).substr(2, 9)}`,
+      detector,
+      detectedAt: now,
+      incidentId: null,
+      score,
+      threshold,
+      confidence: null,
+      features,
+      label: FEEDBACK_LABELS.MISSED,
+      labelSource: LABEL_SOURCES.USER,
+      labelledAt: now,
+    };
+    this._add(record);
+    this._updateScales();
+    await this.persist();
+    this.notifyListeners('detectionLabelled', record);
+    return record;
+  }
+
+  /**
+   * Sets or changes the label of a detection.
+   * @param {string} detectionId
+   * @param {string} label - One of FEEDBACK_LABELS
+   * @param {string} source - One of LABEL_SOURCES
+   * @throws If the detection does not exist
+   */
+  async labelDetection(detectionId, label, source = LABEL_SOURCES.USER) {
+    await this.load();
+    const record = this.detections.find(d => d.id === detectionId);
+    if (!record) {
+      throw new Error(`Detection not found: ${detectionId}`);
+    }
+    // The user's own verdict is not replaced by one inferred from an incident
+    if (record.labelSource === LABEL_SOURCES.USER && source !== LABEL_SOURCES.USER) {
+      return record;
+    }
+
+    record.label = label;
+    record.labelSource = source;
+    record.labelledAt = Date.now();
+    this._updateScales();
+    await this.persist();
+    this.notifyListeners('detectionLabelled', record);
+    return record;
+  }
+
+  _add(record) {
+    this.detections.unshift(record);
+    if (this.detections.length > MAX_STORED_DETECTIONS) {
+      this.detections = this.detections.slice(0, MAX_STORED_DETECTIONS);
+    }
+  }
+
+  async _handleIncidentTransition({ incident, to }) {
+    // An incident can close before anything else loaded the detections, e.g. on a headless launch
+    await this.load();
+    const record = this.detections.find(d => d.incidentId && d.incidentId === incident.id);
+    if (!record) return;
+
+    if (to === INCIDENT_STATES.CANCELLED) {
+      await this.labelDetection(record.id, FEEDBACK_LABELS.FALSE_ALARM, LABEL_SOURCES.COUNTDOWN);
+    } else if (to === INCIDENT_STATES.FALSE_ALARM) {
+      await this.labelDetection(record.id, FEEDBACK_LABELS.FALSE_ALARM, LABEL_SOURCES.INCIDENT);
+    } else if (to === INCIDENT_STATES.RESOLVED) {
+      await this.labelDetection(record.id, FEEDBACK_LABELS.CONFIRMED, LABEL_SOURCES.INCIDENT);
+    }
+  }
+
+  _updateScales() {
+    const previous = this.scales;
+    this.scales = {};
+    Object.values(DETECTORS).forEach(detector => {
+      this.scales[detector] = computeThresholdScale(this.getDetections(detector));
+    });
+    if (Object.keys(this.scales).some(detector => this.scales[detector] !== previous[detector])) {
+      this.notifyListeners('thresholdsAdapted', { ...this.scales });
+    }
+  }
+
+  /**
+   * @param {string} [detector] - One of DETECTORS; all detectors when omitted
+   * @returns {Array<object>} Detections, newest first
+   */
+  getDetections(detector = null) {
+    return detector ? this.detections.filter(d => d.detector === detector) : [...this.detections];
+  }
+
+  /**
+   * @returns {{truePositives: number, falsePositives: number, falseNegatives: number,
+   *   unlabelled: number, precision: number|null, recall: number|null}}
+   */
+  getMetrics(detector) {
+    return computeMetrics(this.getDetections(detector));
+  }
+
+  /**
+   * Multiplier the detector applies to its threshold; 1 until enough labels exist.
+   */
+  getThresholdScale(detector) {
+    return this.scales[detector] ?? 1;
+  }
+
+  async clearFeedback() {
+    this.detections = [];
+    this._updateScales();
+    await this.persist();
+    this.notifyListeners('feedbackCleared', null);
+  }
+
+  // FRONTEND: Subscribe to service events
+  subscribe(listener) {
+    this.listeners.push(listener);
+    return () => {
+      this.listeners = this.listeners.filter(l => l !== listener);
+    };
+  }
+
+  // FRONTEND: Notify UI components of state changes
+  notifyListeners(eventType, data) {
+    this.listeners.forEach(listener => {
+      try {
+        listener(eventType, data);
+      } catch (error) {
+        console.error('Listener error:', error);
+      }
+    });
+  }
+}
+
+// Export singleton instance
+export const detectionFeedbackService = new DetectionFeedbackService();
+export default detectionFeedbackService;
@@ -1,14 +1,27 @@
 // Email Report Service
 // Automated emergency reporting via email with evidence attachments
+// Reports are queued in the durable outbox so they survive restarts and are retried
 
-import AsyncStorage from '@react-native-async-storage/async-storage';
+import { secureStorage } from './secureStorageService';
+import { outboxService, OUTBOX_STATUS } from './outboxService';
+import { loadContacts, loadSettings } from './storageService';
+import { selectRecipients, CONTACT_CHANNELS, CONTACT_ROLES } from './contactService';
+
+const OUTBOX_CHANNEL = 'email_report';
+
+// Recipient groups are built from emergency contacts by role; only custom recipients are stored here
+const RECIPIENT_GROUP_ROLES = {
+  emergency_contacts: [CONTACT_ROLES.FAMILY, CONTACT_ROLES.FRIEND, CONTACT_ROLES.MEDICAL],
+  family_members: [CONTACT_ROLES.FAMILY],
+  medical_contacts: [CONTACT_ROLES.MEDICAL],
+  authorities: [CONTACT_ROLES.AUTHORITY],
+};
 
 class EmailReportService {
   static instance = null;
   
   constructor() {
     this.isConfigured = false;
-    this.reportQueue = [];
     this.sentReports = [];
     this.listeners = new Map();
     
@@ -124,6 +137,21 @@ Estimated Response Time: {estimatedResponseTime}
 Please respond if you are in the area and able to assist safely.
         `
       },
+      trip_update: {
+        subject: '🚶 NYRA Trip Update - {headline}',
+        priority: 'normal',
+        template: `
+TRIP UPDATE
+
+{headline}
+
+Time: {timestamp}
+{tripDetails}
+
+{userName} chose to share this trip with you through the NYRA Safety App.
+You will get updates on the way until the trip ends.
+        `
+      },
       daily_summary: {
         subject: '📊 NYRA Safety Summary - {date}',
         priority: 'normal',
@@ -154,16 +182,13 @@ All data is securely stored and encrypted.
       }
     };
     
-    // Recipients configuration
+    // Extra report recipients who are not emergency contacts (see getRecipients)
     this.recipients = {
-      emergency_contacts: [],
-      family_members: [],
-      authorities: [],
-      medical_contacts: [],
       custom_recipients: []
     };
     
     this.init();
+    outboxService.subscribe((eventType, item) => this.handleOutboxEvent(eventType, item));
   }
   
   static getInstance() {
@@ -208,21 +233,22 @@ All data is securely stored and encrypted.
   async loadSettings() {
     try {
       // Load email configuration
-      const emailSettings = await AsyncStorage.getItem('emailServiceSettings');
+      const emailSettings = await secureStorage.getItem('emailServiceSettings');
       if (emailSettings) {
         const parsed = JSON.parse(emailSettings);
         this.emailConfig = { ...this.emailConfig, ...parsed };
       }
       
       // Load recipients
-      const recipientSettings = await AsyncStorage.getItem('emailRecipients');
+      const recipientSettings = await secureStorage.getItem('emailRecipients');
       if (recipientSettings) {
         const parsed = JSON.parse(recipientSettings);
-        this.recipients = { ...this.recipients, ...parsed };
+        // Older versions also stored per-role lists; those now come from contact roles
+        this.recipients.custom_recipients = parsed.custom_recipients || [];
       }
       
       // Load custom templates
-      const templateSettings = await AsyncStorage.getItem('emailTemplates');
+      const templateSettings = await secureStorage.getItem('emailTemplates');
       if (templateSettings) {
         const parsed = JSON.parse(templateSettings);
         this.templates = { ...this.templates, ...parsed };
@@ -237,9 +263,9 @@ All data is securely stored and encrypted.
   
   async saveSettings() {
     try {
-      await AsyncStorage.setItem('emailServiceSettings', JSON.stringify(this.emailConfig));
-      await AsyncStorage.setItem('emailRecipients', JSON.stringify(this.recipients));
-      await AsyncStorage.setItem('emailTemplates', JSON.stringify(this.templates));
+      await secureStorage.setItem('emailServiceSettings', JSON.stringify(this.emailConfig));
+      await secureStorage.setItem('emailRecipients', JSON.stringify(this.recipients));
+      await secureStorage.setItem('emailTemplates', JSON.stringify(this.templates));
     } catch (error) {
       console.error('Failed to save email settings:', error);
     }
@@ -276,6 +302,9 @@ All data is securely stored and encrypted.
   }
   
   async addRecipient(type, recipientData) {
+    if (RECIPIENT_GROUP_ROLES[type]) {
+      throw new Error(`${type} are managed through emergency contact roles`);
+    }
     if (!this.recipients[type]) {
       this.recipients[type] = [];
     }
@@ -305,15 +334,40 @@ All data is securely stored and encrypted.
     }
   }
   
+  /**
+   * Email recipients for the given groups, taken from emergency contacts whose role matches
+   * and whose preferred channels include email, in priority order.
+   * @param {Array<string>} groups - Keys of RECIPIENT_GROUP_ROLES, or 'custom_recipients'
+   * @param {string} severity - Report severity, for quiet hours (see contactService)
+   * @returns {Promise<Array<{id, name, email, role}>>}
+   */
+  async getRecipients(groups, severity = 'high') {
+    const roles = [...new Set(groups.flatMap(group => RECIPIENT_GROUP_ROLES[group] || []))];
+    let recipients = [];
+
+    if (roles.length > 0) {
+      try {
+        const [contacts, settings] = await Promise.all([loadContacts(), loadSettings()]);
+        recipients = selectRecipients(contacts, CONTACT_CHANNELS.EMAIL, { roles, severity, settings })
+          .filter(contact => contact.email)
+          .map(({ id, name, email, role }) => ({ id, name, email, role }));
+      } catch (error) {
+        console.error('Failed to load report recipients:', error);
+      }
+    }
+
+    if (groups.includes('custom_recipients')) {
+      recipients.push(...this.recipients.custom_recipients);
+    }
+    return recipients;
+  }
+  
   // Email sending methods
   async sendEmergencyAlert(alertData) {
     const reportData = {
       type: 'emergency_alert',
       priority: 'high',
-      recipients: [
-        ...this.recipients.emergency_contacts,
-        ...this.recipients.authorities
-      ],
+      recipients: await this.getRecipients(['emergency_contacts', 'authorities']),
       data: alertData,
       attachments: await this.gatherEvidence(alertData),
       timestamp: Date.now()
@@ -326,10 +380,7 @@ All data is securely stored and encrypted.
     const reportData = {
       type: 'fall_detection',
       priority: 'high',
-      recipients: [
-        ...this.recipients.emergency_contacts,
-        ...this.recipients.medical_contacts
-      ],
+      recipients: await this.getRecipients(['emergency_contacts', 'medical_contacts']),
       data: fallData,
       attachments: await this.gatherEvidence(fallData),
       timestamp: Date.now()
@@ -342,10 +393,7 @@ All data is securely stored and encrypted.
     const reportData = {
       type: 'threat_detection',
       priority: 'high',
-      recipients: [
-        ...this.recipients.emergency_contacts,
-        ...this.recipients.family_members
-      ],
+      recipients: await this.getRecipients(['emergency_contacts', 'family_members']),
       data: threatData,
       attachments: await this.gatherEvidence(threatData),
       timestamp: Date.now()
@@ -358,10 +406,7 @@ All data is securely stored and encrypted.
     const reportData = {
       type: 'community_emergency',
       priority: 'high',
-      recipients: [
-        ...this.recipients.emergency_contacts,
-        ...this.recipients.family_members
-      ],
+      recipients: await this.getRecipients(['emergency_contacts', 'family_members']),
       data: communityData,
       timestamp: Date.now()
     };
@@ -373,7 +418,7 @@ All data is securely stored and encrypted.
     const reportData = {
       type: 'daily_summary',
       priority: 'normal',
-      recipients: this.recipients.family_members,
+      recipients: await this.getRecipients(['family_members'], 'low'),
       data: summaryData,
       timestamp: Date.now()
     };
@@ -381,6 +426,41 @@ All data is securely stored and encrypted.
     return await this.sendReport(reportData);
   }
   
+  /**
+   * Trip-sharing update to the contacts the user chose for the trip (see tripSharingService).
+   * Low severity, so quiet hours apply.
+   * @param {Array<object>} contacts - Chosen contacts
+   * @param {object} update - { headline, destinationName, expectedBy, locationLink, tripLink },
+   *   with the fields the user's detail level leaves out set to null
+   * @returns {Promise<string|null>} Report id, or null if no chosen contact takes email
+   */
+  async sendTripUpdate(contacts, update) {
+    const settings = await loadSettings();
+    const recipients = selectRecipients(contacts, CONTACT_CHANNELS.EMAIL, { severity: 'low', settings })
+      .filter(contact => contact.role !== CONTACT_ROLES.AUTHORITY && contact.email)
+      .map(({ id, name, email, role }) => ({ id, name, email, role }));
+    if (recipients.length === 0) {
+      return null;
+    }
+    
+    const tripDetails = [
+      update.destinationName && `Destination: ${update.destinationName}`,
+      update.expectedBy && `Expected by: ${update.expectedBy}`,
+      update.locationLink && `Current location: ${update.locationLink}`,
+      update.tripLink && `Route: ${update.tripLink}`
+    ].filter(Boolean).join('\n');
+    
+    const reportData = {
+      type: 'trip_update',
+      priority: 'normal',
+      recipients,
+      data: { headline: update.headline, tripDetails },
+      timestamp: Date.now()
+    };
+    
+    return await this.sendReport(reportData);
+  }
+  
   async sendCustomReport(templateType, recipients, data, attachments = []) {
     const reportData = {
       type: templateType,
@@ -405,21 +485,29 @@ All data is securely stored and encrypted.
       // Generate email content
       const emailContent = await this.generateEmailContent(reportData);
       
-      // Add to queue
-      const queuedReport = {
-        id: reportId,
-        ...reportData,
-        content: emailContent,
-        status: 'queued',
-        retryCount: 0,
-        maxRetries: 3
-      };
-      
-      this.reportQueue.push(queuedReport);
+      // Add to the durable outbox
+      const queuedItem = await outboxService.enqueue({
+        channel: OUTBOX_CHANNEL,
+        // A contact can be in more than one group, so only address them once
+        recipients: reportData.recipients
+          .filter((r, index, all) => all.findIndex(other => other.email === r.email) === index)
+          .map(r => ({ address: r.email, name: r.name })),
+        payload: {
+          id: reportId,
+          type: reportData.type,
+          priority: reportData.priority,
+          content: emailContent,
+          attachments: reportData.attachments || [],
+          timestamp: reportData.timestamp
+        },
+        incidentId: reportData.incidentId || null
+      });
       
       // Process immediately for high priority
       if (reportData.priority === 'high') {
-        await this.processQueue();
+        await outboxService.deliver(queuedItem.id);
+      } else {
+        outboxService.processDue();
       }
       
       this.emit('reportQueued', { reportId, type: reportData.type });
@@ -457,7 +545,7 @@ All data is securely stored and encrypted.
       timestamp: new Date(reportData.timestamp).toLocaleString(),
       date: new Date().toLocaleDateString(),
       evidenceList: this.formatEvidenceList(reportData.attachments || []),
-      emergencyContacts: this.formatEmergencyContacts()
+      emergencyContacts: await this.formatEmergencyContacts()
     };
     
     // Replace all placeholders
@@ -484,8 +572,9 @@ All data is securely stored and encrypted.
     ).join('\n');
   }
   
-  formatEmergencyContacts() {
-    return this.recipients.emergency_contacts
+  async formatEmergencyContacts() {
+    const contacts = await this.getRecipients(['emergency_contacts']);
+    return contacts
       .map(contact => `${contact.name} (${contact.email})`)
       .join(', ') || 'No emergency contacts configured';
   }
@@ -522,74 +611,42 @@ All data is securely stored and encrypted.
   }
   
   async processQueue() {
-    if (this.reportQueue.length === 0) return;
-    
-    const pendingReports = this.reportQueue.filter(
-      report => report.status === 'queued'
-    );
-    
-    for (const report of pendingReports) {
-      try {
-        await this.sendSingleEmail(report);
-        
-        // Mark as sent
-        report.status = 'sent';
-        report.sentAt = Date.now();
-        
-        // Move to sent reports
-        this.sentReports.push(report);
-        
-        // Remove from queue
-        this.reportQueue = this.reportQueue.filter(r => r.id !== report.id);
-        
-        this.emit('reportSent', { 
-          reportId: report.id, 
-          type: report.type,
-          sentTo: report.recipients.length
-        });
-        
-      } catch (error) {
-        console.error('Failed to send email:', error);
-        
-        report.retryCount++;
-        if (report.retryCount >= report.maxRetries) {
-          report.status = 'failed';
-          this.emit('reportFailed', { 
-            reportId: report.id, 
-            error: error.message 
-          });
-        } else {
-          report.status = 'retry';
-          setTimeout(() => {
-            report.status = 'queued';
-          }, 5000 * report.retryCount); // Exponential backoff
-        }
-      }
+    await outboxService.processDue();
+  }
+  
+  // Outbox sender. No email transport exists yet: the SMTP settings are stored but nothing
+  // sends through them, so reports fail rather than being marked delivered
+  async deliverReport(addresses) {
+    return addresses.map(address => ({
+      address,
+      success: false,
+      permanent: true,
+      error: 'Email reports cannot be sent yet: no email transport is set up'
+    }));
+  }
+  
+  handleOutboxEvent(eventType, item) {
+    if (eventType !== 'itemUpdated' || item.channel !== OUTBOX_CHANNEL) return;
+    
+    if (item.status === OUTBOX_STATUS.SENT) {
+      const report = { ...item.payload, status: 'sent', sentAt: item.updatedAt, recipients: item.recipients };
+      this.sentReports.push(report);
+      this.emit('reportSent', { 
+        reportId: report.id, 
+        type: report.type,
+        sentTo: item.recipients.length
+      });
+    } else if (item.status === OUTBOX_STATUS.FAILED) {
+      const failed = item.recipients.find(r => r.status === OUTBOX_STATUS.FAILED);
+      this.emit('reportFailed', { 
+        reportId: item.payload.id, 
+        error: failed?.lastError || 'Delivery failed'
+      });
     }
   }
   
-  async sendSingleEmail(report) {
-    // TODO: Implement actual email sending
-    // Use a React Native email library or SMTP service
-    
-    // For now, simulate sending
-    await new Promise(resolve => setTimeout(resolve, 1000));
-    
-    // TODO: Real implementation would use something like:
-    // import { Mailer } from 'react-native-mail';
-    // 
-    // await Mailer.mail({
-    //   subject: report.content.subject,
-    //   recipients: report.recipients.map(r => r.email),
-    //   body: report.content.body,
-    //   isHTML: false,
-    //   attachments: report.attachments
-    // });
-    
-    console.log('Email sent:', {
-      to: report.recipients.map(r => r.email),
-      subject: report.content.subject
-    });
+  getQueuedReports() {
+    return outboxService.getItems().filter(item => item.channel === OUTBOX_CHANNEL);
   }
   
   // Queue management
@@ -626,10 +683,12 @@ All data is securely stored and encrypted.
   getStatus() {
     return {
       isConfigured: this.isConfigured,
-      queueSize: this.reportQueue.length,
+      queueSize: this.getQueuedReports().filter(r => r.status !== OUTBOX_STATUS.SENT).length,
       sentReports: this.sentReports.length,
-      failedReports: this.reportQueue.filter(r => r.status === 'failed').length,
-      retryReports: this.reportQueue.filter(r => r.status === 'retry').length
+      failedReports: this.getQueuedReports().filter(r => r.status === OUTBOX_STATUS.FAILED).length,
+      retryReports: this.getQueuedReports().filter(
+        r => r.status === OUTBOX_STATUS.PENDING && r.recipients.some(recipient => recipient.attempts > 0)
+      ).length
     };
   }
   
@@ -639,20 +698,18 @@ All data is securely stored and encrypted.
   
   async clearSentReports() {
     this.sentReports = [];
-    await AsyncStorage.setItem('sentReports', JSON.stringify([]));
+    await secureStorage.setItem('sentReports', JSON.stringify([]));
     this.emit('historyCleared', { timestamp: Date.now() });
   }
   
   async retryFailedReports() {
-    const failedReports = this.reportQueue.filter(r => r.status === 'failed');
+    const failedReports = this.getQueuedReports().filter(r => r.status === OUTBOX_STATUS.FAILED);
     
-    failedReports.forEach(report => {
-      report.status = 'queued';
-      report.retryCount = 0;
-    });
+    for (const report of failedReports) {
+      await outboxService.retryItem(report.id);
+    }
     
     if (failedReports.length > 0) {
-      await this.processQueue();
       this.emit('retryInitiated', { count: failedReports.length });
     }
   }
@@ -676,4 +733,9 @@ All data is securely stored and encrypted.
   }
 }
 
-export default EmailReportService;
\ No newline at end of file
+outboxService.registerSender(
+  OUTBOX_CHANNEL,
+  (addresses) => EmailReportService.getInstance().deliverReport(addresses)
+);
+
+export default EmailReportService;
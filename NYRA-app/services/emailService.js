@@ -1,26 +1,15 @@
 import * as MailComposer from 'expo-mail-composer';
 import { Alert } from 'react-native';
+import { outboxService } from './outboxService';
+import { selectRecipients, CONTACT_CHANNELS } from './contactService';
 
 /**
- * Composes an emergency email to a list of contacts.
- * @param {Array<object>} contacts - Array of contact objects, each with a 'email' property.
+ * Builds the emergency email subject and HTML body.
  * @param {Location.LocationObject} location - The user's last known location.
- * @returns {Promise<void>}
+ * @returns {{subject: string, body: string}}
  */
-const sendEmergencyEmail = async (contacts, location) => {
-  const isAvailable = await MailComposer.isAvailableAsync();
-  if (!isAvailable) {
-    Alert.alert('Email Error', 'Email service is not available on this device.');
-    return;
-  }
-
-  const recipients = contacts.map(c => c.email).filter(Boolean);
-  if (recipients.length === 0) {
-    console.log('No contacts with email addresses to send email to.');
-    return;
-  }
-
-  const locationLink = location
+const buildEmergencyEmail = (location) => {
+  const locationLink = location && location.coords
     ? `https://www.google.com/maps/search/?api=1&query=${location.coords.latitude},${location.coords.longitude}`
     : 'Not available';
 
@@ -33,18 +22,88 @@ const sendEmergencyEmail = async (contacts, location) => {
     <p>Please attempt to contact me or emergency services.</p>
   `;
 
+  return { subject, body };
+};
+
+/**
+ * Outbox sender for the 'email' channel. The mail composer needs the app in the foreground,
+ * so attempts made in the background are deferred until the user returns.
+ * @param {Array<string>} recipients - Addresses still waiting for this email
+ * @param {object} payload - { subject, body }
+ * @param {object} context - { isForeground }
+ * @returns {Promise<Array<object>>} Per-address results, see outboxService
+ */
+const deliverEmail = async (recipients, { subject, body }, { isForeground }) => {
+  if (!isForeground) {
+    return recipients.map(address => ({ address, deferred: true }));
+  }
+
+  const isAvailable = await MailComposer.isAvailableAsync();
+  if (!isAvailable) {
+    return recipients.map(address => ({
+      address,
+      success: false,
+      permanent: true,
+      error: 'Email service is not available on this device',
+    }));
+  }
+
+  const { status } = await MailComposer.composeAsync({
+    recipients,
+    subject,
+    body,
+    isHtml: true,
+  });
+  console.log('Email composer status:', status);
+
+  return recipients.map(address => ({
+    address,
+    success: status === 'sent',
+    // Closing the composer is the user's decision, so it is not retried
+    permanent: status === 'cancelled',
+    error: status === 'sent' ? null : `Composer status: ${status}`,
+  }));
+};
+
+outboxService.registerSender('email', deliverEmail);
+
+/**
+ * Composes an emergency email to a list of contacts.
+ * The email is written to the outbox first and retried if it cannot be sent now.
+ * Only contacts whose preferred channels include email are addressed (see contactService).
+ * @param {Array<object>} contacts - Array of contact objects, each with a 'email' property.
+ * @param {Location.LocationObject} location - The user's last known location.
+ * @param {object} options - { incidentId } to link the outbox entry to an incident,
+ *   { silent } to skip error dialogs, { severity, settings } for quiet-hours filtering.
+ * @returns {Promise<boolean|void>} True if the email was sent on the first attempt.
+ */
+const sendEmergencyEmail = async (contacts, location, { incidentId = null, silent = false, severity = 'high', settings = null } = {}) => {
+  const isAvailable = await MailComposer.isAvailableAsync();
+  if (!isAvailable) {
+    if (!silent) Alert.alert('Email Error', 'Email service is not available on this device.');
+    return;
+  }
+
+  const recipients = selectRecipients(contacts, CONTACT_CHANNELS.EMAIL, { severity, settings })
+    .filter(c => c.email)
+    .map(c => ({ address: c.email, name: c.name }));
+  if (recipients.length === 0) {
+    console.log('No contacts with email addresses to send email to.');
+    return;
+  }
+
   try {
-    const { status } = await MailComposer.composeAsync({
+    const queued = await outboxService.enqueue({
+      channel: 'email',
       recipients,
-      subject,
-      body,
-      isHtml: true,
+      payload: buildEmergencyEmail(location),
+      incidentId,
     });
-    console.log('Email composer status:', status);
-    return status === 'sent';
+    const item = await outboxService.deliver(queued.id);
+    return item.recipients.every(r => r.status === 'sent');
   } catch (error) {
     console.error('Error composing email:', error);
-    Alert.alert('Email Error', 'An error occurred while trying to compose the emergency email.');
+    if (!silent) Alert.alert('Email Error', 'An error occurred while trying to compose the emergency email.');
     return false;
   }
 };
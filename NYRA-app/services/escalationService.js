@@ -0,0 +1,509 @@
+// Escalation Service - Unacknowledged Alert Ladder
+// Widens the circle of people alerted the longer an incident goes unacknowledged
+// Step deadlines are absolute timestamps persisted in encrypted storage, so a ladder interrupted
+// by the app being suspended or killed catches up as soon as JavaScript runs again: on launch
+// (headless too, from index.js), on background location deliveries, or when the app is opened
+
+import { secureStorage } from './secureStorageService';
+import { AppState } from 'react-native';
+import * as Notifications from 'expo-notifications';
+import { loadContacts, loadSettings } from './storageService';
+import { locationService } from './locationService';
+import { smsService } from './smsService';
+import { emailService } from './emailService';
+import { communityResponseService } from './communityResponseService';
+import { incidentService, INCIDENT_STATES } from './incidentService';
+import { getPersonalContacts, sortByPriority, CONTACT_ROLES } from './contactService';
+
+const POLICY_KEY = 'escalationPolicy';
+const STATE_KEY = 'escalation_state';
+
+export const ESCALATION_STEPS = {
+  PRIMARY_CONTACT: 'primary_contact',
+  ALL_CONTACTS: 'all_contacts',
+  COMMUNITY: 'community',
+  AUTHORITIES: 'authorities',
+};
+
+export const ESCALATION_STEP_LABELS = {
+  [ESCALATION_STEPS.PRIMARY_CONTACT]: 'Alert primary contact',
+  [ESCALATION_STEPS.ALL_CONTACTS]: 'Alert all contacts',
+  [ESCALATION_STEPS.COMMUNITY]: 'Ask the community for help',
+  [ESCALATION_STEPS.AUTHORITIES]: 'Alert authorities',
+};
+
+// Where each panic button escalation level enters the ladder; earlier steps run at once
+export const ESCALATION_LEVEL_START = {
+  silent: ESCALATION_STEPS.PRIMARY_CONTACT,
+  local: ESCALATION_STEPS.ALL_CONTACTS,
+  full: ESCALATION_STEPS.COMMUNITY,
+};
+
+// Off until the user turns it on: with it off, every personal contact is alerted at once
+export const DEFAULT_ESCALATION_POLICY = {
+  enabled: false,
+  steps: [
+    { step: ESCALATION_STEPS.PRIMARY_CONTACT, afterMinutes: 0 },
+    { step: ESCALATION_STEPS.ALL_CONTACTS, afterMinutes: 3 },
+    { step: ESCALATION_STEPS.COMMUNITY, afterMinutes: 6 },
+    { step: ESCALATION_STEPS.AUTHORITIES, afterMinutes: 10 },
+  ],
+};
+
+const STEP_STATUS = {
+  PENDING: 'pending',
+  DONE: 'done',
+  SKIPPED: 'skipped',
+};
+
+class EscalationService {
+  constructor() {
+    this.policy = DEFAULT_ESCALATION_POLICY;
+    this.state = null;
+    this.listeners = [];
+    this.timer = null;
+    this.isRunningSteps = false;
+    this.isInitialized = false;
+    this.appStateSubscription = null;
+    this.incidentSubscription = null;
+    this.locationSubscription = null;
+  }
+
+  /**
+   * Load the policy and resume any ladder left running. Called from index.js, so it also runs
+   * when Android launches the app without UI for the background location task.
+   */
+  async init() {
+    if (this.isInitialized) return;
+    this.isInitialized = true;
+
+    await this.loadPolicy();
+    try {
+      const stored = await secureStorage.getItem(STATE_KEY);
+      this.state = stored ? JSON.parse(stored) : null;
+    } catch (error) {
+      console.error('Failed to load escalation state:', error);
+      this.state = null;
+    }
+
+    this.incidentSubscription = incidentService.subscribe((eventType, data) => {
+      if (eventType !== 'incidentTransitioned' || !this.state) return;
+      const { incident, to } = data;
+      if (incident.id !== this.state.incidentId) return;
+
+      if (to === INCIDENT_STATES.ACKNOWLEDGED) {
+        this.stop('Acknowledged by a contact');
+      } else if (incidentService.isTerminalState(to)) {
+        this.stop('Incident closed');
+      }
+    });
+
+    this.appStateSubscription = AppState.addEventListener('change', (appState) => {
+      if (appState === 'active') {
+        this.runDueSteps();
+        // Covers a headless launch, which skipped the prompt below
+        if (this.policy.enabled) {
+          this.ensureReminderPermission();
+        }
+      }
+    });
+
+    // Background location deliveries run JavaScript while timers are suspended
+    this.locationSubscription = locationService.subscribeToLocation(() => {
+      if (this.hasDueSteps()) {
+        this.runDueSteps();
+      }
+    });
+
+    // A headless launch cannot show the permission prompt
+    if (this.policy.enabled && AppState.currentState === 'active') {
+      await this.ensureReminderPermission();
+    }
+
+    if (this.state) {
+      console.log(`📈 Escalation: Resuming ladder for ${this.state.incidentId}`);
+      await this.runDueSteps();
+    }
+  }
+
+  async loadPolicy() {
+    try {
+      const stored = await secureStorage.getItem(POLICY_KEY);
+      if (stored) {
+        this.policy = { ...DEFAULT_ESCALATION_POLICY, ...JSON.parse(stored) };
+      }
+    } catch (error) {
+      console.error('Failed to load escalation policy:', error);
+    }
+    return this.policy;
+  }
+
+  getPolicy() {
+    return this.policy;
+  }
+
+  /**
+   * Update the escalation policy.
+   * @param {Object} changes - { enabled, steps: [{ step, afterMinutes }] }
+   */
+  async updatePolicy(changes) {
+    this.policy = { ...this.policy, ...changes };
+    try {
+      await secureStorage.setItem(POLICY_KEY, JSON.stringify(this.policy));
+    } catch (error) {
+      console.error('Failed to save escalation policy:', error);
+    }
+    if (changes.enabled) {
+      await this.ensureReminderPermission();
+    }
+    this.notifyListeners('policyUpdated', this.policy);
+    return this.policy;
+  }
+
+  isEnabled() {
+    return !!this.policy.enabled;
+  }
+
+  async saveState() {
+    try {
+      if (this.state) {
+        await secureStorage.setItem(STATE_KEY, JSON.stringify(this.state));
+      } else {
+        await secureStorage.removeItem(STATE_KEY);
+      }
+    } catch (error) {
+      console.error('Failed to save escalation state:', error);
+    }
+  }
+
+  /**
+   * Start the ladder for a freshly dispatched incident. Steps up to `startStep` run now;
+   * later steps keep their spacing from the policy.
+   * @param {Object} incident - Incident from alertService
+   * @param {Object} options
+   * @param {Array<Object>} options.contacts - Contacts to use instead of the saved list
+   * @param {string} options.startStep - One of ESCALATION_STEPS; defaults to the first step
+   * @returns {Promise<Object>} Results of the steps that ran immediately ({ sms, email, community })
+   */
+  async start(incident, { contacts = null, startStep = null } = {}) {
+    await this.stop('Superseded by a new incident');
+
+    const steps = [...this.policy.steps].sort((a, b) => a.afterMinutes - b.afterMinutes);
+    const startIndex = Math.max(steps.findIndex(s => s.step === startStep), 0);
+    const offset = steps[startIndex].afterMinutes;
+    const now = Date.now();
+
+    this.state = {
+      incidentId: incident.id,
+      startedAt: now,
+      location: incident.location || null,
+      contacts: contacts && contacts.length > 0 ? contacts : null,
+      alertedContactIds: [],
+      steps: steps.map((s, index) => ({
+        step: s.step,
+        dueAt: index <= startIndex ? now : now + (s.afterMinutes - offset) * 60000,
+        status: STEP_STATUS.PENDING,
+        notificationId: null,
+      })),
+    };
+    await this.saveState();
+    this.notifyListeners('escalationStarted', this.state);
+
+    return this.runDueSteps({ interactive: true });
+  }
+
+  /**
+   * Contacts alerted outside the ladder, e.g. by the dispatcher when the ladder failed to
+   * alert anyone. Later contact steps leave them out.
+   * @param {Array<object>} contacts
+   */
+  async markContactsAlerted(contacts) {
+    if (!this.state) return;
+    this.state.alertedContactIds.push(...contacts.map(c => c.id || c.phone));
+    await this.saveState();
+  }
+
+  /**
+   * Stop the ladder; remaining steps are skipped.
+   * @param {string} reason - Logged against the incident
+   */
+  async stop(reason) {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+    if (!this.state) return;
+
+    const stopped = this.state;
+    this.state = null;
+    await this.saveState();
+
+    const remaining = stopped.steps.filter(s => s.status === STEP_STATUS.PENDING);
+    for (const step of remaining) {
+      step.status = STEP_STATUS.SKIPPED;
+      await this.cancelReminder(step);
+    }
+
+    if (remaining.length > 0) {
+      await incidentService.addTimelineEntry(stopped.incidentId, {
+        event: 'escalation',
+        note: `Escalation stopped: ${reason}`,
+        data: { skipped: remaining.map(s => s.step) },
+      });
+    }
+    this.notifyListeners('escalationStopped', { incidentId: stopped.incidentId, reason });
+  }
+
+  /**
+   * Run every step whose deadline has passed, then arm a timer for the next one.
+   * @param {Object} options
+   * @param {boolean} options.interactive - Show result dialogs (only for the user-triggered dispatch)
+   */
+  async runDueSteps({ interactive = false } = {}) {
+    if (this.isRunningSteps || !this.state) return {};
+    this.isRunningSteps = true;
+
+    const results = {};
+    try {
+      // A headless launch starts with nothing in memory
+      await incidentService.load();
+      const incident = incidentService.getIncident(this.state.incidentId);
+      if (!incident || incident.state !== INCIDENT_STATES.DISPATCHED) {
+        await this.stop(incident ? 'Incident no longer awaiting acknowledgement' : 'Incident not found');
+        return results;
+      }
+
+      const state = this.state;
+      const now = Date.now();
+      for (const step of state.steps) {
+        // An acknowledgement may stop the ladder while a step is sending
+        if (this.state !== state) return results;
+        if (step.status !== STEP_STATUS.PENDING || step.dueAt > now) continue;
+
+        const stepResult = await this.executeStep(step.step, incident, state, { silent: !interactive });
+        step.status = stepResult.skipped ? STEP_STATUS.SKIPPED : STEP_STATUS.DONE;
+        step.firedAt = Date.now();
+        await this.cancelReminder(step);
+        mergeStepResults(results, stepResult);
+
+        await incidentService.addTimelineEntry(incident.id, {
+          event: 'escalation',
+          note: stepResult.note,
+          data: { step: step.step, skipped: !!stepResult.skipped },
+        });
+        this.notifyListeners('stepExecuted', { incidentId: incident.id, step: step.step, result: stepResult });
+      }
+
+      if (this.state !== state) return results;
+      if (state.steps.every(s => s.status !== STEP_STATUS.PENDING)) {
+        this.notifyListeners('escalationCompleted', { incidentId: incident.id });
+        this.state = null;
+      } else {
+        await this.scheduleReminders();
+      }
+      await this.saveState();
+    } catch (error) {
+      console.error('Escalation: Error running steps:', error);
+    } finally {
+      this.isRunningSteps = false;
+      this.scheduleNextRun();
+    }
+    return results;
+  }
+
+  hasDueSteps() {
+    const now = Date.now();
+    return !!this.state && this.state.steps.some(s => s.status === STEP_STATUS.PENDING && s.dueAt <= now);
+  }
+
+  scheduleNextRun() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+    if (!this.state) return;
+
+    const pending = this.state.steps.filter(s => s.status === STEP_STATUS.PENDING);
+    if (pending.length === 0) return;
+
+    const nextAt = Math.min(...pending.map(s => s.dueAt));
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.runDueSteps();
+    }, Math.max(nextAt - Date.now(), 0));
+  }
+
+  /**
+   * JS timers stop while the OS suspends the app, so each upcoming step also gets a local
+   * notification at its deadline. Opening the app from it runs the overdue step.
+   */
+  async scheduleReminders() {
+    for (const step of this.state.steps) {
+      if (step.status !== STEP_STATUS.PENDING || step.notificationId || step.dueAt <= Date.now()) continue;
+      try {
+        step.notificationId = await Notifications.scheduleNotificationAsync({
+          content: {
+            title: '🚨 No one has responded yet',
+            body: `NYRA is escalating your alert: ${ESCALATION_STEP_LABELS[step.step].toLowerCase()}. Open the app if you are safe.`,
+            data: { incidentId: this.state.incidentId, step: step.step },
+          },
+          trigger: { type: Notifications.SchedulableTriggerInputTypes.DATE, date: new Date(step.dueAt) },
+        });
+      } catch (error) {
+        console.warn('Escalation: Could not schedule reminder:', error.message);
+      }
+    }
+  }
+
+  // Ask up front so reminders can be shown during an emergency without a permission prompt
+  async ensureReminderPermission() {
+    try {
+      const { status } = await Notifications.getPermissionsAsync();
+      if (status === 'undetermined') {
+        await Notifications.requestPermissionsAsync();
+      }
+    } catch (error) {
+      console.warn('Escalation: Could not request notification permission:', error.message);
+    }
+  }
+
+  async cancelReminder(step) {
+    if (!step.notificationId) return;
+    try {
+      await Notifications.cancelScheduledNotificationAsync(step.notificationId);
+    } catch (error) {
+      console.warn('Escalation: Could not cancel reminder:', error.message);
+    }
+    step.notificationId = null;
+  }
+
+  async executeStep(step, incident, state, { silent }) {
+    const settings = await loadSettings();
+    const location = locationService.getLastKnownLocation() || state.location;
+
+    switch (step) {
+      case ESCALATION_STEPS.PRIMARY_CONTACT:
+      case ESCALATION_STEPS.ALL_CONTACTS: {
+        // Authority contacts are kept for the last step
+        const contacts = getPersonalContacts(state.contacts || await loadContacts());
+        const targets = (step === ESCALATION_STEPS.PRIMARY_CONTACT ? contacts.slice(0, 1) : contacts)
+          .filter(c => !state.alertedContactIds.includes(c.id || c.phone));
+
+        if (targets.length === 0) {
+          return { skipped: true, note: `${ESCALATION_STEP_LABELS[step]}: no further contacts to alert` };
+        }
+
+        const result = await this.alertContacts(targets, location, incident, settings, silent);
+        state.alertedContactIds.push(...targets.map(c => c.id || c.phone));
+        return {
+          ...result,
+          note: `${ESCALATION_STEP_LABELS[step]}: ${targets.map(c => c.name || c.phone).join(', ')}`,
+        };
+      }
+
+      case ESCALATION_STEPS.COMMUNITY: {
+        if (!settings.requestCommunityHelp || !communityResponseService.getIsActive()) {
+          return { skipped: true, note: 'Community help skipped: not enabled' };
+        }
+        const community = await communityResponseService.sendHelpRequest({
+          urgency: incident.severity,
+          type: incident.source,
+          description: `Emergency raised by ${incident.source.replace(/_/g, ' ')}, no response from contacts`,
+          shareLocation: true,
+        });
+        return {
+          community,
+          note: community.success ? 'Community help requested' : `Community help request failed: ${community.error}`,
+        };
+      }
+
+      case ESCALATION_STEPS.AUTHORITIES: {
+        // The same SMS and email alerts personal contacts get, through the outbox
+        const authorities = sortByPriority(state.contacts || await loadContacts())
+          .filter(c => c.role === CONTACT_ROLES.AUTHORITY);
+        if (authorities.length === 0) {
+          return { skipped: true, note: 'Authorities skipped: no authority contacts' };
+        }
+
+        const result = await this.alertContacts(authorities, location, incident, settings, silent);
+        const queued = (result.sms?.total || 0) > 0 || result.email !== undefined;
+        if (!queued) {
+          return { ...result, skipped: true, note: 'Authorities skipped: no authority contacts could be reached' };
+        }
+        const names = authorities.map(c => c.name || c.phone).join(', ');
+        const delivered = result.sms?.success || result.email === true;
+        return {
+          ...result,
+          note: delivered
+            ? `Authorities alerted: ${names}`
+            : `Authorities not reached yet, retrying in the background: ${names}`,
+        };
+      }
+
+      default:
+        return { skipped: true, note: `Unknown escalation step: ${step}` };
+    }
+  }
+
+  async alertContacts(contacts, location, incident, settings, silent) {
+    const result = {};
+    const options = { incidentId: incident.id, silent, severity: incident.severity, settings };
+    if (settings.sendSmsAlerts) {
+      result.sms = await smsService.sendEmergencySMS(contacts, location, options);
+    }
+    if (settings.sendEmailAlerts) {
+      result.email = await emailService.sendEmergencyEmail(contacts, location, options);
+    }
+    return result;
+  }
+
+  /**
+   * Current ladder, if one is running.
+   */
+  getState() {
+    return this.state;
+  }
+
+  // FRONTEND: Subscribe to service events
+  subscribe(listener) {
+    this.listeners.push(listener);
+    return () => {
+      this.listeners = this.listeners.filter(l => l !== listener);
+    };
+  }
+
+  // FRONTEND: Notify UI components of state changes
+  notifyListeners(eventType, data) {
+    this.listeners.forEach(listener => {
+      try {
+        listener(eventType, data);
+      } catch (error) {
+        console.error('Listener error:', error);
+      }
+    });
+  }
+}
+
+// Combines the channel results of several steps into the shape dispatchIncident returns
+const mergeStepResults = (results, stepResult) => {
+  if (stepResult.sms) {
+    const previous = results.sms || { success: false, sent: 0, failed: 0, total: 0 };
+    results.sms = {
+      ...stepResult.sms,
+      success: previous.success || stepResult.sms.success,
+      sent: previous.sent + stepResult.sms.sent,
+      failed: previous.failed + stepResult.sms.failed,
+      total: previous.total + stepResult.sms.total,
+    };
+  }
+  if (stepResult.email !== undefined) {
+    results.email = results.email === true || stepResult.email;
+  }
+  if (stepResult.community) {
+    results.community = stepResult.community;
+  }
+};
+
+// Export singleton instance
+export const escalationService = new EscalationService();
+export default escalationService;
@@ -0,0 +1,455 @@
+// ETA Watchdog Service - Late Arrival Alerts for Route Guardian Trips
+// Expects the user at the destination by the route's ETA plus a grace period. When they are
+// overdue, have stalled in one place, or the device has gone silent, it asks them to check in,
+// and alerts their contacts if nobody answers. Deadlines are absolute timestamps persisted in
+// encrypted storage, so a trip whose app was suspended or killed is caught up on the next run
+
+import { AppState } from 'react-native';
+import * as Notifications from 'expo-notifications';
+import { secureStorage } from './secureStorageService';
+import { locationService } from './locationService';
+import { alertService, INCIDENT_SOURCES } from './alertService';
+
+const STATE_KEY = 'eta_watchdog_state';
+
+const GRACE_MIN_MS = 5 * 60000;
+const GRACE_RATIO = 0.25; // Long walks get a quarter of their ETA on top
+const CHECK_IN_TIMEOUT_MS = 3 * 60000; // Unanswered this long, contacts are alerted
+const OVERDUE_EXTENSION_MS = 10 * 60000; // More time after answering an overdue check-in
+const STALL_RADIUS_M = 40;
+const STALL_AFTER_MS = 10 * 60000;
+const SILENT_AFTER_MS = 5 * 60000; // No location or other sign of life
+const WATCHDOG_INTERVAL_MS = 30000;
+const SIGNAL_PERSIST_MS = 60000;
+
+export const WATCHDOG_REASONS = {
+  OVERDUE: 'overdue',
+  STALLED: 'stalled',
+  SILENT: 'silent',
+};
+
+const CHECK_IN_MESSAGES = {
+  [WATCHDOG_REASONS.OVERDUE]: (trip) =>
+    `You were expected at ${trip.destinationName || 'your destination'} by ${formatTime(trip.deadline)}. Are you okay?`,
+  [WATCHDOG_REASONS.STALLED]: () =>
+    `You have not moved for ${STALL_AFTER_MS / 60000} minutes. Are you okay?`,
+  [WATCHDOG_REASONS.SILENT]: () =>
+    `NYRA has not had your location for ${SILENT_AFTER_MS / 60000} minutes. Are you okay?`,
+};
+
+const formatTime = (timestamp) =>
+  new Date(timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+
+const graceFor = (etaSeconds) => Math.max(GRACE_MIN_MS, etaSeconds * 1000 * GRACE_RATIO);
+
+class EtaWatchdogService {
+  constructor() {
+    this.trip = null;
+    this.listeners = [];
+    this.timer = null;
+    this.isChecking = false;
+    this.isEscalating = false;
+    this.initPromise = null;
+    this.saveChain = Promise.resolve();
+    this.lastPersistedSignalAt = 0;
+    this.appStateSubscription = null;
+    this.locationUnsubscribe = null;
+  }
+
+  /**
+   * Resume a trip left running when the app was suspended or killed. Called from index.js,
+   * so an overdue trip is caught up even when the app is relaunched without UI.
+   */
+  init() {
+    if (!this.initPromise) {
+      this.initPromise = (async () => {
+        try {
+          const stored = await secureStorage.getItem(STATE_KEY);
+          this.trip = stored ? JSON.parse(stored) : null;
+        } catch (error) {
+          console.error('Failed to load ETA watchdog state:', error);
+        }
+
+        this.appStateSubscription = AppState.addEventListener('change', (appState) => {
+          // Opening the app is a sign of life
+          if (appState === 'active' && this.trip) {
+            this.recordSignal();
+            this.check();
+          }
+        });
+
+        if (this.trip) {
+          console.log(`⏱️ ETA watchdog: Resuming trip to ${this.trip.destinationName || 'destination'}`);
+          this.startWatching();
+          await this.check();
+        }
+      })();
+    }
+    return this.initPromise;
+  }
+
+  persist() {
+    const trip = this.trip;
+    this.saveChain = this.saveChain
+      .then(() => (trip
+        ? secureStorage.setItem(STATE_KEY, JSON.stringify(trip))
+        : secureStorage.removeItem(STATE_KEY)))
+      .catch(error => console.error('Failed to save ETA watchdog state:', error));
+    return this.saveChain;
+  }
+
+  // ====== TRIP LIFECYCLE ======
+
+  /**
+   * Start expecting the user at a destination.
+   * @param {Object} trip
+   * @param {number} trip.routeId - Route Guardian route id
+   * @param {Object} trip.destination - Destination coordinates
+   * @param {string} trip.destinationName
+   * @param {number} trip.etaSeconds - Planned walking time
+   */
+  async startTrip({ routeId, destination, destinationName, etaSeconds }) {
+    await this.init();
+    await this.cancelReminder();
+
+    const now = Date.now();
+    this.trip = {
+      routeId,
+      destination,
+      destinationName: destinationName || null,
+      startedAt: now,
+      etaSeconds,
+      expectedArrivalAt: now + etaSeconds * 1000,
+      deadline: now + etaSeconds * 1000 + graceFor(etaSeconds),
+      lastSignalAt: now,
+      lastPosition: null,
+      stallAnchor: null, // { position, since }: where the user last was for a while
+      checkIn: null, // { reason, promptedAt, expiresAt } while waiting for an answer
+      escalated: false,
+      pendingEscalation: null, // Reason contacts are being alerted for, until a dispatch succeeds
+      reminderId: null,
+    };
+    this.startWatching();
+    await this.scheduleReminder();
+    await this.persist();
+    console.log(`⏱️ ETA watchdog: Expecting arrival by ${formatTime(this.trip.deadline)}`);
+    this.notifyListeners('tripStarted', this.getStatus());
+  }
+
+  /**
+   * A new plan for the rest of the trip, e.g. after a reroute. Only ever moves the deadline later.
+   * @param {number} etaSeconds - Walking time from here on the new route
+   */
+  async updatePlan(etaSeconds) {
+    if (!this.trip) return;
+    const now = Date.now();
+    this.trip.expectedArrivalAt = now + etaSeconds * 1000;
+    const deadline = now + etaSeconds * 1000 + graceFor(etaSeconds);
+    if (deadline > this.trip.deadline) {
+      this.trip.deadline = deadline;
+      await this.scheduleReminder();
+    }
+    await this.persist();
+    this.notifyListeners('planUpdated', this.getStatus());
+  }
+
+  /**
+   * A location on the way, with the remaining ETA from there.
+   * @param {Object} position - Coordinates
+   * @param {Object} [progress] - { etaSeconds } from Route Guardian
+   */
+  async recordProgress(position, progress) {
+    if (!this.trip) return;
+    const now = Date.now();
+    this.trip.lastPosition = position;
+    if (progress?.etaSeconds !== undefined) {
+      this.trip.expectedArrivalAt = now + progress.etaSeconds * 1000;
+    }
+
+    const anchor = this.trip.stallAnchor;
+    if (!anchor || this.calculateDistance(anchor.position, position) > STALL_RADIUS_M) {
+      this.trip.stallAnchor = { position, since: now };
+    }
+    this.recordSignal(now);
+    await this.check();
+  }
+
+  recordSignal(now = Date.now()) {
+    if (!this.trip) return;
+    this.trip.lastSignalAt = now;
+    if (now - this.lastPersistedSignalAt >= SIGNAL_PERSIST_MS) {
+      this.lastPersistedSignalAt = now;
+      this.persist();
+    }
+  }
+
+  /**
+   * Stop expecting the user, on arrival or when Route Guardian is stopped.
+   * @param {string} reason - For the log
+   */
+  async endTrip(reason) {
+    if (!this.trip) return;
+    this.stopWatching();
+    await this.cancelReminder();
+    const trip = this.trip;
+    this.trip = null;
+    await this.persist();
+    console.log(`⏱️ ETA watchdog: Trip ended (${reason})`);
+    this.notifyListeners('tripEnded', { routeId: trip.routeId, reason });
+  }
+
+  // ====== WATCHDOG ======
+
+  startWatching() {
+    this.stopWatching();
+    this.timer = setInterval(() => this.check(), WATCHDOG_INTERVAL_MS);
+    // Background location deliveries are a sign of life, and wake the check when timers are throttled
+    this.locationUnsubscribe = locationService.subscribeToLocation(() => {
+      this.recordSignal();
+      this.check();
+    });
+  }
+
+  stopWatching() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+    if (this.locationUnsubscribe) {
+      this.locationUnsubscribe();
+      this.locationUnsubscribe = null;
+    }
+  }
+
+  /**
+   * Why the user should check in now, if at all
+   * @returns {string|null} One of WATCHDOG_REASONS
+   */
+  getConcern(now = Date.now()) {
+    const trip = this.trip;
+    if (now >= trip.deadline) return WATCHDOG_REASONS.OVERDUE;
+    if (now - trip.lastSignalAt >= SILENT_AFTER_MS) return WATCHDOG_REASONS.SILENT;
+    if (trip.stallAnchor && now - trip.stallAnchor.since >= STALL_AFTER_MS) return WATCHDOG_REASONS.STALLED;
+    return null;
+  }
+
+  /**
+   * Prompt for a check-in when something is wrong, and alert contacts once a prompt expires.
+   */
+  async check() {
+    if (!this.trip || this.trip.escalated || this.isChecking) return;
+    this.isChecking = true;
+    try {
+      const now = Date.now();
+      if (this.trip.pendingEscalation) {
+        await this.escalate(this.trip.pendingEscalation);
+        return;
+      }
+      if (this.trip.checkIn) {
+        if (now >= this.trip.checkIn.expiresAt) {
+          await this.escalate(this.trip.checkIn.reason);
+        }
+        return;
+      }
+
+      const reason = this.getConcern(now);
+      if (reason) {
+        await this.requestCheckIn(reason);
+      }
+    } catch (error) {
+      console.error('ETA watchdog: Check failed:', error);
+    } finally {
+      this.isChecking = false;
+    }
+  }
+
+  async requestCheckIn(reason) {
+    const now = Date.now();
+    const message = CHECK_IN_MESSAGES[reason](this.trip);
+    this.trip.checkIn = { reason, message, promptedAt: now, expiresAt: now + CHECK_IN_TIMEOUT_MS };
+    await this.persist();
+    console.log(`⏱️ ETA watchdog: Check-in requested (${reason})`);
+
+    // FRONTEND: Show check-in prompt
+    this.notifyListeners('checkInRequired', { ...this.trip.checkIn, trip: this.getStatus() });
+
+    if (AppState.currentState !== 'active') {
+      try {
+        await Notifications.scheduleNotificationAsync({
+          content: {
+            title: '⏱️ Are you okay?',
+            body: `${message} Open NYRA within ${CHECK_IN_TIMEOUT_MS / 60000} minutes or your contacts will be alerted.`,
+            data: { routeId: this.trip.routeId, reason },
+          },
+          trigger: null,
+        });
+      } catch (error) {
+        console.warn('ETA watchdog: Could not show check-in notification:', error.message);
+      }
+    }
+  }
+
+  /**
+   * The user's answer to a check-in prompt.
+   * @param {boolean} isSafe - False alerts contacts at once
+   */
+  async respondToCheckIn(isSafe) {
+    if (!this.trip) return;
+    if (!isSafe) {
+      await this.escalate('user_indicated_unsafe');
+      return;
+    }
+
+    const now = Date.now();
+    const reason = this.trip.checkIn?.reason;
+    this.trip.checkIn = null;
+    this.recordSignal(now);
+    if (reason === WATCHDOG_REASONS.OVERDUE || now >= this.trip.deadline) {
+      this.trip.deadline = Math.max(this.trip.expectedArrivalAt, now) + OVERDUE_EXTENSION_MS;
+      await this.scheduleReminder();
+    }
+    if (this.trip.stallAnchor) {
+      this.trip.stallAnchor.since = now;
+    }
+    await this.persist();
+    this.notifyListeners('checkInConfirmed', this.getStatus());
+  }
+
+  /**
+   * Alert contacts through the shared dispatcher. Only once per trip; a dispatch that fails
+   * is retried on the next check.
+   * @param {string} reason - One of WATCHDOG_REASONS, or 'user_indicated_unsafe'
+   */
+  async escalate(reason) {
+    const trip = this.trip;
+    if (!trip || trip.escalated || this.isEscalating) return;
+    this.isEscalating = true;
+    trip.pendingEscalation = reason;
+    trip.checkIn = null;
+    await this.cancelReminder();
+    await this.persist();
+
+    let location = null;
+    try {
+      location = await locationService.getCurrentLocation();
+    } catch (error) {
+      console.warn('ETA watchdog: No current location, using the last known one');
+    }
+
+    try {
+      const dispatch = await alertService.dispatchIncident({
+        source: INCIDENT_SOURCES.ROUTE_GUARDIAN,
+        severity: reason === 'user_indicated_unsafe' ? 'critical' : 'high',
+        location: location || (trip.lastPosition ? { coords: trip.lastPosition, timestamp: trip.lastSignalAt } : null),
+        details: {
+          reason,
+          routeId: trip.routeId,
+          destinationName: trip.destinationName,
+          expectedBy: new Date(trip.deadline).toISOString(),
+          lastSeenAt: new Date(trip.lastSignalAt).toISOString(),
+        },
+      });
+      trip.escalated = true;
+      trip.pendingEscalation = null;
+      await this.persist();
+      console.warn(`⏱️ ETA watchdog: Contacts alerted (${reason})`);
+      // FRONTEND: Tell the user contacts were alerted
+      this.notifyListeners('lateArrivalAlertSent', { reason, incident: dispatch.incident, trip: this.getStatus() });
+    } catch (error) {
+      console.error('ETA watchdog: Could not alert contacts, retrying on the next check:', error);
+    } finally {
+      this.isEscalating = false;
+    }
+  }
+
+  // ====== REMINDERS ======
+
+  /**
+   * JS timers stop while the OS suspends the app, so the deadline also gets a local
+   * notification. Opening the app from it runs the overdue check.
+   */
+  async scheduleReminder() {
+    await this.cancelReminder();
+    if (!this.trip || this.trip.deadline <= Date.now()) return;
+    try {
+      this.trip.reminderId = await Notifications.scheduleNotificationAsync({
+        content: {
+          title: '⏱️ Have you arrived?',
+          body: `You were expected at ${this.trip.destinationName || 'your destination'} by now. Open NYRA to check in.`,
+          data: { routeId: this.trip.routeId, reason: WATCHDOG_REASONS.OVERDUE },
+        },
+        trigger: { type: Notifications.SchedulableTriggerInputTypes.DATE, date: new Date(this.trip.deadline) },
+      });
+    } catch (error) {
+      console.warn('ETA watchdog: Could not schedule reminder:', error.message);
+    }
+  }
+
+  async cancelReminder() {
+    if (!this.trip?.reminderId) return;
+    try {
+      await Notifications.cancelScheduledNotificationAsync(this.trip.reminderId);
+    } catch (error) {
+      console.warn('ETA watchdog: Could not cancel reminder:', error.message);
+    }
+    this.trip.reminderId = null;
+  }
+
+  // ====== UTILITY METHODS ======
+
+  /**
+   * @returns {{active: boolean, destinationName?: string, expectedArrivalAt?: number,
+   *   deadline?: number, isLate?: boolean, checkIn?: object|null, escalated?: boolean}}
+   */
+  getStatus() {
+    if (!this.trip) return { active: false };
+    return {
+      active: true,
+      routeId: this.trip.routeId,
+      destinationName: this.trip.destinationName,
+      expectedArrivalAt: this.trip.expectedArrivalAt,
+      deadline: this.trip.deadline,
+      isLate: this.trip.expectedArrivalAt > this.trip.deadline || Date.now() > this.trip.deadline,
+      checkIn: this.trip.checkIn,
+      escalated: this.trip.escalated,
+    };
+  }
+
+  calculateDistance(point1, point2) {
+    const R = 6371e3; // Earth's radius in meters
+    const φ1 = point1.latitude * Math.PI/180;
+    const φ2 = point2.latitude * Math.PI/180;
+    const Δφ = (point2.latitude-point1.latitude) * Math.PI/180;
+    const Δλ = (point2.longitude-point1.longitude) * Math.PI/180;
+
+    const a = Math.sin(Δφ/2) * Math.sin(Δφ/2) +
+              Math.cos(φ1) * Math.cos(φ2) *
+              Math.sin(Δλ/2) * Math.sin(Δλ/2);
+    const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
+
+    return R * c; // Distance in meters
+  }
+
+  // FRONTEND: Subscribe to service events
+  subscribe(listener) {
+    this.listeners.push(listener);
+    return () => {
+      this.listeners = this.listeners.filter(l => l !== listener);
+    };
+  }
+
+  // FRONTEND: Notify UI components of state changes
+  notifyListeners(eventType, data) {
+    this.listeners.forEach(listener => {
+      try {
+        listener(eventType, data);
+      } catch (error) {
+        console.error('Listener error:', error);
+      }
+    });
+  }
+}
+
+// Export singleton instance
+export const etaWatchdogService = new EtaWatchdogService();
+export default etaWatchdogService;
@@ -2,7 +2,7 @@
 // Automatic evidence collection during emergency alerts
 // Handles both frontend recording controls and backend secure storage
 
-import AsyncStorage from '@react-native-async-storage/async-storage';
+import { secureStorage } from './secureStorageService';
 import { locationService } from './locationService';
 
 class EvidenceCaptureService {
@@ -21,7 +21,9 @@ class EvidenceCaptureService {
       enableLocationTracking: true,
       maxRecordingDuration: 600, // 10 minutes
       autoUpload: true,
-      encryptionEnabled: true
+      // Session records are encrypted at rest by secureStorage. Media files are not encrypted
+      // yet, so files are marked encrypted: false until that is implemented
+      encryptionEnabled: false
     };
   }
 
@@ -49,11 +51,11 @@ class EvidenceCaptureService {
         maxRecordingDuration: config.maxDuration || 600,
         backgroundRecording: config.backgroundRecording || false,
         cloudBackup: config.cloudBackup !== false,
-        encryptionEnabled: true, // Always encrypt for security
+        encryptionEnabled: false, // See constructor; session records are still encrypted at rest
         compressionLevel: config.compressionLevel || 'medium'
       };
 
-      await AsyncStorage.setItem('evidence_capture_config', JSON.stringify(this.captureSettings));
+      await secureStorage.setItem('evidence_capture_config', JSON.stringify(this.captureSettings));
 
       // Request necessary permissions
       const permissions = await this.requestPermissions();
@@ -136,7 +138,7 @@ class EvidenceCaptureService {
       await Promise.all(recordingPromises);
 
       // Store session
-      await AsyncStorage.setItem(`evidence_session_${this.currentSession.id}`, JSON.stringify(this.currentSession));
+      await secureStorage.setItem(`evidence_session_${this.currentSession.id}`, JSON.stringify(this.currentSession));
 
       // FRONTEND: Update UI (unless discreet mode)
       if (!discreet) {
@@ -211,7 +213,7 @@ class EvidenceCaptureService {
       this.currentSession.processedFiles = processedEvidence;
 
       // Store final session data
-      await AsyncStorage.setItem(`evidence_session_${this.currentSession.id}`, JSON.stringify(this.currentSession));
+      await secureStorage.setItem(`evidence_session_${this.currentSession.id}`, JSON.stringify(this.currentSession));
 
       // BACKEND: Upload to secure storage if enabled
       if (this.captureSettings.cloudBackup) {
@@ -270,10 +272,10 @@ class EvidenceCaptureService {
       photoData.file = photoFile;
 
       // Store photo data
-      const photos = await AsyncStorage.getItem('emergency_photos');
+      const photos = await secureStorage.getItem('emergency_photos');
       const photoArray = photos ? JSON.parse(photos) : [];
       photoArray.push(photoData);
-      await AsyncStorage.setItem('emergency_photos', JSON.stringify(photoArray));
+      await secureStorage.setItem('emergency_photos', JSON.stringify(photoArray));
 
       // FRONTEND: Update UI
       this.notifyListeners('emergencyPhotoCaptured', {
@@ -714,7 +716,7 @@ class EvidenceCaptureService {
       };
 
       // Store cloud record locally
-      await AsyncStorage.setItem(`cloud_evidence_${this.currentSession.id}`, JSON.stringify(cloudRecord));
+      await secureStorage.setItem(`cloud_evidence_${this.currentSession.id}`, JSON.stringify(cloudRecord));
 
       return { success: true, cloudRecord };
     } catch (error) {
@@ -846,10 +848,10 @@ class EvidenceCaptureService {
       };
 
       // Store locally
-      const logs = await AsyncStorage.getItem('evidence_capture_logs');
+      const logs = await secureStorage.getItem('evidence_capture_logs');
       const logArray = logs ? JSON.parse(logs) : [];
       logArray.push(logEntry);
-      await AsyncStorage.setItem('evidence_capture_logs', JSON.stringify(logArray));
+      await secureStorage.setItem('evidence_capture_logs', JSON.stringify(logArray));
 
       // TODO: Send to backend API
       
@@ -878,16 +880,16 @@ class EvidenceCaptureService {
   }
 
   async getDeviceId() {
-    let deviceId = await AsyncStorage.getItem('device_id');
+    let deviceId = await secureStorage.getItem('device_id');
     if (!deviceId) {
       deviceId = Date.now().toString() + Math.random().toString(36);
-      await AsyncStorage.setItem('device_id', deviceId);
+      await secureStorage.setItem('device_id', deviceId);
     }
     return deviceId;
   }
 
   async getUserId() {
-    return await AsyncStorage.getItem('user_id') || 'anonymous';
+    return await secureStorage.getItem('user_id') || 'anonymous';
   }
 
   // FRONTEND: Get current status
@@ -0,0 +1,336 @@
+// Fall Detector - Multi-Stage Fall Detection
+// Models a fall as free-fall → impact → orientation change → post-fall inactivity and scores
+// each phase separately. Every candidate impact produces an evaluation that records which phases
+// matched, so false positives (and phone drops) can be analysed later
+// Works on sensorService readings in g and rad/s, with no app or native imports
+
+import {
+  magnitude,
+  mean,
+  standardDeviation,
+  accelMagnitudes,
+  gyroMagnitudes,
+  meanAccelVector,
+  angleBetween,
+} from './imuFeatures';
+
+export const FALL_PHASES = {
+  FREE_FALL: 'freeFall',
+  IMPACT: 'impact',
+  ORIENTATION: 'orientation',
+  INACTIVITY: 'inactivity',
+};
+
+export const PHONE_PLACEMENTS = {
+  AUTO: 'auto',
+  HAND: 'hand',
+  POCKET: 'pocket',
+};
+
+/**
+ * Thresholds per phone placement. A phone in the hand moves with the arm, so impacts read
+ * higher and orientation says less about the body; in a pocket the phone follows the thigh,
+ * so orientation is reliable but free-fall is damped by clothing.
+ * - freeFallThreshold (g): magnitude below which the phone is falling
+ * - minFreeFallMs: shortest free-fall that counts
+ * - impactThreshold (g): peak that starts a candidate
+ * - minOrientationDeg: change in gravity direction between before and after the fall
+ * - settleMs: time after impact before orientation and inactivity are measured
+ * - inactivityMs: length of the inactivity window
+ * - maxAccelStd (g), maxGyroMean (rad/s): movement allowed while lying still
+ * - weights: contribution of each phase to the overall confidence
+ * - detectionScore: overall confidence needed to report a fall
+ * - dropPenalty: confidence taken off a drop-like fall after an orientation change. A phone
+ *   that slipped out of the hand lies still whatever the person does, so it costs more there
+ */
+export const FALL_PROFILES = {
+  [PHONE_PLACEMENTS.HAND]: {
+    freeFallThreshold: 0.6,
+    minFreeFallMs: 100,
+    impactThreshold: 2.5,
+    minOrientationDeg: 40,
+    settleMs: 1000,
+    inactivityMs: 4000,
+    maxAccelStd: 0.08,
+    maxGyroMean: 0.5,
+    weights: { freeFall: 0.2, impact: 0.3, orientation: 0.15, inactivity: 0.35 },
+    detectionScore: 0.6,
+    dropPenalty: 0.35,
+  },
+  [PHONE_PLACEMENTS.POCKET]: {
+    freeFallThreshold: 0.7,
+    minFreeFallMs: 100,
+    impactThreshold: 2.0,
+    minOrientationDeg: 50,
+    settleMs: 1000,
+    inactivityMs: 4000,
+    maxAccelStd: 0.06,
+    maxGyroMean: 0.4,
+    weights: { freeFall: 0.15, impact: 0.25, orientation: 0.3, inactivity: 0.3 },
+    detectionScore: 0.6,
+    dropPenalty: 0.15,
+  },
+};
+
+// Low sensitivity needs harder impacts and more certainty; high accepts softer falls
+const SENSITIVITY_ADJUSTMENTS = {
+  low: { impactScale: 1.2, scoreOffset: 0.1 },
+  medium: { impactScale: 1, scoreOffset: 0 },
+  high: { impactScale: 0.85, scoreOffset: -0.1 },
+};
+
+// A dropped phone falls freely (near 0 g) for longer than a person's phone does, then lies
+// flat and perfectly still; a person on the floor still breathes and shifts slightly
+const DROP_MAX_FREE_FALL_G = 0.15;
+const DROP_MIN_FREE_FALL_MS = 300;
+const DROP_MAX_ACCEL_STD = 0.01;
+const DROP_MIN_FLATNESS = 0.95; // Share of gravity on the z axis
+
+const FREE_FALL_LOOKBACK_MS = 1000; // How far before the impact free-fall is searched for
+const BASELINE_MS = 1000; // Posture before the fall is averaged over this long
+const HISTORY_MS = FREE_FALL_LOOKBACK_MS + BASELINE_MS + 500;
+const IMPACT_PEAK_MS = 500; // An impact spike can span several readings
+const UPRIGHT_POCKET_RATIO = 0.9; // Share of gravity on the y axis for an upright phone
+
+const clamp = (value) => Math.min(1, Math.max(0, value));
+const round = (value) => Math.round(value * 1000) / 1000;
+
+const typicalInterval = (readings) => {
+  if (readings.length < 2) return 100;
+  return (readings[readings.length - 1].timestamp - readings[0].timestamp) / (readings.length - 1) || 100;
+};
+
+export class FallDetector {
+  /**
+   * @param {object} options - { placement: one of PHONE_PLACEMENTS, sensitivity: low | medium | high }
+   */
+  constructor({ placement = PHONE_PLACEMENTS.AUTO, sensitivity = 'medium' } = {}) {
+    this.placement = placement;
+    this.sensitivity = SENSITIVITY_ADJUSTMENTS[sensitivity] ? sensitivity : 'medium';
+    this.thresholdScale = 1;
+    this.reset();
+  }
+
+  reset() {
+    this.history = [];
+    this.candidate = null;
+  }
+
+  setPlacement(placement) {
+    this.placement = placement;
+  }
+
+  setSensitivity(sensitivity) {
+    if (SENSITIVITY_ADJUSTMENTS[sensitivity]) {
+      this.sensitivity = sensitivity;
+    }
+  }
+
+  /**
+   * Scales the detection score learnt from user feedback (see detectionFeedbackService).
+   * @param {number} scale - 1 leaves the score unchanged
+   */
+  setThresholdScale(scale) {
+    this.thresholdScale = isFinite(scale) && scale > 0 ? scale : 1;
+  }
+
+  /**
+   * Thresholds for a placement with the sensitivity and feedback scale applied.
+   * baseDetectionScore is the score before the feedback scale.
+   */
+  getProfile(placement) {
+    const base = FALL_PROFILES[placement] || FALL_PROFILES[PHONE_PLACEMENTS.HAND];
+    const { impactScale, scoreOffset } = SENSITIVITY_ADJUSTMENTS[this.sensitivity];
+    const baseDetectionScore = base.detectionScore + scoreOffset;
+    return {
+      ...base,
+      impactThreshold: base.impactThreshold * impactScale,
+      baseDetectionScore,
+      detectionScore: baseDetectionScore * this.thresholdScale,
+    };
+  }
+
+  /**
+   * Feeds one reading. Returns an evaluation once a candidate impact has been followed long
+   * enough to judge it, otherwise null.
+   * @param {object} reading - { ax, ay, az, gx, gy, gz, timestamp } in g and rad/s
+   * @returns {object|null} See _evaluate
+   */
+  process(reading) {
+    const timestamp = reading.timestamp ?? Date.now();
+    const sample = { ...reading, timestamp };
+    const accel = magnitude(sample.ax, sample.ay, sample.az);
+
+    if (this.candidate) {
+      const candidate = this.candidate;
+      candidate.post.push(sample);
+      if (timestamp - candidate.impactTime <= IMPACT_PEAK_MS && accel > candidate.peak) {
+        candidate.peak = accel;
+      }
+      if (timestamp - candidate.impactTime >= candidate.profile.settleMs + candidate.profile.inactivityMs) {
+        this.candidate = null;
+        this.history = [];
+        return this._evaluate(candidate, timestamp);
+      }
+      return null;
+    }
+
+    this.history.push(sample);
+    this.history = this.history.filter(r => r.timestamp > timestamp - HISTORY_MS);
+
+    const placement = this._resolvePlacement();
+    const profile = this.getProfile(placement);
+    if (accel >= profile.impactThreshold) {
+      this.candidate = {
+        impactTime: timestamp,
+        peak: accel,
+        placement,
+        profile,
+        pre: this.history.slice(0, -1),
+        post: [],
+      };
+    }
+    return null;
+  }
+
+  // Upright phone (gravity along y) before the fall suggests a trouser pocket
+  _resolvePlacement() {
+    if (this.placement !== PHONE_PLACEMENTS.AUTO) return this.placement;
+    const [x, y, z] = meanAccelVector(this.history);
+    const total = magnitude(x, y, z);
+    return total > 0 && Math.abs(y) / total >= UPRIGHT_POCKET_RATIO ? PHONE_PLACEMENTS.POCKET : PHONE_PLACEMENTS.HAND;
+  }
+
+  _evaluateFreeFall(candidate) {
+    const { profile, pre, impactTime } = candidate;
+    const window = pre.filter(r => r.timestamp >= impactTime - FREE_FALL_LOOKBACK_MS);
+    const interval = typicalInterval(window.length > 1 ? window : pre);
+
+    let longestRun = 0;
+    let run = 0;
+    let minMagnitude = Infinity;
+    accelMagnitudes(window).forEach(value => {
+      minMagnitude = Math.min(minMagnitude, value);
+      run = value < profile.freeFallThreshold ? run + 1 : 0;
+      longestRun = Math.max(longestRun, run);
+    });
+
+    const durationMs = longestRun * interval;
+    const matched = durationMs >= profile.minFreeFallMs;
+    const depth = isFinite(minMagnitude) ? clamp((profile.freeFallThreshold - minMagnitude) / profile.freeFallThreshold) : 0;
+    return {
+      matched,
+      confidence: matched ? clamp(0.5 * depth + 0.5 * Math.min(1, durationMs / (3 * profile.minFreeFallMs))) : 0,
+      durationMs,
+      minMagnitude: isFinite(minMagnitude) ? minMagnitude : null,
+    };
+  }
+
+  _evaluateImpact(candidate) {
+    const { profile, peak } = candidate;
+    const matched = peak >= profile.impactThreshold;
+    // 0.5 at the threshold, 1 at twice the threshold's excess over 1 g
+    return {
+      matched,
+      confidence: matched ? clamp((peak - 1) / (2 * (profile.impactThreshold - 1))) : 0,
+      peak,
+    };
+  }
+
+  _evaluateOrientation(candidate, after) {
+    const { profile, pre, impactTime } = candidate;
+    const baseline = pre.filter(r => r.timestamp < impactTime - FREE_FALL_LOOKBACK_MS);
+    const before = baseline.length > 0 ? baseline : pre.slice(0, 1);
+    if (before.length === 0 || after.length === 0) {
+      return { matched: false, confidence: 0, angle: null };
+    }
+
+    const angle = angleBetween(meanAccelVector(before), meanAccelVector(after));
+    const matched = angle >= profile.minOrientationDeg;
+    return { matched, confidence: matched ? clamp(angle / 90) : 0, angle };
+  }
+
+  _evaluateInactivity(candidate, after) {
+    const { profile } = candidate;
+    if (after.length < 2) {
+      return { matched: false, confidence: 0, accelStd: null, gyroMean: null };
+    }
+
+    const accelStd = standardDeviation(accelMagnitudes(after));
+    const gyroMean = mean(gyroMagnitudes(after));
+    const matched = accelStd <= profile.maxAccelStd && gyroMean <= profile.maxGyroMean;
+    const stillness = 1 - 0.5 * (accelStd / profile.maxAccelStd + gyroMean / profile.maxGyroMean);
+    return {
+      matched,
+      confidence: matched ? clamp(0.5 + 0.5 * stillness) : 0,
+      accelStd,
+      gyroMean,
+    };
+  }
+
+  _isDrop(phases, after) {
+    const { freeFall, inactivity } = phases;
+    if (freeFall.minMagnitude === null || inactivity.accelStd === null) return false;
+    const [x, y, z] = meanAccelVector(after);
+    const total = magnitude(x, y, z);
+    return freeFall.minMagnitude <= DROP_MAX_FREE_FALL_G
+      && freeFall.durationMs >= DROP_MIN_FREE_FALL_MS
+      && inactivity.accelStd <= DROP_MAX_ACCEL_STD
+      && total > 0 && Math.abs(z) / total >= DROP_MIN_FLATNESS;
+  }
+
+  /**
+   * @returns {{detected: boolean, confidence: number, threshold: number, thresholdScale: number,
+   *   impactTime: number, evaluatedAt: number, placement: string, matchedPhases: Array<string>,
+   *   rejectedAs: string|null, dropLike: boolean,
+   *   phases: Object<string, {matched: boolean, confidence: number}>}}
+   *   phases also carry their measurements (durationMs, peak, angle, accelStd, ...).
+   *   threshold is the detection score before the feedback scale
+   */
+  _evaluate(candidate, evaluatedAt) {
+    const { profile } = candidate;
+    const after = candidate.post.filter(r => r.timestamp >= candidate.impactTime + profile.settleMs);
+
+    const phases = {
+      [FALL_PHASES.FREE_FALL]: this._evaluateFreeFall(candidate),
+      [FALL_PHASES.IMPACT]: this._evaluateImpact(candidate),
+      [FALL_PHASES.ORIENTATION]: this._evaluateOrientation(candidate, after),
+      [FALL_PHASES.INACTIVITY]: this._evaluateInactivity(candidate, after),
+    };
+
+    // A phone that lands the way it was held was dropped. One that turned over may be in the
+    // pocket of someone now lying still on the floor, so the drop signature only costs confidence
+    const dropLike = this._isDrop(phases, after);
+    const score = Object.keys(phases).reduce((total, phase) =>
+      total + profile.weights[phase] * phases[phase].confidence, 0) - (dropLike ? profile.dropPenalty : 0);
+    const rejectedAs = dropLike && (!phases.orientation.matched || score < profile.detectionScore) ? 'drop' : null;
+
+    // Impact and lying still are required; free-fall and orientation raise confidence, which
+    // lets soft falls without a clear free-fall through when the rest is convincing
+    const detected = !rejectedAs
+      && phases.impact.matched
+      && phases.inactivity.matched
+      && score >= profile.detectionScore;
+
+    Object.values(phases).forEach(phase => {
+      Object.keys(phase).forEach(key => {
+        if (typeof phase[key] === 'number') phase[key] = round(phase[key]);
+      });
+    });
+
+    return {
+      detected,
+      confidence: round(clamp(score)),
+      threshold: round(profile.baseDetectionScore),
+      thresholdScale: round(profile.detectionScore / profile.baseDetectionScore),
+      impactTime: candidate.impactTime,
+      evaluatedAt,
+      placement: candidate.placement,
+      sensitivity: this.sensitivity,
+      matchedPhases: Object.keys(phases).filter(phase => phases[phase].matched),
+      rejectedAs,
+      dropLike,
+      phases,
+    };
+  }
+}
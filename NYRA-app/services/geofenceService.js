@@ -0,0 +1,406 @@
+// Geofence Service - Safe Places
+// User-defined places such as home, work or campus, watched with expo-location region
+// monitoring. Arriving at or leaving a place can switch protection, the virtual companion
+// or route guardian on or off, and let contacts know. The OS delivers region events even
+// when the app is not running, so actions also happen from a headless launch
+
+import * as Location from 'expo-location';
+import * as TaskManager from 'expo-task-manager';
+import * as Notifications from 'expo-notifications';
+import { secureStorage } from './secureStorageService';
+import { loadContacts, loadSettings } from './storageService';
+import { smsService } from './smsService';
+import { incidentService } from './incidentService';
+import { backgroundProtectionService } from './backgroundProtectionService';
+import { virtualCompanionService } from './virtualCompanionService';
+import { routeGuardianService } from './routeGuardianService';
+
+export const GEOFENCE_TASK = 'nyra-geofence';
+
+const STORAGE_KEY = 'safe_places';
+export const MAX_PLACES = 20; // iOS monitors at most 20 regions per app
+export const RADIUS_LIMITS = [100, 2000]; // Meters; smaller regions trigger unreliably
+const MIN_TRANSITION_GAP_MS = 120000; // Crossing back within this is usually GPS jitter at the edge
+
+export const PLACE_TYPES = {
+  HOME: 'home',
+  WORK: 'work',
+  CAMPUS: 'campus',
+  OTHER: 'other',
+};
+
+export const GEOFENCE_EVENTS = {
+  ENTER: 'enter',
+  EXIT: 'exit',
+};
+
+export const GEOFENCE_FEATURES = {
+  AUTO_DETECTION: 'autoDetection', // Background protection, as started from the Home screen
+  VIRTUAL_COMPANION: 'virtualCompanion',
+  ROUTE_GUARDIAN: 'routeGuardian',
+};
+
+export const FEATURE_ACTIONS = {
+  ENABLE: 'enable',
+  DISABLE: 'disable',
+};
+
+// Protection switches off at home and back on when leaving, until the user changes it
+export const DEFAULT_PLACE_ACTIONS = {
+  [GEOFENCE_EVENTS.ENTER]: { [GEOFENCE_FEATURES.AUTO_DETECTION]: FEATURE_ACTIONS.DISABLE },
+  [GEOFENCE_EVENTS.EXIT]: { [GEOFENCE_FEATURES.AUTO_DETECTION]: FEATURE_ACTIONS.ENABLE },
+};
+
+const COMPANION_SESSION = { durationMinutes: 60, checkIntervalMinutes: 5 };
+
+TaskManager.defineTask(GEOFENCE_TASK, async ({ data, error }) => {
+  if (error) {
+    console.error('Geofence task error:', error.message);
+    return;
+  }
+  const event = data?.eventType === Location.GeofencingEventType.Enter ? GEOFENCE_EVENTS.ENTER : GEOFENCE_EVENTS.EXIT;
+  await geofenceService.handleRegionEvent(event, data?.region?.identifier);
+});
+
+class GeofenceService {
+  constructor() {
+    this.places = [];
+    this.isMonitoring = false;
+    this.listeners = [];
+    this.isLoaded = false;
+    this.loadPromise = null;
+    this.saveChain = Promise.resolve();
+  }
+
+  /**
+   * Load stored places. Safe to call repeatedly.
+   */
+  async load() {
+    if (this.isLoaded) return this.places;
+    if (!this.loadPromise) {
+      this.loadPromise = (async () => {
+        try {
+          const stored = await secureStorage.getItem(STORAGE_KEY);
+          this.places = stored ? JSON.parse(stored) : [];
+        } catch (error) {
+          console.error('Failed to load safe places:', error);
+          this.places = [];
+        }
+        this.isLoaded = true;
+        this.notifyListeners('placesLoaded', this.places);
+        return this.places;
+      })();
+    }
+    return this.loadPromise;
+  }
+
+  persist() {
+    this.saveChain = this.saveChain
+      .then(() => secureStorage.setItem(STORAGE_KEY, JSON.stringify(this.places)))
+      .catch(error => console.error('Failed to save safe places:', error));
+    return this.saveChain;
+  }
+
+  /**
+   * Load places and make sure the OS is monitoring them. Called from index.js on every launch.
+   */
+  async init() {
+    await this.load();
+    await this.syncRegions();
+  }
+
+  getPlaces() {
+    return [...this.places];
+  }
+
+  getPlace(placeId) {
+    return this.places.find(place => place.id === placeId) || null;
+  }
+
+  /**
+   * Add a safe place.
+   * @param {object} place
+   * @param {string} place.name
+   * @param {string} place.type - One of PLACE_TYPES
+   * @param {number} place.latitude
+   * @param {number} place.longitude
+   * @param {number} place.radius - Meters, within RADIUS_LIMITS
+   * @param {object} [place.actions] - { enter: { feature: action }, exit: {...} }, see GEOFENCE_FEATURES
+   * @param {string} [place.routeDestinationId] - Place route guardian guards the way to
+   * @param {object} [place.notifyContacts] - { arrival, departure }
+   * @returns {Promise<object>} The stored place
+   * @throws {Error} With a message for the user if the place is invalid
+   */
+  async addPlace({ name, type = PLACE_TYPES.OTHER, latitude, longitude, radius = 200, actions = DEFAULT_PLACE_ACTIONS,
+    routeDestinationId = null, notifyContacts = { arrival: false, departure: false } }) {
+    await this.load();
+    if (this.places.length >= MAX_PLACES) {
+      throw new Error(`You can add up to ${MAX_PLACES} safe places.`);
+    }
+    const place = {
+      id: `place_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      name: (name || '').trim(),
+      type,
+      latitude,
+      longitude,
+      radius,
+      actions,
+      routeDestinationId,
+      notifyContacts,
+      createdAt: Date.now(),
+      lastEvent: null,
+    };
+    this.validatePlace(place);
+
+    this.places.push(place);
+    await this.persist();
+    await this.syncRegions();
+    this.notifyListeners('placeAdded', place);
+    return place;
+  }
+
+  /**
+   * @throws {Error} If the place does not exist or the changes make it invalid
+   */
+  async updatePlace(placeId, changes) {
+    await this.load();
+    const place = this.getPlace(placeId);
+    if (!place) {
+      throw new Error(`Safe place not found: ${placeId}`);
+    }
+    const updated = { ...place, ...changes, id: place.id };
+    this.validatePlace(updated);
+
+    this.places = this.places.map(p => (p.id === placeId ? updated : p));
+    await this.persist();
+    await this.syncRegions();
+    this.notifyListeners('placeUpdated', updated);
+    return updated;
+  }
+
+  async removePlace(placeId) {
+    await this.load();
+    this.places = this.places
+      .filter(place => place.id !== placeId)
+      .map(place => (place.routeDestinationId === placeId ? { ...place, routeDestinationId: null } : place));
+    await this.persist();
+    await this.syncRegions();
+    this.notifyListeners('placeRemoved', { placeId });
+  }
+
+  validatePlace(place) {
+    if (!place.name) {
+      throw new Error('Give the place a name.');
+    }
+    if (!Number.isFinite(place.latitude) || !Number.isFinite(place.longitude)) {
+      throw new Error('The place has no location.');
+    }
+    if (!(place.radius >= RADIUS_LIMITS[0] && place.radius <= RADIUS_LIMITS[1])) {
+      throw new Error(`The radius must be between ${RADIUS_LIMITS[0]} and ${RADIUS_LIMITS[1]} meters.`);
+    }
+    if (place.routeDestinationId === place.id) {
+      throw new Error('Route guardian needs a different place as its destination.');
+    }
+  }
+
+  // --- Region monitoring ---
+
+  /**
+   * Registers the current places with the OS, or stops monitoring when there are none.
+   * Needs background location permission; without it the places are kept but not watched.
+   */
+  async syncRegions() {
+    try {
+      const isStarted = await Location.hasStartedGeofencingAsync(GEOFENCE_TASK);
+      if (this.places.length === 0) {
+        if (isStarted) {
+          await Location.stopGeofencingAsync(GEOFENCE_TASK);
+        }
+        this.setMonitoring(false);
+        return;
+      }
+
+      const { status } = await Location.getBackgroundPermissionsAsync();
+      if (status !== 'granted') {
+        console.warn('Geofence: Background location permission needed to watch safe places');
+        this.setMonitoring(false);
+        return;
+      }
+
+      // Starting again replaces the monitored regions
+      await Location.startGeofencingAsync(GEOFENCE_TASK, this.places.map(place => ({
+        identifier: place.id,
+        latitude: place.latitude,
+        longitude: place.longitude,
+        radius: place.radius,
+        notifyOnEnter: true,
+        notifyOnExit: true,
+      })));
+      this.setMonitoring(true);
+    } catch (error) {
+      console.error('Geofence: Could not update monitored regions:', error);
+      this.setMonitoring(false);
+    }
+  }
+
+  setMonitoring(isMonitoring) {
+    if (isMonitoring === this.isMonitoring) return;
+    this.isMonitoring = isMonitoring;
+    this.notifyListeners('monitoringChanged', { isMonitoring });
+  }
+
+  getIsMonitoring() {
+    return this.isMonitoring;
+  }
+
+  /**
+   * Runs a place's actions for an arrival or departure reported by the OS.
+   * @param {string} event - One of GEOFENCE_EVENTS
+   * @param {string} placeId - Region identifier
+   */
+  async handleRegionEvent(event, placeId) {
+    await this.load();
+    const place = this.getPlace(placeId);
+    if (!place) return;
+
+    const now = Date.now();
+    if (place.lastEvent && place.lastEvent.type === event) return;
+    // Back across the edge straight away may be jitter. Switching a feature on is still safe,
+    // but switching one off or messaging contacts waits for an event outside the gap
+    const isJitter = !!place.lastEvent && now - place.lastEvent.at < MIN_TRANSITION_GAP_MS;
+    place.lastEvent = { type: event, at: now };
+    await this.persist();
+    console.log(`📍 Geofence: ${event === GEOFENCE_EVENTS.ENTER ? 'Arrived at' : 'Left'} ${place.name}${isJitter ? ' (crossed back quickly)' : ''}`);
+
+    const changes = [];
+    const actions = place.actions?.[event] || {};
+    for (const feature of Object.keys(actions)) {
+      if (isJitter && actions[feature] !== FEATURE_ACTIONS.ENABLE) continue;
+      try {
+        const change = await this.applyFeatureAction(feature, actions[feature], place);
+        if (change) changes.push(change);
+      } catch (error) {
+        console.error(`Geofence: Could not ${actions[feature]} ${feature}:`, error);
+      }
+    }
+
+    const notify = event === GEOFENCE_EVENTS.ENTER ? place.notifyContacts?.arrival : place.notifyContacts?.departure;
+    if (notify && !isJitter) {
+      await this.notifyContacts(place, event);
+    }
+
+    if (!isJitter || changes.length > 0) {
+      await this.showEventNotification(place, event, changes);
+    }
+    this.notifyListeners(event === GEOFENCE_EVENTS.ENTER ? 'placeEntered' : 'placeExited', { place, changes });
+  }
+
+  /**
+   * @returns {Promise<string|null>} A description of what changed, or null if nothing did
+   */
+  async applyFeatureAction(feature, action, place) {
+    const enable = action === FEATURE_ACTIONS.ENABLE;
+    // A place never switches anything off while an emergency is under way. Region events
+    // often arrive in a headless launch, before incidents have been loaded
+    await incidentService.load();
+    if (!enable && incidentService.getActiveIncident()) {
+      console.log(`Geofence: Keeping ${feature} on during an active incident`);
+      return null;
+    }
+
+    switch (feature) {
+      case GEOFENCE_FEATURES.AUTO_DETECTION:
+        if (enable === backgroundProtectionService.isActive()) return null;
+        if (enable) {
+          await backgroundProtectionService.start();
+          return 'protection on';
+        }
+        await backgroundProtectionService.stop();
+        return 'protection off';
+
+      case GEOFENCE_FEATURES.VIRTUAL_COMPANION:
+        if (enable === virtualCompanionService.getIsActive()) return null;
+        if (enable) {
+          const destination = this.getPlace(place.routeDestinationId);
+          await virtualCompanionService.startSession({ ...COMPANION_SESSION, destination: destination?.name });
+          return 'companion started';
+        }
+        await virtualCompanionService.endSession();
+        return 'companion ended';
+
+      case GEOFENCE_FEATURES.ROUTE_GUARDIAN: {
+        if (enable === routeGuardianService.isActive) return null;
+        if (!enable) {
+          routeGuardianService.stopTracking();
+          return 'route guardian off';
+        }
+        const destination = this.getPlace(place.routeDestinationId);
+        if (!destination) {
+          console.warn(`Geofence: ${place.name} has no route guardian destination`);
+          return null;
+        }
+        await routeGuardianService.startRouteGuardian({
+          destination: { latitude: destination.latitude, longitude: destination.longitude },
+          destinationName: destination.name,
+        });
+        return `guarding route to ${destination.name}`;
+      }
+
+      default:
+        console.warn(`Geofence: Unknown feature ${feature}`);
+        return null;
+    }
+  }
+
+  async notifyContacts(place, event) {
+    try {
+      const [contacts, settings] = await Promise.all([loadContacts(), loadSettings()]);
+      await smsService.sendPlaceUpdateSMS(contacts, {
+        placeName: place.name,
+        arrived: event === GEOFENCE_EVENTS.ENTER,
+      }, { settings });
+    } catch (error) {
+      console.error('Geofence: Could not notify contacts:', error);
+    }
+  }
+
+  // Region events usually arrive with the app closed, so say what was switched
+  async showEventNotification(place, event, changes) {
+    if (changes.length === 0) return;
+    try {
+      await Notifications.scheduleNotificationAsync({
+        content: {
+          title: `${event === GEOFENCE_EVENTS.ENTER ? 'Arrived at' : 'Left'} ${place.name}`,
+          body: `NYRA: ${changes.join(', ')}.`,
+          data: { placeId: place.id, event },
+        },
+        trigger: null,
+      });
+    } catch (error) {
+      console.warn('Geofence: Could not show notification:', error.message);
+    }
+  }
+
+  // FRONTEND: Subscribe to service events
+  subscribe(listener) {
+    this.listeners.push(listener);
+    return () => {
+      this.listeners = this.listeners.filter(l => l !== listener);
+    };
+  }
+
+  // FRONTEND: Notify UI components of state changes
+  notifyListeners(eventType, data) {
+    this.listeners.forEach(listener => {
+      try {
+        listener(eventType, data);
+      } catch (error) {
+        console.error('Listener error:', error);
+      }
+    });
+  }
+}
+
+// Export singleton instance
+export const geofenceService = new GeofenceService();
+export default geofenceService;
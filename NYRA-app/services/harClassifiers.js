@@ -0,0 +1,277 @@
+// HAR Classifiers - Activity Models for the HAR Engine
+// harModelService buffers sensor readings and hands each window to the active classifier.
+// Classifiers are interchangeable: anything implementing the interface below can be registered
+// with harModelService.registerClassifier and selected with harModelService.setClassifier
+
+import { accelMagnitudes, gyroMagnitudes, mean, variance, extractFeatures } from './imuFeatures';
+
+/**
+ * Activities a classifier may report. CYCLING and DRIVING are reserved for models that can
+ * tell them apart; the rules-based classifier does not produce them.
+ */
+export const ACTIVITIES = {
+  IDLE: 'IDLE',
+  STANDING: 'STANDING',
+  WALKING: 'WALKING',
+  RUNNING: 'RUNNING',
+  CYCLING: 'CYCLING',
+  DRIVING: 'DRIVING',
+};
+
+/**
+ * Classifier interface
+ * - id: string used in settings and the activity stream
+ * - name: human-readable name
+ * - windowSize: number of readings passed to classify
+ * - classify(window, context): window is an array of readings { ax, ay, az, gx, gy, gz, timestamp },
+ *   oldest first; context is { settings, timestamp, calibration, adaptation }, where calibration
+ *   is the user's profile from calibrationService or null and adaptation holds threshold scales
+ *   learnt from feedback ({ suddenStop }). Returns
+ *   { activity: one of ACTIVITIES, confidence: 0..1, anomaly: { type, severity } | null }
+ * - reset(): clears any state kept between windows; called when monitoring starts
+ */
+
+/**
+ * Movement score thresholds used until the user calibrates. A window scoring above a
+ * threshold counts as at least that activity.
+ */
+export const DEFAULT_MOVEMENT_THRESHOLDS = {
+  idle: 0.5,      // Minimal movement when stationary
+  standing: 2.0,  // Light swaying/shifting while standing
+  walking: 8.0,   // Consistent walking rhythm
+  running: 20.0,  // High-intensity movement
+};
+
+// How far each threshold rises as sensitivity goes down: Low multiplies it by 1 + k,
+// Medium by 1 + k/2 and High leaves it as it is
+const SENSITIVITY_SCALING = {
+  idle: 0.6,
+  standing: 0.6,
+  walking: 0.4,
+  running: 0.3,
+};
+
+/**
+ * Gyro-weighted movement variance of a window, the score the rules classifier thresholds.
+ * Calibration measures the user's own activities with the same score.
+ */
+export const movementScore = (window) => {
+  // Remove gravity from accelerometer by subtracting mean (gravity is constant)
+  const accel = accelMagnitudes(window);
+  const meanAccel = mean(accel);
+  const accelWithoutGravity = accel.map(mag => Math.abs(mag - meanAccel));
+
+  const accelVariance = variance(accelWithoutGravity);
+  const gyroVariance = variance(gyroMagnitudes(window));
+
+  // Weighted movement score - gyroscope captures rotational movement better for walking detection
+  const totalMovement = (accelVariance * 15) + (gyroVariance * 85);
+
+  // Validate total movement to prevent NaN
+  return isFinite(totalMovement) ? totalMovement : 0;
+};
+
+/**
+ * Thresholds for a sensitivity setting (0 = Low, 1 = High). Calibrated thresholds are the
+ * user's own values at Medium sensitivity, so Medium uses them unchanged.
+ * @param {number} sensitivity
+ * @param {object|null} calibration - Profile from calibrationService
+ */
+export const movementThresholds = (sensitivity, calibration = null) => {
+  const modifier = 1 - sensitivity; // Low=1, Med=0.5, High=0
+  const thresholds = {};
+  Object.keys(DEFAULT_MOVEMENT_THRESHOLDS).forEach(key => {
+    const k = SENSITIVITY_SCALING[key];
+    const base = calibration?.thresholds?.[key]
+      ? calibration.thresholds[key] / (1 + k / 2)
+      : DEFAULT_MOVEMENT_THRESHOLDS[key];
+    thresholds[key] = base * (1 + modifier * k);
+  });
+  return thresholds;
+};
+
+/**
+ * Rules-based classifier: thresholds on gyro-weighted movement variance, scaled by the
+ * detection sensitivity setting and taken from the user's calibration when there is one.
+ * Also detects a sudden stop after sustained running.
+ */
+export class RulesClassifier {
+  constructor() {
+    this.id = 'rules';
+    this.name = 'Rules-based';
+    this.windowSize = 25; // ~2.5 seconds of data at 10Hz
+    this.reset();
+  }
+
+  reset() {
+    // Enhanced sudden stop detection variables
+    this.movementHistory = []; // Track movement levels over time
+    this.highMovementDuration = 0; // How long we've been in high movement
+    this.consecutiveStillReadings = 0;
+    this.lastSuddenStopTime = 0; // Prevent multiple triggers
+    this.walkingSessionActive = false; // Track if we're in an active walking session
+  }
+
+  classify(window, { settings, timestamp, calibration = null, adaptation = null }) {
+    // Adjust thresholds based on sensitivity
+    // Low (0): Harder to trigger (higher thresholds)
+    // High (1): Easier to trigger (lower thresholds)
+    // Defaults - Idle: Low 0.8, Med 0.65, High 0.5; Standing: 3.2, 2.6, 2.0;
+    // Walking: 11.2, 9.6, 8.0; Running: 26.0, 23.0, 20.0
+    const thresholds = movementThresholds(settings.detectionSensitivity, calibration);
+    const MOVEMENT_THRESHOLD_IDLE = thresholds.idle;
+    const MOVEMENT_THRESHOLD_STANDING = thresholds.standing;
+    const MOVEMENT_THRESHOLD_WALKING = thresholds.walking;
+    const MOVEMENT_THRESHOLD_RUNNING = thresholds.running;
+
+    const validTotalMovement = movementScore(window);
+
+    console.log(`🔍 HAR Debug: total=${validTotalMovement.toFixed(3)}${calibration ? ' (calibrated)' : ''}`);
+
+    let activity = ACTIVITIES.IDLE;
+    let confidence = 0.9;
+
+    // --- Activity Classification with improved confidence calculation ---
+    if (validTotalMovement > MOVEMENT_THRESHOLD_RUNNING) {
+      activity = ACTIVITIES.RUNNING;
+      const excessMovement = validTotalMovement - MOVEMENT_THRESHOLD_RUNNING;
+      const confidenceCalc = 0.75 + (excessMovement / MOVEMENT_THRESHOLD_RUNNING) * 0.2;
+      confidence = Math.min(0.95, isFinite(confidenceCalc) ? confidenceCalc : 0.75);
+    } else if (validTotalMovement > MOVEMENT_THRESHOLD_WALKING) {
+      activity = ACTIVITIES.WALKING;
+      const walkingRange = MOVEMENT_THRESHOLD_RUNNING - MOVEMENT_THRESHOLD_WALKING;
+      const walkingProgress = walkingRange > 0 ? (validTotalMovement - MOVEMENT_THRESHOLD_WALKING) / walkingRange : 0;
+      const confidenceCalc = 0.65 + walkingProgress * 0.27;
+      confidence = Math.min(0.92, isFinite(confidenceCalc) ? confidenceCalc : 0.65);
+    } else if (validTotalMovement > MOVEMENT_THRESHOLD_STANDING) {
+      activity = ACTIVITIES.STANDING;
+      const standingRange = MOVEMENT_THRESHOLD_WALKING - MOVEMENT_THRESHOLD_STANDING;
+      const standingProgress = standingRange > 0 ? (validTotalMovement - MOVEMENT_THRESHOLD_STANDING) / standingRange : 0;
+      const confidenceCalc = 0.55 + standingProgress * 0.33;
+      confidence = Math.min(0.88, isFinite(confidenceCalc) ? confidenceCalc : 0.55);
+    } else if (validTotalMovement > MOVEMENT_THRESHOLD_IDLE) {
+      activity = ACTIVITIES.STANDING;
+      const lightRange = MOVEMENT_THRESHOLD_STANDING - MOVEMENT_THRESHOLD_IDLE;
+      const lightProgress = lightRange > 0 ? (validTotalMovement - MOVEMENT_THRESHOLD_IDLE) / lightRange : 0;
+      const confidenceCalc = 0.45 + lightProgress * 0.37;
+      confidence = Math.min(0.82, isFinite(confidenceCalc) ? confidenceCalc : 0.45);
+    } else {
+      activity = ACTIVITIES.IDLE;
+      const idleRatio = MOVEMENT_THRESHOLD_IDLE > 0 ? Math.min(1.0, validTotalMovement / MOVEMENT_THRESHOLD_IDLE) : 0;
+      const confidenceCalc = 0.95 - idleRatio * 0.25;
+      confidence = Math.max(0.7, isFinite(confidenceCalc) ? confidenceCalc : 0.7);
+    }
+
+    const anomaly = this._detectSuddenStop(activity, validTotalMovement, timestamp, thresholds,
+      adaptation?.suddenStop ?? 1);
+
+    return { activity, confidence, anomaly };
+  }
+
+  // --- Very Conservative Anomaly Detection (Sudden Stop) ---
+  // thresholdScale raises or lowers the movement required before the stop (see detectionFeedbackService)
+  _detectSuddenStop(activity, totalMovement, now, thresholds, thresholdScale = 1) {
+    // Track movement history for better anomaly detection
+    this.movementHistory.push(totalMovement);
+    if (this.movementHistory.length > 100) { // Keep 10 seconds of history
+      this.movementHistory.shift();
+    }
+
+    const isHighMovement = activity === ACTIVITIES.WALKING || activity === ACTIVITIES.RUNNING;
+    const isStill = activity === ACTIVITIES.IDLE;
+    const timeSinceLastTrigger = now - this.lastSuddenStopTime;
+
+    // Track walking session
+    if (isHighMovement) {
+      this.highMovementDuration++;
+      this.consecutiveStillReadings = 0;
+      if (!this.walkingSessionActive && this.highMovementDuration > 30) { // 3 seconds of consistent walking
+        this.walkingSessionActive = true;
+      }
+    } else if (isStill) {
+      this.consecutiveStillReadings++;
+      if (this.consecutiveStillReadings > 30) { // Reset after being still for 3 seconds
+        this.highMovementDuration = 0;
+        this.walkingSessionActive = false;
+      }
+    } else {
+      this.consecutiveStillReadings = 0;
+    }
+
+    // EXTREMELY conservative sudden stop detection - only trigger in very specific conditions
+    if (this.movementHistory.length < 50 ||
+      !this.walkingSessionActive ||
+      this.highMovementDuration < 50 || // Must be walking for 5+ seconds
+      timeSinceLastTrigger <= 30000) { // At least 30 seconds since last trigger
+      return null;
+    }
+
+    const recentMovement = this.movementHistory.slice(-3); // Last 0.3 seconds
+    const previousMovement = this.movementHistory.slice(-20, -10); // 1 second ago
+    const longTermMovement = this.movementHistory.slice(-50, -20); // 2-3 seconds ago
+
+    const avgRecent = recentMovement.reduce((a, b) => a + b, 0) / recentMovement.length;
+    const avgPrevious = previousMovement.reduce((a, b) => a + b, 0) / previousMovement.length;
+    const avgLongTerm = longTermMovement.reduce((a, b) => a + b, 0) / longTermMovement.length;
+
+    const movementDrop = (avgPrevious - avgRecent) / avgPrevious;
+    const consistentHighMovement = avgLongTerm > thresholds.walking * 1.5 &&
+      avgPrevious > thresholds.walking * 1.5;
+
+    // Only trigger if:
+    // 1. Movement drop is VERY dramatic (>90%)
+    // 2. Previous movement was consistently high
+    // 3. Current movement is very low (near idle)
+    // 4. We're confident this is running/fast walking, not just normal walking
+    const requiredMovement = thresholds.running * 0.8;
+    if (movementDrop > 0.9 &&
+      consistentHighMovement &&
+      avgRecent < thresholds.idle * 2 &&
+      avgPrevious > requiredMovement * thresholdScale) { // Must be running-level movement
+
+      console.warn(`🚨 CRITICAL: Sudden Stop Detected - ${(movementDrop * 100).toFixed(1)}% drop from ${avgPrevious.toFixed(2)} to ${avgRecent.toFixed(2)}`);
+      this.lastSuddenStopTime = now;
+      this.highMovementDuration = 0;
+      this.walkingSessionActive = false;
+      // score and threshold (before scaling) let feedback on this alert tune the requirement
+      return {
+        type: 'SUDDEN_STOP',
+        severity: 'HIGH',
+        score: avgPrevious,
+        threshold: requiredMovement,
+        features: { movementDrop, avgRecent, avgPrevious, avgLongTerm },
+      };
+    }
+
+    return null;
+  }
+}
+
+/**
+ * Classifier backed by an exported model (see modelRuntime) evaluated on imuFeatures.
+ * Sudden-stop detection is not learned by the model, so the rules classifier still runs
+ * alongside it for that check only.
+ */
+export class ModelClassifier {
+  /**
+   * @param {object} model - Result of modelRuntime.loadModel
+   */
+  constructor(model) {
+    this.id = 'model';
+    this.name = model.name;
+    this.model = model;
+    this.windowSize = Math.max(model.windowSize, 2);
+    this.rules = new RulesClassifier();
+  }
+
+  reset() {
+    this.rules.reset();
+  }
+
+  classify(window, context) {
+    const features = extractFeatures(window, { sampleRateHz: this.model.sampleRateHz });
+    const { activity, confidence } = this.model.predict(features);
+    const { anomaly } = this.rules.classify(window.slice(-this.rules.windowSize), context);
+    return { activity, confidence, anomaly };
+  }
+}
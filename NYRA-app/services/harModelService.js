@@ -1,12 +1,16 @@
-import { loadSettings } from './storageService';
+// HAR Model Service - Human Activity Recognition Engine
+// Buffers readings from sensorService, runs the active classifier (see harClassifiers) over them
+// and publishes a single activity stream with confidence. Every screen and detector that needs
+// the current activity subscribes here rather than classifying the sensors itself
 
-const SENSOR_DATA_BUFFER_SIZE = 25; // ~2.5 seconds of data at 10Hz
+import { loadSettings } from './storageService';
+import { ACTIVITIES, RulesClassifier, ModelClassifier } from './harClassifiers';
+import { loadModel } from './modelRuntime';
+import { calibrationService } from './calibrationService';
+import { detectionFeedbackService, DETECTORS } from './detectionFeedbackService';
+import harModelAsset from '../assets/models/har-model.json';
 
-// Adjusted thresholds for realistic sensor variance values
-const BASE_MOVEMENT_THRESHOLD_IDLE = 0.5;      // Minimal movement when stationary
-const BASE_MOVEMENT_THRESHOLD_STANDING = 2.0;  // Light swaying/shifting while standing
-const BASE_MOVEMENT_THRESHOLD_WALKING = 8.0;   // Consistent walking rhythm
-const BASE_MOVEMENT_THRESHOLD_RUNNING = 20.0;  // High-intensity movement
+const DEFAULT_CLASSIFIER_ID = 'rules';
 
 let listeners = [];
 let latestActivityState = {
@@ -14,6 +18,8 @@ let latestActivityState = {
   confidence: 1.0,
   isProtectionActive: false,
   anomaly: null,
+  classifier: DEFAULT_CLASSIFIER_ID,
+  timestamp: null,
 };
 
 const notifyListeners = () => {
@@ -38,28 +44,106 @@ export const getLatestActivity = () => {
 class HARModelService {
   constructor() {
     this.sensorDataBuffer = [];
-    this.lastHighMovementTime = 0;
     this.settings = null;
     this.isMonitoring = false;
-    this.lastActivity = 'IDLE';
+    this.lastActivity = ACTIVITIES.IDLE;
     this.activityChangeCount = 0;
     this.sensorUnsubscribe = null;
 
-    // Enhanced sudden stop detection variables
-    this.movementHistory = []; // Track movement levels over time
-    this.highMovementDuration = 0; // How long we've been in high movement
-    this.lastMovementLevel = 0;
-    this.consecutiveStillReadings = 0;
-    this.lastSuddenStopTime = 0; // Prevent multiple triggers
-    this.walkingSessionActive = false; // Track if we're in an active walking session
+    this.classifiers = new Map();
+    this.classifier = null;
+    this.registerClassifier(new RulesClassifier());
+    try {
+      const model = loadModel(harModelAsset);
+      // Settings only offer registered classifiers, so an unvalidated model stays hidden
+      if (model.validated) {
+        this.registerClassifier(new ModelClassifier(model));
+      }
+    } catch (error) {
+      // The rules classifier keeps working without the model
+      console.error('❌ HAR: Could not load the activity model:', error.message);
+    }
+    this.setClassifier(DEFAULT_CLASSIFIER_ID);
+    this.appliedClassifierSetting = null;
+
+    // Personal thresholds from the calibration flow; null until the user calibrates
+    this.calibration = null;
+    calibrationService.load().then(profile => {
+      this.calibration = profile;
+    });
+    calibrationService.subscribe((eventType) => {
+      if (eventType === 'calibrationSaved' || eventType === 'calibrationReset') {
+        this.calibration = calibrationService.getProfile();
+      }
+    });
 
+    // Threshold scales learnt from labelled alerts
+    this.adaptation = { suddenStop: 1 };
+    detectionFeedbackService.subscribe((eventType) => {
+      if (eventType === 'thresholdsAdapted' || eventType === 'feedbackLoaded') {
+        this.adaptation = { suddenStop: detectionFeedbackService.getThresholdScale(DETECTORS.SUDDEN_STOP) };
+      }
+    });
+    detectionFeedbackService.load();
+
+    this._refreshSettings = this._refreshSettings.bind(this);
     this._refreshSettings();
     // Refresh settings every 30 seconds in case they change
     setInterval(this._refreshSettings, 30000);
   }
 
+  /**
+   * Makes a classifier available to setClassifier. See harClassifiers for the interface.
+   * @param {object} classifier
+   */
+  registerClassifier(classifier) {
+    if (!classifier || !classifier.id || typeof classifier.classify !== 'function'
+      || !Number.isInteger(classifier.windowSize) || classifier.windowSize < 1) {
+      throw new Error('Invalid HAR classifier');
+    }
+    this.classifiers.set(classifier.id, classifier);
+  }
+
+  /**
+   * Switches the engine to another registered classifier. Buffered readings are discarded,
+   * so the stream reports CALIBRATING until the new classifier's window has filled.
+   * @param {string} id
+   */
+  setClassifier(id) {
+    const classifier = this.classifiers.get(id);
+    if (!classifier) {
+      throw new Error(`Unknown HAR classifier: ${id}`);
+    }
+    if (this.classifier === classifier) return;
+
+    this.classifier = classifier;
+    this._resetState();
+    latestActivityState = { ...latestActivityState, classifier: id };
+    notifyListeners();
+    console.log(`HAR classifier: ${classifier.name}`);
+  }
+
+  getActiveClassifier() {
+    return this.classifier;
+  }
+
+  /**
+   * @returns {Array<{id: string, name: string}>} Registered classifiers
+   */
+  getClassifiers() {
+    return [...this.classifiers.values()].map(({ id, name }) => ({ id, name }));
+  }
+
+  _resetState() {
+    this.sensorDataBuffer = [];
+    this.lastActivity = ACTIVITIES.IDLE;
+    this.activityChangeCount = 0;
+    this.classifier.reset?.();
+  }
+
   start() {
     this.isMonitoring = true;
+    this._resetState();
 
     // Import and subscribe to sensor data
     import('./sensorService').then(({ subscribeToSensorData }) => {
@@ -88,6 +172,8 @@ class HARModelService {
       confidence: 1.0,
       isProtectionActive: false,
       anomaly: null,
+      classifier: this.classifier.id,
+      timestamp: null,
     };
     notifyListeners();
     console.log('HAR Model Service Stopped');
@@ -96,41 +182,27 @@ class HARModelService {
   async _refreshSettings() {
     this.settings = await loadSettings();
     console.log('HAR model settings updated. Sensitivity:', this.settings.detectionSensitivity);
+    this._applyClassifierSetting();
   }
 
-  /**
-   * Calculates the magnitude of a 3D vector.
-   */
-  _calculateMagnitude(x, y, z) {
-    // Validate inputs
-    const validX = isFinite(x) ? x : 0;
-    const validY = isFinite(y) ? y : 0;
-    const validZ = isFinite(z) ? z : 0;
-
-    const magnitude = Math.sqrt(validX * validX + validY * validY + validZ * validZ);
-    return isFinite(magnitude) ? magnitude : 0;
-  }
+  // Only acts when the setting changes, so a classifier chosen directly is not switched back
+  // by a refresh that runs before the new setting has been saved
+  _applyClassifierSetting() {
+    const id = this.settings.activityClassifier || DEFAULT_CLASSIFIER_ID;
+    if (id === this.appliedClassifierSetting) return;
+    this.appliedClassifierSetting = id;
 
-  /**
-   * Calculates the variance of an array of numbers.
-   */
-  _calculateVariance(arr) {
-    if (!arr || arr.length < 2) return 0;
-
-    // Filter out invalid values
-    const validValues = arr.filter(val => typeof val === 'number' && isFinite(val));
-    if (validValues.length < 2) return 0;
-
-    const mean = validValues.reduce((a, b) => a + b, 0) / validValues.length;
-    const variance = validValues.reduce((a, b) => a + (b - mean) ** 2, 0) / validValues.length;
-
-    return isFinite(variance) ? variance : 0;
+    if (!this.classifiers.has(id)) {
+      console.warn(`⚠️ HAR: Classifier ${id} is not available, using ${this.classifier.name}`);
+      return;
+    }
+    this.setClassifier(id);
   }
 
   /**
    * Predicts the current activity based on a stream of sensor data.
-   * @param {object} sensorData - An object like { ax, ay, az, gx, gy, gz }.
-   * @returns {object} An object like { activity, confidence, anomaly }.
+   * @param {object} sensorData - An object like { ax, ay, az, gx, gy, gz, timestamp }.
+   * @returns {object} The published activity state { name, confidence, anomaly, classifier, ... }.
    */
   predictActivity(sensorData) {
     // Validate sensor data
@@ -157,14 +229,15 @@ class HARModelService {
       return latestActivityState;
     }
 
-    // Add new data to the buffer and keep it at a fixed size
+    // Add new data to the buffer and keep it at the classifier's window size
+    const { windowSize } = this.classifier;
     this.sensorDataBuffer.push(sensorData);
-    if (this.sensorDataBuffer.length > SENSOR_DATA_BUFFER_SIZE) {
+    if (this.sensorDataBuffer.length > windowSize) {
       this.sensorDataBuffer.shift();
     }
 
     // Need enough data to make a prediction
-    if (this.sensorDataBuffer.length < SENSOR_DATA_BUFFER_SIZE) {
+    if (this.sensorDataBuffer.length < windowSize) {
       if (latestActivityState.name !== 'CALIBRATING') {
         latestActivityState = { ...latestActivityState, name: 'CALIBRATING', confidence: 0.5 };
         notifyListeners();
@@ -172,78 +245,26 @@ class HARModelService {
       return latestActivityState;
     }
 
-    // Adjust thresholds based on sensitivity
-    // Low (0): Harder to trigger (higher thresholds)
-    // High (1): Easier to trigger (lower thresholds)
-    const sensitivity = this.settings.detectionSensitivity;
-    const modifier = 1 - sensitivity; // Low=1, Med=0.5, High=0
-
-    const MOVEMENT_THRESHOLD_IDLE = BASE_MOVEMENT_THRESHOLD_IDLE * (1 + modifier * 0.6);      // Low: 0.8, Med: 0.65, High: 0.5
-    const MOVEMENT_THRESHOLD_STANDING = BASE_MOVEMENT_THRESHOLD_STANDING * (1 + modifier * 0.6); // Low: 3.2, Med: 2.6, High: 2.0
-    const MOVEMENT_THRESHOLD_WALKING = BASE_MOVEMENT_THRESHOLD_WALKING * (1 + modifier * 0.4);   // Low: 11.2, Med: 9.6, High: 8.0
-    const MOVEMENT_THRESHOLD_RUNNING = BASE_MOVEMENT_THRESHOLD_RUNNING * (1 + modifier * 0.3);   // Low: 26.0, Med: 23.0, High: 20.0
-
-    // Calculate metrics from the buffered data
-    // Remove gravity from accelerometer by subtracting mean (gravity is constant)
-    const accelMagnitudes = this.sensorDataBuffer.map(d => this._calculateMagnitude(d.ax, d.ay, d.az));
-    const gyroMagnitudes = this.sensorDataBuffer.map(d => this._calculateMagnitude(d.gx, d.gy, d.gz));
-
-    // Remove gravity component for better motion detection
-    const meanAccel = accelMagnitudes.length > 0 ?
-      accelMagnitudes.reduce((a, b) => a + b, 0) / accelMagnitudes.length : 0;
-    const validMeanAccel = isFinite(meanAccel) ? meanAccel : 0;
-    const accelWithoutGravity = accelMagnitudes.map(mag => Math.abs(mag - validMeanAccel));
-
-    const accelVariance = this._calculateVariance(accelWithoutGravity);
-    const gyroVariance = this._calculateVariance(gyroMagnitudes);
-
-    // Ensure variances are valid numbers
-    const validAccelVariance = isFinite(accelVariance) ? accelVariance : 0;
-    const validGyroVariance = isFinite(gyroVariance) ? gyroVariance : 0;
-
-    // Weighted movement score - gyroscope captures rotational movement better for walking detection
-    const totalMovement = (validAccelVariance * 15) + (validGyroVariance * 85);
-
-    // Validate total movement to prevent NaN
-    const validTotalMovement = isFinite(totalMovement) ? totalMovement : 0;
-
-    console.log(`🔍 HAR Debug: accel=${validAccelVariance.toFixed(3)}, gyro=${validGyroVariance.toFixed(3)}, total=${validTotalMovement.toFixed(3)}`);
-
-    let activity = 'IDLE';
-    let confidence = 0.9;
-    let anomaly = null;
-
-    // --- Activity Classification with improved confidence calculation ---
-    if (validTotalMovement > MOVEMENT_THRESHOLD_RUNNING) {
-      activity = 'RUNNING';
-      const excessMovement = validTotalMovement - MOVEMENT_THRESHOLD_RUNNING;
-      const confidenceCalc = 0.75 + (excessMovement / MOVEMENT_THRESHOLD_RUNNING) * 0.2;
-      confidence = Math.min(0.95, isFinite(confidenceCalc) ? confidenceCalc : 0.75);
-    } else if (validTotalMovement > MOVEMENT_THRESHOLD_WALKING) {
-      activity = 'WALKING';
-      const walkingRange = MOVEMENT_THRESHOLD_RUNNING - MOVEMENT_THRESHOLD_WALKING;
-      const walkingProgress = walkingRange > 0 ? (validTotalMovement - MOVEMENT_THRESHOLD_WALKING) / walkingRange : 0;
-      const confidenceCalc = 0.65 + walkingProgress * 0.27;
-      confidence = Math.min(0.92, isFinite(confidenceCalc) ? confidenceCalc : 0.65);
-    } else if (validTotalMovement > MOVEMENT_THRESHOLD_STANDING) {
-      activity = 'STANDING';
-      const standingRange = MOVEMENT_THRESHOLD_WALKING - MOVEMENT_THRESHOLD_STANDING;
-      const standingProgress = standingRange > 0 ? (validTotalMovement - MOVEMENT_THRESHOLD_STANDING) / standingRange : 0;
-      const confidenceCalc = 0.55 + standingProgress * 0.33;
-      confidence = Math.min(0.88, isFinite(confidenceCalc) ? confidenceCalc : 0.55);
-    } else if (validTotalMovement > MOVEMENT_THRESHOLD_IDLE) {
-      activity = 'STANDING';
-      const lightRange = MOVEMENT_THRESHOLD_STANDING - MOVEMENT_THRESHOLD_IDLE;
-      const lightProgress = lightRange > 0 ? (validTotalMovement - MOVEMENT_THRESHOLD_IDLE) / lightRange : 0;
-      const confidenceCalc = 0.45 + lightProgress * 0.37;
-      confidence = Math.min(0.82, isFinite(confidenceCalc) ? confidenceCalc : 0.45);
-    } else {
-      activity = 'IDLE';
-      const idleRatio = MOVEMENT_THRESHOLD_IDLE > 0 ? Math.min(1.0, validTotalMovement / MOVEMENT_THRESHOLD_IDLE) : 0;
-      const confidenceCalc = 0.95 - idleRatio * 0.25;
-      confidence = Math.max(0.7, isFinite(confidenceCalc) ? confidenceCalc : 0.7);
+    // Reading time rather than the clock, so replayed traces behave the same on every run
+    const now = sensorData.timestamp ?? Date.now();
+
+    let prediction;
+    try {
+      prediction = this.classifier.classify(this.sensorDataBuffer, {
+        settings: this.settings,
+        timestamp: now,
+        calibration: this.calibration,
+        adaptation: this.adaptation,
+      });
+    } catch (error) {
+      console.error(`❌ HAR: Classifier ${this.classifier.id} failed:`, error);
+      return latestActivityState;
     }
 
+    let { activity } = prediction;
+    let confidence = isFinite(prediction.confidence) ? prediction.confidence : 0.5;
+    const anomaly = prediction.anomaly || null;
+
     // --- Improved Activity Smoothing ---
     if (activity !== this.lastActivity) {
       this.activityChangeCount++;
@@ -268,71 +289,6 @@ class HARModelService {
       this.activityChangeCount = 0;
     }
 
-    // --- Very Conservative Anomaly Detection (Sudden Stop) ---
-    // Track movement history for better anomaly detection
-    this.movementHistory.push(totalMovement);
-    if (this.movementHistory.length > 100) { // Keep 10 seconds of history
-      this.movementHistory.shift();
-    }
-
-    const isHighMovement = activity === 'WALKING' || activity === 'RUNNING';
-    const isStill = activity === 'IDLE';
-    const timeSinceLastTrigger = Date.now() - this.lastSuddenStopTime;
-
-    // Track walking session
-    if (isHighMovement) {
-      this.highMovementDuration++;
-      this.consecutiveStillReadings = 0;
-      if (!this.walkingSessionActive && this.highMovementDuration > 30) { // 3 seconds of consistent walking
-        this.walkingSessionActive = true;
-      }
-    } else if (isStill) {
-      this.consecutiveStillReadings++;
-      if (this.consecutiveStillReadings > 30) { // Reset after being still for 3 seconds
-        this.highMovementDuration = 0;
-        this.walkingSessionActive = false;
-      }
-    } else {
-      this.consecutiveStillReadings = 0;
-    }
-
-    // EXTREMELY conservative sudden stop detection - only trigger in very specific conditions
-    if (this.movementHistory.length >= 50 &&
-      this.walkingSessionActive &&
-      this.highMovementDuration >= 50 && // Must be walking for 5+ seconds
-      timeSinceLastTrigger > 30000) { // At least 30 seconds since last trigger
-
-      const recentMovement = this.movementHistory.slice(-3); // Last 0.3 seconds
-      const previousMovement = this.movementHistory.slice(-20, -10); // 1 second ago
-      const longTermMovement = this.movementHistory.slice(-50, -20); // 2-3 seconds ago
-
-      const avgRecent = recentMovement.reduce((a, b) => a + b, 0) / recentMovement.length;
-      const avgPrevious = previousMovement.reduce((a, b) => a + b, 0) / previousMovement.length;
-      const avgLongTerm = longTermMovement.reduce((a, b) => a + b, 0) / longTermMovement.length;
-
-      const movementDrop = (avgPrevious - avgRecent) / avgPrevious;
-      const consistentHighMovement = avgLongTerm > MOVEMENT_THRESHOLD_WALKING * 1.5 &&
-        avgPrevious > MOVEMENT_THRESHOLD_WALKING * 1.5;
-
-      // Only trigger if:
-      // 1. Movement drop is VERY dramatic (>90%)
-      // 2. Previous movement was consistently high
-      // 3. Current movement is very low (near idle)
-      // 4. We're confident this is running/fast walking, not just normal walking
-      if (movementDrop > 0.9 &&
-        consistentHighMovement &&
-        avgRecent < MOVEMENT_THRESHOLD_IDLE * 2 &&
-        avgPrevious > MOVEMENT_THRESHOLD_RUNNING * 0.8) { // Must be running-level movement
-
-        anomaly = { type: 'SUDDEN_STOP', severity: 'HIGH' };
-        console.warn(`🚨 CRITICAL: Sudden Stop Detected - ${(movementDrop * 100).toFixed(1)}% drop from ${avgPrevious.toFixed(2)} to ${avgRecent.toFixed(2)}`);
-        console.warn(`🚨 Setting anomaly in latestActivityState - listeners will be notified`);
-        this.lastSuddenStopTime = Date.now();
-        this.highMovementDuration = 0;
-        this.walkingSessionActive = false;
-      }
-    }
-
     // Update global state and notify listeners
     const previousAnomaly = latestActivityState.anomaly;
     latestActivityState = {
@@ -340,6 +296,8 @@ class HARModelService {
       confidence: parseFloat(confidence.toFixed(2)),
       isProtectionActive: this.isMonitoring,
       anomaly: anomaly,
+      classifier: this.classifier.id,
+      timestamp: now,
     };
 
     // Log when anomaly state changes
@@ -358,4 +316,3 @@ class HARModelService {
 // Export a singleton instance of the service
 const harModelService = new HARModelService();
 export default harModelService;
-
@@ -0,0 +1,286 @@
+// IMU Features - Windowed Feature Extraction
+// Standard features computed over a window of sensorService readings ({ ax, ay, az, gx, gy, gz,
+// timestamp }, oldest first). Classifiers and the fall detector share these so that a model
+// trained on exported features sees the same numbers on the device
+// Pure functions with no app or native imports, so they run unchanged under Node
+
+export const DEFAULT_SAMPLE_RATE_HZ = 10; // sensorService delivers a reading every 100ms
+
+// Frequency bands (Hz) for band energy. Human gait sits around 1-3 Hz; the upper band picks up
+// running impacts and handling noise. Limited by the 5 Hz Nyquist frequency at 10 Hz sampling
+export const FREQUENCY_BANDS = {
+  low: [0, 0.5],
+  gait: [0.5, 3],
+  high: [3, 5],
+};
+
+// Step frequencies considered plausible when estimating cadence
+const CADENCE_BAND_HZ = [0.5, 3.5];
+
+/**
+ * Order of the values in featureVector. Exported models list their inputs in this order.
+ */
+export const FEATURE_NAMES = [
+  'accelMean',
+  'accelStd',
+  'accelRms',
+  'accelMin',
+  'accelMax',
+  'gyroMean',
+  'gyroStd',
+  'gyroRms',
+  'jerkMean',
+  'zeroCrossingRate',
+  'bandEnergyLow',
+  'bandEnergyGait',
+  'bandEnergyHigh',
+  'cadence',
+  'sma',
+  'orientationChange',
+];
+
+// --- Basic statistics ---
+
+const finiteValues = (values) => (values || []).filter(v => typeof v === 'number' && isFinite(v));
+
+export const mean = (values) => {
+  const valid = finiteValues(values);
+  return valid.length > 0 ? valid.reduce((a, b) => a + b, 0) / valid.length : 0;
+};
+
+/**
+ * Population variance, ignoring non-finite values.
+ */
+export const variance = (values) => {
+  const valid = finiteValues(values);
+  if (valid.length < 2) return 0;
+  const m = mean(valid);
+  return valid.reduce((a, b) => a + (b - m) ** 2, 0) / valid.length;
+};
+
+export const standardDeviation = (values) => Math.sqrt(variance(values));
+
+export const rms = (values) => {
+  const valid = finiteValues(values);
+  return valid.length > 0 ? Math.sqrt(valid.reduce((a, b) => a + b * b, 0) / valid.length) : 0;
+};
+
+/**
+ * Value below which the given share of values fall (p from 0 to 1), interpolating between
+ * neighbouring values.
+ */
+export const percentile = (values, p) => {
+  const sorted = finiteValues(values).sort((a, b) => a - b);
+  if (sorted.length === 0) return 0;
+  const position = Math.min(1, Math.max(0, p)) * (sorted.length - 1);
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+};
+
+export const magnitude = (x, y, z) => {
+  const value = Math.sqrt((isFinite(x) ? x : 0) ** 2 + (isFinite(y) ? y : 0) ** 2 + (isFinite(z) ? z : 0) ** 2);
+  return isFinite(value) ? value : 0;
+};
+
+export const accelMagnitudes = (window) => window.map(d => magnitude(d.ax, d.ay, d.az));
+
+export const gyroMagnitudes = (window) => window.map(d => magnitude(d.gx, d.gy, d.gz));
+
+/**
+ * Sample rate of a window from its timestamps, or the default when they are missing.
+ * @returns {number} Hz
+ */
+export const estimateSampleRate = (window) => {
+  if (window.length < 2) return DEFAULT_SAMPLE_RATE_HZ;
+  const first = window[0].timestamp;
+  const last = window[window.length - 1].timestamp;
+  if (!isFinite(first) || !isFinite(last) || last <= first) return DEFAULT_SAMPLE_RATE_HZ;
+  return (window.length - 1) * 1000 / (last - first);
+};
+
+// --- Time-domain features ---
+
+/**
+ * Mean absolute rate of change of a signal, in units per second.
+ */
+export const jerk = (values, sampleRateHz = DEFAULT_SAMPLE_RATE_HZ) => {
+  if (values.length < 2) return 0;
+  let total = 0;
+  for (let i = 1; i < values.length; i++) {
+    total += Math.abs(values[i] - values[i - 1]);
+  }
+  return (total / (values.length - 1)) * sampleRateHz;
+};
+
+/**
+ * Number of times the signal crosses its own mean.
+ */
+export const zeroCrossings = (values) => {
+  const m = mean(values);
+  let crossings = 0;
+  let previousSign = 0;
+  values.forEach(value => {
+    const sign = Math.sign(value - m);
+    if (sign !== 0) {
+      if (previousSign !== 0 && sign !== previousSign) crossings++;
+      previousSign = sign;
+    }
+  });
+  return crossings;
+};
+
+/**
+ * Signal magnitude area: mean of |x| + |y| + |z| after removing each axis mean (gravity).
+ */
+export const signalMagnitudeArea = (window) => {
+  if (window.length === 0) return 0;
+  const mx = mean(window.map(d => d.ax));
+  const my = mean(window.map(d => d.ay));
+  const mz = mean(window.map(d => d.az));
+  return mean(window.map(d => Math.abs(d.ax - mx) + Math.abs(d.ay - my) + Math.abs(d.az - mz)));
+};
+
+/**
+ * Angle in degrees between two 3D vectors given as [x, y, z]; 0 if either has no length.
+ */
+export const angleBetween = (a, b) => {
+  const lengths = magnitude(...a) * magnitude(...b);
+  if (lengths === 0) return 0;
+  const cosine = (a[0] * b[0] + a[1] * b[1] + a[2] * b[2]) / lengths;
+  return Math.acos(Math.min(1, Math.max(-1, cosine))) * 180 / Math.PI;
+};
+
+/**
+ * Mean accelerometer vector [x, y, z] of a window; points along gravity when the phone is still.
+ */
+export const meanAccelVector = (window) => [
+  mean(window.map(d => d.ax)),
+  mean(window.map(d => d.ay)),
+  mean(window.map(d => d.az)),
+];
+
+/**
+ * Angle in degrees between the mean accelerometer direction (gravity) in the first and last
+ * third of the window. Large when the phone turned over, e.g. someone ending up lying down.
+ */
+export const orientationChange = (window) => {
+  const third = Math.floor(window.length / 3);
+  if (third < 1) return 0;
+
+  return angleBetween(meanAccelVector(window.slice(0, third)), meanAccelVector(window.slice(-third)));
+};
+
+// --- Frequency-domain features ---
+
+/**
+ * Power spectrum of a signal after removing its mean. Uses a direct DFT, which is cheap for
+ * window sizes in the tens of samples and works for any length.
+ * @returns {Array<{frequency: number, power: number}>} Bins from 0 Hz up to Nyquist
+ */
+export const powerSpectrum = (values, sampleRateHz = DEFAULT_SAMPLE_RATE_HZ) => {
+  const n = values.length;
+  if (n < 2) return [];
+  const m = mean(values);
+  const centred = values.map(v => (isFinite(v) ? v - m : 0));
+
+  const bins = [];
+  for (let k = 0; k <= Math.floor(n / 2); k++) {
+    let re = 0;
+    let im = 0;
+    for (let t = 0; t < n; t++) {
+      const angle = (2 * Math.PI * k * t) / n;
+      re += centred[t] * Math.cos(angle);
+      im -= centred[t] * Math.sin(angle);
+    }
+    bins.push({ frequency: (k * sampleRateHz) / n, power: (re * re + im * im) / n });
+  }
+  return bins;
+};
+
+/**
+ * Sum of spectral power with frequency in [low, high). The Nyquist bin is included in the
+ * top band.
+ */
+export const bandEnergy = (spectrum, [low, high]) => {
+  const nyquist = spectrum.length > 0 ? spectrum[spectrum.length - 1].frequency : 0;
+  return spectrum
+    .filter(bin => bin.frequency >= low && (bin.frequency < high || (high >= nyquist && bin.frequency === nyquist)))
+    .reduce((total, bin) => total + bin.power, 0);
+};
+
+/**
+ * Step cadence in steps per minute: the dominant frequency of the accelerometer magnitude in
+ * the plausible step band. 0 when there is no clear peak (e.g. standing still).
+ */
+export const stepCadence = (spectrum) => {
+  const candidates = spectrum.filter(bin =>
+    bin.frequency >= CADENCE_BAND_HZ[0] && bin.frequency <= CADENCE_BAND_HZ[1]);
+  if (candidates.length === 0) return 0;
+
+  const total = spectrum.reduce((sum, bin) => sum + bin.power, 0);
+  const peak = candidates.reduce((best, bin) => (bin.power > best.power ? bin : best));
+  // Require the peak to carry a real share of the signal so noise does not read as steps
+  if (total === 0 || peak.power / total < 0.2) return 0;
+  return peak.frequency * 60;
+};
+
+// --- Feature sets ---
+
+/**
+ * Computes every feature in FEATURE_NAMES for a window of readings.
+ * @param {Array<object>} window - Readings from sensorService, oldest first
+ * @param {object} options - { sampleRateHz } overrides the rate estimated from timestamps
+ * @returns {object} Feature values keyed by name
+ */
+export const extractFeatures = (window, { sampleRateHz } = {}) => {
+  const rate = sampleRateHz || estimateSampleRate(window);
+  const accel = accelMagnitudes(window);
+  const gyro = gyroMagnitudes(window);
+  const spectrum = powerSpectrum(accel, rate);
+  const durationSeconds = window.length / rate;
+
+  return {
+    accelMean: mean(accel),
+    accelStd: standardDeviation(accel),
+    accelRms: rms(accel),
+    accelMin: accel.length > 0 ? Math.min(...accel) : 0,
+    accelMax: accel.length > 0 ? Math.max(...accel) : 0,
+    gyroMean: mean(gyro),
+    gyroStd: standardDeviation(gyro),
+    gyroRms: rms(gyro),
+    jerkMean: jerk(accel, rate),
+    zeroCrossingRate: durationSeconds > 0 ? zeroCrossings(accel) / durationSeconds : 0,
+    bandEnergyLow: bandEnergy(spectrum, FREQUENCY_BANDS.low),
+    bandEnergyGait: bandEnergy(spectrum, FREQUENCY_BANDS.gait),
+    bandEnergyHigh: bandEnergy(spectrum, FREQUENCY_BANDS.high),
+    cadence: stepCadence(spectrum),
+    sma: signalMagnitudeArea(window),
+    orientationChange: orientationChange(window),
+  };
+};
+
+/**
+ * Features as an array in FEATURE_NAMES order, e.g. as model input.
+ */
+export const featureVector = (features) => FEATURE_NAMES.map(name => features[name]);
+
+export const imuFeatures = {
+  extractFeatures,
+  featureVector,
+  mean,
+  variance,
+  standardDeviation,
+  rms,
+  percentile,
+  magnitude,
+  jerk,
+  zeroCrossings,
+  signalMagnitudeArea,
+  orientationChange,
+  angleBetween,
+  meanAccelVector,
+  powerSpectrum,
+  bandEnergy,
+  stepCadence,
+};
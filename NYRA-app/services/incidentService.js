@@ -0,0 +1,243 @@
+// Incident Service - Emergency Lifecycle Store
+// Single persisted record of every emergency from trigger to resolution
+// Each state change is timestamped and written to encrypted storage so history survives restarts
+
+import { secureStorage } from './secureStorageService';
+
+const STORAGE_KEY = 'incident_history';
+const MAX_STORED_INCIDENTS = 200;
+
+export const INCIDENT_STATES = {
+  PENDING_COUNTDOWN: 'pending_countdown',
+  CANCELLED: 'cancelled',
+  DISPATCHED: 'dispatched',
+  ACKNOWLEDGED: 'acknowledged',
+  RESOLVED: 'resolved',
+  FALSE_ALARM: 'false_alarm',
+};
+
+// Allowed transitions; states with no outgoing edges are terminal
+const TRANSITIONS = {
+  [INCIDENT_STATES.PENDING_COUNTDOWN]: [
+    INCIDENT_STATES.CANCELLED,
+    INCIDENT_STATES.DISPATCHED,
+  ],
+  [INCIDENT_STATES.DISPATCHED]: [
+    INCIDENT_STATES.ACKNOWLEDGED,
+    INCIDENT_STATES.RESOLVED,
+    INCIDENT_STATES.FALSE_ALARM,
+  ],
+  [INCIDENT_STATES.ACKNOWLEDGED]: [
+    INCIDENT_STATES.ACKNOWLEDGED, // further contacts acknowledging
+    INCIDENT_STATES.RESOLVED,
+    INCIDENT_STATES.FALSE_ALARM,
+  ],
+  [INCIDENT_STATES.CANCELLED]: [],
+  [INCIDENT_STATES.RESOLVED]: [],
+  [INCIDENT_STATES.FALSE_ALARM]: [],
+};
+
+class IncidentService {
+  constructor() {
+    this.incidents = [];
+    this.listeners = [];
+    this.isLoaded = false;
+    this.loadPromise = null;
+    this.saveChain = Promise.resolve();
+  }
+
+  /**
+   * Load incident history from storage. Safe to call repeatedly.
+   */
+  async load() {
+    if (this.isLoaded) return this.incidents;
+    if (!this.loadPromise) {
+      this.loadPromise = (async () => {
+        try {
+          const stored = await secureStorage.getItem(STORAGE_KEY);
+          this.incidents = stored ? JSON.parse(stored) : [];
+        } catch (error) {
+          console.error('Failed to load incident history:', error);
+          this.incidents = [];
+        }
+        this.isLoaded = true;
+        this.notifyListeners('historyLoaded', this.incidents);
+        return this.incidents;
+      })();
+    }
+    return this.loadPromise;
+  }
+
+  /**
+   * Serialise writes so concurrent transitions never overwrite each other.
+   */
+  persist() {
+    this.saveChain = this.saveChain
+      .then(() => secureStorage.setItem(STORAGE_KEY, JSON.stringify(this.incidents)))
+      .catch(error => console.error('Failed to save incident history:', error));
+    return this.saveChain;
+  }
+
+  /**
+   * Record a new incident.
+   * @param {Object} incident - Incident from alertService (id, source, severity, location, ...)
+   * @param {string} initialState - Usually PENDING_COUNTDOWN or DISPATCHED
+   */
+  async openIncident(incident, initialState = INCIDENT_STATES.PENDING_COUNTDOWN) {
+    await this.load();
+
+    const now = Date.now();
+    const record = {
+      id: incident.id || `incident_${now}_${Math.random().toString(36).substr(2, 9)}`,
+      source: incident.source,
+      sources: incident.sources || [incident.source],
+      severity: incident.severity,
+      location: incident.location || null,
+      evidence: incident.evidence || [],
+      details: incident.details || {},
+      state: initialState,
+      createdAt: incident.createdAt || now,
+      updatedAt: now,
+      acknowledgements: [],
+      timeline: [{ state: initialState, at: now, note: null }]
+    };
+
+    this.incidents.unshift(record);
+    if (this.incidents.length > MAX_STORED_INCIDENTS) {
+      this.incidents = this.incidents.slice(0, MAX_STORED_INCIDENTS);
+    }
+
+    await this.persist();
+    this.notifyListeners('incidentOpened', record);
+    return record;
+  }
+
+  /**
+   * Move an incident to a new state.
+   * @param {string} incidentId
+   * @param {string} toState - One of INCIDENT_STATES
+   * @param {Object} options
+   * @param {string} options.note - Free-text note shown in the timeline
+   * @param {Object} options.data - Extra data stored with the timeline entry
+   * @throws If the incident does not exist or the transition is not allowed
+   */
+  async transition(incidentId, toState, { note = null, data = null } = {}) {
+    await this.load();
+
+    const record = this.getIncident(incidentId);
+    if (!record) {
+      throw new Error(`Incident not found: ${incidentId}`);
+    }
+    if (!this.canTransition(record.state, toState)) {
+      throw new Error(`Invalid incident transition: ${record.state} -> ${toState}`);
+    }
+
+    const now = Date.now();
+    const previousState = record.state;
+    record.state = toState;
+    record.updatedAt = now;
+    record.timeline.push({ state: toState, at: now, note, ...(data ? { data } : {}) });
+
+    if (toState === INCIDENT_STATES.ACKNOWLEDGED && data) {
+      record.acknowledgements.push({ ...data, at: now });
+    }
+
+    await this.persist();
+    this.notifyListeners('incidentTransitioned', { incident: record, from: previousState, to: toState });
+    return record;
+  }
+
+  /**
+   * Merge fields into an incident without changing its state (e.g. a second trigger or new evidence).
+   */
+  async updateIncident(incidentId, changes) {
+    await this.load();
+
+    const record = this.getIncident(incidentId);
+    if (!record) return null;
+
+    Object.assign(record, changes, { updatedAt: Date.now() });
+    await this.persist();
+    this.notifyListeners('incidentUpdated', record);
+    return record;
+  }
+
+  /**
+   * Log something that happened to an incident without changing its state (e.g. an escalation step).
+   * @param {string} incidentId
+   * @param {Object} entry
+   * @param {string} entry.event - Short event type, e.g. 'escalation'
+   * @param {string} entry.note - Text shown in the timeline
+   * @param {Object} entry.data - Extra data stored with the entry
+   */
+  async addTimelineEntry(incidentId, { event, note = null, data = null }) {
+    await this.load();
+
+    const record = this.getIncident(incidentId);
+    if (!record) return null;
+
+    const now = Date.now();
+    record.updatedAt = now;
+    record.timeline.push({ state: record.state, event, at: now, note, ...(data ? { data } : {}) });
+
+    await this.persist();
+    this.notifyListeners('incidentUpdated', record);
+    return record;
+  }
+
+  canTransition(fromState, toState) {
+    return (TRANSITIONS[fromState] || []).includes(toState);
+  }
+
+  isTerminalState(state) {
+    return (TRANSITIONS[state] || []).length === 0;
+  }
+
+  isTerminal(incident) {
+    return !!incident && this.isTerminalState(incident.state);
+  }
+
+  getIncident(incidentId) {
+    return this.incidents.find(incident => incident.id === incidentId) || null;
+  }
+
+  /**
+   * Most recent incident that has not reached a terminal state.
+   */
+  getActiveIncident() {
+    return this.incidents.find(incident => !this.isTerminal(incident)) || null;
+  }
+
+  getIncidents() {
+    return this.incidents;
+  }
+
+  async clearHistory() {
+    this.incidents = this.incidents.filter(incident => !this.isTerminal(incident));
+    await this.persist();
+    this.notifyListeners('historyCleared', this.incidents);
+  }
+
+  // FRONTEND: Subscribe to service events
+  subscribe(listener) {
+    this.listeners.push(listener);
+    return () => {
+      this.listeners = this.listeners.filter(l => l !== listener);
+    };
+  }
+
+  // FRONTEND: Notify UI components of state changes
+  notifyListeners(eventType, data) {
+    this.listeners.forEach(listener => {
+      try {
+        listener(eventType, data);
+      } catch (error) {
+        console.error('Listener error:', error);
+      }
+    });
+  }
+}
+
+// Export singleton instance
+export const incidentService = new IncidentService();
+export default incidentService;
@@ -0,0 +1,282 @@
+// Live Location Service - Follow-up Location Messages
+// While an incident is active, keeps the contacts who were alerted up to date with where the
+// user is: an update goes out every few minutes, or sooner if the user moves far enough
+// Each contact is rate limited so a fast-moving user does not flood their phone
+// Updates are only sent where SMS goes out automatically (Android with SMS permission); the
+// composer would otherwise open over the app every few minutes during an emergency
+
+import { loadSettings } from './storageService';
+import { locationService } from './locationService';
+import { smsService } from './smsService';
+import { outboxService, OUTBOX_STATUS } from './outboxService';
+import { incidentService, INCIDENT_STATES } from './incidentService';
+
+const TICK_INTERVAL = 30000; // How often the interval condition is checked
+
+const RATE_LIMITS = {
+  MIN_GAP_PER_CONTACT: 2 * 60 * 1000, // At most one update every 2 minutes per contact
+  MAX_PER_CONTACT_PER_HOUR: 12,
+};
+
+const isActiveIncident = (incident) =>
+  !!incident && (incident.state === INCIDENT_STATES.DISPATCHED || incident.state === INCIDENT_STATES.ACKNOWLEDGED);
+
+class LiveLocationService {
+  constructor() {
+    this.session = null;
+    this.tickTimer = null;
+    this.locationSubscription = null;
+    this.incidentSubscription = null;
+    this.isSending = false;
+    this.listeners = [];
+  }
+
+  /**
+   * Start sharing whenever an incident is dispatched and stop when it is closed.
+   * Call once on app start.
+   */
+  async init() {
+    if (this.incidentSubscription) return;
+
+    this.incidentSubscription = incidentService.subscribe((eventType, data) => {
+      if (eventType === 'incidentOpened' && data.state === INCIDENT_STATES.DISPATCHED) {
+        this.start(data.id);
+      } else if (eventType === 'incidentTransitioned') {
+        if (data.to === INCIDENT_STATES.DISPATCHED) {
+          this.start(data.incident.id);
+        } else if (this.session && data.incident.id === this.session.incidentId && incidentService.isTerminalState(data.to)) {
+          this.stop();
+        }
+      }
+    });
+
+    await incidentService.load();
+    const active = incidentService.getActiveIncident();
+    if (isActiveIncident(active)) {
+      await this.start(active.id);
+    }
+  }
+
+  /**
+   * Begin follow-up updates for an incident, if the user allows live location sharing.
+   * @param {string} incidentId
+   */
+  async start(incidentId) {
+    if (this.session && this.session.incidentId === incidentId) return;
+
+    const settings = await loadSettings();
+    if (!settings.shareLiveLocation) {
+      console.log('📍 Live location sharing is disabled in settings.');
+      return;
+    }
+    if (!await smsService.canSendAutomatically()) {
+      console.log('📍 Live location: SMS cannot be sent automatically here, skipping follow-up updates');
+      return;
+    }
+
+    this.stop();
+
+    const incident = incidentService.getIncident(incidentId);
+    this.session = {
+      incidentId,
+      startedAt: Date.now(),
+      sequence: 0,
+      intervalMs: settings.liveLocationIntervalMinutes * 60000,
+      distanceMeters: settings.liveLocationDistanceMeters,
+      // The initial alert already carried the trigger location
+      lastSentAt: Date.now(),
+      lastSentLocation: incident?.location?.coords || null,
+      sentToContacts: {}, // address -> timestamps of updates sent
+      ownsTracking: false, // Whether location updates should stop with the session
+    };
+
+    this.locationSubscription = locationService.subscribeToLocation(location => this.handleLocation(location));
+    await this.ensureTracking();
+    this.tickTimer = setInterval(() => this.tick(), TICK_INTERVAL);
+
+    console.log(`📍 Live location: sharing updates for ${incidentId}`);
+    this.notifyListeners('sharingStarted', { incidentId });
+  }
+
+  stop() {
+    if (this.tickTimer) {
+      clearInterval(this.tickTimer);
+      this.tickTimer = null;
+    }
+    if (this.locationSubscription) {
+      this.locationSubscription();
+      this.locationSubscription = null;
+    }
+    if (!this.session) return;
+
+    const { incidentId, sequence, ownsTracking } = this.session;
+    this.session = null;
+    if (ownsTracking) {
+      locationService.stopLocationUpdates();
+    }
+
+    console.log(`📍 Live location: stopped after ${sequence} update(s)`);
+    this.notifyListeners('sharingStopped', { incidentId, sequence });
+  }
+
+  isSharing() {
+    return this.session !== null;
+  }
+
+  getSession() {
+    return this.session;
+  }
+
+  /**
+   * Let the session stop location updates when it ends. Used by screens that started
+   * updates for the alert and would otherwise stop them straight after dispatch.
+   */
+  takeOverLocationUpdates() {
+    if (this.session) {
+      this.session.ownsTracking = true;
+    }
+  }
+
+  // Other screens may stop location updates (e.g. turning protection off), so restart them
+  async ensureTracking() {
+    if (locationService.isTrackingLocation()) return;
+    try {
+      await locationService.startLocationUpdates();
+      if (this.session) {
+        this.session.ownsTracking = true;
+      }
+    } catch (error) {
+      console.warn('Live location: could not start location updates:', error.message);
+    }
+  }
+
+  handleLocation(location) {
+    if (!this.session) return;
+
+    // The initial alert went out without a location, so share the first fix straight away
+    if (!this.session.lastSentLocation) {
+      this.sendUpdate(location, 'first_fix');
+      return;
+    }
+
+    const moved = this.calculateDistance(this.session.lastSentLocation, location.coords);
+    if (moved >= this.session.distanceMeters) {
+      this.sendUpdate(location, 'distance');
+    }
+  }
+
+  async tick() {
+    if (!this.session) return;
+
+    const incident = incidentService.getIncident(this.session.incidentId);
+    if (!isActiveIncident(incident)) {
+      this.stop();
+      return;
+    }
+
+    await this.ensureTracking();
+    if (Date.now() - this.session.lastSentAt < this.session.intervalMs) return;
+
+    let location = locationService.getLastKnownLocation();
+    if (!location) {
+      try {
+        location = await locationService.getCurrentLocation();
+      } catch (error) {
+        console.warn('Live location: no location available for update');
+        return;
+      }
+    }
+    await this.sendUpdate(location, 'interval');
+  }
+
+  /**
+   * Contacts that received the alert for this incident and have not been sent an update
+   * too recently.
+   */
+  getEligibleContacts(now) {
+    const addresses = new Map();
+    outboxService.getItemsForIncident(this.session.incidentId)
+      .filter(item => item.channel === 'sms')
+      .forEach(item => item.recipients
+        .filter(r => r.status !== OUTBOX_STATUS.FAILED)
+        .forEach(r => addresses.set(r.address, r.name)));
+
+    return [...addresses.entries()]
+      .filter(([address]) => {
+        const history = (this.session.sentToContacts[address] || []).filter(at => now - at < 3600000);
+        this.session.sentToContacts[address] = history;
+        const last = history[history.length - 1] || 0;
+        return now - last >= RATE_LIMITS.MIN_GAP_PER_CONTACT && history.length < RATE_LIMITS.MAX_PER_CONTACT_PER_HOUR;
+      })
+      .map(([phone, name]) => ({ phone, name }));
+  }
+
+  async sendUpdate(location, reason) {
+    if (this.isSending || !this.session || !location?.coords) return;
+    this.isSending = true;
+
+    const session = this.session;
+    try {
+      const now = Date.now();
+      const contacts = this.getEligibleContacts(now);
+      // SMS permission can be revoked during a session
+      if (contacts.length === 0 || !await smsService.canSendAutomatically()) return;
+
+      session.sequence++;
+      await smsService.sendLocationUpdateSMS(contacts, location, {
+        incidentId: session.incidentId,
+        sequence: session.sequence,
+      });
+
+      contacts.forEach(contact => session.sentToContacts[contact.phone].push(now));
+      session.lastSentAt = now;
+      session.lastSentLocation = location.coords;
+
+      await incidentService.updateIncident(session.incidentId, { latestLocation: location });
+      console.log(`📍 Live location: update #${session.sequence} sent to ${contacts.length} contact(s) (${reason})`);
+      this.notifyListeners('updateSent', { incidentId: session.incidentId, sequence: session.sequence, reason });
+    } catch (error) {
+      console.error('Live location: failed to send update:', error);
+    } finally {
+      this.isSending = false;
+    }
+  }
+
+  calculateDistance(point1, point2) {
+    const R = 6371e3; // Earth's radius in meters
+    const φ1 = point1.latitude * Math.PI/180;
+    const φ2 = point2.latitude * Math.PI/180;
+    const Δφ = (point2.latitude-point1.latitude) * Math.PI/180;
+    const Δλ = (point2.longitude-point1.longitude) * Math.PI/180;
+
+    const a = Math.sin(Δφ/2) * Math.sin(Δφ/2) +
+              Math.cos(φ1) * Math.cos(φ2) *
+              Math.sin(Δλ/2) * Math.sin(Δλ/2);
+    const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
+
+    return R * c;
+  }
+
+  // FRONTEND: Subscribe to service events
+  subscribe(listener) {
+    this.listeners.push(listener);
+    return () => {
+      this.listeners = this.listeners.filter(l => l !== listener);
+    };
+  }
+
+  // FRONTEND: Notify UI components of state changes
+  notifyListeners(eventType, data) {
+    this.listeners.forEach(listener => {
+      try {
+        listener(eventType, data);
+      } catch (error) {
+        console.error('Listener error:', error);
+      }
+    });
+  }
+}
+
+// Export singleton instance
+export const liveLocationService = new LiveLocationService();
+export default liveLocationService;
@@ -1,7 +1,42 @@
 import * as Location from 'expo-location';
+import * as TaskManager from 'expo-task-manager';
+
+// Receives locations while background updates run, including after Android relaunches the app
+// without UI. Must be defined when the module loads, so index.js imports this module early
+export const BACKGROUND_LOCATION_TASK = 'nyra-background-location';
 
 let locationSubscription = null;
+let isBackgroundTracking = false;
+let backgroundNotification = null;
+// Changed by powerService with movement, incidents and battery level
+let updateOptions = {
+  timeInterval: 10000, // 10 seconds
+  distanceInterval: 10, // 10 meters
+};
 let lastKnownLocation = null;
+let locationListeners = [];
+
+const notifyLocationListeners = (location) => {
+  lastKnownLocation = location;
+  locationListeners.forEach(listener => {
+    try {
+      listener(location);
+    } catch (error) {
+      console.error('Location listener error:', error);
+    }
+  });
+};
+
+TaskManager.defineTask(BACKGROUND_LOCATION_TASK, async ({ data, error }) => {
+  if (error) {
+    console.error('Background location task error:', error.message);
+    return;
+  }
+  const locations = data?.locations || [];
+  if (locations.length > 0) {
+    notifyLocationListeners(locations[locations.length - 1]);
+  }
+});
 
 /**
  * Gets the current GPS location one time.
@@ -38,12 +73,11 @@ const startLocationUpdates = async () => {
     locationSubscription = await Location.watchPositionAsync(
       {
         accuracy: Location.Accuracy.High,
-        timeInterval: 10000, // 10 seconds
-        distanceInterval: 10, // 10 meters
+        ...updateOptions,
       },
       (location) => {
-        lastKnownLocation = location;
         console.log('New location update:', location.coords.latitude, location.coords.longitude);
+        notifyLocationListeners(location);
       }
     );
     console.log('✅ Started continuous location updates.');
@@ -53,8 +87,88 @@ const startLocationUpdates = async () => {
   }
 };
 
+const backgroundTaskOptions = () => ({
+  accuracy: Location.Accuracy.High,
+  ...updateOptions,
+  activityType: Location.ActivityType.Fitness,
+  pausesUpdatesAutomatically: false,
+  showsBackgroundLocationIndicator: true,
+  foregroundService: {
+    notificationTitle: backgroundNotification.title,
+    notificationBody: backgroundNotification.body,
+    notificationColor: '#1591EA',
+    killServiceOnDestroy: false,
+  },
+});
+
+/**
+ * Starts location updates that keep running while the app is in the background. On Android
+ * this runs a foreground service with a persistent notification, which also keeps JavaScript
+ * (sensors, timers) alive. Requires background location permission.
+ * @param {object} notification - { title, body } for the persistent Android notification
+ * @throws Will throw an error if updates cannot be started.
+ */
+const startBackgroundLocationUpdates = async ({ title, body }) => {
+  backgroundNotification = { title, body };
+  try {
+    if (await Location.hasStartedLocationUpdatesAsync(BACKGROUND_LOCATION_TASK)) {
+      isBackgroundTracking = true;
+      return;
+    }
+    await Location.startLocationUpdatesAsync(BACKGROUND_LOCATION_TASK, backgroundTaskOptions());
+    isBackgroundTracking = true;
+    console.log('✅ Started background location updates.');
+  } catch (error) {
+    console.error('Failed to start background location updates:', error);
+    throw new Error('Failed to start background location updates.');
+  }
+};
+
 /**
- * Stops continuous location tracking.
+ * Whether the background location task is running, as reported by the OS.
+ * @returns {Promise<boolean>}
+ */
+const isBackgroundTrackingActive = async () => {
+  try {
+    return await Location.hasStartedLocationUpdatesAsync(BACKGROUND_LOCATION_TASK);
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Changes how often tracking delivers locations. Running updates are restarted with the new
+ * options; for the background task, starting it again replaces its options.
+ * @param {object} options - { timeInterval (ms), distanceInterval (m) }
+ */
+const setUpdateOptions = async ({ timeInterval, distanceInterval }) => {
+  if (timeInterval === updateOptions.timeInterval && distanceInterval === updateOptions.distanceInterval) {
+    return;
+  }
+  updateOptions = { timeInterval, distanceInterval };
+
+  try {
+    if (locationSubscription) {
+      locationSubscription.remove();
+      locationSubscription = null;
+      await startLocationUpdates();
+    }
+    if (isBackgroundTracking && backgroundNotification) {
+      await Location.startLocationUpdatesAsync(BACKGROUND_LOCATION_TASK, backgroundTaskOptions());
+    }
+    console.log(`📍 Location updates every ${timeInterval / 1000}s / ${distanceInterval}m`);
+  } catch (error) {
+    console.error('Failed to apply location update options:', error);
+  }
+};
+
+const getUpdateOptions = () => {
+  return { ...updateOptions };
+};
+
+/**
+ * Stops continuous location tracking started by startLocationUpdates. Background updates keep
+ * running, since they belong to background protection (see stopBackgroundLocationUpdates).
  */
 const stopLocationUpdates = () => {
   if (locationSubscription) {
@@ -64,6 +178,42 @@ const stopLocationUpdates = () => {
   }
 };
 
+/**
+ * Stops the background location task and, on Android, its foreground service. Asks the OS,
+ * so a task started before the app was relaunched is stopped too.
+ */
+const stopBackgroundLocationUpdates = async () => {
+  isBackgroundTracking = false;
+  try {
+    if (await Location.hasStartedLocationUpdatesAsync(BACKGROUND_LOCATION_TASK)) {
+      await Location.stopLocationUpdatesAsync(BACKGROUND_LOCATION_TASK);
+      console.log('🛑 Stopped background location updates.');
+    }
+  } catch (error) {
+    console.warn('Could not stop background location updates:', error.message);
+  }
+};
+
+/**
+ * Registers a callback for each update delivered while startLocationUpdates is active.
+ * @param {function(Location.LocationObject): void} callback
+ * @returns {function(): void} Unsubscribe function
+ */
+const subscribeToLocation = (callback) => {
+  locationListeners.push(callback);
+  return () => {
+    locationListeners = locationListeners.filter(l => l !== callback);
+  };
+};
+
+/**
+ * Whether continuous updates are currently running.
+ * @returns {boolean}
+ */
+const isTrackingLocation = () => {
+  return locationSubscription !== null || isBackgroundTracking;
+};
+
 /**
  * Returns the most recently recorded location.
  * @returns {Location.LocationObject | null}
@@ -75,6 +225,13 @@ const getLastKnownLocation = () => {
 export const locationService = {
   getCurrentLocation,
   startLocationUpdates,
+  startBackgroundLocationUpdates,
+  isBackgroundTrackingActive,
+  setUpdateOptions,
+  getUpdateOptions,
   stopLocationUpdates,
+  stopBackgroundLocationUpdates,
   getLastKnownLocation,
+  subscribeToLocation,
+  isTrackingLocation,
 };
\ No newline at end of file
@@ -0,0 +1,136 @@
+// Map Data Service - Offline OpenStreetMap Extracts
+// Imports an OSM extract picked by the user (e.g. exported from openstreetmap.org or Overpass)
+// into app storage and keeps the walkable routing graph built from it, so Route Guardian
+// plans routes on the device without a routing server
+
+import * as DocumentPicker from 'expo-document-picker';
+import { Directory, File, Paths } from 'expo-file-system';
+import { secureStorage } from './secureStorageService';
+import { parseOsmExtract, buildRoutingGraph, getGraphStats } from './routingGraph';
+
+const MAP_DIRECTORY = 'maps';
+const EXTRACT_INFO_KEY = 'map_extract_info';
+const MAX_EXTRACT_BYTES = 30 * 1024 * 1024; // Parsed in memory; a city district is a few MB
+
+let graph = null;
+let graphPromise = null;
+
+const getMapDirectory = () => {
+  const directory = new Directory(Paths.document, MAP_DIRECTORY);
+  if (!directory.exists) {
+    directory.create();
+  }
+  return directory;
+};
+
+const deleteExtractFile = (info) => {
+  const file = new File(getMapDirectory(), info.fileName);
+  if (file.exists) {
+    file.delete();
+  }
+};
+
+/**
+ * @returns {Promise<{name: string, fileName: string, importedAt: string, size: number,
+ *   nodeCount: number, edgeCount: number, bounds: object}|null>} The imported extract, if any
+ */
+export const getMapExtractInfo = async () => {
+  const stored = await secureStorage.getItem(EXTRACT_INFO_KEY);
+  return stored ? JSON.parse(stored) : null;
+};
+
+/**
+ * Lets the user pick an OSM extract (.osm XML or Overpass JSON) and replaces the current one.
+ * @returns {Promise<object|null>} Info about the imported extract, or null if cancelled
+ * @throws {Error} If the file is too large, not an extract, or has no walkable paths
+ */
+export const importMapExtract = async () => {
+  const result = await DocumentPicker.getDocumentAsync({
+    type: '*/*', // .osm files have no registered MIME type on most devices
+    copyToCacheDirectory: true,
+  });
+  if (result.canceled || !result.assets || result.assets.length === 0) {
+    return null;
+  }
+
+  const asset = result.assets[0];
+  const source = new File(asset.uri);
+  if (source.size > MAX_EXTRACT_BYTES) {
+    throw new Error(`Map extract is too large (max ${MAX_EXTRACT_BYTES / 1024 / 1024} MB). Export a smaller area.`);
+  }
+
+  const text = await source.text();
+  const importedGraph = buildRoutingGraph(parseOsmExtract(text));
+  const stats = getGraphStats(importedGraph);
+  if (stats.nodeCount === 0) {
+    throw new Error('The map extract has no walkable streets or paths');
+  }
+
+  const previous = await getMapExtractInfo();
+  const file = new File(getMapDirectory(), `extract-${Date.now()}${text.trimStart().startsWith('{') ? '.json' : '.osm'}`);
+  file.create();
+  file.write(text);
+
+  const info = {
+    name: asset.name,
+    fileName: file.name,
+    importedAt: new Date().toISOString(),
+    size: source.size,
+    ...stats,
+  };
+  await secureStorage.setItem(EXTRACT_INFO_KEY, JSON.stringify(info));
+  if (previous) {
+    deleteExtractFile(previous);
+  }
+
+  graph = importedGraph;
+  graphPromise = null;
+  console.log(`🗺️ Map Data: Imported ${asset.name} (${stats.nodeCount} nodes, ${stats.edgeCount} edges)`);
+  return info;
+};
+
+/**
+ * The routing graph of the imported extract, built on first use.
+ * @returns {Promise<object|null>} Null if no extract has been imported or it cannot be read
+ */
+export const loadRoutingGraph = () => {
+  if (graph) return Promise.resolve(graph);
+  if (!graphPromise) {
+    graphPromise = (async () => {
+      try {
+        const info = await getMapExtractInfo();
+        if (!info) return null;
+        const file = new File(getMapDirectory(), info.fileName);
+        if (!file.exists) {
+          console.warn('Map Data: Extract file is missing');
+          return null;
+        }
+        graph = buildRoutingGraph(parseOsmExtract(await file.text()));
+        return graph;
+      } catch (error) {
+        console.error('Map Data: Could not load the routing graph:', error);
+        return null;
+      } finally {
+        graphPromise = null;
+      }
+    })();
+  }
+  return graphPromise;
+};
+
+export const deleteMapExtract = async () => {
+  const info = await getMapExtractInfo();
+  if (info) {
+    deleteExtractFile(info);
+  }
+  await secureStorage.removeItem(EXTRACT_INFO_KEY);
+  graph = null;
+  graphPromise = null;
+};
+
+export const mapDataService = {
+  getMapExtractInfo,
+  importMapExtract,
+  loadRoutingGraph,
+  deleteMapExtract,
+};
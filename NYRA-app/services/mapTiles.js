@@ -0,0 +1,97 @@
+// Map Tiles - Web Mercator Tile Math
+// Converts between coordinates and the z/x/y tiles used by raster map tile servers, so offline
+// regions know which tiles to download and maps know where to draw them and their markers
+
+export const TILE_SIZE = 256; // Pixels
+
+const METRES_PER_DEGREE_LATITUDE = 111320;
+const MAX_LATITUDE = 85.0511; // Web Mercator stops here
+
+/**
+ * Position of a point in tile units at a zoom level; the integer part is the tile.
+ * @param {{latitude: number, longitude: number}} point
+ * @param {number} zoom
+ * @returns {{x: number, y: number}}
+ */
+export const projectToTile = ({ latitude, longitude }, zoom) => {
+  const scale = 2 ** zoom;
+  const lat = Math.max(-MAX_LATITUDE, Math.min(MAX_LATITUDE, latitude)) * Math.PI / 180;
+  return {
+    x: ((longitude + 180) / 360) * scale,
+    y: ((1 - Math.log(Math.tan(lat) + 1 / Math.cos(lat)) / Math.PI) / 2) * scale,
+  };
+};
+
+/**
+ * North-west corner of a tile.
+ * @returns {{latitude: number, longitude: number}}
+ */
+export const tileToPoint = (x, y, zoom) => {
+  const scale = 2 ** zoom;
+  const n = Math.PI - (2 * Math.PI * y) / scale;
+  return {
+    latitude: (180 / Math.PI) * Math.atan(Math.sinh(n)),
+    longitude: (x / scale) * 360 - 180,
+  };
+};
+
+/**
+ * Box of roughly radiusMeters around a point, in the bounds shape used by routingGraph.
+ */
+export const boundsAround = (center, radiusMeters) => {
+  const latitudeDelta = radiusMeters / METRES_PER_DEGREE_LATITUDE;
+  const longitudeDelta = radiusMeters / (METRES_PER_DEGREE_LATITUDE * Math.cos(center.latitude * Math.PI / 180));
+  return {
+    minLatitude: center.latitude - latitudeDelta,
+    minLongitude: center.longitude - longitudeDelta,
+    maxLatitude: center.latitude + latitudeDelta,
+    maxLongitude: center.longitude + longitudeDelta,
+  };
+};
+
+export const containsPoint = (bounds, { latitude, longitude }) =>
+  latitude >= bounds.minLatitude && latitude <= bounds.maxLatitude &&
+  longitude >= bounds.minLongitude && longitude <= bounds.maxLongitude;
+
+/**
+ * Range of tiles covering bounds at a zoom level, inclusive.
+ * @returns {{minX: number, maxX: number, minY: number, maxY: number}}
+ */
+export const getTileRange = (bounds, zoom) => {
+  // Tile y grows southwards
+  const northWest = projectToTile({ latitude: bounds.maxLatitude, longitude: bounds.minLongitude }, zoom);
+  const southEast = projectToTile({ latitude: bounds.minLatitude, longitude: bounds.maxLongitude }, zoom);
+  const last = 2 ** zoom - 1;
+  return {
+    minX: Math.max(0, Math.floor(northWest.x)),
+    maxX: Math.min(last, Math.floor(southEast.x)),
+    minY: Math.max(0, Math.floor(northWest.y)),
+    maxY: Math.min(last, Math.floor(southEast.y)),
+  };
+};
+
+export const countTiles = (bounds, minZoom, maxZoom) => {
+  let count = 0;
+  for (let zoom = minZoom; zoom <= maxZoom; zoom++) {
+    const range = getTileRange(bounds, zoom);
+    count += (range.maxX - range.minX + 1) * (range.maxY - range.minY + 1);
+  }
+  return count;
+};
+
+/**
+ * Every tile covering bounds from minZoom to maxZoom, lowest zoom first.
+ * @returns {Array<{z: number, x: number, y: number}>}
+ */
+export const listTiles = (bounds, minZoom, maxZoom) => {
+  const tiles = [];
+  for (let zoom = minZoom; zoom <= maxZoom; zoom++) {
+    const range = getTileRange(bounds, zoom);
+    for (let x = range.minX; x <= range.maxX; x++) {
+      for (let y = range.minY; y <= range.maxY; y++) {
+        tiles.push({ z: zoom, x, y });
+      }
+    }
+  }
+  return tiles;
+};
@@ -0,0 +1,196 @@
+// Model Runtime - Pure-JavaScript Inference for Small Exported Models
+// Loads decision trees, (multinomial) logistic regression and small multilayer perceptrons from
+// JSON and evaluates them on a feature object from imuFeatures.extractFeatures
+// No native code or app imports, so models can be checked under plain Node
+
+export const MODEL_FORMAT = 'nyra-har-model';
+export const MODEL_VERSION = 1;
+
+export const MODEL_TYPES = {
+  DECISION_TREE: 'decision_tree',
+  LOGISTIC_REGRESSION: 'logistic_regression',
+  MLP: 'mlp',
+};
+
+const ACTIVATIONS = {
+  relu: (x) => Math.max(0, x),
+  tanh: (x) => Math.tanh(x),
+  sigmoid: (x) => 1 / (1 + Math.exp(-x)),
+  linear: (x) => x,
+};
+
+// --- Maths ---
+
+export const softmax = (values) => {
+  const max = Math.max(...values);
+  const exps = values.map(v => Math.exp(v - max));
+  const total = exps.reduce((a, b) => a + b, 0);
+  return exps.map(v => v / total);
+};
+
+const dot = (weights, inputs) => weights.reduce((sum, w, i) => sum + w * inputs[i], 0);
+
+const isNumberArray = (value, length) =>
+  Array.isArray(value) && value.every(v => typeof v === 'number' && isFinite(v))
+  && (length === undefined || value.length === length);
+
+const isMatrix = (value, rows, columns) =>
+  Array.isArray(value) && value.length === rows && value.every(row => isNumberArray(row, columns));
+
+// --- Validation ---
+
+const validateTree = (model) => {
+  const { nodes } = model;
+  if (!Array.isArray(nodes) || nodes.length === 0) {
+    throw new Error('Decision tree has no nodes');
+  }
+  nodes.forEach((node, index) => {
+    if (node.leaf) {
+      if (!isNumberArray(node.leaf, model.classes.length)) {
+        throw new Error(`Decision tree leaf ${index} must give one probability per class`);
+      }
+      return;
+    }
+    if (!model.features.includes(node.feature) || typeof node.threshold !== 'number'
+      || !Number.isInteger(node.left) || !Number.isInteger(node.right)
+      || node.left <= index || node.right <= index || node.left >= nodes.length || node.right >= nodes.length) {
+      // Children must come after their parent, which also rules out cycles
+      throw new Error(`Decision tree node ${index} is invalid`);
+    }
+  });
+};
+
+const validateLogistic = (model) => {
+  if (!isMatrix(model.weights, model.classes.length, model.features.length)
+    || !isNumberArray(model.bias, model.classes.length)) {
+    throw new Error('Logistic regression needs weights[classes][features] and bias[classes]');
+  }
+};
+
+const validateMlp = (model) => {
+  if (!Array.isArray(model.layers) || model.layers.length === 0) {
+    throw new Error('MLP has no layers');
+  }
+  let inputs = model.features.length;
+  model.layers.forEach((layer, index) => {
+    const outputs = Array.isArray(layer.weights) ? layer.weights.length : 0;
+    if (!isMatrix(layer.weights, outputs, inputs) || !isNumberArray(layer.bias, outputs)) {
+      throw new Error(`MLP layer ${index} has the wrong shape`);
+    }
+    const isLast = index === model.layers.length - 1;
+    if (!isLast && !ACTIVATIONS[layer.activation]) {
+      throw new Error(`MLP layer ${index} has unknown activation ${layer.activation}`);
+    }
+    inputs = outputs;
+  });
+  if (inputs !== model.classes.length) {
+    throw new Error('MLP output layer must have one unit per class');
+  }
+};
+
+// --- Inference ---
+
+const predictTree = (model, values) => {
+  let node = model.nodes[0];
+  while (!node.leaf) {
+    const value = values[model.features.indexOf(node.feature)];
+    node = model.nodes[value <= node.threshold ? node.left : node.right];
+  }
+  // Exporters may store sample counts rather than probabilities
+  const total = node.leaf.reduce((a, b) => a + b, 0);
+  return total > 0 ? node.leaf.map(v => v / total) : node.leaf;
+};
+
+const predictLogistic = (model, values) =>
+  softmax(model.weights.map((row, i) => dot(row, values) + model.bias[i]));
+
+const predictMlp = (model, values) => {
+  let activations = values;
+  model.layers.forEach((layer, index) => {
+    const z = layer.weights.map((row, i) => dot(row, activations) + layer.bias[i]);
+    // The output layer is always turned into class probabilities
+    activations = index === model.layers.length - 1 ? softmax(z) : z.map(ACTIVATIONS[layer.activation]);
+  });
+  return activations;
+};
+
+const PREDICTORS = {
+  [MODEL_TYPES.DECISION_TREE]: predictTree,
+  [MODEL_TYPES.LOGISTIC_REGRESSION]: predictLogistic,
+  [MODEL_TYPES.MLP]: predictMlp,
+};
+
+const VALIDATORS = {
+  [MODEL_TYPES.DECISION_TREE]: validateTree,
+  [MODEL_TYPES.LOGISTIC_REGRESSION]: validateLogistic,
+  [MODEL_TYPES.MLP]: validateMlp,
+};
+
+/**
+ * Checks an exported model and prepares it for inference.
+ * @param {string|object} input - Model JSON or the parsed object
+ * @returns {{name: string, type: string, classes: Array<string>, features: Array<string>,
+ *   windowSize: number, validated: boolean, predict: Function}} predict(features) takes a
+ *   feature object and returns { activity, confidence, probabilities }. validated is only true
+ *   when the file says so, once the model has been checked against labelled traces
+ * @throws {Error} If the model cannot be used
+ */
+export const loadModel = (input) => {
+  const model = typeof input === 'string' ? JSON.parse(input) : input;
+
+  if (!model || model.format !== MODEL_FORMAT) {
+    throw new Error('Not a HAR model file');
+  }
+  if (!Number.isInteger(model.version) || model.version > MODEL_VERSION) {
+    throw new Error(`Unsupported HAR model version: ${model.version}`);
+  }
+  if (!PREDICTORS[model.type]) {
+    throw new Error(`Unsupported HAR model type: ${model.type}`);
+  }
+  if (!Array.isArray(model.classes) || model.classes.length < 2) {
+    throw new Error('HAR model needs at least two classes');
+  }
+  if (!Array.isArray(model.features) || model.features.length === 0) {
+    throw new Error('HAR model lists no input features');
+  }
+  if (model.normalization && (!isNumberArray(model.normalization.mean, model.features.length)
+    || !isNumberArray(model.normalization.std, model.features.length))) {
+    throw new Error('HAR model normalization must give a mean and std per feature');
+  }
+  VALIDATORS[model.type](model);
+
+  const predictProbabilities = PREDICTORS[model.type];
+
+  // Inputs are standardised when the model was trained on standardised features
+  const predict = (features) => {
+    const values = model.features.map((name, i) => {
+      const raw = isFinite(features[name]) ? features[name] : 0;
+      if (!model.normalization) return raw;
+      const std = model.normalization.std[i] || 1;
+      return (raw - model.normalization.mean[i]) / std;
+    });
+    const probabilities = predictProbabilities(model, values);
+
+    let best = 0;
+    probabilities.forEach((p, i) => {
+      if (p > probabilities[best]) best = i;
+    });
+    return { activity: model.classes[best], confidence: probabilities[best], probabilities };
+  };
+
+  return {
+    name: model.name || model.type,
+    type: model.type,
+    classes: model.classes,
+    features: model.features,
+    windowSize: model.windowSize || 25,
+    sampleRateHz: model.sampleRateHz || null,
+    validated: model.validated === true,
+    predict,
+  };
+};
+
+export const modelRuntime = {
+  loadModel,
+  softmax,
+};
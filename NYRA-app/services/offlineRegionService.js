@@ -0,0 +1,375 @@
+// Offline Region Service - Map Tiles and Safety Data for Low-Connectivity Areas
+// Downloads raster map tiles for an area and keeps the safe havens and danger zones found
+// there, so the Safe Haven map and nearest-haven directions keep working with no network.
+// Regions have a size limit and expire, since danger zones and opening hours go stale
+
+import { Directory, File, Paths } from 'expo-file-system';
+import Constants from 'expo-constants';
+import { secureStorage } from './secureStorageService';
+import { boundsAround, containsPoint, countTiles, getTileRange, listTiles } from './mapTiles';
+import { haversineDistance } from './routingGraph';
+
+const REGIONS_KEY = 'offline_regions';
+const PLACES_KEY_PREFIX = 'offline_region_places_';
+const REGION_DIRECTORY = 'offline_regions';
+
+/**
+ * Reads the raster tile server used for downloads from app.json (expo.extra.offlineTiles), e.g.
+ * { "urlTemplate": "https://tiles.example.com/{z}/{x}/{y}.png", "attribution": "© Example" }.
+ * OpenStreetMap's public tile servers forbid bulk downloads, so this must be a provider whose
+ * terms allow offline use (or a self-hosted server). Without one, regions hold safety data only
+ * @param {object} [config] - The offlineTiles entry
+ * @returns {{urlTemplate: string|null, attribution: string|null}}
+ */
+export const resolveTileSource = (config) => {
+  const { urlTemplate, attribution } = config || {};
+  if (!urlTemplate) {
+    return { urlTemplate: null, attribution: null };
+  }
+  const isValid = typeof urlTemplate === 'string' && urlTemplate.startsWith('https://')
+    && ['{z}', '{x}', '{y}'].every(placeholder => urlTemplate.includes(placeholder));
+  if (!isValid) {
+    console.warn('⚠️ Offline regions: offlineTiles.urlTemplate needs https:// and {z}, {x} and {y}; map tiles are disabled');
+    return { urlTemplate: null, attribution: null };
+  }
+  // Shown on the map, as most providers require
+  return { urlTemplate, attribution: attribution || null };
+};
+
+export const TILE_SOURCE = resolveTileSource(Constants.expoConfig?.extra?.offlineTiles);
+
+export const REGION_LIMITS = {
+  MAX_RADIUS_M: 10000,
+  MIN_ZOOM: 12,
+  MAX_ZOOM: 17, // Street level; each extra level is four times the tiles
+  MAX_TILES_PER_REGION: 3000,
+  MAX_STORAGE_BYTES: 150 * 1024 * 1024, // All regions together
+  MAX_REGIONS: 5,
+};
+
+const DEFAULT_MAX_ZOOM = 16;
+const ESTIMATED_TILE_BYTES = 20 * 1024; // Checked against the limit before downloading
+const REGION_TTL_MS = 30 * 24 * 60 * 60 * 1000; // Safety data is refreshed at least monthly
+
+const getRootDirectory = () => {
+  const directory = new Directory(Paths.document, REGION_DIRECTORY);
+  if (!directory.exists) {
+    directory.create();
+  }
+  return directory;
+};
+
+const getRegionDirectory = (regionId) => {
+  const directory = new Directory(getRootDirectory(), regionId);
+  if (!directory.exists) {
+    directory.create();
+  }
+  return directory;
+};
+
+const tileFileName = ({ z, x, y }) => `${z}_${x}_${y}.png`;
+
+const tileUrl = ({ z, x, y }) => TILE_SOURCE.urlTemplate
+  .replace('{z}', z)
+  .replace('{x}', x)
+  .replace('{y}', y);
+
+const isExpired = (region, now = Date.now()) => region.expiresAt <= now;
+
+class OfflineRegionService {
+  constructor() {
+    this.regions = [];
+    this.listeners = [];
+    this.initPromise = null;
+    this.download = null; // { regionId, cancelled } while a download runs
+  }
+
+  /**
+   * Load stored regions and delete expired ones. Memoised.
+   */
+  init() {
+    if (!this.initPromise) {
+      this.initPromise = (async () => {
+        try {
+          const stored = await secureStorage.getItem(REGIONS_KEY);
+          this.regions = stored ? JSON.parse(stored) : [];
+        } catch (error) {
+          console.error('Failed to load offline regions:', error);
+          this.regions = [];
+        }
+        await this.removeExpiredRegions();
+      })();
+    }
+    return this.initPromise;
+  }
+
+  async persist() {
+    try {
+      await secureStorage.setItem(REGIONS_KEY, JSON.stringify(this.regions));
+    } catch (error) {
+      console.error('Failed to save offline regions:', error);
+    }
+  }
+
+  // ====== DOWNLOADS ======
+
+  /**
+   * Checks a region against the limits before anything is downloaded.
+   * @returns {{bounds: object, maxZoom: number, tileCount: number, estimatedBytes: number}}
+   * @throws {Error} With a message for the user if the region is too large
+   */
+  planRegion({ center, radiusMeters, maxZoom = DEFAULT_MAX_ZOOM }) {
+    if (radiusMeters > REGION_LIMITS.MAX_RADIUS_M) {
+      throw new Error(`Offline areas can reach at most ${REGION_LIMITS.MAX_RADIUS_M / 1000} km from their centre.`);
+    }
+    const zoom = Math.min(REGION_LIMITS.MAX_ZOOM, Math.max(REGION_LIMITS.MIN_ZOOM, maxZoom));
+    const bounds = boundsAround(center, radiusMeters);
+    const tileCount = TILE_SOURCE.urlTemplate ? countTiles(bounds, REGION_LIMITS.MIN_ZOOM, zoom) : 0;
+    if (tileCount > REGION_LIMITS.MAX_TILES_PER_REGION) {
+      throw new Error('This area needs too many map tiles. Choose a smaller area or less detail.');
+    }
+
+    const estimatedBytes = tileCount * ESTIMATED_TILE_BYTES;
+    if (this.getUsedBytes() + estimatedBytes > REGION_LIMITS.MAX_STORAGE_BYTES) {
+      throw new Error('Not enough offline map storage left. Delete an offline area first.');
+    }
+    return { bounds, maxZoom: zoom, tileCount, estimatedBytes };
+  }
+
+  /**
+   * Download the map tiles of an area and store its safety data. Replaces an existing region
+   * with the same name.
+   * @param {Object} request
+   * @param {string} request.name - Shown in the list of offline areas
+   * @param {Object} request.center - Coordinates
+   * @param {number} request.radiusMeters
+   * @param {number} [request.maxZoom] - Most detailed zoom level, see REGION_LIMITS
+   * @param {{safeHavens: Array, dangerZones: Array}} request.places - Safety data for the area
+   * @returns {Promise<Object>} The stored region
+   * @throws {Error} If the region breaks a limit, the download was cancelled, or storage ran out
+   */
+  async downloadRegion({ name, center, radiusMeters, maxZoom, places }) {
+    await this.init();
+    if (this.download) {
+      throw new Error('An offline area is already downloading.');
+    }
+    const existing = this.regions.find(region => region.name === name);
+    if (!existing && this.regions.length >= REGION_LIMITS.MAX_REGIONS) {
+      throw new Error(`You can keep up to ${REGION_LIMITS.MAX_REGIONS} offline areas.`);
+    }
+
+    const plan = this.planRegion({ center, radiusMeters, maxZoom });
+    const regionId = `region_${Date.now()}`;
+    this.download = { regionId, cancelled: false };
+
+    try {
+      const tileBytes = await this.downloadTiles(regionId, plan);
+      await secureStorage.setItem(`${PLACES_KEY_PREFIX}${regionId}`, JSON.stringify({
+        safeHavens: places?.safeHavens || [],
+        dangerZones: places?.dangerZones || [],
+      }));
+
+      const now = Date.now();
+      const region = {
+        id: regionId,
+        name,
+        center,
+        radiusMeters,
+        bounds: plan.bounds,
+        minZoom: REGION_LIMITS.MIN_ZOOM,
+        maxZoom: plan.maxZoom,
+        tileCount: plan.tileCount,
+        hasTiles: plan.tileCount > 0,
+        bytes: tileBytes,
+        safeHavenCount: places?.safeHavens?.length || 0,
+        dangerZoneCount: places?.dangerZones?.length || 0,
+        downloadedAt: now,
+        expiresAt: now + REGION_TTL_MS,
+      };
+
+      if (existing) {
+        await this.deleteRegion(existing.id);
+      }
+      this.regions.push(region);
+      await this.persist();
+      console.log(`📦 Offline Regions: Saved ${name} (${plan.tileCount} tiles, ${Math.round(tileBytes / 1024)} KB)`);
+      this.notifyListeners('regionDownloaded', region);
+      return region;
+    } catch (error) {
+      this.removeRegionFiles(regionId);
+      await secureStorage.removeItem(`${PLACES_KEY_PREFIX}${regionId}`);
+      this.notifyListeners('downloadFailed', { regionId, error: error.message });
+      throw error;
+    } finally {
+      this.download = null;
+    }
+  }
+
+  /**
+   * @returns {Promise<number>} Bytes written
+   */
+  async downloadTiles(regionId, plan) {
+    if (plan.tileCount === 0) return 0;
+
+    const directory = getRegionDirectory(regionId);
+    const tiles = listTiles(plan.bounds, REGION_LIMITS.MIN_ZOOM, plan.maxZoom);
+    const usedBytes = this.getUsedBytes();
+    let bytes = 0;
+    let failed = 0;
+
+    for (let i = 0; i < tiles.length; i++) {
+      if (this.download.cancelled) {
+        throw new Error('Download cancelled');
+      }
+      try {
+        const file = await File.downloadFileAsync(tileUrl(tiles[i]), new File(directory, tileFileName(tiles[i])), { idempotent: true });
+        bytes += file.size || 0;
+      } catch (error) {
+        // A missing tile is drawn blank; the rest of the area is still useful
+        failed++;
+      }
+      if (usedBytes + bytes > REGION_LIMITS.MAX_STORAGE_BYTES) {
+        throw new Error('Offline map storage is full. Delete an offline area or choose a smaller one.');
+      }
+      if (failed > tiles.length / 2 && (i >= 20 || i === tiles.length - 1)) {
+        throw new Error('Map tiles could not be downloaded. Check your connection and try again.');
+      }
+      // FRONTEND: Show download progress
+      this.notifyListeners('downloadProgress', { regionId, done: i + 1, total: tiles.length });
+    }
+    return bytes;
+  }
+
+  cancelDownload() {
+    if (this.download) {
+      this.download.cancelled = true;
+    }
+  }
+
+  // ====== STORED REGIONS ======
+
+  async deleteRegion(regionId) {
+    await this.init();
+    this.removeRegionFiles(regionId);
+    await secureStorage.removeItem(`${PLACES_KEY_PREFIX}${regionId}`);
+    this.regions = this.regions.filter(region => region.id !== regionId);
+    await this.persist();
+    this.notifyListeners('regionDeleted', { regionId });
+  }
+
+  removeRegionFiles(regionId) {
+    try {
+      const directory = new Directory(getRootDirectory(), regionId);
+      if (directory.exists) {
+        directory.delete();
+      }
+    } catch (error) {
+      console.error('Failed to delete offline region files:', error);
+    }
+  }
+
+  async removeExpiredRegions() {
+    const expired = this.regions.filter(region => isExpired(region));
+    for (const region of expired) {
+      console.log(`📦 Offline Regions: ${region.name} expired`);
+      this.removeRegionFiles(region.id);
+      await secureStorage.removeItem(`${PLACES_KEY_PREFIX}${region.id}`);
+    }
+    if (expired.length > 0) {
+      this.regions = this.regions.filter(region => !isExpired(region));
+      await this.persist();
+      this.notifyListeners('regionsExpired', { regionIds: expired.map(region => region.id) });
+    }
+  }
+
+  /**
+   * The unexpired region covering a point, if any
+   */
+  findRegion(point) {
+    return this.regions.find(region => !isExpired(region) && containsPoint(region.bounds, point)) || null;
+  }
+
+  /**
+   * Local URI of a downloaded tile, or null if no region has it
+   */
+  getTileUri(z, x, y) {
+    for (const region of this.regions) {
+      if (!region.hasTiles || isExpired(region) || z < region.minZoom || z > region.maxZoom) continue;
+      const range = getTileRange(region.bounds, z);
+      if (x < range.minX || x > range.maxX || y < range.minY || y > range.maxY) continue;
+
+      const file = new File(getRootDirectory(), region.id, tileFileName({ z, x, y }));
+      if (file.exists) return file.uri;
+    }
+    return null;
+  }
+
+  /**
+   * Safe havens and danger zones stored with unexpired regions.
+   * @param {Object} [location] - Only places within radius of here; all places if omitted
+   * @param {number} [radius] - Meters
+   * @returns {Promise<{safeHavens: Array, dangerZones: Array}>}
+   */
+  async getCachedPlaces(location = null, radius = Infinity) {
+    await this.init();
+    const result = { safeHavens: [], dangerZones: [] };
+    const seen = new Set(); // Overlapping regions hold the same places
+    const isNearby = (place) => place.location &&
+      (!location || haversineDistance(location, place.location) <= radius);
+
+    for (const region of this.regions) {
+      if (isExpired(region)) continue;
+      try {
+        const stored = await secureStorage.getItem(`${PLACES_KEY_PREFIX}${region.id}`);
+        const places = stored ? JSON.parse(stored) : { safeHavens: [], dangerZones: [] };
+        ['safeHavens', 'dangerZones'].forEach(key => {
+          places[key].filter(isNearby).forEach(place => {
+            if (seen.has(`${key}:${place.id}`)) return;
+            seen.add(`${key}:${place.id}`);
+            result[key].push({ ...place, offline: true });
+          });
+        });
+      } catch (error) {
+        console.error(`Failed to read offline places for ${region.name}:`, error);
+      }
+    }
+    return result;
+  }
+
+  // ====== UTILITY METHODS ======
+
+  getRegions() {
+    return [...this.regions];
+  }
+
+  getUsedBytes() {
+    return this.regions.reduce((sum, region) => sum + (region.bytes || 0), 0);
+  }
+
+  isDownloading() {
+    return !!this.download;
+  }
+
+  // FRONTEND: Subscribe to service events
+  subscribe(listener) {
+    this.listeners.push(listener);
+    return () => {
+      this.listeners = this.listeners.filter(l => l !== listener);
+    };
+  }
+
+  // FRONTEND: Notify UI components of state changes
+  notifyListeners(eventType, data) {
+    this.listeners.forEach(listener => {
+      try {
+        listener(eventType, data);
+      } catch (error) {
+        console.error('Listener error:', error);
+      }
+    });
+  }
+}
+
+// Export singleton instance
+export const offlineRegionService = new OfflineRegionService();
+export default offlineRegionService;
@@ -0,0 +1,384 @@
+// Outbox Service - Durable Alert Delivery
+// Every outgoing SMS and email alert is written here before it is sent
+// Undelivered recipients are retried with exponential backoff until sent or marked failed
+// The queue lives in encrypted storage so pending alerts survive the app being killed
+
+import { secureStorage } from './secureStorageService';
+import { AppState } from 'react-native';
+
+const STORAGE_KEY = 'alert_outbox';
+const MAX_FINISHED_ITEMS = 100;
+
+const RETRY_CONFIG = {
+  BASE_DELAY: 5000, // First retry after 5 seconds
+  MAX_DELAY: 10 * 60 * 1000, // Never wait more than 10 minutes between attempts
+  MAX_ATTEMPTS: 10, // Roughly 30 minutes of retrying before a recipient is marked failed
+};
+
+export const OUTBOX_STATUS = {
+  PENDING: 'pending',
+  SENT: 'sent',
+  FAILED: 'failed',
+};
+
+/**
+ * @typedef {Object} OutboxRecipient
+ * @property {string} address - Phone number or email address
+ * @property {string|null} name - Contact name, for display
+ * @property {string} status - One of OUTBOX_STATUS
+ * @property {number} attempts - Delivery attempts so far
+ * @property {string|null} lastError - Reason the last attempt failed
+ * @property {number|null} sentAt - Epoch milliseconds of delivery
+ */
+
+/**
+ * A sender delivers one payload to a batch of addresses and reports back per address:
+ *   async (addresses, payload, { isForeground }) => [{ address, success, error, permanent, deferred }]
+ * `permanent` marks a failure that retrying cannot fix (e.g. the user dismissed the composer).
+ * `deferred` means no attempt was made (e.g. a composer needs the app in the foreground)
+ * and does not count against the recipient's attempts.
+ */
+
+class OutboxService {
+  constructor() {
+    this.items = [];
+    this.senders = new Map();
+    this.listeners = [];
+    this.isLoaded = false;
+    this.loadPromise = null;
+    this.saveChain = Promise.resolve();
+    this.isProcessing = false;
+    this.inFlight = new Set();
+    this.retryTimer = null;
+    this.appStateSubscription = null;
+  }
+
+  /**
+   * Load the outbox and resume delivery of anything left pending. Call once on app start.
+   */
+  async init() {
+    await this.load();
+
+    if (!this.appStateSubscription) {
+      this.appStateSubscription = AppState.addEventListener('change', (state) => {
+        if (state === 'active') {
+          this.processDue();
+        }
+      });
+    }
+
+    const pending = this.getPendingItems();
+    if (pending.length > 0) {
+      console.log(`📤 Outbox: Resuming ${pending.length} pending alert(s)`);
+    }
+    await this.processDue();
+  }
+
+  async load() {
+    if (this.isLoaded) return this.items;
+    if (!this.loadPromise) {
+      this.loadPromise = (async () => {
+        try {
+          const stored = await secureStorage.getItem(STORAGE_KEY);
+          this.items = stored ? JSON.parse(stored) : [];
+        } catch (error) {
+          console.error('Failed to load alert outbox:', error);
+          this.items = [];
+        }
+        this.isLoaded = true;
+        return this.items;
+      })();
+    }
+    return this.loadPromise;
+  }
+
+  persist() {
+    this.saveChain = this.saveChain
+      .then(() => secureStorage.setItem(STORAGE_KEY, JSON.stringify(this.items)))
+      .catch(error => console.error('Failed to save alert outbox:', error));
+    return this.saveChain;
+  }
+
+  /**
+   * Register the function that delivers a channel's messages.
+   * @param {string} channel - e.g. 'sms', 'email'
+   * @param {function} sender - See the sender contract above
+   */
+  registerSender(channel, sender) {
+    this.senders.set(channel, sender);
+  }
+
+  /**
+   * Write an alert to the outbox. Nothing is sent until deliver() or processDue() runs.
+   * @param {Object} options
+   * @param {string} options.channel - Registered sender channel
+   * @param {Array<{address: string, name: string}>} options.recipients
+   * @param {Object} options.payload - Whatever the channel's sender needs (message, subject, ...)
+   * @param {string} options.incidentId - Incident this alert belongs to, if any
+   * @returns {Promise<Object>} The stored outbox item
+   */
+  async enqueue({ channel, recipients, payload, incidentId = null }) {
+    await this.load();
+
+    const now = Date.now();
+    const item = {
+      id: `outbox_${now}_${Math.random().toString(36).substr(2, 9)}`,
+      channel,
+      incidentId,
+      payload,
+      status: OUTBOX_STATUS.PENDING,
+      recipients: recipients.map(recipient => ({
+        address: recipient.address,
+        name: recipient.name || null,
+        status: OUTBOX_STATUS.PENDING,
+        attempts: 0,
+        lastError: null,
+        sentAt: null,
+      })),
+      createdAt: now,
+      updatedAt: now,
+      nextAttemptAt: now,
+    };
+
+    this.items.unshift(item);
+    this.trimFinished();
+    await this.persist();
+    this.notifyListeners('itemQueued', item);
+    return item;
+  }
+
+  /**
+   * Attempt delivery of one item right away, regardless of its backoff.
+   * @returns {Promise<Object>} The item after the attempt
+   */
+  async deliver(itemId) {
+    const item = this.getItem(itemId);
+    if (!item || item.status !== OUTBOX_STATUS.PENDING) return item;
+
+    await this.attempt(item);
+    this.scheduleNextRun();
+    return item;
+  }
+
+  /**
+   * Attempt every pending item whose backoff has elapsed.
+   */
+  async processDue() {
+    if (this.isProcessing) return;
+    this.isProcessing = true;
+
+    try {
+      await this.load();
+      const now = Date.now();
+      const due = this.getPendingItems().filter(item => item.nextAttemptAt <= now);
+      for (const item of due) {
+        await this.attempt(item);
+      }
+    } catch (error) {
+      console.error('Outbox: Error processing queue:', error);
+    } finally {
+      this.isProcessing = false;
+      this.scheduleNextRun();
+    }
+  }
+
+  async attempt(item) {
+    const sender = this.senders.get(item.channel);
+    if (!sender) {
+      console.warn(`Outbox: No sender registered for ${item.channel}, will retry later`);
+      item.nextAttemptAt = Date.now() + RETRY_CONFIG.BASE_DELAY;
+      return;
+    }
+
+    const pending = item.recipients.filter(r => r.status === OUTBOX_STATUS.PENDING);
+    if (pending.length === 0 || this.inFlight.has(item.id)) return;
+
+    // Recipients stay pending while in flight, so an attempt cut short by the app being
+    // killed is retried on next start. A duplicate alert is preferable to a missing one.
+    this.inFlight.add(item.id);
+    let results;
+    try {
+      results = await sender(
+        pending.map(r => r.address),
+        item.payload,
+        { isForeground: AppState.currentState === 'active' }
+      );
+    } catch (error) {
+      results = pending.map(r => ({ address: r.address, success: false, error: error.message }));
+    } finally {
+      this.inFlight.delete(item.id);
+    }
+
+    const now = Date.now();
+    for (const recipient of pending) {
+      const result = (results || []).find(r => r.address === recipient.address);
+      if (!result || result.deferred) continue;
+
+      recipient.attempts++;
+      if (result.success) {
+        recipient.status = OUTBOX_STATUS.SENT;
+        recipient.sentAt = now;
+        recipient.lastError = null;
+      } else {
+        recipient.lastError = result.error || 'Delivery failed';
+        if (result.permanent || recipient.attempts >= RETRY_CONFIG.MAX_ATTEMPTS) {
+          recipient.status = OUTBOX_STATUS.FAILED;
+        }
+      }
+    }
+
+    this.updateItemStatus(item, now);
+    await this.persist();
+    this.notifyListeners('itemUpdated', item);
+  }
+
+  updateItemStatus(item, now = Date.now()) {
+    const stillPending = item.recipients.filter(r => r.status === OUTBOX_STATUS.PENDING);
+    item.updatedAt = now;
+
+    if (stillPending.length > 0) {
+      item.status = OUTBOX_STATUS.PENDING;
+      const attempts = Math.max(...stillPending.map(r => r.attempts));
+      item.nextAttemptAt = now + this.getBackoffDelay(attempts);
+    } else if (item.recipients.some(r => r.status === OUTBOX_STATUS.FAILED)) {
+      item.status = OUTBOX_STATUS.FAILED;
+      item.nextAttemptAt = null;
+    } else {
+      item.status = OUTBOX_STATUS.SENT;
+      item.nextAttemptAt = null;
+    }
+  }
+
+  getBackoffDelay(attempts) {
+    if (attempts === 0) return RETRY_CONFIG.BASE_DELAY;
+    return Math.min(RETRY_CONFIG.BASE_DELAY * Math.pow(2, attempts - 1), RETRY_CONFIG.MAX_DELAY);
+  }
+
+  scheduleNextRun() {
+    if (this.retryTimer) {
+      clearTimeout(this.retryTimer);
+      this.retryTimer = null;
+    }
+
+    const pending = this.getPendingItems();
+    if (pending.length === 0) return;
+
+    const nextAt = Math.min(...pending.map(item => item.nextAttemptAt));
+    const delay = Math.max(nextAt - Date.now(), 0);
+    this.retryTimer = setTimeout(() => {
+      this.retryTimer = null;
+      this.processDue();
+    }, delay);
+  }
+
+  /**
+   * Give failed recipients of an item a fresh set of attempts and send now.
+   */
+  async retryItem(itemId) {
+    const item = this.getItem(itemId);
+    if (!item) return null;
+
+    item.recipients.forEach(recipient => {
+      if (recipient.status === OUTBOX_STATUS.FAILED) {
+        recipient.status = OUTBOX_STATUS.PENDING;
+        recipient.attempts = 0;
+      }
+    });
+    this.updateItemStatus(item);
+    item.nextAttemptAt = Date.now();
+    await this.persist();
+    this.notifyListeners('itemUpdated', item);
+
+    return this.deliver(itemId);
+  }
+
+  /**
+   * Stop retrying an item; any recipient not yet reached is marked failed.
+   */
+  async discardItem(itemId) {
+    const item = this.getItem(itemId);
+    if (!item) return null;
+
+    item.recipients.forEach(recipient => {
+      if (recipient.status === OUTBOX_STATUS.PENDING) {
+        recipient.status = OUTBOX_STATUS.FAILED;
+        recipient.lastError = 'Cancelled by user';
+      }
+    });
+    this.updateItemStatus(item);
+    await this.persist();
+    this.scheduleNextRun();
+    this.notifyListeners('itemUpdated', item);
+    return item;
+  }
+
+  /**
+   * Remove a delivered or failed item. Pending items must be discarded first.
+   */
+  async removeItem(itemId) {
+    const item = this.getItem(itemId);
+    if (!item || item.status === OUTBOX_STATUS.PENDING) return false;
+
+    this.items = this.items.filter(i => i.id !== itemId);
+    await this.persist();
+    this.notifyListeners('itemRemoved', item);
+    return true;
+  }
+
+  /**
+   * Remove delivered and failed items. Pending items are kept.
+   */
+  async clearFinished() {
+    this.items = this.items.filter(item => item.status === OUTBOX_STATUS.PENDING);
+    await this.persist();
+    this.notifyListeners('outboxCleared', this.items);
+  }
+
+  trimFinished() {
+    let finishedCount = 0;
+    this.items = this.items.filter(item => {
+      if (item.status === OUTBOX_STATUS.PENDING) return true;
+      finishedCount++;
+      return finishedCount <= MAX_FINISHED_ITEMS;
+    });
+  }
+
+  getItem(itemId) {
+    return this.items.find(item => item.id === itemId) || null;
+  }
+
+  getItems() {
+    return this.items;
+  }
+
+  getPendingItems() {
+    return this.items.filter(item => item.status === OUTBOX_STATUS.PENDING);
+  }
+
+  getItemsForIncident(incidentId) {
+    return this.items.filter(item => item.incidentId === incidentId);
+  }
+
+  // FRONTEND: Subscribe to service events
+  subscribe(listener) {
+    this.listeners.push(listener);
+    return () => {
+      this.listeners = this.listeners.filter(l => l !== listener);
+    };
+  }
+
+  // FRONTEND: Notify UI components of state changes
+  notifyListeners(eventType, data) {
+    this.listeners.forEach(listener => {
+      try {
+        listener(eventType, data);
+      } catch (error) {
+        console.error('Listener error:', error);
+      }
+    });
+  }
+}
+
+// Export singleton instance
+export const outboxService = new OutboxService();
+export default outboxService;
@@ -1,8 +1,9 @@
 // Enhanced Panic Button Service
 // Sophisticated panic button with three-pulse trigger and multiple activation methods
 
-import AsyncStorage from '@react-native-async-storage/async-storage';
+import { secureStorage } from './secureStorageService';
 import { DeviceEventEmitter, Alert } from 'react-native';
+import { alertService, INCIDENT_SOURCES } from './alertService';
 
 class PanicButtonService {
   static instance = null;
@@ -17,6 +18,8 @@ class PanicButtonService {
     this.hapticEnabled = true;
     this.soundEnabled = true;
     this.listeners = new Map();
+    this.pendingIncidentId = null; // Incident waiting on the confirmation countdown
+    this.activeIncidentId = null; // Incident dispatched by the last activation
     
     // Configuration
     this.config = {
@@ -25,6 +28,7 @@ class PanicButtonService {
       requiredPulses: 3, // Number of pulses needed
       confirmationDelay: 5000, // Delay before activation (ms)
       escalationLevels: ['silent', 'local', 'full'], // Alert escalation
+      escalationLevel: 'full', // Where the escalation ladder starts for panic alerts
       volumeButtonSequence: ['up', 'down', 'up'] // Volume button sequence
     };
     
@@ -72,7 +76,7 @@ class PanicButtonService {
   
   async loadSettings() {
     try {
-      const settings = await AsyncStorage.getItem('panicButtonSettings');
+      const settings = await secureStorage.getItem('panicButtonSettings');
       if (settings) {
         const parsed = JSON.parse(settings);
         this.config = { ...this.config, ...parsed };
@@ -84,7 +88,7 @@ class PanicButtonService {
   
   async saveSettings() {
     try {
-      await AsyncStorage.setItem('panicButtonSettings', JSON.stringify(this.config));
+      await secureStorage.setItem('panicButtonSettings', JSON.stringify(this.config));
     } catch (error) {
       console.error('Failed to save panic button settings:', error);
     }
@@ -147,6 +151,14 @@ class PanicButtonService {
   async triggerPanicAlert(method) {
     this.emit('panicTriggered', { method, timestamp: Date.now() });
     
+    // Record the pending incident so a cancelled countdown still appears in history
+    const pendingIncident = await alertService.openCountdown({
+      source: INCIDENT_SOURCES.PANIC_BUTTON,
+      severity: 'critical',
+      details: { method }
+    });
+    this.pendingIncidentId = pendingIncident.id;
+    
     // Start confirmation countdown
     let confirmationCounter = this.config.confirmationDelay / 1000;
     
@@ -184,27 +196,26 @@ class PanicButtonService {
     const emergencyData = {
       method,
       timestamp: Date.now(),
-      location: null, // TODO: Get current location
-      escalationLevel: this.config.escalationLevels[2] // Full alert by default
+      location: null,
+      escalationLevel: this.config.escalationLevels.includes(this.config.escalationLevel)
+        ? this.config.escalationLevel
+        : this.config.escalationLevels[2] // Full alert by default
     };
     
-    // TODO: Integrate with other safety services
     try {
-      // Activate evidence recording
-      // const evidenceService = require('./evidenceCaptureService').default.getInstance();
-      // await evidenceService.startEmergencyRecording();
-      
-      // Send alerts to emergency contacts
-      // const alertService = require('./alertService').default.getInstance();
-      // await alertService.triggerEmergencyAlert(emergencyData);
-      
-      // Start location tracking
-      // const locationService = require('./locationService').default.getInstance();
-      // await locationService.startEmergencyTracking();
+      // SMS, email, community help and evidence capture all go through the dispatcher
+      const dispatch = await alertService.dispatchIncident({
+        source: INCIDENT_SOURCES.PANIC_BUTTON,
+        severity: 'critical',
+        incidentId: this.pendingIncidentId,
+        escalationLevel: emergencyData.escalationLevel,
+        details: { method, escalationLevel: emergencyData.escalationLevel }
+      });
+      this.pendingIncidentId = null;
+      this.activeIncidentId = dispatch.incident.id;
       
-      // Activate community response
-      // const communityService = require('./communityResponseService').default.getInstance();
-      // await communityService.sendEmergencyBroadcast(emergencyData);
+      emergencyData.incidentId = dispatch.incident.id;
+      emergencyData.location = dispatch.incident.location;
       
       this.emit('emergencyActivated', emergencyData);
       
@@ -215,6 +226,8 @@ class PanicButtonService {
   }
   
   cancelPanicAlert(method) {
+    alertService.cancelCountdown(this.pendingIncidentId);
+    this.pendingIncidentId = null;
     this.pulseCount = 0;
     if (this.pulseTimeout) {
       clearTimeout(this.pulseTimeout);
@@ -229,6 +242,14 @@ class PanicButtonService {
     this.pulseCount = 0;
     
     // TODO: Stop all emergency services
+    if (this.activeIncidentId) {
+      try {
+        await alertService.resolveIncident(this.activeIncidentId, { note: 'Panic alert deactivated' });
+      } catch (error) {
+        console.error('Failed to resolve panic incident:', error);
+      }
+      this.activeIncidentId = null;
+    }
     this.emit('emergencyDeactivated', { timestamp: Date.now() });
   }
   
@@ -333,7 +354,7 @@ class PanicButtonService {
       // await analyticsService.logEvent('panic_button_event', logEntry);
       
       // Store locally for offline analysis
-      const logs = await AsyncStorage.getItem('panicButtonLogs') || '[]';
+      const logs = await secureStorage.getItem('panicButtonLogs') || '[]';
       const parsedLogs = JSON.parse(logs);
       parsedLogs.push(logEntry);
       
@@ -342,7 +363,7 @@ class PanicButtonService {
         parsedLogs.splice(0, parsedLogs.length - 100);
       }
       
-      await AsyncStorage.setItem('panicButtonLogs', JSON.stringify(parsedLogs));
+      await secureStorage.setItem('panicButtonLogs', JSON.stringify(parsedLogs));
     } catch (error) {
       console.error('Failed to log panic event:', error);
     }
@@ -97,8 +97,58 @@ const ensureSMSPermission = async () => {
     return await requestSMSPermission();
 };
 
+/**
+ * Checks if permission to read incoming SMS replies is granted
+ * @returns {Promise<boolean>} True if permission is granted
+ */
+const checkReceiveSMSPermission = async () => {
+    if (Platform.OS !== 'android') {
+        return false; // Incoming SMS cannot be read on iOS
+    }
+
+    try {
+        return await PermissionsAndroid.check(PermissionsAndroid.PERMISSIONS.RECEIVE_SMS);
+    } catch (error) {
+        console.error('❌ Permissions Service: Error checking receive SMS permission:', error);
+        return false;
+    }
+};
+
+/**
+ * Ensures permission to read incoming SMS replies, requesting if necessary.
+ * Unlike sending, a refusal here is not critical, so no settings prompt is shown.
+ * @returns {Promise<boolean>} True if permission is granted
+ */
+const ensureReceiveSMSPermission = async () => {
+    if (await checkReceiveSMSPermission()) {
+        return true;
+    }
+    if (Platform.OS !== 'android') {
+        return false;
+    }
+
+    try {
+        const granted = await PermissionsAndroid.request(
+            PermissionsAndroid.PERMISSIONS.RECEIVE_SMS,
+            {
+                title: 'Read Contact Replies',
+                message: 'NYRA can read SMS replies from your emergency contacts so you know when help is on the way.',
+                buttonNegative: 'Not Now',
+                buttonPositive: 'Allow',
+            }
+        );
+        console.log('🔐 Permissions Service: Receive SMS permission result:', granted);
+        return granted === PermissionsAndroid.RESULTS.GRANTED;
+    } catch (error) {
+        console.error('❌ Permissions Service: Error requesting receive SMS permission:', error);
+        return false;
+    }
+};
+
 export const permissionsService = {
     checkSMSPermission,
     requestSMSPermission,
     ensureSMSPermission,
+    checkReceiveSMSPermission,
+    ensureReceiveSMSPermission,
 };
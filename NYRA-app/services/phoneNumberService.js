@@ -0,0 +1,229 @@
+// Phone Number Service - E.164 Normalisation
+// Converts numbers typed or imported in local formats ("07700 900123", "(555) 123-4567") to
+// E.164 ("+447700900123") using a default country, so saved contacts can still be reached
+// when the user is travelling. Numbers whose meaning depends on that assumption are flagged
+
+const FALLBACK_COUNTRY = 'US';
+
+/**
+ * Dialling rules per country (ISO 3166-1 alpha-2).
+ * - callingCode: country calling code without '+'
+ * - trunkPrefix: digit dialled before national numbers, removed in E.164. Empty where a
+ *   leading 0 is part of the number itself (Italy)
+ * - nationalLengths: allowed lengths of the national significant number
+ * - internationalPrefix: what local phones dial before a country code instead of '+'
+ */
+export const COUNTRIES = {
+  US: { name: 'United States', callingCode: '1', trunkPrefix: '1', nationalLengths: [10], internationalPrefix: '011' },
+  CA: { name: 'Canada', callingCode: '1', trunkPrefix: '1', nationalLengths: [10], internationalPrefix: '011' },
+  GB: { name: 'United Kingdom', callingCode: '44', trunkPrefix: '0', nationalLengths: [9, 10], internationalPrefix: '00' },
+  IE: { name: 'Ireland', callingCode: '353', trunkPrefix: '0', nationalLengths: [7, 8, 9], internationalPrefix: '00' },
+  IN: { name: 'India', callingCode: '91', trunkPrefix: '0', nationalLengths: [10], internationalPrefix: '00' },
+  PK: { name: 'Pakistan', callingCode: '92', trunkPrefix: '0', nationalLengths: [9, 10], internationalPrefix: '00' },
+  BD: { name: 'Bangladesh', callingCode: '880', trunkPrefix: '0', nationalLengths: [8, 9, 10], internationalPrefix: '00' },
+  AU: { name: 'Australia', callingCode: '61', trunkPrefix: '0', nationalLengths: [9], internationalPrefix: '0011' },
+  NZ: { name: 'New Zealand', callingCode: '64', trunkPrefix: '0', nationalLengths: [8, 9, 10], internationalPrefix: '00' },
+  DE: { name: 'Germany', callingCode: '49', trunkPrefix: '0', nationalLengths: [6, 7, 8, 9, 10, 11, 12, 13], internationalPrefix: '00' },
+  FR: { name: 'France', callingCode: '33', trunkPrefix: '0', nationalLengths: [9], internationalPrefix: '00' },
+  ES: { name: 'Spain', callingCode: '34', trunkPrefix: '', nationalLengths: [9], internationalPrefix: '00' },
+  IT: { name: 'Italy', callingCode: '39', trunkPrefix: '', nationalLengths: [6, 7, 8, 9, 10, 11], internationalPrefix: '00' },
+  NL: { name: 'Netherlands', callingCode: '31', trunkPrefix: '0', nationalLengths: [9], internationalPrefix: '00' },
+  ZA: { name: 'South Africa', callingCode: '27', trunkPrefix: '0', nationalLengths: [9], internationalPrefix: '00' },
+  NG: { name: 'Nigeria', callingCode: '234', trunkPrefix: '0', nationalLengths: [8, 10], internationalPrefix: '009' },
+  KE: { name: 'Kenya', callingCode: '254', trunkPrefix: '0', nationalLengths: [9], internationalPrefix: '000' },
+  AE: { name: 'United Arab Emirates', callingCode: '971', trunkPrefix: '0', nationalLengths: [8, 9], internationalPrefix: '00' },
+  SG: { name: 'Singapore', callingCode: '65', trunkPrefix: '', nationalLengths: [8], internationalPrefix: '000' },
+  PH: { name: 'Philippines', callingCode: '63', trunkPrefix: '0', nationalLengths: [8, 9, 10], internationalPrefix: '00' },
+  JP: { name: 'Japan', callingCode: '81', trunkPrefix: '0', nationalLengths: [9, 10], internationalPrefix: '010' },
+  CN: { name: 'China', callingCode: '86', trunkPrefix: '0', nationalLengths: [10, 11], internationalPrefix: '00' },
+  BR: { name: 'Brazil', callingCode: '55', trunkPrefix: '0', nationalLengths: [10, 11], internationalPrefix: '00' },
+  MX: { name: 'Mexico', callingCode: '52', trunkPrefix: '', nationalLengths: [10], internationalPrefix: '00' },
+};
+
+export const PHONE_WARNINGS = {
+  ASSUMED_COUNTRY: 'assumed_country',
+  MISSING_PLUS: 'missing_plus',
+  EXTENSION_DROPPED: 'extension_dropped',
+  UNKNOWN_COUNTRY_CODE: 'unknown_country_code',
+};
+
+// Longest codes first so '353' is matched before '35'
+const CALLING_CODES = [...new Set(Object.values(COUNTRIES).map(c => c.callingCode))]
+  .sort((a, b) => b.length - a.length);
+
+const E164_MIN_DIGITS = 8;
+const E164_MAX_DIGITS = 15;
+
+const getCountry = (code) => COUNTRIES[code] || COUNTRIES[FALLBACK_COUNTRY];
+
+/**
+ * Region of the device locale (e.g. 'en-IN' gives 'IN'), if it is a supported country.
+ * @returns {string|null}
+ */
+export const getDeviceCountry = () => {
+  try {
+    const locale = Intl.DateTimeFormat().resolvedOptions().locale || '';
+    const region = locale.split(/[-_]/).find((part, index) => index > 0 && /^[A-Z]{2}$/.test(part));
+    return region && COUNTRIES[region] ? region : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * The country used for numbers entered without a country code.
+ * @param {object} settings - App settings; defaultCountry null means "use the device region"
+ * @returns {string} ISO country code
+ */
+export const resolveDefaultCountry = (settings) => {
+  const configured = settings && settings.defaultCountry;
+  if (configured && COUNTRIES[configured]) return configured;
+  return getDeviceCountry() || FALLBACK_COUNTRY;
+};
+
+const countriesForCallingCode = (callingCode) =>
+  Object.keys(COUNTRIES).filter(code => COUNTRIES[code].callingCode === callingCode);
+
+// Splits international digits into calling code and national number, if the code is known
+const splitCallingCode = (digits) => {
+  const callingCode = CALLING_CODES.find(code => digits.startsWith(code));
+  return callingCode ? { callingCode, national: digits.slice(callingCode.length) } : null;
+};
+
+const isValidNationalLength = (callingCode, national) =>
+  countriesForCallingCode(callingCode).some(code => COUNTRIES[code].nationalLengths.includes(national.length));
+
+/**
+ * Checks an international number (digits after '+'). Unknown calling codes are accepted when
+ * the length is plausible, since the table only covers common countries. No calling code
+ * starts with 0, so those numbers are always invalid.
+ */
+const buildInternational = (digits, warnings) => {
+  const split = splitCallingCode(digits);
+  if (!split) {
+    warnings.push(PHONE_WARNINGS.UNKNOWN_COUNTRY_CODE);
+    return {
+      e164: `+${digits}`,
+      valid: !digits.startsWith('0') && digits.length >= E164_MIN_DIGITS && digits.length <= E164_MAX_DIGITS,
+      country: null,
+    };
+  }
+
+  // "+44 (0)20..." is common in signatures; the trunk 0 does not belong after the code
+  let national = split.national;
+  const countries = countriesForCallingCode(split.callingCode);
+  if (COUNTRIES[countries[0]].trunkPrefix === '0' && national.startsWith('0')) {
+    national = national.slice(1);
+  }
+
+  return {
+    e164: `+${split.callingCode}${national}`,
+    valid: isValidNationalLength(split.callingCode, national),
+    country: countries.length === 1 ? countries[0] : null,
+  };
+};
+
+/**
+ * Converts a phone number to E.164.
+ * @param {string} input - Number as typed or imported
+ * @param {string} defaultCountry - ISO code used when the number has no country code
+ * @returns {{e164: string|null, valid: boolean, country: string|null, warnings: Array<string>}}
+ *   e164 is null when the input has no digits; warnings are PHONE_WARNINGS values
+ */
+export const normalizePhoneNumber = (input, defaultCountry = FALLBACK_COUNTRY) => {
+  const warnings = [];
+  if (!input || typeof input !== 'string') {
+    return { e164: null, valid: false, country: null, warnings };
+  }
+
+  let text = input.trim().replace(/^tel:/i, '');
+
+  // Extensions cannot be dialled by SMS, so they are dropped
+  const extension = text.match(/\s*(?:ext\.?|extension|x|#)\s*\d+\s*$/i);
+  if (extension) {
+    text = text.slice(0, extension.index);
+    warnings.push(PHONE_WARNINGS.EXTENSION_DROPPED);
+  }
+
+  text = text.replace(/\(0\)/g, '');
+  const hasPlus = text.startsWith('+');
+  const digits = text.replace(/\D/g, '');
+  if (!digits) {
+    return { e164: null, valid: false, country: null, warnings };
+  }
+
+  if (hasPlus) {
+    return { ...buildInternational(digits, warnings), warnings };
+  }
+
+  const country = getCountry(defaultCountry);
+  const countryCode = COUNTRIES[defaultCountry] ? defaultCountry : FALLBACK_COUNTRY;
+
+  // Dialled with the local international prefix ("0044...", "011 44...")
+  const internationalPrefixes = [country.internationalPrefix, '00'].filter(Boolean);
+  const prefix = internationalPrefixes.find(p => digits.startsWith(p) && digits.length - p.length >= E164_MIN_DIGITS);
+  if (prefix) {
+    return { ...buildInternational(digits.slice(prefix.length), warnings), warnings };
+  }
+
+  // National format: strip the trunk prefix. National numbers never start with 0 where it is
+  // the trunk prefix; the NANP trunk 1 is only stripped from 11-digit numbers
+  let national = digits;
+  if (country.trunkPrefix && national.startsWith(country.trunkPrefix)
+    && (country.trunkPrefix === '0' || !country.nationalLengths.includes(national.length))) {
+    national = national.slice(country.trunkPrefix.length);
+  }
+
+  if (country.nationalLengths.includes(national.length)) {
+    warnings.push(PHONE_WARNINGS.ASSUMED_COUNTRY);
+    // Digits that also read as a complete international number are genuinely ambiguous
+    const asInternational = splitCallingCode(digits);
+    if (asInternational && asInternational.callingCode !== country.callingCode
+      && isValidNationalLength(asInternational.callingCode, asInternational.national)) {
+      warnings.push(PHONE_WARNINGS.MISSING_PLUS);
+    }
+    return { e164: `+${country.callingCode}${national}`, valid: true, country: countryCode, warnings };
+  }
+
+  // Not a local number; perhaps an international number typed without the '+'
+  const international = buildInternational(digits, []);
+  if (international.valid && international.country) {
+    warnings.push(PHONE_WARNINGS.MISSING_PLUS);
+    return { ...international, warnings };
+  }
+
+  return { e164: `+${country.callingCode}${national}`, valid: false, country: countryCode, warnings };
+};
+
+/**
+ * Human-readable explanation of a normalisation warning.
+ * @param {string} warning - One of PHONE_WARNINGS
+ * @param {object} result - Return value of normalizePhoneNumber
+ */
+export const describePhoneWarning = (warning, result) => {
+  const countryName = result.country && COUNTRIES[result.country] ? COUNTRIES[result.country].name : 'an unknown country';
+  switch (warning) {
+    case PHONE_WARNINGS.ASSUMED_COUNTRY:
+      return `No country code; saved as a ${countryName} number (${result.e164}).`;
+    case PHONE_WARNINGS.MISSING_PLUS:
+      return `This could also be an international number without '+'. Saved as ${result.e164}.`;
+    case PHONE_WARNINGS.EXTENSION_DROPPED:
+      return 'The extension was removed, since it cannot be reached by SMS.';
+    case PHONE_WARNINGS.UNKNOWN_COUNTRY_CODE:
+      return `The country code of ${result.e164} could not be checked.`;
+    default:
+      return warning;
+  }
+};
+
+// Warnings worth asking the user about; an assumed country alone is the normal case
+export const isAmbiguous = (result) =>
+  result.warnings.some(w => w === PHONE_WARNINGS.MISSING_PLUS || w === PHONE_WARNINGS.UNKNOWN_COUNTRY_CODE);
+
+export const phoneNumberService = {
+  normalizePhoneNumber,
+  resolveDefaultCountry,
+  getDeviceCountry,
+  describePhoneWarning,
+  isAmbiguous,
+};
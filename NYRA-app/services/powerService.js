@@ -0,0 +1,269 @@
+// Power Service - Battery-Aware Adaptive Sampling
+// Chooses sensor, location, route and safe haven update rates from what the user is doing:
+// slower while the phone lies still, full rate when moving, fastest during an incident.
+// A low battery stretches location-based intervals, never sensor rates or an incident's rates.
+// Motion sensors stay at 10 Hz in every mode: fall detection and the activity classifiers are
+// tuned for it, and a sitting user can still fall
+
+import * as Battery from 'expo-battery';
+import { loadSettings } from './storageService';
+import { sensorService } from './sensorService';
+import { locationService } from './locationService';
+import { subscribeToActivity, getLatestActivity } from './harModelService';
+import { ACTIVITIES } from './harClassifiers';
+import { incidentService } from './incidentService';
+import { routeGuardianService } from './routeGuardianService';
+import { safeHavenService } from './safeHavenService';
+
+export const POWER_MODES = {
+  STATIONARY: 'stationary',
+  MOVING: 'moving',
+  INCIDENT: 'incident',
+};
+
+export const BATTERY_TIERS = {
+  NORMAL: 'normal',
+  LOW: 'low',
+  CRITICAL: 'critical',
+};
+
+// Moving is also what runs with adaptive sampling off, and matches the earlier fixed rates
+export const SAMPLING_PROFILES = {
+  [POWER_MODES.STATIONARY]: {
+    sensorIntervalMs: 100,
+    locationIntervalMs: 30000,
+    locationDistanceM: 25,
+    routeCheckMs: 60000,
+    havenUpdateMs: 600000,
+  },
+  [POWER_MODES.MOVING]: {
+    sensorIntervalMs: 100,
+    locationIntervalMs: 10000,
+    locationDistanceM: 10,
+    routeCheckMs: 30000,
+    havenUpdateMs: 300000,
+  },
+  [POWER_MODES.INCIDENT]: {
+    sensorIntervalMs: 100,
+    locationIntervalMs: 5000,
+    locationDistanceM: 5,
+    routeCheckMs: 15000,
+    havenUpdateMs: 120000,
+  },
+};
+
+const BATTERY_STRETCH = {
+  [BATTERY_TIERS.NORMAL]: 1,
+  [BATTERY_TIERS.LOW]: 1.5,
+  [BATTERY_TIERS.CRITICAL]: 2,
+};
+const LOW_BATTERY_LEVEL = 0.2;
+const CRITICAL_BATTERY_LEVEL = 0.1;
+
+// Only a phone lying still or a user sitting still; a standing user can still fall
+const STATIONARY_ACTIVITIES = [ACTIVITIES.IDLE];
+const STATIONARY_AFTER_MS = 60000; // Still for this long before rates drop
+
+// Rough drain on a typical phone, in % of battery per hour, for the impact estimates
+const SENSOR_COST_PER_HZ = 0.12; // Accelerometer, gyroscope and on-device classification
+const GPS_COST_PER_FIX = 0.01;
+const GPS_BASE_COST = 0.5; // Keeping location services on at all
+
+/**
+ * Rates for a power mode after applying the battery tier.
+ * @param {string} mode - One of POWER_MODES
+ * @param {string} batteryTier - One of BATTERY_TIERS
+ */
+export const samplingRatesFor = (mode, batteryTier) => {
+  const profile = SAMPLING_PROFILES[mode];
+  const stretch = mode === POWER_MODES.INCIDENT ? 1 : BATTERY_STRETCH[batteryTier];
+  return {
+    ...profile,
+    locationIntervalMs: Math.round(profile.locationIntervalMs * stretch),
+    routeCheckMs: Math.round(profile.routeCheckMs * stretch),
+    havenUpdateMs: Math.round(profile.havenUpdateMs * stretch),
+  };
+};
+
+/**
+ * Estimated battery drain of protection (sensors and location tracking) at the given rates.
+ * @returns {number} Percent of a full battery per hour, to one decimal
+ */
+export const estimateBatteryImpact = (rates) => {
+  const sensorHz = 1000 / rates.sensorIntervalMs;
+  const fixesPerHour = 3600000 / rates.locationIntervalMs;
+  const impact = sensorHz * SENSOR_COST_PER_HZ + GPS_BASE_COST + fixesPerHour * GPS_COST_PER_FIX;
+  return Math.round(impact * 10) / 10;
+};
+
+const isCharging = (batteryState) =>
+  batteryState === Battery.BatteryState.CHARGING || batteryState === Battery.BatteryState.FULL;
+
+export const batteryTierFor = ({ level, charging, lowPowerMode }) => {
+  if (charging || level === null || level < 0) return BATTERY_TIERS.NORMAL; // -1 when unknown
+  if (level <= CRITICAL_BATTERY_LEVEL) return BATTERY_TIERS.CRITICAL;
+  if (level <= LOW_BATTERY_LEVEL || lowPowerMode) return BATTERY_TIERS.LOW;
+  return BATTERY_TIERS.NORMAL;
+};
+
+class PowerService {
+  constructor() {
+    this.adaptiveSampling = true;
+    this.battery = { level: null, charging: false, lowPowerMode: false };
+    this.mode = POWER_MODES.MOVING;
+    this.batteryTier = BATTERY_TIERS.NORMAL;
+    this.rates = SAMPLING_PROFILES[POWER_MODES.MOVING];
+    this.stationarySince = null;
+    this.listeners = [];
+    this.initPromise = null;
+  }
+
+  /**
+   * Read the battery and start following activity and incidents. Safe to call repeatedly.
+   */
+  init() {
+    if (!this.initPromise) {
+      this.initPromise = (async () => {
+        try {
+          const settings = await loadSettings();
+          this.adaptiveSampling = settings.adaptiveSampling !== false;
+        } catch (error) {
+          console.error('Power: Could not load settings:', error);
+        }
+        await this.readBattery();
+        await incidentService.load();
+
+        Battery.addBatteryLevelListener(({ batteryLevel }) => this.updateBattery({ level: batteryLevel }));
+        Battery.addBatteryStateListener(({ batteryState }) => this.updateBattery({ charging: isCharging(batteryState) }));
+        Battery.addLowPowerModeListener(({ lowPowerMode }) => this.updateBattery({ lowPowerMode }));
+        subscribeToActivity(state => this.handleActivity(state));
+        incidentService.subscribe(() => this.update());
+
+        this.handleActivity(getLatestActivity());
+      })();
+    }
+    return this.initPromise;
+  }
+
+  async readBattery() {
+    try {
+      const [level, state, lowPowerMode] = await Promise.all([
+        Battery.getBatteryLevelAsync(),
+        Battery.getBatteryStateAsync(),
+        Battery.isLowPowerModeEnabledAsync(),
+      ]);
+      this.battery = {
+        level,
+        charging: isCharging(state),
+        lowPowerMode,
+      };
+    } catch (error) {
+      console.warn('Power: Battery status unavailable:', error.message);
+    }
+  }
+
+  updateBattery(changes) {
+    this.battery = { ...this.battery, ...changes };
+    this.update();
+    this.notifyListeners('batteryChanged', this.getStatus());
+  }
+
+  handleActivity(state) {
+    const isStationary = state.isProtectionActive && STATIONARY_ACTIVITIES.includes(state.name);
+    if (!isStationary) {
+      this.stationarySince = null;
+    } else if (!this.stationarySince) {
+      this.stationarySince = Date.now();
+    }
+    this.update();
+  }
+
+  /**
+   * Re-evaluates the mode and applies new rates when the mode or battery tier changed.
+   */
+  update() {
+    const now = Date.now();
+    let mode = POWER_MODES.MOVING;
+    if (incidentService.getActiveIncident()) {
+      // Applies with adaptive sampling off too: contacts need the freshest location
+      mode = POWER_MODES.INCIDENT;
+    } else if (this.adaptiveSampling && this.stationarySince && now - this.stationarySince >= STATIONARY_AFTER_MS) {
+      mode = POWER_MODES.STATIONARY;
+    }
+    const batteryTier = this.adaptiveSampling ? batteryTierFor(this.battery) : BATTERY_TIERS.NORMAL;
+
+    if (mode === this.mode && batteryTier === this.batteryTier) return;
+    this.mode = mode;
+    this.batteryTier = batteryTier;
+    this.rates = samplingRatesFor(mode, batteryTier);
+    this.applyRates();
+    console.log(`🔋 Power: ${mode} mode, ${batteryTier} battery`);
+    this.notifyListeners('samplingChanged', this.getStatus());
+  }
+
+  applyRates() {
+    sensorService.setUpdateInterval(this.rates.sensorIntervalMs);
+    locationService.setUpdateOptions({
+      timeInterval: this.rates.locationIntervalMs,
+      distanceInterval: this.rates.locationDistanceM,
+    });
+    routeGuardianService.setTrackingInterval(this.rates.routeCheckMs);
+    safeHavenService.setAutoUpdateInterval(this.rates.havenUpdateMs);
+  }
+
+  async setAdaptiveSampling(enabled) {
+    await this.init();
+    this.adaptiveSampling = enabled;
+    this.update();
+    this.notifyListeners('settingsChanged', this.getStatus());
+  }
+
+  /**
+   * @returns {{mode: string, batteryTier: string, battery: object, adaptiveSampling: boolean,
+   *   rates: object, estimatedImpact: number}}
+   */
+  getStatus() {
+    return {
+      mode: this.mode,
+      batteryTier: this.batteryTier,
+      battery: { ...this.battery },
+      adaptiveSampling: this.adaptiveSampling,
+      rates: { ...this.rates },
+      estimatedImpact: estimateBatteryImpact(this.rates),
+    };
+  }
+
+  /**
+   * Rates and estimated drain of every mode at the current battery tier, for settings.
+   * @returns {Array<{mode: string, rates: object, estimatedImpact: number}>}
+   */
+  getModeEstimates() {
+    return Object.values(POWER_MODES).map(mode => {
+      const rates = samplingRatesFor(mode, this.batteryTier);
+      return { mode, rates, estimatedImpact: estimateBatteryImpact(rates) };
+    });
+  }
+
+  // FRONTEND: Subscribe to service events
+  subscribe(listener) {
+    this.listeners.push(listener);
+    return () => {
+      this.listeners = this.listeners.filter(l => l !== listener);
+    };
+  }
+
+  // FRONTEND: Notify UI components of state changes
+  notifyListeners(eventType, data) {
+    this.listeners.forEach(listener => {
+      try {
+        listener(eventType, data);
+      } catch (error) {
+        console.error('Listener error:', error);
+      }
+    });
+  }
+}
+
+// Export singleton instance
+export const powerService = new PowerService();
+export default powerService;
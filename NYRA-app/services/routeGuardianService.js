@@ -2,15 +2,37 @@
 // Proactively analyzes routes for safety risks using historical data and crowd-sourced reports
 // Handles both frontend UI state and backend API calls for route analysis
 
-import AsyncStorage from '@react-native-async-storage/async-storage';
+import { secureStorage } from './secureStorageService';
 import { locationService } from './locationService';
 import { alertService } from './alertService';
+import { etaWatchdogService } from './etaWatchdogService';
+import { safeHavenService } from './safeHavenService';
+import { loadRoutingGraph } from './mapDataService';
+import { planRoute, measureAgainstPolyline, WALKING_SPEED_MPS } from './routingGraph';
+import { ROUTE_PROFILES, buildSafetyContext, createEdgeCost, scoreRoute } from './routeSafety';
+
+export const ROUTE_SOURCES = {
+  MAP: 'map', // Planned on the imported OpenStreetMap extract
+  STRAIGHT_LINE: 'straight_line', // No extract covers the trip; distance and ETA are estimates
+};
+
+const ROUTE_CORRIDOR_M = 50; // Further than this from the planned route is a deviation
+const MAX_ACCURACY_ALLOWANCE_M = 50; // A poor GPS fix widens the corridor by its accuracy, up to this
+const STRAIGHT_LINE_DETOUR = 1.3; // Typical ratio of walking distance to straight-line distance
+const SAFETY_SEARCH_MARGIN_M = 1000; // Danger zones and havens this far beyond the trip count
+
+// Locations from expo-location keep their coordinates under coords
+const toCoordinates = (location) => {
+  const { latitude, longitude } = location.coords || location;
+  return { latitude, longitude };
+};
 
 class RouteGuardianService {
   constructor() {
     this.isActive = false;
     this.currentRoute = null;
     this.trackingInterval = null;
+    this.trackingIntervalMs = 30000; // Changed by powerService
     this.riskZones = [];
     this.safetyScore = 0;
     this.listeners = [];
@@ -24,8 +46,9 @@ class RouteGuardianService {
    * @param {Object} routeConfig - Route configuration
    * @param {Object} routeConfig.destination - Destination coordinates
    * @param {string} routeConfig.destinationName - Human-readable destination
-   * @param {boolean} routeConfig.useOptimalRoute - Whether to use AI-optimized safe route
+   * @param {string} routeConfig.profile - One of ROUTE_PROFILES; balanced by default
    * @param {number} routeConfig.riskTolerance - User's risk tolerance (1-10)
+   * @param {Array<string>} routeConfig.shareWith - Ids of contacts who get trip updates, see tripSharingService
    */
   async startRouteGuardian(routeConfig) {
     try {
@@ -34,6 +57,7 @@ class RouteGuardianService {
       // Get current location
       const currentLocation = await locationService.getCurrentLocation();
       this.lastKnownLocation = currentLocation;
+      const startCoordinates = toCoordinates(currentLocation);
 
       // Create route object
       this.currentRoute = {
@@ -42,35 +66,50 @@ class RouteGuardianService {
         destination: routeConfig.destination,
         destinationName: routeConfig.destinationName,
         startTime: new Date(),
-        useOptimalRoute: routeConfig.useOptimalRoute || false,
+        profile: routeConfig.profile || ROUTE_PROFILES.BALANCED,
         riskTolerance: routeConfig.riskTolerance || 5,
+        shareWith: routeConfig.shareWith || [],
         status: 'active',
         deviations: [],
-        riskAlerts: []
+        riskAlerts: [],
+        plannedRoute: null,
+        alternatives: []
       };
 
       // BACKEND: Analyze initial route
-      const initialAnalysis = await this.analyzeRoute(currentLocation, routeConfig.destination);
-      this.safetyScore = initialAnalysis.safetyScore;
-      this.riskZones = initialAnalysis.riskZones;
+      const initialAnalysis = await this.analyzeRoute(startCoordinates, routeConfig.destination);
+      this.applyAnalysis(initialAnalysis);
 
       // FRONTEND: Update UI with initial safety score
       this.notifyListeners('routeAnalysisReady', {
         route: this.currentRoute,
         safetyScore: this.safetyScore,
         riskZones: this.riskZones,
-        recommendations: initialAnalysis.recommendations
+        recommendations: initialAnalysis.recommendations,
+        safetyFactors: initialAnalysis.safetyFactors
       });
 
       // Start location tracking for real-time analysis
       this.startLocationTracking();
 
+      // Expect the user at the destination, with contacts alerted if they never arrive
+      await etaWatchdogService.startTrip({
+        routeId: this.currentRoute.id,
+        destination: routeConfig.destination,
+        destinationName: routeConfig.destinationName,
+        etaSeconds: initialAnalysis.route?.etaSeconds || 0
+      });
+
       // BACKEND: Log route start
       await this.logRouteEvent('route_started', {
         routeId: this.currentRoute.id,
-        startLocation: currentLocation,
+        startLocation: startCoordinates,
         destination: routeConfig.destination,
-        safetyScore: this.safetyScore
+        safetyScore: this.safetyScore,
+        profile: this.currentRoute.profile,
+        routeSource: initialAnalysis.route?.source,
+        plannedDistance: initialAnalysis.route?.distance,
+        etaSeconds: initialAnalysis.route?.etaSeconds
       });
 
       return { success: true, routeId: this.currentRoute.id, safetyScore: this.safetyScore };
@@ -81,103 +120,202 @@ class RouteGuardianService {
   }
 
   /**
-   * BACKEND: Analyze route safety using AI and historical data
+   * BACKEND: Plan fastest, balanced and safest walking routes and analyze their safety
    * @param {Object} startLocation - Starting coordinates
    * @param {Object} endLocation - Destination coordinates
+   * @param {string} profile - Which alternative the analysis is for; defaults to the current route's
+   * @returns {Promise<Object>} Safety score and factors, risk zones, recommendations, the route
+   *   for the profile and all alternatives
    */
-  async analyzeRoute(startLocation, endLocation) {
+  async analyzeRoute(startLocation, endLocation, profile = this.currentRoute?.profile || ROUTE_PROFILES.BALANCED) {
     try {
-      // TODO: Integrate with AI/ML model for route analysis
-      // This would call backend APIs for:
+      // TODO: Integrate backend data for route analysis:
       // - Historical crime data analysis
-      // - Lighting availability data
-      // - Crowd-sourced safety reports
-      // - Traffic pattern analysis
       // - Weather conditions impact
-
-      // Mock analysis for now - replace with actual AI model
-      const mockAnalysis = await this.performMockRouteAnalysis(startLocation, endLocation);
-      
-      // BACKEND: Cache analysis results
-      const cacheKey = `route_analysis_${startLocation.latitude}_${startLocation.longitude}_${endLocation.latitude}_${endLocation.longitude}`;
-      await AsyncStorage.setItem(cacheKey, JSON.stringify({
-        analysis: mockAnalysis,
-        timestamp: new Date(),
-        expiresAt: new Date(Date.now() + 3600000) // 1 hour cache
-      }));
-
-      return mockAnalysis;
+      const context = await this.loadSafetyContext(startLocation, endLocation);
+      const alternatives = await this.planRouteAlternatives(startLocation, endLocation, context);
+      return this.performRouteAnalysis(alternatives, profile, context);
     } catch (error) {
       console.error('Failed to analyze route:', error);
       return {
         safetyScore: 5, // Default medium safety
+        safetyFactors: [],
         riskZones: [],
-        recommendations: ['Unable to analyze route. Proceed with caution.']
+        recommendations: ['Unable to analyze route. Proceed with caution.'],
+        profile,
+        route: null,
+        alternatives: []
       };
     }
   }
 
   /**
-   * Mock route analysis - replace with actual AI model
+   * Danger zones, reported risks and safe havens around the trip, from safeHavenService and
+   * reports submitted to Route Guardian
    */
-  async performMockRouteAnalysis(startLocation, endLocation) {
-    // TODO: Replace with actual AI/ML model integration
-    // Possible integrations:
-    // - TensorFlow Lite for on-device AI
-    // - Backend API with crime prediction models
-    // - Google Maps API with custom safety layers
-    // - OpenStreetMap with safety annotations
-
-    const distance = this.calculateDistance(startLocation, endLocation);
-    const timeOfDay = new Date().getHours();
-    
-    // Mock safety score calculation (replace with AI model)
-    let safetyScore = 7; // Default good safety
+  async loadSafetyContext(startLocation, endLocation) {
+    const center = {
+      latitude: (startLocation.latitude + endLocation.latitude) / 2,
+      longitude: (startLocation.longitude + endLocation.longitude) / 2
+    };
+    const radius = this.calculateDistance(startLocation, endLocation) / 2 + SAFETY_SEARCH_MARGIN_M;
+
+    const [dangerZones, riskZones, officialHavens, crowdsourcedHavens] = await Promise.all([
+      safeHavenService.getDangerZones(center, radius),
+      this.getReportedRiskZones(center, radius),
+      safeHavenService.getOfficialSafeHavens(center, radius, ['all']),
+      safeHavenService.getCrowdsourcedPlaces(center, radius)
+    ]);
+
+    return buildSafetyContext({
+      dangerZones,
+      riskZones,
+      safeHavens: [...officialHavens, ...crowdsourcedHavens]
+    });
+  }
+
+  /**
+   * Plan a route for each profile on the imported map extract. Profiles that find the same path
+   * share one alternative. Without an extract covering the trip, the only alternative is a
+   * straight-line estimate.
+   * @returns {Promise<Array<{profiles: Array<string>, route: Object, safetyScore: number, factors: Array}>>}
+   */
+  async planRouteAlternatives(startLocation, endLocation, context) {
+    const alternatives = [];
+    const graph = await loadRoutingGraph();
+    if (graph) {
+      try {
+        Object.values(ROUTE_PROFILES).forEach(profile => {
+          const route = planRoute(graph, startLocation, endLocation, {
+            edgeCost: createEdgeCost(graph, profile, context)
+          });
+          if (!route) return;
+
+          const pathKey = route.nodeIds.join(',');
+          const same = alternatives.find(alternative => alternative.route.nodeIds.join(',') === pathKey);
+          if (same) {
+            same.profiles.push(profile);
+          } else {
+            alternatives.push({ profiles: [profile], route: { ...route, source: ROUTE_SOURCES.MAP } });
+          }
+        });
+        if (alternatives.length === 0) {
+          console.warn('Route Guardian: No walking route connects start and destination on the map');
+        }
+      } catch (error) {
+        console.warn(`Route Guardian: ${error.message}`);
+      }
+    }
+
+    if (alternatives.length === 0) {
+      const distance = Math.round(this.calculateDistance(startLocation, endLocation) * STRAIGHT_LINE_DETOUR);
+      alternatives.push({
+        profiles: Object.values(ROUTE_PROFILES),
+        route: {
+          polyline: [toCoordinates(startLocation), toCoordinates(endLocation)],
+          segmentWays: [null],
+          distance,
+          etaSeconds: Math.round(distance / WALKING_SPEED_MPS),
+          nodeIds: [],
+          source: ROUTE_SOURCES.STRAIGHT_LINE
+        }
+      });
+    }
+
+    return alternatives.map(alternative => ({ ...alternative, ...scoreRoute(alternative.route, context) }));
+  }
+
+  /**
+   * Safety analysis of the alternative for a profile, with recommendations
+   */
+  performRouteAnalysis(alternatives, profile, context) {
+    const selected = alternatives.find(alternative => alternative.profiles.includes(profile)) || alternatives[0];
+    const { route } = selected;
     const recommendations = [];
-    const riskZones = [];
 
-    // Time-based risk adjustment
-    if (timeOfDay < 6 || timeOfDay > 22) {
-      safetyScore -= 2;
+    if (context.isNight) {
       recommendations.push('Consider taking main roads for better lighting');
     }
 
-    // Distance-based risk
-    if (distance > 5000) { // > 5km
-      safetyScore -= 1;
+    if (route.distance > 5000) { // > 5km
       recommendations.push('Long route detected. Consider public transport');
     }
 
-    // Mock risk zones (replace with real data)
-    if (Math.random() > 0.7) {
-      riskZones.push({
-        center: {
-          latitude: startLocation.latitude + (Math.random() - 0.5) * 0.01,
-          longitude: startLocation.longitude + (Math.random() - 0.5) * 0.01
-        },
-        radius: 200,
-        riskLevel: 'medium',
-        reason: 'Poor lighting reported',
-        reportedAt: new Date()
-      });
-      safetyScore -= 1;
+    if (route.source === ROUTE_SOURCES.STRAIGHT_LINE) {
+      recommendations.push('Import a map of the area for a walking route and off-route alerts');
     }
 
-    safetyScore = Math.max(1, Math.min(10, safetyScore));
+    const safest = alternatives.find(alternative => alternative.profiles.includes(ROUTE_PROFILES.SAFEST));
+    if (safest && safest !== selected && safest.safetyScore > selected.safetyScore) {
+      const extraMinutes = Math.max(1, Math.round((safest.route.etaSeconds - route.etaSeconds) / 60));
+      recommendations.push(`The safest route scores ${safest.safetyScore}/10 and takes about ${extraMinutes} min longer`);
+    }
 
     return {
-      safetyScore,
-      riskZones,
+      safetyScore: selected.safetyScore,
+      safetyFactors: selected.factors,
+      riskZones: context.zones,
       recommendations: recommendations.length > 0 ? recommendations : ['Route looks safe. Stay alert!'],
+      profile,
+      route,
+      alternatives,
       analysisMetadata: {
-        timeOfDay,
-        distance,
+        timeOfDay: new Date().getHours(),
+        distance: route.distance,
+        etaSeconds: route.etaSeconds,
+        routeSource: route.source,
+        alternativesCount: alternatives.length,
         weatherImpact: 'none', // TODO: Integrate weather API
         trafficLevel: 'normal' // TODO: Integrate traffic API
       }
     };
   }
 
+  /**
+   * Follow the route from an analysis
+   */
+  applyAnalysis(analysis) {
+    this.safetyScore = analysis.safetyScore;
+    this.riskZones = analysis.riskZones;
+    if (analysis.route) {
+      this.currentRoute.plannedRoute = analysis.route;
+      this.currentRoute.alternatives = analysis.alternatives;
+      this.currentRoute.safetyFactors = analysis.safetyFactors;
+    }
+  }
+
+  /**
+   * Switch the route being followed to another profile, re-planned from the current location
+   * @param {string} profile - One of ROUTE_PROFILES
+   */
+  async setRouteProfile(profile) {
+    if (!this.currentRoute || profile === this.currentRoute.profile) return;
+    this.currentRoute.profile = profile;
+
+    const position = toCoordinates(this.lastKnownLocation || this.currentRoute.startLocation);
+    const analysis = await this.analyzeRoute(position, this.currentRoute.destination, profile);
+    if (!this.currentRoute) return; // Stopped while planning
+    this.applyAnalysis(analysis);
+    if (analysis.route) {
+      await etaWatchdogService.updatePlan(analysis.route.etaSeconds);
+    }
+
+    // FRONTEND: Show the new route and its safety
+    this.notifyListeners('routeProfileChanged', {
+      route: this.currentRoute,
+      safetyScore: this.safetyScore,
+      recommendations: analysis.recommendations,
+      safetyFactors: analysis.safetyFactors
+    });
+
+    await this.logRouteEvent('route_profile_changed', {
+      routeId: this.currentRoute.id,
+      profile,
+      safetyScore: this.safetyScore,
+      plannedDistance: analysis.route?.distance
+    });
+  }
+
   /**
    * Start real-time location tracking for route deviation detection
    */
@@ -189,7 +327,20 @@ class RouteGuardianService {
       } catch (error) {
         console.error('Location tracking error:', error);
       }
-    }, 30000); // Check every 30 seconds
+    }, this.trackingIntervalMs);
+  }
+
+  /**
+   * Change how often the route is checked; applies to tracking in progress
+   * @param {number} intervalMs
+   */
+  setTrackingInterval(intervalMs) {
+    if (intervalMs === this.trackingIntervalMs) return;
+    this.trackingIntervalMs = intervalMs;
+    if (this.trackingInterval) {
+      clearInterval(this.trackingInterval);
+      this.startLocationTracking();
+    }
   }
 
   /**
@@ -199,18 +350,36 @@ class RouteGuardianService {
   async processLocationUpdate(currentLocation) {
     if (!this.currentRoute) return;
 
-    const previousLocation = this.lastKnownLocation;
     this.lastKnownLocation = currentLocation;
+    const position = toCoordinates(currentLocation);
 
     // Check for significant route deviation
-    const isDeviation = await this.detectRouteDeviation(currentLocation);
+    const deviation = await this.detectRouteDeviation(currentLocation);
     
-    if (isDeviation) {
-      // BACKEND: Re-analyze new route segment
-      const newAnalysis = await this.analyzeRoute(currentLocation, this.currentRoute.destination);
+    if (deviation) {
+      // BACKEND: Re-plan from here, so the new way is what later locations are measured against
+      const newAnalysis = await this.analyzeRoute(position, this.currentRoute.destination);
+      this.applyAnalysis(newAnalysis);
+      if (newAnalysis.route) {
+        await etaWatchdogService.updatePlan(newAnalysis.route.etaSeconds);
+      }
+
+      // FRONTEND: Show the deviation and the new route
+      this.notifyListeners('routeDeviation', {
+        location: currentLocation,
+        deviation,
+        route: this.currentRoute
+      });
+
+      // BACKEND: Log route deviation
+      await this.logRouteEvent('route_deviation', {
+        routeId: this.currentRoute.id,
+        ...deviation,
+        replannedDistance: newAnalysis.route?.distance
+      });
       
       // Check if user entered high-risk zone
-      const enteredRiskZone = this.checkRiskZoneEntry(currentLocation, newAnalysis.riskZones);
+      const enteredRiskZone = this.checkRiskZoneEntry(position, newAnalysis.riskZones);
       
       if (enteredRiskZone || newAnalysis.safetyScore < this.currentRoute.riskTolerance) {
         // FRONTEND: Alert user about increased risk
@@ -228,39 +397,78 @@ class RouteGuardianService {
           riskZone: enteredRiskZone,
           safetyScore: newAnalysis.safetyScore
         });
-
-        // Update current analysis
-        this.safetyScore = newAnalysis.safetyScore;
-        this.riskZones = newAnalysis.riskZones;
       }
     }
 
     // Check if destination reached
-    const distanceToDestination = this.calculateDistance(currentLocation, this.currentRoute.destination);
+    const distanceToDestination = this.calculateDistance(position, this.currentRoute.destination);
+    const progress = this.getRouteProgress(position);
     if (distanceToDestination < 100) { // Within 100 meters
       await this.completeRoute();
+    } else {
+      await etaWatchdogService.recordProgress(position, progress);
     }
 
     // FRONTEND: Update UI with current location and safety status
     this.notifyListeners('locationUpdated', {
       location: currentLocation,
       safetyScore: this.safetyScore,
-      distanceToDestination
+      distanceToDestination,
+      ...progress
     });
   }
 
   /**
-   * Detect if user has deviated from expected route
+   * Detect if user has left the corridor around the planned route. Routes estimated as a
+   * straight line are not followed on foot, so they never count as deviated from.
+   * @returns {Promise<Object|null>} The recorded deviation, or null when on the route
    */
   async detectRouteDeviation(currentLocation) {
-    // TODO: Implement route deviation detection algorithm
-    // This could use:
-    // - Google Directions API to get expected route
-    // - Geofencing around expected path
-    // - Machine learning to predict normal vs abnormal movement patterns
-    
-    // Mock deviation detection for now
-    return Math.random() > 0.8; // 20% chance of "deviation" for demo
+    const plannedRoute = this.currentRoute?.plannedRoute;
+    if (!plannedRoute || plannedRoute.source !== ROUTE_SOURCES.MAP) return null;
+
+    const position = toCoordinates(currentLocation);
+    const { distanceFromRoute } = measureAgainstPolyline(position, plannedRoute.polyline);
+    const accuracy = currentLocation.coords?.accuracy || 0;
+    const corridor = ROUTE_CORRIDOR_M + Math.min(accuracy, MAX_ACCURACY_ALLOWANCE_M);
+    if (distanceFromRoute <= corridor) return null;
+
+    const deviation = {
+      location: position,
+      distanceFromRoute,
+      corridor,
+      detectedAt: new Date()
+    };
+    this.currentRoute.deviations.push(deviation);
+    console.log(`🗺️ Route Guardian: ${distanceFromRoute}m off the planned route`);
+    return deviation;
+  }
+
+  /**
+   * Distance from and remaining along the planned route, with the ETA at walking speed
+   * @returns {{distanceFromRoute: number|null, remainingDistance: number, etaSeconds: number}|null}
+   */
+  getRouteProgress(position) {
+    const plannedRoute = this.currentRoute?.plannedRoute;
+    if (!plannedRoute) return null;
+
+    if (plannedRoute.source !== ROUTE_SOURCES.MAP) {
+      const remainingDistance = Math.round(
+        this.calculateDistance(position, this.currentRoute.destination) * STRAIGHT_LINE_DETOUR
+      );
+      return {
+        distanceFromRoute: null,
+        remainingDistance,
+        etaSeconds: Math.round(remainingDistance / WALKING_SPEED_MPS)
+      };
+    }
+
+    const { distanceFromRoute, remainingDistance } = measureAgainstPolyline(position, plannedRoute.polyline);
+    return {
+      distanceFromRoute,
+      remainingDistance,
+      etaSeconds: Math.round(remainingDistance / WALKING_SPEED_MPS)
+    };
   }
 
   /**
@@ -295,6 +503,7 @@ class RouteGuardianService {
         averageSafetyScore: this.safetyScore,
         riskZonesEncountered: this.currentRoute.riskAlerts.length,
         deviationsCount: this.currentRoute.deviations.length,
+        plannedDistance: this.currentRoute.plannedRoute?.distance,
         completedSafely: true
       };
 
@@ -306,6 +515,7 @@ class RouteGuardianService {
 
       // BACKEND: Log route completion
       await this.logRouteEvent('route_completed', safetyReport);
+      await etaWatchdogService.endTrip('arrived');
 
       // Clean up
       this.stopTracking();
@@ -324,6 +534,10 @@ class RouteGuardianService {
       clearInterval(this.trackingInterval);
       this.trackingInterval = null;
     }
+
+    if (this.currentRoute) {
+      etaWatchdogService.endTrip('stopped');
+    }
     
     this.isActive = false;
     this.currentRoute = null;
@@ -355,10 +569,10 @@ class RouteGuardianService {
       };
 
       // Store locally
-      const reports = await AsyncStorage.getItem('safety_reports');
+      const reports = await secureStorage.getItem('safety_reports');
       const reportArray = reports ? JSON.parse(reports) : [];
       reportArray.push(safetyReport);
-      await AsyncStorage.setItem('safety_reports', JSON.stringify(reportArray));
+      await secureStorage.setItem('safety_reports', JSON.stringify(reportArray));
 
       // TODO: Send to backend API
       // await this.sendReportToBackend(safetyReport);
@@ -397,6 +611,38 @@ class RouteGuardianService {
     }
   }
 
+  /**
+   * Risk zones from reports submitted with submitSafetyReport near a location
+   */
+  async getReportedRiskZones(centerLocation, radiusMeters) {
+    try {
+      const reports = await secureStorage.getItem('safety_reports');
+      const reportArray = reports ? JSON.parse(reports) : [];
+
+      return reportArray
+        .filter(report =>
+          report.reportType && report.reportType !== 'safe' && report.location &&
+          this.calculateDistance(centerLocation, toCoordinates(report.location)) <= radiusMeters
+        )
+        .map(report => ({
+          center: toCoordinates(report.location),
+          riskLevel: this.severityToRiskLevel(report.severity),
+          reason: report.description || report.reportType.replace('_', ' ')
+        }));
+    } catch (error) {
+      console.error('Failed to get reported risk zones:', error);
+      return [];
+    }
+  }
+
+  severityToRiskLevel(severity) {
+    if (severity >= 9) return 'very_high';
+    if (severity >= 7) return 'high';
+    if (severity >= 5) return 'medium';
+    if (severity >= 3) return 'low';
+    return 'very_low';
+  }
+
   /**
    * BACKEND: Log route events for analytics
    */
@@ -411,10 +657,10 @@ class RouteGuardianService {
       };
 
       // Store locally
-      const logs = await AsyncStorage.getItem('route_guardian_logs');
+      const logs = await secureStorage.getItem('route_guardian_logs');
       const logArray = logs ? JSON.parse(logs) : [];
       logArray.push(logEntry);
-      await AsyncStorage.setItem('route_guardian_logs', JSON.stringify(logArray));
+      await secureStorage.setItem('route_guardian_logs', JSON.stringify(logArray));
 
       // TODO: Send to backend API
       // await this.sendLogToBackend(logEntry);
@@ -461,17 +707,17 @@ class RouteGuardianService {
   }
 
   async getDeviceId() {
-    let deviceId = await AsyncStorage.getItem('device_id');
+    let deviceId = await secureStorage.getItem('device_id');
     if (!deviceId) {
       deviceId = Date.now().toString() + Math.random().toString(36);
-      await AsyncStorage.setItem('device_id', deviceId);
+      await secureStorage.setItem('device_id', deviceId);
     }
     return deviceId;
   }
 
   async getUserId() {
     // TODO: Get from user authentication service
-    return await AsyncStorage.getItem('user_id') || 'anonymous';
+    return await secureStorage.getItem('user_id') || 'anonymous';
   }
 
   // FRONTEND: Get current route status
@@ -0,0 +1,215 @@
+// Route Safety - Safety-Weighted Routing
+// Turns danger zones, darkness and distance from safe havens into extra cost per metre walked,
+// so A* can trade distance for lower risk. Finished routes get a 1-10 safety score with the
+// factors behind it in plain words
+
+import { haversineDistance } from './routingGraph';
+
+export const ROUTE_PROFILES = {
+  FASTEST: 'fastest',
+  BALANCED: 'balanced',
+  SAFEST: 'safest',
+};
+
+// Extra metres each metre of risk is worth; safest takes long detours, fastest takes none
+const PROFILE_RISK_WEIGHTS = {
+  [ROUTE_PROFILES.FASTEST]: 0,
+  [ROUTE_PROFILES.BALANCED]: 1.5,
+  [ROUTE_PROFILES.SAFEST]: 5,
+};
+
+// Danger zones are points; their reach grows with the threat level
+const THREAT_LEVELS = {
+  very_low: { risk: 0.25, radius: 50 },
+  low: { risk: 0.5, radius: 75 },
+  medium: { risk: 1, radius: 100 },
+  high: { risk: 2, radius: 150 },
+  very_high: { risk: 3, radius: 200 },
+};
+
+const NIGHT_RISK = 0.25; // Any street after dark
+const UNLIT_RISK = 0.75; // On top of NIGHT_RISK
+const HAVEN_RADIUS_M = 150;
+const HAVEN_RELIEF = 0.5; // Risk is halved within reach of a safe haven
+const AWAY_FROM_HAVEN_RISK = 0.2; // Out of reach of every known haven
+const SAMPLE_SPACING_M = 50;
+const LONG_ROUTE_M = 5000;
+const BASE_SCORE = 8;
+
+// Footpaths without a lit tag are assumed dark; streets without one are assumed lit
+const ISOLATED_HIGHWAYS = ['footway', 'path', 'track', 'steps', 'bridleway', 'cycleway'];
+const LIT_VALUES = ['yes', '24/7', 'automatic', 'interval', 'limited'];
+
+export const isNightTime = (date = new Date()) => {
+  const hour = date.getHours();
+  return hour < 6 || hour >= 22;
+};
+
+const isUnlit = (way) => {
+  if (!way) return false; // Unknown, e.g. a straight-line estimate
+  if (way.lit) return !LIT_VALUES.includes(way.lit);
+  return ISOLATED_HIGHWAYS.includes(way.highway);
+};
+
+const toZone = (center, riskLevel, reason, radius) => {
+  const level = THREAT_LEVELS[riskLevel] ? riskLevel : 'medium';
+  return {
+    center,
+    radius: radius || THREAT_LEVELS[level].radius,
+    riskLevel: level,
+    risk: THREAT_LEVELS[level].risk,
+    reason,
+  };
+};
+
+/**
+ * Collects what routing needs to know about the area of a trip.
+ * @param {object} sources
+ * @param {Array} [sources.dangerZones] - From safeHavenService.getDangerZones
+ * @param {Array} [sources.riskZones] - Route Guardian risk zones ({center, radius, riskLevel, reason})
+ * @param {Array} [sources.safeHavens] - Places with a location, e.g. official and crowdsourced havens
+ * @param {Date} [sources.date] - When the trip happens
+ */
+export const buildSafetyContext = ({ dangerZones = [], riskZones = [], safeHavens = [], date = new Date() }) => ({
+  zones: [
+    ...dangerZones
+      .filter(zone => zone.location && !(zone.validUntil && new Date(zone.validUntil) < date))
+      .map(zone => toZone(zone.location, zone.threatLevel, zone.name || zone.description || 'Reported danger')),
+    ...riskZones
+      .filter(zone => zone.center)
+      .map(zone => toZone(zone.center, zone.riskLevel, zone.reason || 'Reported risk', zone.radius)),
+  ],
+  havens: safeHavens.filter(haven => haven.location),
+  isNight: isNightTime(date),
+});
+
+// Extra risk per metre at a point, and why
+const assessPoint = (point, way, context) => {
+  const zones = context.zones.filter(zone => haversineDistance(point, zone.center) <= zone.radius);
+  const unlit = context.isNight && isUnlit(way);
+  const nearHaven = context.havens.some(haven => haversineDistance(point, haven.location) <= HAVEN_RADIUS_M);
+
+  let risk = zones.reduce((sum, zone) => sum + zone.risk, 0);
+  if (context.isNight) {
+    risk += NIGHT_RISK + (unlit ? UNLIT_RISK : 0);
+  }
+  if (nearHaven) {
+    risk *= HAVEN_RELIEF;
+  } else if (context.havens.length > 0) {
+    risk += AWAY_FROM_HAVEN_RISK;
+  }
+  return { risk, zones, unlit, nearHaven };
+};
+
+// Evenly spaced points along a segment, each standing for an equal share of its length
+const samplePoints = (from, to, length) => {
+  const count = Math.max(1, Math.ceil(length / SAMPLE_SPACING_M));
+  const points = [];
+  for (let i = 0; i < count; i++) {
+    const t = (i + 0.5) / count;
+    points.push({
+      latitude: from.latitude + (to.latitude - from.latitude) * t,
+      longitude: from.longitude + (to.longitude - from.longitude) * t,
+    });
+  }
+  return points;
+};
+
+/**
+ * Edge cost for findShortestPath under a profile: distance plus weighted risk per metre.
+ * Never less than the distance, so A*'s straight-line heuristic stays exact.
+ */
+export const createEdgeCost = (graph, profile, context) => {
+  const weight = PROFILE_RISK_WEIGHTS[profile] || 0;
+  if (weight === 0) return edge => edge.distance;
+
+  const costs = new WeakMap(); // Edges are visited again as A* re-expands around them
+  return (edge, fromId) => {
+    if (!costs.has(edge)) {
+      const points = samplePoints(graph.nodes.get(fromId), graph.nodes.get(edge.to), edge.distance);
+      const risk = points.reduce((sum, point) => sum + assessPoint(point, edge.way, context).risk, 0) / points.length;
+      costs.set(edge, edge.distance * (1 + weight * risk));
+    }
+    return costs.get(edge);
+  };
+};
+
+/**
+ * Safety score of a planned route and the factors that made it.
+ * @param {{polyline: Array, segmentWays?: Array, distance: number}} route
+ * @returns {{safetyScore: number, factors: Array<{factor: string, impact: number, text: string}>}}
+ *   Impacts are points added to or taken off the base score of 8
+ */
+export const scoreRoute = (route, context) => {
+  const segmentWays = route.segmentWays || [];
+  const zoneMetres = new Map(); // Reason -> metres walked inside
+  let exposure = 0; // Metres in danger zones, weighted by threat
+  let unlitMetres = 0;
+  let havenMetres = 0;
+  let totalMetres = 0;
+
+  for (let i = 1; i < route.polyline.length; i++) {
+    const from = route.polyline[i - 1];
+    const to = route.polyline[i];
+    const length = haversineDistance(from, to);
+    const points = samplePoints(from, to, length);
+    points.forEach(point => {
+      const share = length / points.length;
+      const assessment = assessPoint(point, segmentWays[i - 1], context);
+      assessment.zones.forEach(zone => {
+        exposure += zone.risk * share;
+        zoneMetres.set(zone.reason, (zoneMetres.get(zone.reason) || 0) + share);
+      });
+      if (assessment.unlit) unlitMetres += share;
+      if (assessment.nearHaven) havenMetres += share;
+      totalMetres += share;
+    });
+  }
+
+  const factors = [];
+  const percentOf = (metres) => (totalMetres > 0 ? Math.round((metres / totalMetres) * 100) : 0);
+
+  if (zoneMetres.size > 0) {
+    const metres = Math.round([...zoneMetres.values()].reduce((sum, m) => sum + m, 0));
+    factors.push({
+      factor: 'danger',
+      impact: -Math.min(4, Math.round(exposure / 100)),
+      text: `Passes ${metres} m through reported danger (${[...zoneMetres.keys()].join(', ')})`,
+    });
+  } else if (context.zones.length > 0) {
+    factors.push({ factor: 'danger', impact: 0, text: 'Avoids all reported danger zones nearby' });
+  }
+
+  if (context.isNight) {
+    const unlitPercent = percentOf(unlitMetres);
+    factors.push({
+      factor: 'night',
+      impact: -1 - Math.round(2 * unlitPercent / 100),
+      text: unlitPercent > 0
+        ? `After dark, with ${unlitPercent}% on unlit paths`
+        : 'After dark, but on lit streets',
+    });
+  }
+
+  const havenPercent = percentOf(havenMetres);
+  if (havenPercent > 0) {
+    factors.push({
+      factor: 'havens',
+      impact: havenPercent >= 50 ? 1 : 0,
+      text: `${havenPercent}% of the way is within ${HAVEN_RADIUS_M} m of a safe haven`,
+    });
+  } else if (context.havens.length > 0) {
+    factors.push({ factor: 'havens', impact: 0, text: 'No safe havens along the way' });
+  }
+
+  if (route.distance > LONG_ROUTE_M) {
+    factors.push({
+      factor: 'distance',
+      impact: -1,
+      text: `Long walk (${(route.distance / 1000).toFixed(1)} km)`,
+    });
+  }
+
+  const safetyScore = factors.reduce((score, factor) => score + factor.impact, BASE_SCORE);
+  return { safetyScore: Math.max(1, Math.min(10, safetyScore)), factors };
+};
@@ -0,0 +1,374 @@
+// Routing Graph - Walking Routes from OpenStreetMap Data
+// Builds a walkable graph from an OSM extract (OSM XML or Overpass JSON) and plans routes on it
+// with A*. A route is a polyline with its distance and walking ETA; progress along it and the
+// distance from it are measured against the polyline itself
+
+export const WALKING_SPEED_MPS = 1.35; // About 4.9 km/h
+export const MAX_SNAP_DISTANCE_M = 300; // Further than this from any path is off the map
+
+// Highways people can walk along; motorways never, trunk roads only when tagged for foot traffic
+const WALKABLE_HIGHWAYS = [
+  'footway', 'pedestrian', 'path', 'steps', 'corridor', 'living_street', 'residential',
+  'service', 'unclassified', 'road', 'track', 'cycleway', 'bridleway',
+  'tertiary', 'tertiary_link', 'secondary', 'secondary_link', 'primary', 'primary_link',
+];
+const FOOT_ALLOWED = ['yes', 'designated', 'permissive'];
+const NO_ACCESS = ['no', 'private'];
+
+const EARTH_RADIUS_M = 6371e3;
+const toRadians = (degrees) => degrees * Math.PI / 180;
+
+export const haversineDistance = (point1, point2) => {
+  const φ1 = toRadians(point1.latitude);
+  const φ2 = toRadians(point2.latitude);
+  const Δφ = toRadians(point2.latitude - point1.latitude);
+  const Δλ = toRadians(point2.longitude - point1.longitude);
+
+  const a = Math.sin(Δφ / 2) ** 2 + Math.cos(φ1) * Math.cos(φ2) * Math.sin(Δλ / 2) ** 2;
+  return EARTH_RADIUS_M * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+};
+
+export const isWalkableWay = (tags = {}) => {
+  const { highway } = tags;
+  if (!highway || highway.startsWith('motorway')) return false;
+  if (NO_ACCESS.includes(tags.foot)) return false;
+  if (FOOT_ALLOWED.includes(tags.foot)) return true; // e.g. a trunk road with a pavement
+  return WALKABLE_HIGHWAYS.includes(highway) && !NO_ACCESS.includes(tags.access);
+};
+
+// --- Parsing ---
+
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+const decodeXml = (value) => value.replace(/&(amp|lt|gt|quot|apos);/g, (_, entity) => XML_ENTITIES[entity]);
+
+// Attributes may be quoted either way: osmium writes double quotes, JOSM single
+const parseAttributes = (source) => {
+  const attributes = {};
+  const pattern = /([\w:]+)=(?:"([^"]*)"|'([^']*)')/g;
+  let match;
+  while ((match = pattern.exec(source)) !== null) {
+    attributes[match[1]] = decodeXml(match[2] !== undefined ? match[2] : match[3]);
+  }
+  return attributes;
+};
+
+const parseOsmXml = (xml) => {
+  const nodes = new Map();
+  const ways = [];
+
+  const nodePattern = /<node\b([^>]*?)(?:\/>|>[\s\S]*?<\/node>)/g;
+  let match;
+  while ((match = nodePattern.exec(xml)) !== null) {
+    const { id, lat, lon } = parseAttributes(match[1]);
+    if (id !== undefined) {
+      nodes.set(id, { id, latitude: parseFloat(lat), longitude: parseFloat(lon) });
+    }
+  }
+
+  const wayPattern = /<way\b([^>]*?)(?:\/>|>([\s\S]*?)<\/way>)/g;
+  while ((match = wayPattern.exec(xml)) !== null) {
+    const body = match[2] || '';
+    const nodeIds = [];
+    const tags = {};
+    const childPattern = /<(nd|tag)\b([^>]*?)\/?>/g;
+    let child;
+    while ((child = childPattern.exec(body)) !== null) {
+      const attributes = parseAttributes(child[2]);
+      if (child[1] === 'nd') {
+        nodeIds.push(attributes.ref);
+      } else {
+        tags[attributes.k] = attributes.v;
+      }
+    }
+    ways.push({ id: parseAttributes(match[1]).id, nodeIds, tags });
+  }
+
+  return { nodes, ways };
+};
+
+const parseOverpassJson = (data) => {
+  const nodes = new Map();
+  const ways = [];
+  data.elements.forEach(element => {
+    if (element.type === 'node') {
+      const id = String(element.id);
+      nodes.set(id, { id, latitude: element.lat, longitude: element.lon });
+    } else if (element.type === 'way') {
+      ways.push({ id: String(element.id), nodeIds: (element.nodes || []).map(String), tags: element.tags || {} });
+    }
+  });
+  return { nodes, ways };
+};
+
+/**
+ * Reads an OpenStreetMap extract.
+ * @param {string} text - OSM XML (.osm) or Overpass API JSON
+ * @returns {{nodes: Map<string, object>, ways: Array<{id: string, nodeIds: Array<string>, tags: object}>}}
+ * @throws {Error} If the text is neither
+ */
+export const parseOsmExtract = (text) => {
+  const trimmed = text.trimStart();
+  if (trimmed.startsWith('{')) {
+    const data = JSON.parse(trimmed);
+    if (!Array.isArray(data.elements)) {
+      throw new Error('Not an OpenStreetMap extract: JSON has no elements');
+    }
+    return parseOverpassJson(data);
+  }
+  if (trimmed.startsWith('<') && /<osm\b/.test(trimmed.slice(0, 1000))) {
+    return parseOsmXml(trimmed);
+  }
+  throw new Error('Not an OpenStreetMap extract: expected OSM XML or Overpass JSON');
+};
+
+// --- Graph ---
+
+/**
+ * Builds the walkable graph. Every edge is stored in both directions, as one-way streets
+ * still carry pedestrians both ways.
+ * @returns {{nodes: Map<string, object>, edges: Map<string, Array<{to: string, distance: number, way: object}>>}}
+ */
+export const buildRoutingGraph = ({ nodes, ways }) => {
+  const graph = { nodes: new Map(), edges: new Map() };
+
+  const addEdge = (from, to, distance, way) => {
+    if (!graph.nodes.has(from.id)) {
+      graph.nodes.set(from.id, from);
+      graph.edges.set(from.id, []);
+    }
+    graph.edges.get(from.id).push({ to: to.id, distance, way });
+  };
+
+  ways.filter(way => isWalkableWay(way.tags)).forEach(way => {
+    const info = { id: way.id, highway: way.tags.highway, name: way.tags.name || null, lit: way.tags.lit || null };
+    for (let i = 1; i < way.nodeIds.length; i++) {
+      const from = nodes.get(way.nodeIds[i - 1]);
+      const to = nodes.get(way.nodeIds[i]);
+      if (!from || !to) continue; // Ways cut off at the edge of the extract
+
+      const distance = haversineDistance(from, to);
+      addEdge(from, to, distance, info);
+      addEdge(to, from, distance, info);
+    }
+  });
+
+  return graph;
+};
+
+/**
+ * @returns {{nodeCount: number, edgeCount: number, bounds: object|null}}
+ */
+export const getGraphStats = (graph) => {
+  let edgeCount = 0;
+  let bounds = null;
+  graph.nodes.forEach(node => {
+    edgeCount += graph.edges.get(node.id).length;
+    bounds = bounds ? {
+      minLatitude: Math.min(bounds.minLatitude, node.latitude),
+      minLongitude: Math.min(bounds.minLongitude, node.longitude),
+      maxLatitude: Math.max(bounds.maxLatitude, node.latitude),
+      maxLongitude: Math.max(bounds.maxLongitude, node.longitude),
+    } : {
+      minLatitude: node.latitude,
+      minLongitude: node.longitude,
+      maxLatitude: node.latitude,
+      maxLongitude: node.longitude,
+    };
+  });
+  return { nodeCount: graph.nodes.size, edgeCount: edgeCount / 2, bounds };
+};
+
+/**
+ * @returns {{node: object, distance: number}|null} The graph node closest to the point
+ */
+export const findNearestNode = (graph, point) => {
+  let nearest = null;
+  graph.nodes.forEach(node => {
+    const distance = haversineDistance(point, node);
+    if (!nearest || distance < nearest.distance) {
+      nearest = { node, distance };
+    }
+  });
+  return nearest;
+};
+
+// Binary min-heap of [priority, value] for the A* open set
+class MinHeap {
+  constructor() {
+    this.items = [];
+  }
+
+  get size() {
+    return this.items.length;
+  }
+
+  push(priority, value) {
+    const items = this.items;
+    items.push([priority, value]);
+    let i = items.length - 1;
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (items[parent][0] <= items[i][0]) break;
+      [items[parent], items[i]] = [items[i], items[parent]];
+      i = parent;
+    }
+  }
+
+  pop() {
+    const items = this.items;
+    const top = items[0];
+    const last = items.pop();
+    if (items.length > 0) {
+      items[0] = last;
+      let i = 0;
+      for (;;) {
+        const left = 2 * i + 1;
+        const right = left + 1;
+        let smallest = i;
+        if (left < items.length && items[left][0] < items[smallest][0]) smallest = left;
+        if (right < items.length && items[right][0] < items[smallest][0]) smallest = right;
+        if (smallest === i) break;
+        [items[smallest], items[i]] = [items[i], items[smallest]];
+        i = smallest;
+      }
+    }
+    return top[1];
+  }
+}
+
+/**
+ * Cheapest walking path between two graph nodes, by A* with straight-line distance as the
+ * heuristic. Costs default to distance; a custom edgeCost must never be less than the edge's
+ * distance, or the heuristic overestimates and A* can miss the cheapest path.
+ * @param {Function} [edgeCost] - (edge, fromId) => cost of walking the edge
+ * @returns {{nodeIds: Array<string>, edges: Array<object>, distance: number, cost: number}|null}
+ *   Null if they are not connected
+ */
+export const findShortestPath = (graph, startId, goalId, edgeCost = edge => edge.distance) => {
+  const goal = graph.nodes.get(goalId);
+  const open = new MinHeap();
+  const costs = new Map([[startId, 0]]);
+  const previous = new Map(); // Node id -> { from, edge } it was reached by
+  const closed = new Set();
+  open.push(haversineDistance(graph.nodes.get(startId), goal), startId);
+
+  while (open.size > 0) {
+    const current = open.pop();
+    if (current === goalId) {
+      const nodeIds = [current];
+      const edges = [];
+      while (previous.has(nodeIds[0])) {
+        const step = previous.get(nodeIds[0]);
+        nodeIds.unshift(step.from);
+        edges.unshift(step.edge);
+      }
+      const distance = edges.reduce((sum, edge) => sum + edge.distance, 0);
+      return { nodeIds, edges, distance, cost: costs.get(goalId) };
+    }
+    if (closed.has(current)) continue; // Stale heap entry
+    closed.add(current);
+
+    const currentCost = costs.get(current);
+    graph.edges.get(current).forEach(edge => {
+      if (closed.has(edge.to)) return;
+      const cost = currentCost + edgeCost(edge, current);
+      if (cost < (costs.has(edge.to) ? costs.get(edge.to) : Infinity)) {
+        costs.set(edge.to, cost);
+        previous.set(edge.to, { from: current, edge });
+        open.push(cost + haversineDistance(graph.nodes.get(edge.to), goal), edge.to);
+      }
+    });
+  }
+  return null;
+};
+
+/**
+ * Plans a walking route between two points on the graph.
+ * @param {object} graph - From buildRoutingGraph
+ * @param {{latitude: number, longitude: number}} from
+ * @param {{latitude: number, longitude: number}} to
+ * @param {object} [options]
+ * @param {Function} [options.edgeCost] - Passed to findShortestPath, e.g. to avoid risky streets
+ * @returns {{polyline: Array<{latitude: number, longitude: number}>, segmentWays: Array<object|null>,
+ *   distance: number, etaSeconds: number, nodeIds: Array<string>}|null} Null if no path connects
+ *   the two points. segmentWays holds the way of each polyline segment, null off the graph
+ * @throws {Error} If either point is too far from every path on the map
+ */
+export const planRoute = (graph, from, to, { edgeCost } = {}) => {
+  const start = findNearestNode(graph, from);
+  const goal = findNearestNode(graph, to);
+  if (!start || start.distance > MAX_SNAP_DISTANCE_M) {
+    throw new Error('Your location is outside the map extract');
+  }
+  if (!goal || goal.distance > MAX_SNAP_DISTANCE_M) {
+    throw new Error('The destination is outside the map extract');
+  }
+
+  const path = findShortestPath(graph, start.node.id, goal.node.id, edgeCost);
+  if (!path) return null;
+
+  // The walk to and from the nearest path is part of the route
+  const distance = start.distance + path.distance + goal.distance;
+  const polyline = [
+    { latitude: from.latitude, longitude: from.longitude },
+    ...path.nodeIds.map(id => {
+      const node = graph.nodes.get(id);
+      return { latitude: node.latitude, longitude: node.longitude };
+    }),
+    { latitude: to.latitude, longitude: to.longitude },
+  ];
+
+  return {
+    polyline,
+    segmentWays: [null, ...path.edges.map(edge => edge.way), null],
+    distance: Math.round(distance),
+    etaSeconds: Math.round(distance / WALKING_SPEED_MPS),
+    nodeIds: path.nodeIds,
+  };
+};
+
+/**
+ * Where a point is relative to a route polyline.
+ * @returns {{distanceFromRoute: number, remainingDistance: number}} Metres from the closest
+ *   point on the polyline, and from that point along the polyline to its end
+ */
+export const measureAgainstPolyline = (point, polyline) => {
+  // Flat projection around the point; accurate to well under a metre over a walking route
+  const metresPerDegreeLatitude = toRadians(1) * EARTH_RADIUS_M;
+  const metresPerDegreeLongitude = metresPerDegreeLatitude * Math.cos(toRadians(point.latitude));
+  const project = (p) => ({
+    x: (p.longitude - point.longitude) * metresPerDegreeLongitude,
+    y: (p.latitude - point.latitude) * metresPerDegreeLatitude,
+  });
+
+  if (polyline.length === 1) {
+    return { distanceFromRoute: haversineDistance(point, polyline[0]), remainingDistance: 0 };
+  }
+
+  const segmentLengths = [];
+  for (let i = 1; i < polyline.length; i++) {
+    segmentLengths.push(haversineDistance(polyline[i - 1], polyline[i]));
+  }
+
+  let best = { distanceFromRoute: Infinity, remainingDistance: 0 };
+  let lengthAfter = segmentLengths.reduce((sum, length) => sum + length, 0);
+  for (let i = 1; i < polyline.length; i++) {
+    lengthAfter -= segmentLengths[i - 1];
+    const a = project(polyline[i - 1]);
+    const b = project(polyline[i]);
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const lengthSquared = dx * dx + dy * dy;
+    // Position of the closest point along the segment, from 0 at its start to 1 at its end
+    const t = lengthSquared === 0 ? 0 : Math.max(0, Math.min(1, -(a.x * dx + a.y * dy) / lengthSquared));
+    const distance = Math.hypot(a.x + t * dx, a.y + t * dy);
+    if (distance < best.distanceFromRoute) {
+      best = { distanceFromRoute: distance, remainingDistance: (1 - t) * segmentLengths[i - 1] + lengthAfter };
+    }
+  }
+
+  return {
+    distanceFromRoute: Math.round(best.distanceFromRoute),
+    remainingDistance: Math.max(0, Math.round(best.remainingDistance)),
+  };
+};
@@ -2,8 +2,9 @@
 // Manages safe spots, danger zones, and crowd-sourced safety information
 // Handles both frontend map display and backend data aggregation
 
-import AsyncStorage from '@react-native-async-storage/async-storage';
+import { secureStorage } from './secureStorageService';
 import { locationService } from './locationService';
+import { offlineRegionService } from './offlineRegionService';
 
 class SafeHavenService {
   constructor() {
@@ -15,6 +16,7 @@ class SafeHavenService {
     this.lastLocationUpdate = null;
     this.nearbyHavensRadius = 2000; // 2km default radius
     this.autoUpdateInterval = null;
+    this.autoUpdateIntervalMs = 300000; // Changed by powerService
   }
 
   // ====== FRONTEND FUNCTIONALITY ======
@@ -38,7 +40,7 @@ class SafeHavenService {
         realTimeUpdates: config.realTimeUpdates !== false
       };
 
-      await AsyncStorage.setItem('safe_haven_config', JSON.stringify(safeHavenConfig));
+      await secureStorage.setItem('safe_haven_config', JSON.stringify(safeHavenConfig));
       
       this.nearbyHavensRadius = safeHavenConfig.searchRadius;
       this.isActive = true;
@@ -83,11 +85,26 @@ class SafeHavenService {
         this.getDangerZones(location, searchRadius)
       ]);
 
+      let safeHavens = [...officialPlaces, ...crowdsourcedPlaces];
+      let nearbyDangerZones = dangerZones;
+      let isOffline = false;
+
+      // Sources return nothing when they cannot be reached; use a downloaded offline area
+      if (safeHavens.length === 0) {
+        const cached = await offlineRegionService.getCachedPlaces(location, searchRadius);
+        if (cached.safeHavens.length > 0) {
+          safeHavens = cached.safeHavens;
+          nearbyDangerZones = [...dangerZones, ...cached.dangerZones];
+          isOffline = true;
+        }
+      }
+
       const result = {
-        safeHavens: [...officialPlaces, ...crowdsourcedPlaces],
-        dangerZones: dangerZones,
+        safeHavens: safeHavens,
+        dangerZones: nearbyDangerZones,
         location: location,
         searchRadius: searchRadius,
+        isOffline: isOffline,
         lastUpdated: new Date()
       };
 
@@ -135,10 +152,10 @@ class SafeHavenService {
       };
 
       // Store locally
-      const reports = await AsyncStorage.getItem('safety_reports');
+      const reports = await secureStorage.getItem('safety_reports');
       const reportArray = reports ? JSON.parse(reports) : [];
       reportArray.push(safetyReport);
-      await AsyncStorage.setItem('safety_reports', JSON.stringify(reportArray));
+      await secureStorage.setItem('safety_reports', JSON.stringify(reportArray));
 
       // Add to appropriate array
       if (report.type === 'safe_haven') {
@@ -185,7 +202,7 @@ class SafeHavenService {
       };
 
       // Store vote locally
-      const votes = await AsyncStorage.getItem('report_votes');
+      const votes = await secureStorage.getItem('report_votes');
       const voteArray = votes ? JSON.parse(votes) : [];
       
       // Check if user already voted on this report
@@ -195,7 +212,7 @@ class SafeHavenService {
       }
 
       voteArray.push(vote);
-      await AsyncStorage.setItem('report_votes', JSON.stringify(voteArray));
+      await secureStorage.setItem('report_votes', JSON.stringify(voteArray));
 
       // BACKEND: Submit vote to server
       await this.submitVoteToBackend(vote);
@@ -272,6 +289,38 @@ class SafeHavenService {
     }
   }
 
+  /**
+   * Download an area for offline use: map tiles plus the safe havens and danger zones in it
+   * @param {Object} area
+   * @param {string} area.name - Shown in the list of offline areas
+   * @param {Object} area.center - Location coordinates
+   * @param {number} area.radius - Meters
+   * @returns {Promise<Object>} The stored region, see offlineRegionService
+   * @throws {Error} With a message for the user if the area is too large or the download fails
+   */
+  async downloadOfflineArea({ name, center, radius }) {
+    const [officialPlaces, crowdsourcedPlaces, dangerZones] = await Promise.all([
+      this.getOfficialSafeHavens(center, radius, ['all']),
+      this.getCrowdsourcedPlaces(center, radius),
+      this.getDangerZones(center, radius)
+    ]);
+
+    const region = await offlineRegionService.downloadRegion({
+      name,
+      center,
+      radiusMeters: radius,
+      places: { safeHavens: [...officialPlaces, ...crowdsourcedPlaces], dangerZones }
+    });
+
+    await this.logSafeHavenEvent('offline_area_downloaded', {
+      regionId: region.id,
+      radius,
+      tileCount: region.tileCount,
+      safeHavenCount: region.safeHavenCount
+    });
+    return region;
+  }
+
   // ====== BACKEND DATA SOURCES ======
 
   /**
@@ -345,7 +394,7 @@ class SafeHavenService {
    */
   async getCrowdsourcedPlaces(location, radius) {
     try {
-      const reports = await AsyncStorage.getItem('safety_reports');
+      const reports = await secureStorage.getItem('safety_reports');
       const reportArray = reports ? JSON.parse(reports) : [];
 
       // Filter for safe havens within radius
@@ -392,7 +441,7 @@ class SafeHavenService {
    */
   async getCrowdsourcedDangerZones(location, radius) {
     try {
-      const reports = await AsyncStorage.getItem('safety_reports');
+      const reports = await secureStorage.getItem('safety_reports');
       const reportArray = reports ? JSON.parse(reports) : [];
 
       return reportArray
@@ -456,15 +505,22 @@ class SafeHavenService {
   async loadInitialData() {
     try {
       const [cachedHavens, cachedDangerZones, cachedReports] = await Promise.all([
-        AsyncStorage.getItem('cached_safe_havens'),
-        AsyncStorage.getItem('cached_danger_zones'),
-        AsyncStorage.getItem('safety_reports')
+        secureStorage.getItem('cached_safe_havens'),
+        secureStorage.getItem('cached_danger_zones'),
+        secureStorage.getItem('safety_reports')
       ]);
 
       this.safeHavens = cachedHavens ? JSON.parse(cachedHavens) : [];
       this.dangerZones = cachedDangerZones ? JSON.parse(cachedDangerZones) : [];
       this.userReports = cachedReports ? JSON.parse(cachedReports) : [];
 
+      // Places from downloaded offline areas, for when nothing has been fetched yet
+      if (this.safeHavens.length === 0 && this.dangerZones.length === 0) {
+        const offline = await offlineRegionService.getCachedPlaces();
+        this.safeHavens = offline.safeHavens;
+        this.dangerZones = offline.dangerZones;
+      }
+
       console.log(`Loaded ${this.safeHavens.length} safe havens and ${this.dangerZones.length} danger zones from cache`);
     } catch (error) {
       console.error('Failed to load initial data:', error);
@@ -494,12 +550,26 @@ class SafeHavenService {
         } catch (error) {
           console.error('Auto-update failed:', error);
         }
-      }, 300000); // Update every 5 minutes
+      }, this.autoUpdateIntervalMs);
     } catch (error) {
       console.error('Failed to start location-based updates:', error);
     }
   }
 
+  /**
+   * Change how often nearby places are refreshed; applies to updates already running
+   * @param {number} intervalMs
+   */
+  async setAutoUpdateInterval(intervalMs) {
+    if (intervalMs === this.autoUpdateIntervalMs) return;
+    this.autoUpdateIntervalMs = intervalMs;
+    if (this.autoUpdateInterval) {
+      clearInterval(this.autoUpdateInterval);
+      this.autoUpdateInterval = null;
+      await this.startLocationBasedUpdates();
+    }
+  }
+
   /**
    * BACKEND: Submit report to server for verification
    */
@@ -658,10 +728,10 @@ class SafeHavenService {
       };
 
       // Store locally
-      const logs = await AsyncStorage.getItem('safe_haven_logs');
+      const logs = await secureStorage.getItem('safe_haven_logs');
       const logArray = logs ? JSON.parse(logs) : [];
       logArray.push(logEntry);
-      await AsyncStorage.setItem('safe_haven_logs', JSON.stringify(logArray));
+      await secureStorage.setItem('safe_haven_logs', JSON.stringify(logArray));
 
       // TODO: Send to backend API
       
@@ -690,21 +760,21 @@ class SafeHavenService {
   }
 
   async getDeviceId() {
-    let deviceId = await AsyncStorage.getItem('device_id');
+    let deviceId = await secureStorage.getItem('device_id');
     if (!deviceId) {
       deviceId = Date.now().toString() + Math.random().toString(36);
-      await AsyncStorage.setItem('device_id', deviceId);
+      await secureStorage.setItem('device_id', deviceId);
     }
     return deviceId;
   }
 
   async getUserId() {
-    return await AsyncStorage.getItem('user_id') || 'anonymous';
+    return await secureStorage.getItem('user_id') || 'anonymous';
   }
 
   // FRONTEND: Get current data
   getSafeHavens() { return this.safeHavens; }
-  getDangerZones() { return this.dangerZones; }
+  getCachedDangerZones() { return this.dangerZones; }
   getIsActive() { return this.isActive; }
 
   // Clean up
@@ -0,0 +1,229 @@
+// Secure Storage Service - Encrypted AsyncStorage
+// Drop-in replacement for the AsyncStorage calls used across the app: values are encrypted
+// with XChaCha20-Poly1305 before they are written, using a random key held in the device
+// keystore (expo-secure-store). Plaintext values written by earlier versions are encrypted
+// on the first run; until then they are still readable. Only platforms without a keystore
+// (e.g. web) store values unencrypted
+
+import 'react-native-get-random-values'; // Polyfill for crypto.getRandomValues
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import * as SecureStore from 'expo-secure-store';
+import { xchacha20poly1305 } from '@noble/ciphers/chacha';
+import { randomBytes } from '@noble/ciphers/webcrypto';
+
+const KEY_ALIAS = 'nyra_storage_key';
+const VERSION_KEY = 'secure_storage_version'; // Stored in plaintext; not sensitive
+// 2 re-runs the migration for values that version 1 wrote unencrypted while the key was locked
+const STORAGE_VERSION = '2';
+const ENCRYPTED_PREFIX = 'enc:v1:';
+const NONCE_LENGTH = 24;
+
+// Keys the app stores through this service. Other libraries share AsyncStorage, so the
+// migration only touches these; add new keys here
+const APP_KEYS = [
+  'activityDetectionSettings', 'alert_outbox', 'appSettings', 'background_protection_state',
+  'cached_danger_zones', 'cached_safe_havens', 'community_config', 'community_response_logs',
+  'detection_feedback', 'device_id', 'emailRecipients', 'emailServiceSettings', 'emailTemplates',
+  'emergencyContacts', 'emergency_photos', 'escalationPolicy', 'escalation_state',
+  'eta_watchdog_state', 'evidence_capture_config', 'evidence_capture_logs', 'fallDetectionLog',
+  'helper_location', 'incident_history', 'map_extract_info', 'motion_calibration',
+  'offline_regions', 'panicButtonLogs', 'panicButtonSettings', 'report_votes',
+  'route_guardian_logs', 'safe_haven_config', 'safe_haven_logs', 'safe_places', 'safety_reports',
+  'sentReports', 'threatDetectionSettings', 'trip_share_contacts', 'user_id', 'user_trust_score',
+  'user_verification_status', 'virtualCompanion_logs', 'virtualCompanion_session',
+  'voice_detection_config', 'voice_detection_logs', 'voice_trigger_events',
+];
+const APP_KEY_PREFIXES = [
+  'cloud_evidence_', 'evidence_session_', 'feedback_', 'help_request_', 'help_response_',
+  'helping_session_', 'offline_region_places_',
+];
+// Written by earlier versions and never read back; the migration deletes them
+const OBSOLETE_KEY_PREFIXES = ['route_analysis_'];
+
+const isAppKey = (storageKey) =>
+  APP_KEYS.includes(storageKey) || APP_KEY_PREFIXES.some(prefix => storageKey.startsWith(prefix));
+
+// The escalation ladder and outbox run while the phone is locked, so the key must stay readable
+const KEYCHAIN_OPTIONS = { keychainAccessible: SecureStore.AFTER_FIRST_UNLOCK };
+
+let keyPromise = null;
+let readyPromise = null;
+
+// --- Encoding ---
+
+const utf8Encode = (text) => {
+  const binary = unescape(encodeURIComponent(text));
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+  return bytes;
+};
+
+const bytesToBinary = (bytes) => {
+  let binary = '';
+  // Chunked so large values do not overflow the argument limit of fromCharCode
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+  }
+  return binary;
+};
+
+const utf8Decode = (bytes) => decodeURIComponent(escape(bytesToBinary(bytes)));
+
+const toBase64 = (bytes) => btoa(bytesToBinary(bytes));
+
+const fromBase64 = (base64) => {
+  const binary = atob(base64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+  return bytes;
+};
+
+// --- Key ---
+
+/**
+ * Loads the storage key from the keystore, creating it on first use.
+ * @returns {Promise<Uint8Array|null>} null where no keystore is available (e.g. web)
+ * @throws If the keystore cannot be read, e.g. before the first unlock after a reboot
+ */
+const getKey = () => {
+  if (!keyPromise) {
+    keyPromise = (async () => {
+      if (!(await SecureStore.isAvailableAsync())) {
+        console.warn('⚠️ Secure Storage: No keystore on this platform, data is stored unencrypted');
+        return null;
+      }
+
+      const stored = await SecureStore.getItemAsync(KEY_ALIAS, KEYCHAIN_OPTIONS);
+      if (stored) return fromBase64(stored);
+
+      const key = randomBytes(32);
+      await SecureStore.setItemAsync(KEY_ALIAS, toBase64(key), KEYCHAIN_OPTIONS);
+      console.log('🔐 Secure Storage: Created storage key');
+      return key;
+    })().catch(error => {
+      console.error('❌ Secure Storage: Could not access the storage key:', error);
+      keyPromise = null; // Try again next time, the keystore may be locked
+      throw new Error('Secure storage is locked: the storage key is unavailable');
+    });
+  }
+  return keyPromise;
+};
+
+// --- Encryption ---
+
+const isEncrypted = (value) => typeof value === 'string' && value.startsWith(ENCRYPTED_PREFIX);
+
+const encryptValue = (key, value) => {
+  const nonce = randomBytes(NONCE_LENGTH);
+  const sealed = xchacha20poly1305(key, nonce).encrypt(utf8Encode(value));
+  const payload = new Uint8Array(NONCE_LENGTH + sealed.length);
+  payload.set(nonce);
+  payload.set(sealed, NONCE_LENGTH);
+  return ENCRYPTED_PREFIX + toBase64(payload);
+};
+
+const decryptValue = (key, value) => {
+  const payload = fromBase64(value.slice(ENCRYPTED_PREFIX.length));
+  const nonce = payload.subarray(0, NONCE_LENGTH);
+  return utf8Decode(xchacha20poly1305(key, nonce).decrypt(payload.subarray(NONCE_LENGTH)));
+};
+
+// --- Migration ---
+
+/**
+ * Deletes obsolete keys and encrypts the app's plaintext values left by earlier versions. Runs
+ * once per storage version; reads and writes wait for it so a value cannot be overwritten with
+ * its stale plaintext copy.
+ */
+const migrate = async () => {
+  if ((await AsyncStorage.getItem(VERSION_KEY)) === STORAGE_VERSION) return;
+
+  const allKeys = await AsyncStorage.getAllKeys();
+  const obsolete = allKeys.filter(k => OBSOLETE_KEY_PREFIXES.some(prefix => k.startsWith(prefix)));
+  if (obsolete.length > 0) {
+    await AsyncStorage.multiRemove(obsolete);
+  }
+
+  const key = await getKey();
+  if (!key) return; // No keystore, nothing to encrypt with
+
+  const keys = allKeys.filter(isAppKey);
+  const entries = await AsyncStorage.multiGet(keys);
+  const plaintext = entries.filter(([, value]) => value !== null && !isEncrypted(value));
+
+  if (plaintext.length > 0) {
+    await AsyncStorage.multiSet(plaintext.map(([k, value]) => [k, encryptValue(key, value)]));
+  }
+  await AsyncStorage.setItem(VERSION_KEY, STORAGE_VERSION);
+  console.log(`🔐 Secure Storage: Encrypted ${plaintext.length} existing key(s)`);
+};
+
+/**
+ * Runs the first-run migration. Called on app start; storage calls also wait for it.
+ */
+const init = () => {
+  if (!readyPromise) {
+    readyPromise = migrate().catch(error => {
+      console.error('❌ Secure Storage: Migration failed, will retry on next use:', error);
+      readyPromise = null;
+    });
+  }
+  return readyPromise;
+};
+
+// --- AsyncStorage-compatible API ---
+
+/**
+ * @param {string} storageKey
+ * @returns {Promise<string|null>} The decrypted value, or null if missing or undecryptable
+ * @throws If the value is encrypted and the storage key is unavailable, so callers do not
+ *   mistake locked data (e.g. contacts during a headless boot) for no data
+ */
+const getItem = async (storageKey) => {
+  await init();
+  const value = await AsyncStorage.getItem(storageKey);
+  if (value === null || !isEncrypted(value)) return value;
+
+  const key = await getKey();
+  if (!key) {
+    throw new Error(`Secure storage cannot read ${storageKey}: no keystore on this platform`);
+  }
+  try {
+    return decryptValue(key, value);
+  } catch (error) {
+    // Happens if the keystore was reset (e.g. restored backup without the key)
+    console.error(`❌ Secure Storage: Could not decrypt ${storageKey}:`, error.message);
+    return null;
+  }
+};
+
+/**
+ * @param {string} storageKey
+ * @param {string} value - Serialised value, as with AsyncStorage
+ * @throws If the keystore is locked; the value is never written unencrypted on a device with one
+ */
+const setItem = async (storageKey, value) => {
+  await init();
+  const key = await getKey();
+  await AsyncStorage.setItem(storageKey, key ? encryptValue(key, value) : value);
+};
+
+const removeItem = async (storageKey) => {
+  await init();
+  await AsyncStorage.removeItem(storageKey);
+};
+
+const multiRemove = async (storageKeys) => {
+  await init();
+  await AsyncStorage.multiRemove(storageKeys);
+};
+
+export const secureStorage = {
+  init,
+  getItem,
+  setItem,
+  removeItem,
+  multiRemove,
+};
+
+export default secureStorage;
@@ -1,6 +1,9 @@
 import { Accelerometer, Gyroscope } from 'expo-sensors';
 
-const UPDATE_INTERVAL_MS = 100; // 10 times per second
+const DEFAULT_UPDATE_INTERVAL_MS = 100; // 10 times per second
+
+// Set by powerService, which keeps the 10 Hz that fall detection and the classifiers expect
+let updateIntervalMs = DEFAULT_UPDATE_INTERVAL_MS;
 
 let isListening = false;
 let accelSubscription = null;
@@ -10,11 +13,18 @@ let listeners = [];
 let lastAccel = { ax: 0, ay: 0, az: 0 };
 let lastGyro = { gx: 0, gy: 0, gz: 0 };
 
+// Replaces the live sensors when set, see setReplaySource
+let replaySource = null;
+
 const calculateSVM = (ax, ay, az) => {
     return Math.sqrt(ax ** 2 + ay ** 2 + az ** 2);
 };
 
+// Every reading carries the time it was taken so detectors can run on replayed time
 const notifyListeners = (data) => {
+  if (data.timestamp === undefined) {
+    data.timestamp = Date.now();
+  }
   for (const listener of listeners) {
     listener(data);
   }
@@ -33,6 +43,13 @@ const startSensorUpdates = async () => {
     return;
   }
 
+  if (replaySource) {
+    replaySource.start(notifyListeners);
+    isListening = true;
+    console.log(`Sensor replay started: ${replaySource.name}`);
+    return;
+  }
+
   let isAccelAvailable = false;
   let isGyroAvailable = false;
 
@@ -59,7 +76,7 @@ const startSensorUpdates = async () => {
     throw error;
   }
 
-  Accelerometer.setUpdateInterval(UPDATE_INTERVAL_MS);
+  Accelerometer.setUpdateInterval(updateIntervalMs);
   
   accelSubscription = Accelerometer.addListener(accelerometerData => {
     lastAccel = {
@@ -80,7 +97,7 @@ const startSensorUpdates = async () => {
   });
 
   if (isGyroAvailable) {
-    Gyroscope.setUpdateInterval(UPDATE_INTERVAL_MS);
+    Gyroscope.setUpdateInterval(updateIntervalMs);
     
     gyroSubscription = Gyroscope.addListener(gyroscopeData => {
       lastGyro = {
@@ -106,6 +123,7 @@ const stopSensorUpdates = () => {
   if (!isListening) {
     return;
   }
+  replaySource?.stop();
   accelSubscription?.remove();
   gyroSubscription?.remove();
   accelSubscription = null;
@@ -114,12 +132,55 @@ const stopSensorUpdates = () => {
   console.log('Sensor updates stopped.');
 };
 
+/**
+ * Changes the time between readings, including for updates already running. Replayed traces
+ * keep their recorded timing.
+ * @param {number} intervalMs
+ */
+const setUpdateInterval = (intervalMs) => {
+  if (intervalMs === updateIntervalMs) return;
+  updateIntervalMs = intervalMs;
+  if (accelSubscription) {
+    Accelerometer.setUpdateInterval(intervalMs);
+  }
+  if (gyroSubscription) {
+    Gyroscope.setUpdateInterval(intervalMs);
+  }
+  console.log(`Sensor interval set to ${intervalMs} ms.`);
+};
+
+const getUpdateInterval = () => {
+  return updateIntervalMs;
+};
+
 const isSensorListening = () => {
   return isListening;
 };
 
+/**
+ * Feeds subscribers from a recorded trace instead of expo-sensors (see sensorTraceService).
+ * If updates are running they are restarted on the new source.
+ * @param {object|null} source - { name, start(emit), stop() }, or null for the live sensors
+ */
+const setReplaySource = async (source) => {
+  const wasListening = isListening;
+  stopSensorUpdates();
+  replaySource = source;
+  if (wasListening) {
+    await startSensorUpdates();
+  }
+};
+
+const isReplaying = () => {
+  return replaySource !== null;
+};
+
 export const sensorService = {
   startSensorUpdates,
   stopSensorUpdates,
   isSensorListening,
+  setUpdateInterval,
+  getUpdateInterval,
+  setReplaySource,
+  isReplaying,
 };
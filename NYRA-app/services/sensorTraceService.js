@@ -0,0 +1,323 @@
+// Sensor Trace Service - Recording and Replay
+// Records the combined accelerometer/gyroscope stream from sensorService to versioned trace
+// files, and plays traces back in place of the live sensors. Replays use the recorded timing,
+// so detectors see the same readings and timestamps on every run (in the app or under Jest)
+
+import { Platform } from 'react-native';
+import * as DocumentPicker from 'expo-document-picker';
+import * as Sharing from 'expo-sharing';
+import { Directory, File, Paths } from 'expo-file-system';
+import { subscribeToSensorData } from './sensorService';
+
+export const TRACE_FORMAT = 'nyra-sensor-trace';
+export const TRACE_VERSION = 1;
+
+// Each sample is stored as a row in this column order to keep files small
+export const TRACE_COLUMNS = ['t', 'ax', 'ay', 'az', 'gx', 'gy', 'gz'];
+
+export const TRACE_LABELS = {
+  IDLE: 'idle',
+  STANDING: 'standing',
+  WALKING: 'walking',
+  RUNNING: 'running',
+  FALL: 'fall',
+  DROP: 'drop', // Phone dropped, not a fall; detectors should stay quiet
+};
+
+// Moments marked while recording, e.g. when the person hit the ground
+export const TRACE_EVENTS = {
+  IMPACT: 'impact',
+  STOP: 'stop',
+};
+
+const TRACE_DIRECTORY = 'sensor-traces';
+const TRACE_MIME_TYPE = 'application/json';
+const DEFAULT_SAMPLE_INTERVAL_MS = 100; // sensorService update rate
+
+let recording = null;
+
+const round = (value) => Math.round(value * 10000) / 10000;
+
+const calculateSVM = (ax, ay, az) => Math.sqrt(ax ** 2 + ay ** 2 + az ** 2);
+
+// --- Format ---
+
+/**
+ * Checks a trace read from a file and returns it in the current format.
+ * @param {string|object} input - Trace JSON or the parsed object
+ * @returns {object} The trace
+ * @throws {Error} If the input is not a trace this version can read
+ */
+export const parseTrace = (input) => {
+  const trace = typeof input === 'string' ? JSON.parse(input) : input;
+
+  if (!trace || trace.format !== TRACE_FORMAT) {
+    throw new Error('Not a sensor trace file');
+  }
+  if (!Number.isInteger(trace.version) || trace.version > TRACE_VERSION) {
+    throw new Error(`Unsupported sensor trace version: ${trace.version}`);
+  }
+  if (!Array.isArray(trace.columns) || TRACE_COLUMNS.some((column, i) => trace.columns[i] !== column)) {
+    throw new Error('Sensor trace columns do not match');
+  }
+  if (!Array.isArray(trace.samples)) {
+    throw new Error('Sensor trace has no samples');
+  }
+
+  let previousTime = -Infinity;
+  trace.samples.forEach((sample, index) => {
+    if (!Array.isArray(sample) || sample.length !== TRACE_COLUMNS.length
+      || sample.some(value => typeof value !== 'number' || !isFinite(value))) {
+      throw new Error(`Sensor trace sample ${index} is invalid`);
+    }
+    if (sample[0] < previousTime) {
+      throw new Error(`Sensor trace sample ${index} is out of order`);
+    }
+    previousTime = sample[0];
+  });
+
+  return {
+    ...trace,
+    label: trace.label || null,
+    events: Array.isArray(trace.events) ? trace.events : [],
+    sampleIntervalMs: trace.sampleIntervalMs || DEFAULT_SAMPLE_INTERVAL_MS,
+  };
+};
+
+export const serializeTrace = (trace) => JSON.stringify(trace);
+
+/**
+ * Duration of a trace in milliseconds.
+ */
+export const getTraceDuration = (trace) =>
+  trace.samples.length > 0 ? trace.samples[trace.samples.length - 1][0] : 0;
+
+/**
+ * Converts a trace sample to the reading sensorService delivers to subscribers.
+ * @param {Array<number>} sample - Row in TRACE_COLUMNS order
+ * @param {number} startTime - Timestamp given to the first sample of the trace
+ */
+export const sampleToSensorData = (sample, startTime = 0) => {
+  const [t, ax, ay, az, gx, gy, gz] = sample;
+  return { ax, ay, az, gx, gy, gz, svm: calculateSVM(ax, ay, az), timestamp: startTime + t };
+};
+
+// --- Replay ---
+
+/**
+ * Delivers every reading of a trace to a callback immediately, without timers. Intended for
+ * tests, e.g. feeding harModelService.predictActivity.
+ * @param {object} trace
+ * @param {Function} onReading - Called with each reading, as from subscribeToSensorData
+ * @param {object} options - { startTime } timestamp of the first reading, defaults to 0
+ * @returns {number} Number of readings delivered
+ */
+export const replayTrace = (trace, onReading, { startTime = 0 } = {}) => {
+  trace.samples.forEach(sample => onReading(sampleToSensorData(sample, startTime)));
+  return trace.samples.length;
+};
+
+/**
+ * Builds a source for sensorService.setReplaySource that plays a trace in real time.
+ * Timestamps start at the moment the replay starts.
+ * @param {object} trace
+ * @param {object} options - { speed: playback rate, loop: restart at the end, onFinished }
+ * @returns {{name: string, start: Function, stop: Function}}
+ */
+export const createReplaySource = (trace, { speed = 1, loop = false, onFinished } = {}) => {
+  let timer = null;
+  let index = 0;
+  let startTime = 0; // Timestamp of the first reading
+  let offset = 0; // Trace time added per completed loop
+  let emit = null;
+
+  const scheduleNext = () => {
+    if (index >= trace.samples.length) {
+      if (!loop || trace.samples.length === 0) {
+        timer = null;
+        onFinished?.();
+        return;
+      }
+      index = 0;
+      offset += getTraceDuration(trace) + trace.sampleIntervalMs;
+    }
+
+    const sample = trace.samples[index];
+    const traceTime = offset + sample[0];
+    const delay = Math.max(startTime + traceTime / speed - Date.now(), 0);
+    timer = setTimeout(() => {
+      index++;
+      // Stamped with trace time so detectors see the recorded spacing at any speed
+      emit(sampleToSensorData(sample, startTime + offset));
+      scheduleNext();
+    }, delay);
+  };
+
+  return {
+    name: trace.label ? `${trace.label} trace` : 'sensor trace',
+    start(onReading) {
+      emit = onReading;
+      index = 0;
+      offset = 0;
+      startTime = Date.now();
+      scheduleNext();
+    },
+    stop() {
+      if (timer) {
+        clearTimeout(timer);
+        timer = null;
+      }
+    },
+  };
+};
+
+// --- Recording ---
+
+/**
+ * Starts recording readings from sensorService. Sensor updates must be running.
+ * @param {object} options - { label: one of TRACE_LABELS, description }
+ */
+export const startTraceRecording = ({ label = null, description = '' } = {}) => {
+  if (recording) {
+    throw new Error('A sensor trace is already being recorded');
+  }
+
+  recording = {
+    label,
+    description,
+    recordedAt: new Date().toISOString(),
+    startTime: null,
+    samples: [],
+    events: [],
+    unsubscribe: null,
+  };
+
+  recording.unsubscribe = subscribeToSensorData(({ ax, ay, az, gx, gy, gz, timestamp }) => {
+    if (recording.startTime === null) {
+      recording.startTime = timestamp;
+    }
+    recording.samples.push([timestamp - recording.startTime, ax, ay, az, gx, gy, gz].map(round));
+  });
+  console.log(`🎙️ Sensor Trace: Recording${label ? ` "${label}"` : ''}`);
+};
+
+/**
+ * Marks a moment in the recording, e.g. TRACE_EVENTS.IMPACT when a fall happens.
+ */
+export const markTraceEvent = (type) => {
+  if (!recording) return;
+  const t = recording.startTime === null ? 0 : Date.now() - recording.startTime;
+  recording.events.push({ t, type });
+};
+
+/**
+ * Stops recording.
+ * @returns {object|null} The recorded trace, or null if nothing was being recorded
+ */
+export const stopTraceRecording = () => {
+  if (!recording) return null;
+
+  recording.unsubscribe();
+  const { label, description, recordedAt, samples, events } = recording;
+  recording = null;
+
+  console.log(`🎙️ Sensor Trace: Recorded ${samples.length} samples`);
+  return {
+    format: TRACE_FORMAT,
+    version: TRACE_VERSION,
+    label,
+    description,
+    recordedAt,
+    device: { platform: Platform.OS, version: String(Platform.Version) },
+    sampleIntervalMs: DEFAULT_SAMPLE_INTERVAL_MS,
+    columns: TRACE_COLUMNS,
+    samples,
+    events,
+  };
+};
+
+export const isTraceRecording = () => recording !== null;
+
+export const getRecordedSampleCount = () => (recording ? recording.samples.length : 0);
+
+// --- Files ---
+
+const getTraceDirectory = () => {
+  const directory = new Directory(Paths.document, TRACE_DIRECTORY);
+  if (!directory.exists) {
+    directory.create();
+  }
+  return directory;
+};
+
+/**
+ * Saves a trace in the app's document directory.
+ * @returns {string} URI of the file
+ */
+export const saveTrace = (trace) => {
+  const stamp = trace.recordedAt.replace(/[:.]/g, '-');
+  const file = new File(getTraceDirectory(), `${trace.label || 'unlabelled'}-${stamp}.json`);
+  if (file.exists) {
+    file.delete();
+  }
+  file.create();
+  file.write(serializeTrace(trace));
+  console.log(`🎙️ Sensor Trace: Saved ${file.name}`);
+  return file.uri;
+};
+
+/**
+ * @returns {Array<{uri: string, name: string, size: number}>} Saved traces, newest first
+ */
+export const listSavedTraces = () =>
+  getTraceDirectory().list()
+    .filter(entry => entry instanceof File && entry.name.endsWith('.json'))
+    .map(file => ({ uri: file.uri, name: file.name, size: file.size }))
+    .sort((a, b) => b.name.localeCompare(a.name));
+
+export const loadTraceFile = async (uri) => parseTrace(await new File(uri).text());
+
+export const deleteTraceFile = (uri) => {
+  new File(uri).delete();
+};
+
+export const shareTraceFile = async (uri) => {
+  if (!(await Sharing.isAvailableAsync())) {
+    throw new Error('Sharing is not available on this device');
+  }
+  await Sharing.shareAsync(uri, { mimeType: TRACE_MIME_TYPE, dialogTitle: 'Share sensor trace' });
+};
+
+/**
+ * Lets the user pick a trace file (e.g. from the test corpus) and saves a copy.
+ * @returns {Promise<string|null>} URI of the saved copy, or null if cancelled
+ */
+export const importTraceFile = async () => {
+  const result = await DocumentPicker.getDocumentAsync({
+    type: [TRACE_MIME_TYPE, 'text/plain'],
+    copyToCacheDirectory: true,
+  });
+  if (result.canceled || !result.assets || result.assets.length === 0) {
+    return null;
+  }
+  const trace = await loadTraceFile(result.assets[0].uri);
+  return saveTrace(trace);
+};
+
+export const sensorTraceService = {
+  parseTrace,
+  serializeTrace,
+  replayTrace,
+  createReplaySource,
+  startTraceRecording,
+  markTraceEvent,
+  stopTraceRecording,
+  isTraceRecording,
+  getRecordedSampleCount,
+  saveTrace,
+  listSavedTraces,
+  loadTraceFile,
+  deleteTraceFile,
+  shareTraceFile,
+  importTraceFile,
+};
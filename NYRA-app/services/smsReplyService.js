@@ -0,0 +1,223 @@
+// SMS Reply Service - Contact Acknowledgements
+// Reads SMS replies from emergency contacts (Android only, via the SmsModule native bridge)
+// Replies such as OK, COMING or CALL are attached to the active incident as acknowledgements,
+// which in turn stops the escalation ladder. Any other reply is only logged on the incident
+
+import { NativeModules, NativeEventEmitter, Platform, AppState } from 'react-native';
+import { loadContacts } from './storageService';
+import { permissionsService } from './permissionsService';
+import { incidentService, INCIDENT_STATES } from './incidentService';
+
+const { SmsModule } = NativeModules;
+
+const SMS_RECEIVED_EVENT = 'SmsReceived';
+
+export const REPLY_KEYWORDS = {
+  COMING: 'COMING',
+  CALL: 'CALL',
+  OK: 'OK',
+  REPLY: 'REPLY', // Any other reply; logged, but does not acknowledge the alert
+};
+
+export const REPLY_KEYWORD_LABELS = {
+  [REPLY_KEYWORDS.COMING]: 'is on the way',
+  [REPLY_KEYWORDS.CALL]: 'will call you',
+  [REPLY_KEYWORDS.OK]: 'saw your alert',
+  [REPLY_KEYWORDS.REPLY]: 'replied',
+};
+
+// "not ok" or "can't call" must not stop the escalation ladder, so a reply with any negation
+// is treated as an ordinary reply for the user to read
+const NEGATION_PATTERN = /\b(no|not|never|cant|cannot|dont|wont|isnt|arent|aint|couldnt|unable)\b/;
+
+// Checked in order, so "OK COMING" counts as COMING
+const KEYWORD_PATTERNS = [
+  { keyword: REPLY_KEYWORDS.COMING, pattern: /\b(coming|on my way|omw|otw)\b/ },
+  { keyword: REPLY_KEYWORDS.CALL, pattern: /\b(call|calling)\b/ },
+  { keyword: REPLY_KEYWORDS.OK, pattern: /\b(ok|okay|k|seen|got it|safe)\b/ },
+];
+
+/**
+ * Work out what a contact's reply means.
+ * @param {string} body - SMS text
+ * @returns {string} One of REPLY_KEYWORDS; REPLY when no keyword matched or the reply is negated
+ */
+export const parseReplyKeyword = (body) => {
+  const text = (body || '').toLowerCase().replace(/['’]/g, '').replace(/[^a-z\s]/g, ' ');
+  if (NEGATION_PATTERN.test(text)) return REPLY_KEYWORDS.REPLY;
+  const match = KEYWORD_PATTERNS.find(({ pattern }) => pattern.test(text));
+  return match ? match.keyword : REPLY_KEYWORDS.REPLY;
+};
+
+const isAcknowledgement = (keyword) => keyword !== REPLY_KEYWORDS.REPLY;
+
+// Carriers deliver numbers with or without the country code, so compare the trailing digits
+const phonesMatch = (a, b) => {
+  const digitsA = (a || '').replace(/\D/g, '');
+  const digitsB = (b || '').replace(/\D/g, '');
+  if (!digitsA || !digitsB) return false;
+  const length = Math.min(digitsA.length, digitsB.length, 10);
+  return digitsA.slice(-length) === digitsB.slice(-length);
+};
+
+const isAwaitingReplies = (incident) =>
+  !!incident && (incident.state === INCIDENT_STATES.DISPATCHED || incident.state === INCIDENT_STATES.ACKNOWLEDGED);
+
+// Latest incident contacts were alerted about. A newer incident may still be in its countdown,
+// and contacts have not heard of that one yet
+const getIncidentAwaitingReplies = () => incidentService.getIncidents().find(isAwaitingReplies) || null;
+
+class SmsReplyService {
+  constructor() {
+    this.isListening = false;
+    this.subscription = null;
+    this.incidentSubscription = null;
+    this.listeners = [];
+  }
+
+  /**
+   * Start listening whenever an incident is dispatched, and stop once it is closed.
+   * Call once on app start.
+   */
+  async init() {
+    if (this.incidentSubscription || !this.isSupported()) return;
+
+    this.incidentSubscription = incidentService.subscribe((eventType, data) => {
+      if (eventType === 'incidentOpened' && data.state === INCIDENT_STATES.DISPATCHED) {
+        this.startListening();
+      } else if (eventType === 'incidentTransitioned') {
+        if (data.to === INCIDENT_STATES.DISPATCHED) {
+          this.startListening();
+        } else if (incidentService.isTerminalState(data.to) && !getIncidentAwaitingReplies()) {
+          this.stopListening();
+        }
+      }
+    });
+
+    await incidentService.load();
+    if (getIncidentAwaitingReplies()) {
+      await this.startListening();
+    }
+  }
+
+  isSupported() {
+    return Platform.OS === 'android' && !!SmsModule && !!SmsModule.startReplyListener;
+  }
+
+  async startListening() {
+    if (this.isListening || !this.isSupported()) return this.isListening;
+
+    // Only show the permission dialog while the user is looking at the app
+    const hasPermission = AppState.currentState === 'active'
+      ? await permissionsService.ensureReceiveSMSPermission()
+      : await permissionsService.checkReceiveSMSPermission();
+    if (!hasPermission) {
+      console.warn('⚠️ SMS Reply Service: No permission to read SMS replies');
+      return false;
+    }
+
+    try {
+      const emitter = new NativeEventEmitter(SmsModule);
+      this.subscription = emitter.addListener(SMS_RECEIVED_EVENT, (message) => {
+        this.handleIncomingSms(message).catch(error =>
+          console.error('❌ SMS Reply Service: Failed to handle reply:', error)
+        );
+      });
+      await SmsModule.startReplyListener();
+      this.isListening = true;
+      console.log('📥 SMS Reply Service: Listening for contact replies');
+      this.notifyListeners('listeningChanged', { isListening: true });
+    } catch (error) {
+      console.error('❌ SMS Reply Service: Could not start listening:', error);
+      this.subscription?.remove();
+      this.subscription = null;
+    }
+    return this.isListening;
+  }
+
+  async stopListening() {
+    if (!this.isListening) return;
+
+    this.subscription?.remove();
+    this.subscription = null;
+    try {
+      await SmsModule.stopReplyListener();
+    } catch (error) {
+      console.warn('SMS Reply Service: Error stopping listener:', error);
+    }
+    this.isListening = false;
+    console.log('📥 SMS Reply Service: Stopped listening for replies');
+    this.notifyListeners('listeningChanged', { isListening: false });
+  }
+
+  /**
+   * Attach a reply from an emergency contact to the latest dispatched or acknowledged incident. Replies without an
+   * acknowledgement keyword are added to the timeline and leave the incident escalating.
+   * @param {Object} message - { from, body, timestamp } from SmsModule
+   * @returns {Promise<Object|null>} The acknowledgement, or null if the SMS did not acknowledge
+   */
+  async handleIncomingSms({ from, body, timestamp }) {
+    const incident = getIncidentAwaitingReplies();
+    if (!incident) return null;
+
+    const contacts = await loadContacts();
+    const contact = contacts.find(c => phonesMatch(c.phone, from));
+    if (!contact) return null;
+
+    const reply = {
+      contactId: contact.id,
+      name: contact.name,
+      phone: contact.phone,
+      keyword: parseReplyKeyword(body),
+      message: body,
+      receivedAt: timestamp || Date.now(),
+    };
+
+    if (!isAcknowledgement(reply.keyword)) {
+      await incidentService.addTimelineEntry(incident.id, {
+        event: 'reply',
+        note: `${contact.name} replied: ${body}`,
+        data: reply,
+      });
+      console.log(`💬 SMS Reply Service: ${contact.name} replied without acknowledging`);
+      this.notifyListeners('replyReceived', { incidentId: incident.id, reply });
+      return null;
+    }
+
+    await incidentService.transition(incident.id, INCIDENT_STATES.ACKNOWLEDGED, {
+      note: `${contact.name} ${REPLY_KEYWORD_LABELS[reply.keyword]}`,
+      data: reply,
+    });
+
+    console.log(`✅ SMS Reply Service: ${contact.name} replied ${reply.keyword}`);
+    this.notifyListeners('acknowledgementReceived', { incidentId: incident.id, acknowledgement: reply });
+    return reply;
+  }
+
+  getIsListening() {
+    return this.isListening;
+  }
+
+  // FRONTEND: Subscribe to service events
+  subscribe(listener) {
+    this.listeners.push(listener);
+    return () => {
+      this.listeners = this.listeners.filter(l => l !== listener);
+    };
+  }
+
+  // FRONTEND: Notify UI components of state changes
+  notifyListeners(eventType, data) {
+    this.listeners.forEach(listener => {
+      try {
+        listener(eventType, data);
+      } catch (error) {
+        console.error('Listener error:', error);
+      }
+    });
+  }
+}
+
+// Export singleton instance
+export const smsReplyService = new SmsReplyService();
+export default smsReplyService;
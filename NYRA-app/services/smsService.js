@@ -1,6 +1,9 @@
 import * as SMS from 'expo-sms';
 import { Alert, Platform, NativeModules } from 'react-native';
 import { permissionsService } from './permissionsService';
+import { outboxService } from './outboxService';
+import { selectRecipients, getPersonalContacts, CONTACT_CHANNELS } from './contactService';
+import { normalizePhoneNumber, resolveDefaultCountry } from './phoneNumberService';
 
 const { SmsModule } = NativeModules;
 
@@ -15,14 +18,32 @@ const SMS_CONFIG = {
 /**
  * Validates a phone number
  * @param {string} phone - Phone number to validate
- * @returns {boolean} True if valid
+ * @param {string} defaultCountry - ISO code for numbers without a country code
+ *   (defaults to the device region, see phoneNumberService)
+ * @returns {boolean} True if the number can be converted to E.164
  */
-const isValidPhoneNumber = (phone) => {
-  if (!phone || typeof phone !== 'string') return false;
-  // Remove spaces, dashes, parentheses
-  const cleaned = phone.replace(/[\s\-\(\)]/g, '');
-  // Check if it's a valid number (at least 10 digits, can start with +)
-  return /^\+?\d{10,15}$/.test(cleaned);
+const isValidPhoneNumber = (phone, defaultCountry = resolveDefaultCountry(null)) =>
+  normalizePhoneNumber(phone, defaultCountry).valid;
+
+/**
+ * Picks the contacts to text (see selectRecipients) and turns them into outbox recipients.
+ * Contacts saved before numbers were stored in E.164 are converted here, so they still work
+ * when the user is abroad; contacts without a valid number are left out.
+ * @param {Array<object>} contacts - Contacts with a 'phone' property
+ * @param {object} options - { severity, settings } for quiet hours and the default country
+ * @returns {Array<{address: string, name: string}>}
+ */
+const buildRecipients = (contacts, { severity = 'high', settings = null } = {}) => {
+  const defaultCountry = resolveDefaultCountry(settings);
+  return selectRecipients(contacts, CONTACT_CHANNELS.SMS, { severity, settings })
+    .map(contact => ({ contact, number: normalizePhoneNumber(contact.phone, defaultCountry) }))
+    .filter(({ contact, number }) => {
+      if (!number.valid && contact.phone) {
+        console.warn(`⚠️ SMS Service: Invalid phone number: ${contact.phone}`);
+      }
+      return number.valid;
+    })
+    .map(({ contact, number }) => ({ address: number.e164, name: contact.name }));
 };
 
 /**
@@ -54,9 +75,21 @@ const sendAutomaticSMS = async (phoneNumber, message) => {
  * Sends SMS using manual composer (fallback for iOS or errors)
  * @param {Array<string>} phoneNumbers - Array of phone numbers
  * @param {string} message - Message to send
- * @returns {Promise<boolean>} True if composer opened successfully
+ * @returns {Promise<boolean>} True if the user sent the message
  */
 const sendManualSMS = async (phoneNumbers, message) => {
+  const result = await openManualSMSComposer(phoneNumbers, message);
+  return result === 'sent';
+};
+
+/**
+ * Opens the SMS composer and reports what the user did with it
+ * @param {Array<string>} phoneNumbers - Array of phone numbers
+ * @param {string} message - Message to send
+ * @returns {Promise<string>} 'sent', 'cancelled', 'unknown' (always, on Android), 'unavailable'
+ *   or 'error' if the composer could not be opened
+ */
+const openManualSMSComposer = async (phoneNumbers, message) => {
   try {
     console.log('📱 SMS Service: Opening manual SMS composer...');
 
@@ -64,17 +97,17 @@ const sendManualSMS = async (phoneNumbers, message) => {
     if (!isAvailable) {
       console.error('📱 SMS Service: SMS not available on this device');
       Alert.alert('SMS Error', 'SMS service is not available on this device.');
-      return false;
+      return 'unavailable';
     }
 
     const { result } = await SMS.sendSMSAsync(phoneNumbers, message);
     console.log('📱 SMS Service: Manual SMS result:', result);
 
-    return result === 'sent';
+    return result;
   } catch (error) {
     console.error('❌ SMS Service: Error opening manual SMS composer:', error);
     Alert.alert('SMS Error', `Failed to open SMS composer: ${error.message}`);
-    return false;
+    return 'error';
   }
 };
 
@@ -85,16 +118,174 @@ const sendManualSMS = async (phoneNumbers, message) => {
  */
 const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
 
+/**
+ * Builds the emergency SMS text
+ * @param {Location.LocationObject} location - The user's last known location
+ * @returns {string} Message body
+ */
+const buildEmergencyMessage = (location) => {
+  const locationLink = location && location.coords
+    ? `https://www.google.com/maps/search/?api=1&query=${location.coords.latitude},${location.coords.longitude}`
+    : 'Location not available';
+
+  // Replies are only read on Android (see smsReplyService)
+  const replyHint = Platform.OS === 'android' ? ' Reply OK, COMING or CALL.' : '';
+
+  return `🚨 EMERGENCY ALERT from NYRA: I may be in danger and need help! My location: ${locationLink}${replyHint}`;
+};
+
+/**
+ * Whether SMS can go out without the composer: only on Android with SMS permission.
+ * @param {object} options - { prompt } to ask for the permission if it has not been granted
+ * @returns {Promise<boolean>}
+ */
+const canSendAutomatically = async ({ prompt = false } = {}) => {
+  if (Platform.OS !== 'android' || !SmsModule) return false;
+  return prompt ? permissionsService.ensureSMSPermission() : permissionsService.checkSMSPermission();
+};
+
+/**
+ * Outbox sender for the 'sms' channel. Sends automatically on Android when SMS permission
+ * is granted, otherwise falls back to the composer, which needs the app in the foreground.
+ * @param {Array<string>} phoneNumbers - Numbers still waiting for this message
+ * @param {object} payload - { message }
+ * @param {object} context - { isForeground }
+ * @returns {Promise<Array<object>>} Per-number results, see outboxService
+ */
+const deliverSMS = async (phoneNumbers, { message }, { isForeground }) => {
+  // Only prompt for permission while the user can see the dialog
+  if (await canSendAutomatically({ prompt: isForeground })) {
+    const results = [];
+    for (let i = 0; i < phoneNumbers.length; i++) {
+      // Add delay between messages to avoid carrier spam detection
+      if (i > 0) {
+        console.log(`⏳ SMS Service: Waiting ${SMS_CONFIG.DELAY_BETWEEN_SMS}ms before next SMS...`);
+        await delay(SMS_CONFIG.DELAY_BETWEEN_SMS);
+      }
+      const success = await sendAutomaticSMS(phoneNumbers[i], message);
+      results.push({ address: phoneNumbers[i], success, error: success ? null : 'SMS not sent' });
+    }
+    return results;
+  }
+
+  if (!isForeground) {
+    return phoneNumbers.map(address => ({ address, deferred: true }));
+  }
+
+  const result = await openManualSMSComposer(phoneNumbers, message);
+  // Android's composer never says what the user did. They have seen the message, and reopening
+  // it on every retry would keep interrupting them after they sent it, so it counts as sent
+  const sent = result === 'sent' || result === 'unknown';
+  return phoneNumbers.map(address => ({
+    address,
+    success: sent,
+    // Dismissing the composer is the user's decision, so it is not retried
+    permanent: result === 'cancelled' || result === 'unavailable',
+    error: sent ? null : `Composer result: ${result}`,
+  }));
+};
+
+outboxService.registerSender('sms', deliverSMS);
+
+/**
+ * Queues a follow-up location SMS during an active emergency. Sent silently through the
+ * outbox; no dialogs are shown since this runs in the background.
+ * @param {Array<object>} contacts - Contacts with a 'phone' property
+ * @param {Location.LocationObject} location - Current location
+ * @param {object} options - { incidentId, sequence } where sequence numbers the updates
+ * @returns {Promise<object|null>} The outbox item, or null if no valid numbers
+ */
+const sendLocationUpdateSMS = async (contacts, location, { incidentId = null, sequence = 1 } = {}) => {
+  const recipients = buildRecipients(contacts);
+  if (recipients.length === 0 || !location?.coords) return null;
+
+  const { latitude, longitude } = location.coords;
+  const time = new Date(location.timestamp || Date.now()).toLocaleTimeString();
+  const message = `📍 NYRA location update #${sequence} (${time}): still in an emergency. ` +
+    `Current location: https://www.google.com/maps/search/?api=1&query=${latitude},${longitude}`;
+
+  const queued = await outboxService.enqueue({
+    channel: 'sms',
+    recipients,
+    payload: { message },
+    incidentId,
+  });
+  return outboxService.deliver(queued.id);
+};
+
+/**
+ * Queues an arrival or departure message for a safe place (see geofenceService). Sent
+ * silently through the outbox as a low-severity message, so quiet hours apply, and never
+ * to authorities.
+ * @param {Array<object>} contacts - Contacts with a 'phone' property
+ * @param {object} update - { placeName, arrived }
+ * @param {object} options - { settings } for quiet hours and the default country
+ * @returns {Promise<object|null>} The outbox item, or null if no one should be messaged
+ */
+const sendPlaceUpdateSMS = async (contacts, { placeName, arrived }, { settings = null } = {}) => {
+  const recipients = buildRecipients(getPersonalContacts(contacts), { severity: 'low', settings });
+  if (recipients.length === 0) return null;
+
+  const time = new Date().toLocaleTimeString();
+  const message = arrived
+    ? `🏠 NYRA: I arrived at ${placeName} (${time}).`
+    : `🚶 NYRA: I left ${placeName} (${time}).`;
+
+  const queued = await outboxService.enqueue({
+    channel: 'sms',
+    recipients,
+    payload: { message },
+    incidentId: null,
+  });
+  return outboxService.deliver(queued.id);
+};
+
+/**
+ * Queues a trip-sharing message (see tripSharingService) to the contacts the user chose for
+ * the trip. Sent silently through the outbox as a low-severity message, so quiet hours apply.
+ * Fields the user's detail level leaves out are null and not mentioned.
+ * @param {Array<object>} contacts - Chosen contacts with a 'phone' property
+ * @param {object} update - { headline, destinationName, expectedBy, locationLink, tripLink }
+ * @param {object} options - { settings } for quiet hours and the default country
+ * @returns {Promise<object|null>} The outbox item, or null if no one should be messaged
+ */
+const sendTripUpdateSMS = async (contacts, update, { settings = null } = {}) => {
+  const recipients = buildRecipients(getPersonalContacts(contacts), { severity: 'low', settings });
+  if (recipients.length === 0) return null;
+
+  const parts = [`🚶 NYRA: ${update.headline}`];
+  if (update.destinationName) parts.push(`Going to ${update.destinationName}.`);
+  if (update.expectedBy) parts.push(`Expected by ${update.expectedBy}.`);
+  if (update.locationLink) parts.push(`Now at: ${update.locationLink}`);
+  if (update.tripLink) parts.push(`Route: ${update.tripLink}`);
+
+  const queued = await outboxService.enqueue({
+    channel: 'sms',
+    recipients,
+    payload: { message: parts.join(' ') },
+    incidentId: null,
+  });
+  return outboxService.deliver(queued.id);
+};
+
 /**
  * Sends an emergency SMS to a list of contacts.
+ * The message is written to the outbox first, so recipients that cannot be reached now
+ * are retried in the background until they are sent or marked failed.
  * On Android: Sends automatically without user interaction
  * On iOS: Opens SMS composer with pre-filled message
  * 
+ * Only contacts whose preferred channels include SMS are messaged, in priority order, and
+ * quiet hours are honoured for lower-severity alerts (see contactService).
+ * 
  * @param {Array<object>} contacts - Array of contact objects, each with a 'phone' property
  * @param {Location.LocationObject} location - The user's last known location
+ * @param {object} options - { incidentId } to link the outbox entry to an incident,
+ *   { silent } to skip the result dialogs (e.g. for background escalation steps),
+ *   { severity, settings } for quiet-hours filtering
  * @returns {Promise<object>} Result object with success status and details
  */
-const sendEmergencySMS = async (contacts, location) => {
+const sendEmergencySMS = async (contacts, location, { incidentId = null, silent = false, severity = 'high', settings = null } = {}) => {
   console.log('📱 SMS Service: Starting emergency SMS...');
   console.log('📱 SMS Service: Platform:', Platform.OS);
   console.log('📱 SMS Service: Contacts received:', contacts?.length || 0);
@@ -103,111 +294,55 @@ const sendEmergencySMS = async (contacts, location) => {
   // Validate inputs
   if (!contacts || contacts.length === 0) {
     console.log('📱 SMS Service: No contacts provided');
-    Alert.alert('SMS Error', 'No emergency contacts found. Please add contacts first.');
+    if (!silent) Alert.alert('SMS Error', 'No emergency contacts found. Please add contacts first.');
     return { success: false, sent: 0, failed: 0, total: 0 };
   }
 
-  // Extract and validate phone numbers
-  const phoneNumbers = contacts
-    .map(c => c.phone)
-    .filter(phone => {
-      const valid = isValidPhoneNumber(phone);
-      if (!valid && phone) {
-        console.warn(`⚠️ SMS Service: Invalid phone number: ${phone}`);
-      }
-      return valid;
-    });
+  const recipients = buildRecipients(contacts, { severity, settings });
 
-  console.log('📱 SMS Service: Valid phone numbers:', phoneNumbers.length);
+  console.log('📱 SMS Service: Valid phone numbers:', recipients.length);
 
-  if (phoneNumbers.length === 0) {
+  if (recipients.length === 0) {
     console.log('📱 SMS Service: No valid phone numbers found');
-    Alert.alert('SMS Error', 'No valid phone numbers found in emergency contacts.');
+    if (!silent) Alert.alert('SMS Error', 'No emergency contacts with a valid phone number are set to receive SMS alerts.');
     return { success: false, sent: 0, failed: 0, total: 0 };
   }
 
-  // Build location link
-  const locationLink = location && location.coords
-    ? `https://www.google.com/maps/search/?api=1&query=${location.coords.latitude},${location.coords.longitude}`
-    : 'Location not available';
-
-  const message = `🚨 EMERGENCY ALERT from NYRA: I may be in danger and need help! My location: ${locationLink}`;
-
+  const message = buildEmergencyMessage(location);
   console.log('📱 SMS Service: Message to send:', message);
-  console.log('📱 SMS Service: Sending to numbers:', phoneNumbers);
-
-  // iOS or fallback: Use manual SMS composer
-  if (Platform.OS !== 'android') {
-    console.log('📱 SMS Service: iOS detected, using manual SMS composer');
-    const success = await sendManualSMS(phoneNumbers, message);
-    return {
-      success,
-      sent: success ? phoneNumbers.length : 0,
-      failed: success ? 0 : phoneNumbers.length,
-      total: phoneNumbers.length,
-      method: 'manual'
-    };
-  }
-
-  // Android: Check and request SMS permission
-  console.log('📱 SMS Service: Android detected, checking SMS permission...');
-  const hasPermission = await permissionsService.ensureSMSPermission();
-
-  if (!hasPermission) {
-    console.warn('⚠️ SMS Service: SMS permission denied, falling back to manual SMS');
-    Alert.alert(
-      'Permission Required',
-      'SMS permission is required for automatic alerts. Opening manual SMS composer instead.',
-      [{ text: 'OK' }]
-    );
-    const success = await sendManualSMS(phoneNumbers, message);
-    return {
-      success,
-      sent: success ? phoneNumbers.length : 0,
-      failed: success ? 0 : phoneNumbers.length,
-      total: phoneNumbers.length,
-      method: 'manual_fallback'
-    };
-  }
-
-  // Android with permission: Send automatically
-  console.log('✅ SMS Service: SMS permission granted, sending automatically...');
 
-  let sentCount = 0;
-  let failedCount = 0;
-  const results = [];
+  const queued = await outboxService.enqueue({
+    channel: 'sms',
+    recipients,
+    payload: { message },
+    incidentId,
+  });
+  const item = await outboxService.deliver(queued.id);
 
-  for (let i = 0; i < phoneNumbers.length; i++) {
-    const phoneNumber = phoneNumbers[i];
+  const results = item.recipients.map(r => ({ phoneNumber: r.address, status: r.status }));
+  const sentCount = results.filter(r => r.status === 'sent').length;
+  const retryingCount = results.filter(r => r.status === 'pending').length;
+  const failedCount = results.length - sentCount;
 
-    // Add delay between messages to avoid carrier spam detection
-    if (i > 0) {
-      console.log(`⏳ SMS Service: Waiting ${SMS_CONFIG.DELAY_BETWEEN_SMS}ms before next SMS...`);
-      await delay(SMS_CONFIG.DELAY_BETWEEN_SMS);
-    }
-
-    const success = await sendAutomaticSMS(phoneNumber, message);
-
-    if (success) {
-      sentCount++;
-      results.push({ phoneNumber, status: 'sent' });
-    } else {
-      failedCount++;
-      results.push({ phoneNumber, status: 'failed' });
-    }
-  }
-
-  console.log('📱 SMS Service: SMS sending complete');
-  console.log(`✅ SMS Service: Sent: ${sentCount}/${phoneNumbers.length}`);
-  console.log(`❌ SMS Service: Failed: ${failedCount}/${phoneNumbers.length}`);
+  console.log('📱 SMS Service: First delivery attempt complete');
+  console.log(`✅ SMS Service: Sent: ${sentCount}/${results.length}`);
+  console.log(`⏳ SMS Service: Retrying: ${retryingCount}/${results.length}`);
 
   // Show user-friendly alert
-  if (sentCount === phoneNumbers.length) {
+  if (silent) {
+    // Caller reports the outcome itself
+  } else if (sentCount === results.length) {
     Alert.alert(
       'Emergency SMS Sent',
       `Successfully sent emergency alerts to ${sentCount} contact${sentCount > 1 ? 's' : ''}.`,
       [{ text: 'OK' }]
     );
+  } else if (retryingCount > 0) {
+    Alert.alert(
+      sentCount > 0 ? 'Partial Success' : 'SMS Not Sent Yet',
+      `${sentCount > 0 ? `Sent to ${sentCount} contact${sentCount > 1 ? 's' : ''}. ` : ''}NYRA will keep retrying the remaining ${retryingCount} in the background.`,
+      [{ text: 'OK' }]
+    );
   } else if (sentCount > 0) {
     Alert.alert(
       'Partial Success',
@@ -222,7 +357,7 @@ const sendEmergencySMS = async (contacts, location) => {
         { text: 'Cancel', style: 'cancel' },
         {
           text: 'Try Manual SMS',
-          onPress: () => sendManualSMS(phoneNumbers, message)
+          onPress: () => sendManualSMS(recipients.map(r => r.address), message)
         }
       ]
     );
@@ -232,12 +367,18 @@ const sendEmergencySMS = async (contacts, location) => {
     success: sentCount > 0,
     sent: sentCount,
     failed: failedCount,
-    total: phoneNumbers.length,
-    method: 'automatic',
+    total: results.length,
+    method: Platform.OS === 'android' ? 'automatic' : 'manual',
+    outboxId: item.id,
     results
   };
 };
 
 export const smsService = {
+  canSendAutomatically,
   sendEmergencySMS,
+  sendLocationUpdateSMS,
+  sendPlaceUpdateSMS,
+  sendTripUpdateSMS,
+  isValidPhoneNumber,
 };
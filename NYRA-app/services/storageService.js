@@ -1,6 +1,7 @@
-import AsyncStorage from '@react-native-async-storage/async-storage';
+import { secureStorage } from './secureStorageService';
 import 'react-native-get-random-values'; // Polyfill for uuid
 import { v4 as uuidv4 } from 'uuid';
+import { sortByPriority } from './contactService';
 
 const CONTACTS_KEY = 'emergencyContacts';
 const SETTINGS_KEY = 'appSettings';
@@ -10,7 +11,7 @@ const SETTINGS_KEY = 'appSettings';
 export const saveContacts = async (contacts) => {
   try {
     const jsonValue = JSON.stringify(contacts);
-    await AsyncStorage.setItem(CONTACTS_KEY, jsonValue);
+    await secureStorage.setItem(CONTACTS_KEY, jsonValue);
   } catch (e) {
     console.error('Error saving contacts:', e);
     throw new Error('Failed to save contacts to storage.');
@@ -19,10 +20,11 @@ export const saveContacts = async (contacts) => {
 
 export const loadContacts = async () => {
   try {
-    const jsonValue = await AsyncStorage.getItem(CONTACTS_KEY);
+    const jsonValue = await secureStorage.getItem(CONTACTS_KEY);
     const contacts = jsonValue != null ? JSON.parse(jsonValue) : [];
-    // Ensure all contacts have a unique ID for stable rendering and deletion
-    return contacts.map(c => ({ ...c, id: c.id || uuidv4() }));
+    // Ensure all contacts have a unique ID for stable rendering and deletion,
+    // and fill in role/priority/channel fields for contacts saved before they existed
+    return sortByPriority(contacts.map(c => ({ ...c, id: c.id || uuidv4() })));
   } catch (e) {
     console.error('Error loading contacts:', e);
     throw new Error('Failed to load contacts from storage.');
@@ -33,15 +35,27 @@ export const loadContacts = async () => {
 
 const defaultSettings = {
   isAutoDetectionEnabled: false,
+  detectionSensitivity: 0.5, // 0 = Low, 0.5 = Medium, 1 = High
   sendSmsAlerts: true,
   sendEmailAlerts: true,
   shareLiveLocation: true,
+  liveLocationIntervalMinutes: 5,
+  liveLocationDistanceMeters: 250,
+  quietHoursEnabled: false,
+  quietHoursStart: 22, // Hour of day, 0-23
+  quietHoursEnd: 7,
+  defaultCountry: null, // ISO code for numbers without a country code; null uses the device region
+  activityClassifier: 'rules', // 'rules' or 'model', see harModelService
+  requestCommunityHelp: true,
+  captureEvidence: true,
+  adaptiveSampling: true, // Slower sensor and location rates while still or on low battery, see powerService
+  tripShareDetail: 'standard', // How much trip updates tell contacts, see tripSharingService
 };
 
 export const saveSettings = async (settings) => {
   try {
     const jsonValue = JSON.stringify(settings);
-    await AsyncStorage.setItem(SETTINGS_KEY, jsonValue);
+    await secureStorage.setItem(SETTINGS_KEY, jsonValue);
   } catch (e) {
     console.error('Error saving settings:', e);
     throw new Error('Failed to save settings to storage.');
@@ -50,7 +64,7 @@ export const saveSettings = async (settings) => {
 
 export const loadSettings = async () => {
   try {
-    const jsonValue = await AsyncStorage.getItem(SETTINGS_KEY);
+    const jsonValue = await secureStorage.getItem(SETTINGS_KEY);
     return jsonValue != null
       ? { ...defaultSettings, ...JSON.parse(jsonValue) }
       : defaultSettings;
@@ -64,7 +78,7 @@ export const loadSettings = async () => {
 
 export const clearAllData = async () => {
   try {
-    await AsyncStorage.multiRemove([CONTACTS_KEY, SETTINGS_KEY]);
+    await secureStorage.multiRemove([CONTACTS_KEY, SETTINGS_KEY]);
     console.log('All app data cleared.');
   } catch (e) {
     console.error('Error clearing app data:', e);
@@ -1,8 +1,9 @@
 // AI Threat Detection Service
 // Real-time camera-based threat assessment using computer vision
 
-import AsyncStorage from '@react-native-async-storage/async-storage';
+import { secureStorage } from './secureStorageService';
 import { DeviceEventEmitter } from 'react-native';
+import { alertService, INCIDENT_SOURCES } from './alertService';
 
 class ThreatDetectionService {
   static instance = null;
@@ -83,7 +84,7 @@ class ThreatDetectionService {
   
   async loadSettings() {
     try {
-      const settings = await AsyncStorage.getItem('threatDetectionSettings');
+      const settings = await secureStorage.getItem('threatDetectionSettings');
       if (settings) {
         const parsed = JSON.parse(settings);
         this.modelConfig = { ...this.modelConfig, ...parsed };
@@ -95,7 +96,7 @@ class ThreatDetectionService {
   
   async saveSettings() {
     try {
-      await AsyncStorage.setItem('threatDetectionSettings', JSON.stringify(this.modelConfig));
+      await secureStorage.setItem('threatDetectionSettings', JSON.stringify(this.modelConfig));
     } catch (error) {
       console.error('Failed to save threat detection settings:', error);
     }
@@ -381,17 +382,25 @@ class ThreatDetectionService {
       type: 'threat_detected',
       threats,
       timestamp: Date.now(),
-      location: null, // TODO: Get current location
+      location: null,
       evidence: null  // TODO: Capture evidence frame
     };
     
-    // TODO: Integrate with alert service
-    // const alertService = require('./alertService').default.getInstance();
-    // await alertService.triggerThreatAlert(alertData);
-    
-    // TODO: Start evidence recording
-    // const evidenceService = require('./evidenceCaptureService').default.getInstance();
-    // await evidenceService.startThreatRecording(alertData);
+    try {
+      const dispatch = await alertService.dispatchIncident({
+        source: INCIDENT_SOURCES.THREAT,
+        severity: 'critical',
+        details: {
+          threatLevel: this.threatLevel,
+          categories: threats.map(threat => threat.category)
+        }
+      });
+      
+      alertData.incidentId = dispatch.incident.id;
+      alertData.location = dispatch.incident.location;
+    } catch (error) {
+      console.error('Threat alert dispatch failed:', error);
+    }
     
     this.emit('emergencyAlertTriggered', alertData);
   }
@@ -0,0 +1,332 @@
+// Trip Sharing Service - Trip Updates for Chosen Contacts
+// When a Route Guardian trip or a Walk with Me session starts, the contacts the user chose
+// for it get a start message, then milestone updates (halfway, off route, arrived) by SMS
+// and email. How much each message says follows the user's detail setting
+
+import { secureStorage } from './secureStorageService';
+import { loadContacts, loadSettings } from './storageService';
+import { locationService } from './locationService';
+import { smsService } from './smsService';
+import EmailReportService from './emailReportService';
+import { routeGuardianService } from './routeGuardianService';
+import { virtualCompanionService } from './virtualCompanionService';
+
+const SHARE_CONTACTS_KEY = 'trip_share_contacts';
+
+const DEVIATION_GAP_MS = 10 * 60000; // Zig-zagging off the route sends one update, not many
+
+export const TRIP_KINDS = {
+  ROUTE_GUARDIAN: 'route_guardian',
+  VIRTUAL_COMPANION: 'virtual_companion',
+};
+
+export const TRIP_MILESTONES = {
+  STARTED: 'started',
+  HALFWAY: 'halfway',
+  DEVIATION: 'deviation',
+  ARRIVED: 'arrived',
+  ENDED: 'ended',
+};
+
+export const TRIP_SHARE_DETAIL = {
+  MINIMAL: 'minimal', // What happened, nothing else
+  STANDARD: 'standard', // Plus destination and expected arrival
+  DETAILED: 'detailed', // Plus current location and route links
+};
+
+export const TRIP_SHARE_DETAIL_LABELS = {
+  [TRIP_SHARE_DETAIL.MINIMAL]: 'Status only',
+  [TRIP_SHARE_DETAIL.STANDARD]: 'Destination and arrival time',
+  [TRIP_SHARE_DETAIL.DETAILED]: 'Destination, arrival time and location',
+};
+
+const HEADLINES = {
+  [TRIP_MILESTONES.STARTED]: (trip) => (trip.kind === TRIP_KINDS.VIRTUAL_COMPANION
+    ? "I've started Walk with Me and am sharing my trip with you."
+    : "I'm on my way and sharing my trip with you."),
+  [TRIP_MILESTONES.HALFWAY]: () => "I'm about halfway there.",
+  [TRIP_MILESTONES.DEVIATION]: () => "I've left my planned route and am taking another way.",
+  [TRIP_MILESTONES.ARRIVED]: () => "I've arrived.",
+  [TRIP_MILESTONES.ENDED]: () => "I've stopped sharing my trip.",
+};
+
+const formatTime = (timestamp) =>
+  new Date(timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+
+const mapsLink = ({ latitude, longitude }) =>
+  `https://www.google.com/maps/search/?api=1&query=${latitude},${longitude}`;
+
+const directionsLink = (from, to) =>
+  `https://www.google.com/maps/dir/?api=1&origin=${from.latitude},${from.longitude}` +
+  `&destination=${to.latitude},${to.longitude}&travelmode=walking`;
+
+class TripSharingService {
+  constructor() {
+    this.trips = {}; // By TRIP_KINDS; Route Guardian and Walk with Me can run side by side
+    this.listeners = [];
+    this.unsubscribers = [];
+  }
+
+  /**
+   * Start following Route Guardian and Walk with Me. Call once on app start.
+   */
+  init() {
+    if (this.unsubscribers.length > 0) return;
+
+    this.unsubscribers = [
+      routeGuardianService.subscribe((eventType, data) => this.handleRouteEvent(eventType, data)),
+      virtualCompanionService.subscribe((eventType, data) => this.handleCompanionEvent(eventType, data)),
+    ];
+  }
+
+  // ====== CONTACT CHOICE ======
+
+  /**
+   * Contacts chosen for the last shared trip, offered again for the next one
+   * @returns {Promise<Array<string>>} Contact ids
+   */
+  async getShareContactIds() {
+    try {
+      const stored = await secureStorage.getItem(SHARE_CONTACTS_KEY);
+      return stored ? JSON.parse(stored) : [];
+    } catch (error) {
+      console.error('Failed to load trip sharing contacts:', error);
+      return [];
+    }
+  }
+
+  async setShareContactIds(contactIds) {
+    try {
+      await secureStorage.setItem(SHARE_CONTACTS_KEY, JSON.stringify(contactIds));
+    } catch (error) {
+      console.error('Failed to save trip sharing contacts:', error);
+    }
+  }
+
+  // ====== TRIP EVENTS ======
+
+  handleRouteEvent(eventType, data) {
+    const trip = this.trips[TRIP_KINDS.ROUTE_GUARDIAN];
+    if (eventType === 'routeAnalysisReady') {
+      const plannedRoute = data.route.plannedRoute;
+      this.startTrip({
+        kind: TRIP_KINDS.ROUTE_GUARDIAN,
+        contactIds: data.route.shareWith,
+        destinationName: data.route.destinationName,
+        destination: data.route.destination,
+        position: data.route.startLocation?.coords,
+        expectedArrivalAt: plannedRoute ? Date.now() + plannedRoute.etaSeconds * 1000 : null,
+        totalDistance: plannedRoute?.distance || null,
+      });
+      return;
+    }
+    if (!trip) return;
+
+    switch (eventType) {
+      case 'locationUpdated':
+        trip.position = data.location?.coords || trip.position;
+        if (data.etaSeconds !== undefined) {
+          trip.expectedArrivalAt = Date.now() + data.etaSeconds * 1000;
+        }
+        if (trip.totalDistance && data.remainingDistance !== undefined
+          && data.remainingDistance <= trip.totalDistance / 2) {
+          this.sendMilestone(trip, TRIP_MILESTONES.HALFWAY);
+        }
+        break;
+      case 'routeDeviation':
+        trip.position = data.location?.coords || trip.position;
+        if (Date.now() - (trip.lastDeviationAt || 0) >= DEVIATION_GAP_MS) {
+          trip.lastDeviationAt = Date.now();
+          this.sendMilestone(trip, TRIP_MILESTONES.DEVIATION, { repeatable: true });
+        }
+        break;
+      case 'routeCompleted':
+        this.sendMilestone(trip, TRIP_MILESTONES.ARRIVED);
+        break;
+      case 'trackingStopped':
+        this.endTrip(trip);
+        break;
+    }
+  }
+
+  handleCompanionEvent(eventType, data) {
+    const trip = this.trips[TRIP_KINDS.VIRTUAL_COMPANION];
+    if (eventType === 'sessionStarted') {
+      const started = this.startTrip({
+        kind: TRIP_KINDS.VIRTUAL_COMPANION,
+        contactIds: data.shareWith,
+        destinationName: data.destination || null, // Free text, so no route link
+        destination: null,
+        position: data.startLocation?.coords,
+        expectedArrivalAt: data.duration ? new Date(data.startTime).getTime() + data.duration : null,
+        totalDistance: null,
+      });
+      if (started && data.duration) {
+        started.halfwayTimer = setTimeout(() => this.sendMilestone(started, TRIP_MILESTONES.HALFWAY), data.duration / 2);
+      }
+      return;
+    }
+    if (!trip) return;
+
+    switch (eventType) {
+      case 'emergencyAlertTriggered':
+        // Contacts have been alerted; a calm "stopped sharing" afterwards would only confuse them
+        trip.emergency = true;
+        break;
+      case 'sessionEnded':
+        this.endTrip(trip);
+        break;
+    }
+  }
+
+  /**
+   * @returns {object|null} The trip, or null if no contacts were chosen for it
+   */
+  startTrip({ contactIds, ...details }) {
+    if (this.trips[details.kind]) {
+      this.endTrip(this.trips[details.kind]);
+    }
+    if (!contactIds || contactIds.length === 0) return null;
+
+    const trip = { ...details, contactIds, startedAt: Date.now(), sent: [], emergency: false, halfwayTimer: null };
+    this.trips[trip.kind] = trip;
+    console.log(`🚶 Trip Sharing: Sharing with ${contactIds.length} contact(s)`);
+    this.notifyListeners('sharingStarted', this.getStatus(trip.kind));
+    this.sendMilestone(trip, TRIP_MILESTONES.STARTED);
+    return trip;
+  }
+
+  endTrip(trip) {
+    if (trip.halfwayTimer) {
+      clearTimeout(trip.halfwayTimer);
+    }
+    if (!trip.sent.includes(TRIP_MILESTONES.ARRIVED) && !trip.emergency) {
+      this.sendMilestone(trip, TRIP_MILESTONES.ENDED);
+    }
+    delete this.trips[trip.kind];
+    this.notifyListeners('sharingStopped', { kind: trip.kind });
+  }
+
+  // ====== MESSAGES ======
+
+  /**
+   * Send a milestone to the trip's contacts by SMS and email, once per trip unless repeatable
+   * @param {object} trip
+   * @param {string} milestone - One of TRIP_MILESTONES
+   * @param {object} options - { repeatable }
+   */
+  async sendMilestone(trip, milestone, { repeatable = false } = {}) {
+    if (!repeatable && trip.sent.includes(milestone)) return;
+    trip.sent.push(milestone);
+
+    try {
+      const [allContacts, settings] = await Promise.all([loadContacts(), loadSettings()]);
+      const contacts = allContacts.filter(contact => trip.contactIds.includes(contact.id));
+      if (contacts.length === 0) return;
+
+      const update = await this.buildUpdate(trip, milestone, settings);
+
+      if (settings.sendSmsAlerts) {
+        await smsService.sendTripUpdateSMS(contacts, update, { settings });
+      }
+      if (settings.sendEmailAlerts) {
+        try {
+          await EmailReportService.getInstance().sendTripUpdate(contacts, update);
+        } catch (error) {
+          // Usually email is not set up; SMS still went out
+          console.warn('Trip Sharing: Email update not sent:', error.message);
+        }
+      }
+
+      console.log(`🚶 Trip Sharing: Sent ${milestone} update`);
+      this.notifyListeners('updateSent', { milestone, trip: this.getStatus(trip.kind) });
+    } catch (error) {
+      console.error(`Trip Sharing: Could not send ${milestone} update:`, error);
+    }
+  }
+
+  /**
+   * What a message says, cut down to the user's detail level. Fields left out are null.
+   * @returns {Promise<{headline: string, destinationName: string|null, expectedBy: string|null,
+   *   locationLink: string|null, tripLink: string|null}>}
+   */
+  async buildUpdate(trip, milestone, settings) {
+    const detail = Object.values(TRIP_SHARE_DETAIL).includes(settings.tripShareDetail)
+      ? settings.tripShareDetail
+      : TRIP_SHARE_DETAIL.STANDARD;
+    const isFinal = milestone === TRIP_MILESTONES.ARRIVED || milestone === TRIP_MILESTONES.ENDED;
+
+    const update = {
+      headline: HEADLINES[milestone](trip),
+      destinationName: null,
+      expectedBy: null,
+      locationLink: null,
+      tripLink: null,
+    };
+    if (detail === TRIP_SHARE_DETAIL.MINIMAL) return update;
+
+    if (!isFinal) {
+      update.destinationName = trip.destinationName || null;
+      update.expectedBy = trip.expectedArrivalAt ? formatTime(trip.expectedArrivalAt) : null;
+    } else if (milestone === TRIP_MILESTONES.ARRIVED && trip.destinationName) {
+      update.headline = `I've arrived at ${trip.destinationName}.`;
+    }
+    // Location links also need live location sharing on, the app-wide switch for coordinates
+    if (detail !== TRIP_SHARE_DETAIL.DETAILED || !settings.shareLiveLocation) return update;
+
+    let position = trip.position;
+    try {
+      const location = await locationService.getCurrentLocation();
+      position = location?.coords || position;
+    } catch (error) {
+      console.warn('Trip Sharing: Using the last known location');
+    }
+    if (position) {
+      update.locationLink = mapsLink(position);
+      if (!isFinal && trip.destination) {
+        update.tripLink = directionsLink(position, trip.destination);
+      }
+    }
+    return update;
+  }
+
+  // ====== UTILITY METHODS ======
+
+  /**
+   * @param {string} kind - One of TRIP_KINDS
+   * @returns {{active: boolean, contactIds?: Array<string>, sent?: Array<string>}}
+   */
+  getStatus(kind) {
+    const trip = this.trips[kind];
+    if (!trip) return { active: false };
+    return {
+      active: true,
+      kind,
+      contactIds: trip.contactIds,
+      sent: [...trip.sent],
+    };
+  }
+
+  // FRONTEND: Subscribe to service events
+  subscribe(listener) {
+    this.listeners.push(listener);
+    return () => {
+      this.listeners = this.listeners.filter(l => l !== listener);
+    };
+  }
+
+  // FRONTEND: Notify UI components of state changes
+  notifyListeners(eventType, data) {
+    this.listeners.forEach(listener => {
+      try {
+        listener(eventType, data);
+      } catch (error) {
+        console.error('Listener error:', error);
+      }
+    });
+  }
+}
+
+// Export singleton instance
+export const tripSharingService = new TripSharingService();
+export default tripSharingService;
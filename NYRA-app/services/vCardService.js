@@ -0,0 +1,242 @@
+// vCard Service - Contact Import and Export
+// Reads emergency contacts from .vcf files and writes the configured list back out, so the
+// same contact set can be provisioned on many devices or carried over to a new phone
+// NYRA-specific fields (role, priority, channels, quiet hours) travel as X-NYRA-* properties
+
+import * as DocumentPicker from 'expo-document-picker';
+import * as Sharing from 'expo-sharing';
+import { File, Paths } from 'expo-file-system';
+import { smsService } from './smsService';
+import { normalizeContact, sortByPriority } from './contactService';
+import { normalizePhoneNumber, describePhoneWarning, isAmbiguous } from './phoneNumberService';
+
+const VCARD_MIME_TYPES = ['text/vcard', 'text/x-vcard', 'text/directory'];
+const EXPORT_FILE_NAME = 'nyra-emergency-contacts.vcf';
+
+// --- Parsing ---
+
+// Continuation lines start with a space or tab (RFC 6350 section 3.2). Quoted-printable
+// values in vCard 2.1 instead end a line with '=' when they continue on the next one
+const unfoldLines = (text) =>
+  text.replace(/\r\n/g, '\n').replace(/\r/g, '\n').replace(/\n[ \t]/g, '').split('\n')
+    .reduce((lines, line) => {
+      const previous = lines[lines.length - 1];
+      if (previous !== undefined && /QUOTED-PRINTABLE/i.test(previous) && previous.endsWith('=')) {
+        lines[lines.length - 1] = previous.slice(0, -1) + line;
+      } else {
+        lines.push(line);
+      }
+      return lines;
+    }, []);
+
+const unescapeValue = (value) =>
+  value.replace(/\\n/gi, '\n').replace(/\\([,;\\])/g, '$1');
+
+const escapeValue = (value) =>
+  String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/([,;])/g, '\\$1');
+
+// vCard 2.1 files from older phones often quoted-printable encode names
+const decodeQuotedPrintable = (value) => {
+  const bytes = value.replace(/=([0-9A-F]{2})/gi, (match, hex) => String.fromCharCode(parseInt(hex, 16)));
+  try {
+    return decodeURIComponent(escape(bytes));
+  } catch (error) {
+    return bytes;
+  }
+};
+
+/**
+ * Splits "item1.TEL;TYPE=CELL,VOICE;PREF=1:+1 555..." into its parts.
+ * @returns {{name: string, params: Object<string, Array<string>>, value: string}|null}
+ */
+const parseLine = (line) => {
+  const colon = line.indexOf(':');
+  if (colon === -1) return null;
+
+  const [rawName, ...rawParams] = line.slice(0, colon).split(';');
+  const name = rawName.replace(/^.*\./, '').toUpperCase();
+  const params = {};
+  rawParams.forEach(param => {
+    const [key, rawValue] = param.includes('=') ? param.split('=') : ['TYPE', param];
+    const values = (rawValue || '').replace(/"/g, '').toUpperCase().split(',');
+    params[key.toUpperCase()] = [...(params[key.toUpperCase()] || []), ...values];
+  });
+
+  let value = line.slice(colon + 1);
+  if ((params.ENCODING || []).includes('QUOTED-PRINTABLE')) {
+    value = decodeQuotedPrintable(value);
+  }
+  return { name, params, value };
+};
+
+// Mobile numbers first, then anything marked preferred, then the rest in file order
+const phoneRank = ({ params }) => {
+  const types = params.TYPE || [];
+  if (types.includes('CELL') || types.includes('MOBILE')) return 0;
+  if (types.includes('PREF') || params.PREF) return 1;
+  return 2;
+};
+
+const cardToContact = (properties) => {
+  const get = (name) => properties.find(p => p.name === name);
+
+  const formattedName = get('FN');
+  const structuredName = get('N');
+  let name = formattedName ? unescapeValue(formattedName.value).trim() : '';
+  if (!name && structuredName) {
+    // N is family;given;additional;prefix;suffix
+    const [family = '', given = ''] = structuredName.value.split(';').map(unescapeValue);
+    name = `${given} ${family}`.trim();
+  }
+
+  const phones = properties.filter(p => p.name === 'TEL').sort((a, b) => phoneRank(a) - phoneRank(b));
+  const email = get('EMAIL');
+  const priority = get('X-NYRA-PRIORITY');
+  const quietHours = get('X-NYRA-QUIET-HOURS');
+
+  return {
+    name,
+    phone: phones.length > 0 ? phones[0].value.replace(/^tel:/i, '').trim() : '',
+    email: email ? unescapeValue(email.value).trim() : '',
+    relationship: get('X-NYRA-RELATIONSHIP') ? unescapeValue(get('X-NYRA-RELATIONSHIP').value) : '',
+    role: get('X-NYRA-ROLE')?.value.toLowerCase(),
+    channels: get('X-NYRA-CHANNELS')?.value.toLowerCase(),
+    priority: priority ? parseInt(priority.value, 10) : undefined,
+    quietHoursException: quietHours ? quietHours.value.toLowerCase() === 'true' : false,
+  };
+};
+
+/**
+ * Parses every card in a vCard (2.1, 3.0 or 4.0) document. Phone numbers are converted to
+ * E.164, reading numbers without a country code as numbers in defaultCountry.
+ * @param {string} text - Contents of a .vcf file
+ * @param {object} options - { defaultCountry } ISO country code, see phoneNumberService
+ * @returns {{contacts: Array<object>, rejected: Array<object>, warnings: Array<object>}}
+ *   Valid contacts in priority order, cards that could not be used ({name, phone, reason}),
+ *   and imported numbers that may have been misread ({name, phone, message})
+ */
+export const parseVCards = (text, { defaultCountry } = {}) => {
+  const contacts = [];
+  const rejected = [];
+  const warnings = [];
+  let properties = null;
+
+  unfoldLines(text || '').forEach(line => {
+    const trimmed = line.trim();
+    if (/^BEGIN:VCARD$/i.test(trimmed)) {
+      properties = [];
+    } else if (/^END:VCARD$/i.test(trimmed)) {
+      if (properties) {
+        const contact = cardToContact(properties);
+        if (!contact.name) {
+          rejected.push({ name: '', phone: contact.phone, reason: 'Missing name' });
+        } else if (!smsService.isValidPhoneNumber(contact.phone, defaultCountry)) {
+          rejected.push({ name: contact.name, phone: contact.phone, reason: 'Invalid or missing phone number' });
+        } else {
+          const number = normalizePhoneNumber(contact.phone, defaultCountry);
+          if (isAmbiguous(number)) {
+            warnings.push({
+              name: contact.name,
+              phone: contact.phone,
+              message: number.warnings.map(w => describePhoneWarning(w, number)).join(' '),
+            });
+          }
+          contacts.push({ ...contact, phone: number.e164 });
+        }
+      }
+      properties = null;
+    } else if (properties && trimmed) {
+      const property = parseLine(trimmed);
+      if (property) properties.push(property);
+    }
+  });
+
+  // Keep the file's X-NYRA-PRIORITY order when present, otherwise file order
+  const withDefaults = contacts.map((contact, index) =>
+    normalizeContact(contact, Number.isFinite(contact.priority) ? contact.priority : index)
+  );
+  return { contacts: sortByPriority(withDefaults), rejected, warnings };
+};
+
+// --- Serialising ---
+
+/**
+ * Builds a vCard 3.0 document for a list of contacts.
+ * @param {Array<object>} contacts
+ * @returns {string}
+ */
+export const buildVCards = (contacts) =>
+  sortByPriority(contacts).map(contact => {
+    const lines = [
+      'BEGIN:VCARD',
+      'VERSION:3.0',
+      `FN:${escapeValue(contact.name)}`,
+      `N:;${escapeValue(contact.name)};;;`,
+      `TEL;TYPE=CELL:${contact.phone}`,
+    ];
+    if (contact.email) lines.push(`EMAIL;TYPE=INTERNET:${escapeValue(contact.email)}`);
+    if (contact.relationship) lines.push(`X-NYRA-RELATIONSHIP:${escapeValue(contact.relationship)}`);
+    lines.push(
+      `X-NYRA-ROLE:${contact.role}`,
+      `X-NYRA-PRIORITY:${contact.priority}`,
+      `X-NYRA-CHANNELS:${contact.channels}`,
+      `X-NYRA-QUIET-HOURS:${contact.quietHoursException}`,
+      'END:VCARD'
+    );
+    return lines.join('\r\n');
+  }).join('\r\n') + '\r\n';
+
+// --- Files ---
+
+/**
+ * Lets the user pick a .vcf file and parses it.
+ * @param {object} options - Passed to parseVCards
+ * @returns {Promise<object|null>} Result of parseVCards plus fileName, or null if cancelled
+ */
+export const importContactsFromFile = async (options = {}) => {
+  const result = await DocumentPicker.getDocumentAsync({
+    type: [...VCARD_MIME_TYPES, 'text/plain'],
+    copyToCacheDirectory: true,
+  });
+  if (result.canceled || !result.assets || result.assets.length === 0) {
+    return null;
+  }
+
+  const asset = result.assets[0];
+  const text = await new File(asset.uri).text();
+  console.log(`📇 vCard Service: Read ${asset.name}`);
+  return { ...parseVCards(text, options), fileName: asset.name };
+};
+
+/**
+ * Writes contacts to a .vcf file and opens the share sheet for it.
+ * @param {Array<object>} contacts
+ * @returns {Promise<boolean>} True if the share sheet was opened
+ */
+export const exportContactsToFile = async (contacts) => {
+  if (!(await Sharing.isAvailableAsync())) {
+    throw new Error('Sharing is not available on this device');
+  }
+
+  const file = new File(Paths.cache, EXPORT_FILE_NAME);
+  if (file.exists) {
+    file.delete();
+  }
+  file.create();
+  file.write(buildVCards(contacts));
+
+  await Sharing.shareAsync(file.uri, {
+    mimeType: VCARD_MIME_TYPES[0],
+    UTI: 'public.vcard',
+    dialogTitle: 'Export emergency contacts',
+  });
+  console.log(`📇 vCard Service: Exported ${contacts.length} contact(s)`);
+  return true;
+};
+
+export const vCardService = {
+  parseVCards,
+  buildVCards,
+  importContactsFromFile,
+  exportContactsToFile,
+};
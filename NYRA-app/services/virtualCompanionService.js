@@ -2,10 +2,9 @@
 // Dead-man's switch for risky commutes
 // Handles both frontend UI state and backend API calls
 
-import AsyncStorage from '@react-native-async-storage/async-storage';
+import { secureStorage } from './secureStorageService';
 import { locationService } from './locationService';
-import { alertService } from './alertService';
-import { smsService } from './smsService';
+import { alertService, INCIDENT_SOURCES } from './alertService';
 
 class VirtualCompanionService {
   constructor() {
@@ -26,6 +25,7 @@ class VirtualCompanionService {
    * @param {string} config.destination - Optional destination description
    * @param {number} config.checkIntervalMinutes - How often to check in
    * @param {Array} config.emergencyContacts - Contacts to notify
+   * @param {Array<string>} config.shareWith - Ids of contacts who get trip updates, see tripSharingService
    */
   async startSession(config) {
     try {
@@ -41,13 +41,14 @@ class VirtualCompanionService {
         destination: config.destination,
         checkInterval: this.checkInterval,
         emergencyContacts: config.emergencyContacts || [],
+        shareWith: config.shareWith || [],
         checkInCount: 0,
         missedCheckIns: 0,
         status: 'active'
       };
 
       // BACKEND: Store session data
-      await AsyncStorage.setItem('virtualCompanion_session', JSON.stringify(this.currentSession));
+      await secureStorage.setItem('virtualCompanion_session', JSON.stringify(this.currentSession));
       
       // BACKEND: Get initial location
       const initialLocation = await locationService.getCurrentLocation();
@@ -88,7 +89,7 @@ class VirtualCompanionService {
         this.currentSession.missedCheckIns = 0;
         
         // BACKEND: Update session data
-        await AsyncStorage.setItem('virtualCompanion_session', JSON.stringify(this.currentSession));
+        await secureStorage.setItem('virtualCompanion_session', JSON.stringify(this.currentSession));
         
         // FRONTEND: Update UI
         this.notifyListeners('checkInConfirmed', this.currentSession);
@@ -114,7 +115,7 @@ class VirtualCompanionService {
       this.currentSession.missedCheckIns++;
       
       // BACKEND: Update session data
-      await AsyncStorage.setItem('virtualCompanion_session', JSON.stringify(this.currentSession));
+      await secureStorage.setItem('virtualCompanion_session', JSON.stringify(this.currentSession));
       
       if (this.currentSession.missedCheckIns >= 2) {
         // Multiple missed check-ins - trigger emergency alert
@@ -160,7 +161,7 @@ class VirtualCompanionService {
         this.notifyListeners('sessionEnded', this.currentSession);
         
         // Clear session data
-        await AsyncStorage.removeItem('virtualCompanion_session');
+        await secureStorage.removeItem('virtualCompanion_session');
         this.currentSession = null;
       }
 
@@ -194,14 +195,20 @@ class VirtualCompanionService {
         lastCheckIn: this.currentSession?.lastCheckIn
       };
 
-      // BACKEND: Send alert through existing alert service
-      await alertService.sendAlert(alertData, this.currentSession?.emergencyContacts);
-      
-      // BACKEND: Send SMS alerts
-      if (this.currentSession?.emergencyContacts?.length > 0) {
-        const alertMessage = `NYRA ALERT: Virtual companion check-in failed. Last location: ${currentLocation?.latitude}, ${currentLocation?.longitude}`;
-        await smsService.sendBulkSMS(this.currentSession.emergencyContacts, alertMessage);
-      }
+      // BACKEND: Send alert through the shared dispatcher
+      const dispatch = await alertService.dispatchIncident({
+        source: INCIDENT_SOURCES.VIRTUAL_COMPANION,
+        severity: reason === 'user_indicated_unsafe' ? 'critical' : 'high',
+        location: currentLocation,
+        contacts: this.currentSession?.emergencyContacts,
+        details: {
+          reason,
+          sessionId: this.currentSession?.id,
+          destination: this.currentSession?.destination,
+          lastCheckIn: this.currentSession?.lastCheckIn
+        }
+      });
+      alertData.incidentId = dispatch.incident.id;
 
       // BACKEND: Log alert event
       await this.logSessionEvent('emergency_alert_triggered', {
@@ -235,10 +242,10 @@ class VirtualCompanionService {
       };
 
       // Store locally for now (will sync with backend later)
-      const logs = await AsyncStorage.getItem('virtualCompanion_logs');
+      const logs = await secureStorage.getItem('virtualCompanion_logs');
       const logArray = logs ? JSON.parse(logs) : [];
       logArray.push(logEntry);
-      await AsyncStorage.setItem('virtualCompanion_logs', JSON.stringify(logArray));
+      await secureStorage.setItem('virtualCompanion_logs', JSON.stringify(logArray));
 
       // TODO: Send to backend API when available
       // await this.sendLogToBackend(logEntry);
@@ -255,7 +262,7 @@ class VirtualCompanionService {
     try {
       // TODO: Implement backend API integration
       const sessionData = this.currentSession;
-      const logs = await AsyncStorage.getItem('virtualCompanion_logs');
+      const logs = await secureStorage.getItem('virtualCompanion_logs');
       
       // API calls would go here:
       // - POST /api/virtual-companion/session
@@ -306,10 +313,10 @@ class VirtualCompanionService {
 
   async getDeviceId() {
     // Get unique device identifier for backend tracking
-    let deviceId = await AsyncStorage.getItem('device_id');
+    let deviceId = await secureStorage.getItem('device_id');
     if (!deviceId) {
       deviceId = Date.now().toString() + Math.random().toString(36);
-      await AsyncStorage.setItem('device_id', deviceId);
+      await secureStorage.setItem('device_id', deviceId);
     }
     return deviceId;
   }
@@ -327,7 +334,7 @@ class VirtualCompanionService {
   // Restore session on app restart
   async restoreSession() {
     try {
-      const storedSession = await AsyncStorage.getItem('virtualCompanion_session');
+      const storedSession = await secureStorage.getItem('virtualCompanion_session');
       if (storedSession) {
         this.currentSession = JSON.parse(storedSession);
         this.isActive = true;
@@ -2,9 +2,10 @@
 // Voice-activated emergency alerts using keyword detection and audio analysis
 // Handles both frontend audio recording and backend audio processing
 
-import AsyncStorage from '@react-native-async-storage/async-storage';
-import { alertService } from './alertService';
+import { secureStorage } from './secureStorageService';
+import { alertService, INCIDENT_SOURCES } from './alertService';
 import { locationService } from './locationService';
+import { detectionFeedbackService, DETECTORS } from './detectionFeedbackService';
 
 class VoiceDetectionService {
   constructor() {
@@ -40,7 +41,7 @@ class VoiceDetectionService {
         continuousListening: config.continuousListening || false
       };
 
-      await AsyncStorage.setItem('voice_detection_config', JSON.stringify(voiceConfig));
+      await secureStorage.setItem('voice_detection_config', JSON.stringify(voiceConfig));
 
       // Combine default and custom keywords
       this.triggerKeywords = [
@@ -55,6 +56,9 @@ class VoiceDetectionService {
       // TODO: Initialize ML model for audio classification
       await this.initializeAudioModel();
 
+      // Thresholds adapted from earlier voice alerts the user labelled
+      await detectionFeedbackService.load();
+
       // FRONTEND: Request microphone permissions
       const hasPermission = await this.requestMicrophonePermission();
       if (!hasPermission) {
@@ -163,7 +167,7 @@ class VoiceDetectionService {
       // BACKEND: Analyze audio for screams and keywords
       const analysisResult = await this.analyzeAudio(audioData);
 
-      if (analysisResult.triggerDetected) {
+      if (analysisResult.triggerDetected && analysisResult.confidence >= this.getEffectiveThreshold(analysisResult.type)) {
         await this.handleTriggerDetected(analysisResult);
       }
 
@@ -208,12 +212,44 @@ class VoiceDetectionService {
       // BACKEND: Store the trigger event
       await this.storeTriggerEvent(alertData);
 
+      // BACKEND: Record the pending incident while the user can still cancel
+      const pendingIncident = await alertService.openCountdown({
+        source: INCIDENT_SOURCES.VOICE,
+        severity: 'high',
+        location: currentLocation
+      });
+
+      // BACKEND: Keep the features with the incident so cancelling it labels a false alarm
+      await detectionFeedbackService.recordDetection({
+        detector: DETECTORS.VOICE,
+        incidentId: pendingIncident.id,
+        score: triggerData.confidence,
+        threshold: this.getConfidenceThreshold(triggerData.type),
+        confidence: triggerData.confidence,
+        features: {
+          triggerType: triggerData.type,
+          keyword: triggerData.keyword,
+          ...alertData.audioMetadata
+        }
+      });
+
       // FRONTEND: Show confirmation dialog (give user 10 seconds to cancel)
       const userConfirmation = await this.showTriggerConfirmation(alertData);
 
       if (userConfirmation !== false) { // User confirmed or didn't respond in time
         // BACKEND: Send emergency alert
-        await alertService.sendAlert(alertData);
+        const dispatch = await alertService.dispatchIncident({
+          source: INCIDENT_SOURCES.VOICE,
+          severity: 'high',
+          location: currentLocation,
+          incidentId: pendingIncident.id,
+          details: {
+            triggerType: triggerData.type,
+            keyword: triggerData.keyword,
+            confidence: triggerData.confidence
+          }
+        });
+        alertData.incidentId = dispatch.incident.id;
         
         // BACKEND: Log confirmed trigger
         await this.logVoiceEvent('trigger_confirmed', alertData);
@@ -222,6 +258,7 @@ class VoiceDetectionService {
         this.notifyListeners('alertSent', alertData);
       } else {
         // BACKEND: Log false positive
+        await alertService.cancelCountdown(pendingIncident.id, 'Voice trigger cancelled by user');
         await this.logVoiceEvent('trigger_cancelled', alertData);
         
         // FRONTEND: Show cancellation confirmation
@@ -233,6 +270,21 @@ class VoiceDetectionService {
     }
   }
 
+  /**
+   * Confidence a trigger of this type needs, before feedback adaptation
+   * @param {string} triggerType - 'scream' or 'keyword'
+   */
+  getConfidenceThreshold(triggerType) {
+    return triggerType === 'scream' ? this.screamConfidenceThreshold : this.keywordConfidenceThreshold;
+  }
+
+  /**
+   * Confidence threshold with the scale learnt from labelled voice alerts applied
+   */
+  getEffectiveThreshold(triggerType) {
+    return this.getConfidenceThreshold(triggerType) * detectionFeedbackService.getThresholdScale(DETECTORS.VOICE);
+  }
+
   // ====== BACKEND AUDIO PROCESSING ======
 
   /**
@@ -444,10 +496,10 @@ class VoiceDetectionService {
       };
 
       // Store locally
-      const events = await AsyncStorage.getItem('voice_trigger_events');
+      const events = await secureStorage.getItem('voice_trigger_events');
       const eventArray = events ? JSON.parse(events) : [];
       eventArray.push(triggerEvent);
-      await AsyncStorage.setItem('voice_trigger_events', JSON.stringify(eventArray));
+      await secureStorage.setItem('voice_trigger_events', JSON.stringify(eventArray));
 
       // TODO: Send to backend for analysis
       // await this.sendEventToBackend(triggerEvent);
@@ -485,10 +537,10 @@ class VoiceDetectionService {
       };
 
       // Store locally
-      const logs = await AsyncStorage.getItem('voice_detection_logs');
+      const logs = await secureStorage.getItem('voice_detection_logs');
       const logArray = logs ? JSON.parse(logs) : [];
       logArray.push(logEntry);
-      await AsyncStorage.setItem('voice_detection_logs', JSON.stringify(logArray));
+      await secureStorage.setItem('voice_detection_logs', JSON.stringify(logArray));
 
       // TODO: Send to backend API
       // await this.sendLogToBackend(logEntry);
@@ -520,16 +572,16 @@ class VoiceDetectionService {
   }
 
   async getDeviceId() {
-    let deviceId = await AsyncStorage.getItem('device_id');
+    let deviceId = await secureStorage.getItem('device_id');
     if (!deviceId) {
       deviceId = Date.now().toString() + Math.random().toString(36);
-      await AsyncStorage.setItem('device_id', deviceId);
+      await secureStorage.setItem('device_id', deviceId);
     }
     return deviceId;
   }
 
   async getUserId() {
-    return await AsyncStorage.getItem('user_id') || 'anonymous';
+    return await secureStorage.getItem('user_id') || 'anonymous';
   }
 
   // FRONTEND: Get current listening status
@@ -540,7 +592,7 @@ class VoiceDetectionService {
   // FRONTEND: Get voice detection configuration
   async getConfig() {
     try {
-      const config = await AsyncStorage.getItem('voice_detection_config');
+      const config = await secureStorage.getItem('voice_detection_config');
       return config ? JSON.parse(config) : null;
     } catch (error) {
       console.error('Failed to get voice config:', error);